@@ -0,0 +1,148 @@
+/**
+ * Exchange Fee Presets
+ * Published spot trading fee schedules of common exchanges and brokers, used to fill the
+ * calculator's fee fields. Plain data with no DOM dependencies, also loadable from Node.
+ * Schedules change: these are the base schedules (no token discounts or promotions) and
+ * each preset links the venue's fee page to check the current figures.
+ *
+ * Preset fields:
+ * - id: stable key, saved with the selection
+ * - name: schedule shown in the selector
+ * - venue: exchange or broker recorded on saved transactions
+ * - url: the venue's fee page
+ * - volumeCurrency: currency of the tier volume thresholds
+ * - tiers: [{ minVolume, maker, taker }] by 30-day trading volume, lowest first (percentages)
+ * - fixed: fixed fee per trade by quote currency, e.g. { EUR: 1 } (optional)
+ * - spread: full bid/ask spread in % for venues that price trades off a quoted spread (optional)
+ */
+
+const FEE_PRESETS = [
+    {
+        id: 'binance',
+        name: 'Binance',
+        venue: 'Binance',
+        url: 'https://www.binance.com/en/fee/schedule',
+        volumeCurrency: 'USD',
+        tiers: [
+            { minVolume: 0, maker: 0.1, taker: 0.1 },
+            { minVolume: 1000000, maker: 0.09, taker: 0.1 },
+            { minVolume: 5000000, maker: 0.08, taker: 0.1 },
+            { minVolume: 20000000, maker: 0.042, taker: 0.06 },
+            { minVolume: 75000000, maker: 0.042, taker: 0.054 },
+            { minVolume: 150000000, maker: 0.036, taker: 0.048 }
+        ]
+    },
+    {
+        id: 'bitstamp',
+        name: 'Bitstamp',
+        venue: 'Bitstamp',
+        url: 'https://www.bitstamp.net/fee-schedule/',
+        volumeCurrency: 'USD',
+        tiers: [
+            { minVolume: 0, maker: 0.3, taker: 0.4 },
+            { minVolume: 10000, maker: 0.2, taker: 0.3 },
+            { minVolume: 100000, maker: 0.1, taker: 0.2 },
+            { minVolume: 1000000, maker: 0.08, taker: 0.18 },
+            { minVolume: 10000000, maker: 0.04, taker: 0.14 }
+        ]
+    },
+    {
+        id: 'bitvavo',
+        name: 'Bitvavo',
+        venue: 'Bitvavo',
+        url: 'https://bitvavo.com/en/fees',
+        volumeCurrency: 'EUR',
+        tiers: [
+            { minVolume: 0, maker: 0.15, taker: 0.25 },
+            { minVolume: 100000, maker: 0.1, taker: 0.2 },
+            { minVolume: 250000, maker: 0.08, taker: 0.16 },
+            { minVolume: 500000, maker: 0.06, taker: 0.12 },
+            { minVolume: 1000000, maker: 0.05, taker: 0.1 },
+            { minVolume: 2500000, maker: 0.04, taker: 0.08 },
+            { minVolume: 5000000, maker: 0.02, taker: 0.06 },
+            { minVolume: 10000000, maker: 0, taker: 0.04 }
+        ]
+    },
+    {
+        id: 'coinbase',
+        name: 'Coinbase (simple trade)',
+        venue: 'Coinbase',
+        url: 'https://help.coinbase.com/en/coinbase/trading-and-funding/pricing-and-fees/fees',
+        volumeCurrency: 'USD',
+        tiers: [
+            { minVolume: 0, maker: 1.49, taker: 1.49 }
+        ],
+        spread: 1
+    },
+    {
+        id: 'coinbase-advanced',
+        name: 'Coinbase Advanced',
+        venue: 'Coinbase',
+        url: 'https://help.coinbase.com/en/coinbase/trading-and-funding/advanced-trade/advanced-trade-fees',
+        volumeCurrency: 'USD',
+        tiers: [
+            { minVolume: 0, maker: 0.4, taker: 0.6 },
+            { minVolume: 10000, maker: 0.25, taker: 0.4 },
+            { minVolume: 50000, maker: 0.15, taker: 0.25 },
+            { minVolume: 100000, maker: 0.1, taker: 0.2 },
+            { minVolume: 1000000, maker: 0.08, taker: 0.18 },
+            { minVolume: 15000000, maker: 0.06, taker: 0.16 },
+            { minVolume: 75000000, maker: 0.03, taker: 0.12 },
+            { minVolume: 250000000, maker: 0, taker: 0.08 }
+        ]
+    },
+    {
+        id: 'kraken-pro',
+        name: 'Kraken Pro',
+        venue: 'Kraken',
+        url: 'https://www.kraken.com/features/fee-schedule',
+        volumeCurrency: 'USD',
+        tiers: [
+            { minVolume: 0, maker: 0.25, taker: 0.4 },
+            { minVolume: 10000, maker: 0.2, taker: 0.35 },
+            { minVolume: 50000, maker: 0.14, taker: 0.24 },
+            { minVolume: 100000, maker: 0.12, taker: 0.22 },
+            { minVolume: 250000, maker: 0.1, taker: 0.2 },
+            { minVolume: 500000, maker: 0.08, taker: 0.18 },
+            { minVolume: 1000000, maker: 0.06, taker: 0.16 },
+            { minVolume: 2500000, maker: 0.04, taker: 0.14 },
+            { minVolume: 5000000, maker: 0.02, taker: 0.12 },
+            { minVolume: 10000000, maker: 0, taker: 0.1 }
+        ]
+    },
+    {
+        id: 'trade-republic',
+        name: 'Trade Republic',
+        venue: 'Trade Republic',
+        url: 'https://traderepublic.com/en-de/faq',
+        volumeCurrency: 'EUR',
+        tiers: [
+            { minVolume: 0, maker: 0, taker: 0 }
+        ],
+        fixed: { EUR: 1 }
+    }
+];
+
+/**
+ * Fee model of a preset for one tier and order type
+ * Both legs pay the same percentage; the fixed fee only applies in the currencies it is published in.
+ * @param {Object} preset - Preset from FEE_PRESETS
+ * @param {number} tierIndex - Index in preset.tiers (out of range falls back to the first tier)
+ * @param {string} liquidity - 'maker' (limit orders) or 'taker' (market orders)
+ * @param {string} currency - Quote currency code
+ * @returns {{buy: number, sell: number, fixed: number, spread: number}} Fee percentages and fixed fee
+ */
+function getPresetFeeModel(preset, tierIndex, liquidity, currency) {
+    const tier = preset.tiers[tierIndex] || preset.tiers[0];
+    const percent = liquidity === 'maker' ? tier.maker : tier.taker;
+    const fixed = preset.fixed ? preset.fixed[String(currency).toUpperCase()] || 0 : 0;
+    return { buy: percent, sell: percent, fixed, spread: preset.spread || 0 };
+}
+
+// Allow requiring the presets from Node (tests, scripts); browsers use the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FEE_PRESETS,
+        getPresetFeeModel
+    };
+}
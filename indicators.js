@@ -0,0 +1,146 @@
+/**
+ * Technical Indicators
+ * Supports: simple and exponential moving averages, Bollinger bands, RSI, MACD
+ * Pure functions over a price series - no chart or DOM dependencies, so they can be tested in isolation.
+ * Every result array has the same length as the input; points without enough history are null.
+ */
+
+/**
+ * Simple moving average
+ * @param {Array<number>} values - Price series (oldest first)
+ * @param {number} period - Number of points averaged
+ * @returns {Array<number|null>} SMA per point
+ */
+function calculateSMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        if (i >= period - 1) {
+            result[i] = sum / period;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` points
+ * Null entries at the start of the input (e.g. another indicator's warm-up) are skipped.
+ * @param {Array<number|null>} values - Series (oldest first)
+ * @param {number} period - Smoothing period (alpha = 2 / (period + 1))
+ * @returns {Array<number|null>} EMA per point
+ */
+function calculateEMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    const alpha = 2 / (period + 1);
+    const start = values.findIndex(value => value !== null);
+    if (start === -1 || values.length - start < period) {
+        return result;
+    }
+
+    let ema = 0;
+    for (let i = start; i < start + period; i++) {
+        ema += values[i] / period;
+    }
+    result[start + period - 1] = ema;
+
+    for (let i = start + period; i < values.length; i++) {
+        ema = values[i] * alpha + ema * (1 - alpha);
+        result[i] = ema;
+    }
+
+    return result;
+}
+
+/**
+ * Bollinger bands: SMA middle band with bands `stdDev` population standard deviations above and below
+ * @param {Array<number>} values - Price series (oldest first)
+ * @param {number} period - Moving average period
+ * @param {number} stdDev - Band width in standard deviations
+ * @returns {{middle: Array<number|null>, upper: Array<number|null>, lower: Array<number|null>}} Bands per point
+ */
+function calculateBollingerBands(values, period, stdDev) {
+    const middle = calculateSMA(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    for (let i = period - 1; i < values.length; i++) {
+        const mean = middle[i];
+        let variance = 0;
+        for (let j = i - period + 1; j <= i; j++) {
+            variance += (values[j] - mean) ** 2;
+        }
+        const deviation = Math.sqrt(variance / period) * stdDev;
+        upper[i] = mean + deviation;
+        lower[i] = mean - deviation;
+    }
+
+    return { middle, upper, lower };
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ * @param {Array<number>} values - Price series (oldest first)
+ * @param {number} period - Lookback period
+ * @returns {Array<number|null>} RSI (0-100) per point
+ */
+function calculateRSI(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) {
+        return result;
+    }
+
+    let averageGain = 0;
+    let averageLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = values[i] - values[i - 1];
+        averageGain += Math.max(change, 0) / period;
+        averageLoss += Math.max(-change, 0) / period;
+    }
+
+    const rsi = () => averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+    result[period] = rsi();
+
+    for (let i = period + 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+        averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = rsi();
+    }
+
+    return result;
+}
+
+/**
+ * Moving average convergence/divergence
+ * @param {Array<number>} values - Price series (oldest first)
+ * @param {number} fastPeriod - Fast EMA period
+ * @param {number} slowPeriod - Slow EMA period
+ * @param {number} signalPeriod - Signal line EMA period (over the MACD line)
+ * @returns {{macd: Array<number|null>, signal: Array<number|null>, histogram: Array<number|null>}} MACD series
+ */
+function calculateMACD(values, fastPeriod, slowPeriod, signalPeriod) {
+    const fast = calculateEMA(values, fastPeriod);
+    const slow = calculateEMA(values, slowPeriod);
+    const macd = values.map((value, i) => fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null);
+    const signal = calculateEMA(macd, signalPeriod);
+    const histogram = macd.map((value, i) => value !== null && signal[i] !== null ? value - signal[i] : null);
+
+    return { macd, signal, histogram };
+}
+
+// Allow requiring the indicators from Node (tests, scripts); browsers use the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        calculateSMA,
+        calculateEMA,
+        calculateBollingerBands,
+        calculateRSI,
+        calculateMACD
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * Tests for Technical Indicators
+ * Checks each indicator against hand-computed or published reference values, including the
+ * null warm-up padding and series shorter than the period
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  calculateSMA,
+  calculateEMA,
+  calculateBollingerBands,
+  calculateRSI,
+  calculateMACD
+} = require('./indicators.js');
+
+/**
+ * Compare a series with expected values (null where no value is expected)
+ */
+function expectSeries(actual, expected, digits = 6) {
+  expect(actual).toHaveLength(expected.length);
+  expected.forEach((value, i) => {
+    if (value === null) {
+      expect(actual[i], `index ${i}`).toBeNull();
+    } else {
+      expect(actual[i], `index ${i}`).toBeCloseTo(value, digits);
+    }
+  });
+}
+
+// Closing prices of the 14-day RSI example published by StockCharts (ChartSchool)
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+  45.8931, 46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439
+];
+
+describe('calculateSMA', () => {
+  it('should average the last period points after the warm-up', () => {
+    expectSeries(calculateSMA([1, 2, 3, 4, 5, 10], 3), [null, null, 2, 3, 4, 19 / 3]);
+  });
+
+  it('should return only nulls for a series shorter than the period', () => {
+    expect(calculateSMA([1, 2], 3)).toEqual([null, null]);
+    expect(calculateSMA([], 3)).toEqual([]);
+  });
+});
+
+describe('calculateEMA', () => {
+  it('should seed with the SMA and smooth with alpha = 2 / (period + 1)', () => {
+    // Seed (10 + 11 + 12) / 3 = 11, then alpha 0.5
+    expectSeries(calculateEMA([10, 11, 12, 14, 13], 3), [null, null, 11, 12.5, 12.75]);
+  });
+
+  it('should skip leading nulls from another indicator', () => {
+    expectSeries(calculateEMA([null, null, 10, 11, 12, 14], 3), [null, null, null, null, 11, 12.5]);
+  });
+
+  it('should return only nulls without enough values', () => {
+    expect(calculateEMA([10, 11], 3)).toEqual([null, null]);
+    expect(calculateEMA([null, 10, 11], 3)).toEqual([null, null, null]);
+    expect(calculateEMA([null, null], 3)).toEqual([null, null]);
+  });
+});
+
+describe('calculateBollingerBands', () => {
+  it('should place the bands stdDev population standard deviations around the SMA', () => {
+    const { middle, upper, lower } = calculateBollingerBands([2, 4, 6, 6], 3, 2);
+    // Window [2, 4, 6]: mean 4, variance 8/3; window [4, 6, 6]: mean 16/3, variance 8/9
+    const first = 2 * Math.sqrt(8 / 3);
+    const second = 2 * Math.sqrt(8 / 9);
+
+    expectSeries(middle, [null, null, 4, 16 / 3]);
+    expectSeries(upper, [null, null, 4 + first, 16 / 3 + second]);
+    expectSeries(lower, [null, null, 4 - first, 16 / 3 - second]);
+  });
+
+  it('should return null bands for a series shorter than the period', () => {
+    expect(calculateBollingerBands([1, 2], 20, 2)).toEqual({ middle: [null, null], upper: [null, null], lower: [null, null] });
+  });
+});
+
+describe('calculateRSI', () => {
+  it('should match the Wilder-smoothed reference values', () => {
+    const rsi = calculateRSI(RSI_CLOSES, 14);
+
+    expect(rsi.slice(0, 14).every(value => value === null)).toBe(true);
+    // Published (rounded) values: 70.53, 66.32, 66.55, 69.41, 66.36, 57.97
+    expectSeries(rsi.slice(14), [70.53, 66.32, 66.55, 69.41, 66.36, 57.97], 2);
+  });
+
+  it('should be 100 without losses', () => {
+    expectSeries(calculateRSI([1, 2, 3, 4], 2), [null, null, 100, 100]);
+  });
+
+  it('should need more points than the period', () => {
+    expect(calculateRSI(RSI_CLOSES.slice(0, 14), 14).every(value => value === null)).toBe(true);
+  });
+});
+
+describe('calculateMACD', () => {
+  it('should subtract the slow EMA from the fast EMA and smooth the signal line', () => {
+    const { macd, signal, histogram } = calculateMACD([1, 2, 3, 5, 8, 13], 2, 3, 2);
+
+    // Fast EMA(2): 1.5, 2.5, 25/6, 121/18; slow EMA(3): 2, 3.5, 5.75, 9.375
+    expectSeries(macd, [null, null, 0.5, 2 / 3, 121 / 18 - 5.75, 589 / 54 - 9.375], 6);
+    expectSeries(signal, [null, null, null, 7 / 12, 0.842593, 1.302469], 5);
+    expectSeries(histogram, [null, null, null, 1 / 12, 0.129630, 0.229938], 5);
+  });
+
+  it('should pad the standard 12/26/9 warm-up with nulls', () => {
+    const values = Array.from({ length: 40 }, (value, i) => 100 + Math.sin(i / 3) * 5);
+    const { macd, signal, histogram } = calculateMACD(values, 12, 26, 9);
+
+    expect(macd.findIndex(value => value !== null)).toBe(25);
+    expect(signal.findIndex(value => value !== null)).toBe(33);
+    expect(histogram.findIndex(value => value !== null)).toBe(33);
+  });
+
+  it('should return only nulls for a short series', () => {
+    const { macd, signal, histogram } = calculateMACD([1, 2, 3], 12, 26, 9);
+
+    expect([macd, signal, histogram]).toEqual([[null, null, null], [null, null, null], [null, null, null]]);
+  });
+});
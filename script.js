@@ -36,6 +36,9 @@ function revokeConsent() {
         const consentStatus = localStorage.getItem('crypto_calc_consent');
         localStorage.clear();
         localStorage.setItem('crypto_calc_consent', 'denied');
+        
+        // Delete the IndexedDB database (transactions and settings)
+        clearStorage();
     } catch (e) {
         console.error('Failed to revoke consent:', e);
     }
@@ -108,6 +111,20 @@ function initConsent() {
     document.getElementById('importData').addEventListener('click', function() {
         handleImport();
     });
+    
+    // Import dialog: preview updates as the code, file or mode changes
+    document.getElementById('dataImportInput').addEventListener('input', refreshDataImportPreview);
+    document.getElementById('dataImportFile').addEventListener('change', async function() {
+        if (!this.files[0]) return;
+        document.getElementById('dataImportInput').value = await this.files[0].text();
+        refreshDataImportPreview();
+    });
+    document.querySelectorAll('input[name="dataImportMode"]').forEach(radio => {
+        radio.addEventListener('change', refreshDataImportPreview);
+    });
+    document.getElementById('closeDataImport').addEventListener('click', closeDataImport);
+    document.getElementById('cancelDataImport').addEventListener('click', closeDataImport);
+    document.getElementById('confirmDataImport').addEventListener('click', confirmDataImport);
 }
 
 // Dark mode management
@@ -118,7 +135,7 @@ function initDarkMode() {
     const html = document.documentElement;
     
     // Check for saved dark mode preference, default to light mode
-    const savedDarkMode = getCookie('crypto_calc_darkMode');
+    const savedDarkMode = getSetting('darkMode');
     const isDarkMode = savedDarkMode === 'true';
     
     // Apply dark mode if saved
@@ -131,7 +148,7 @@ function initDarkMode() {
     // Toggle dark mode
     darkModeToggle.addEventListener('click', async function() {
         const isDark = html.classList.toggle('dark');
-        setCookie('crypto_calc_darkMode', isDark.toString(), 365);
+        setSetting('darkMode', isDark.toString());
         
         // Toggle icons
         if (isDark) {
@@ -142,7 +159,10 @@ function initDarkMode() {
             moonIcon.classList.remove('hidden');
         }
         
-        // Refresh chart to update colors
+        // Refresh charts to update colors
+        if (dcaBacktest) {
+            renderDCAChart(dcaBacktest);
+        }
         const currency = document.getElementById('currency').value;
         await initPriceChart(currency);
     });
@@ -160,11 +180,63 @@ const CHART_CONFIG = {
     DUPLICATE_TIMESTAMP_TOLERANCE: 60000 // ms - 1 minute tolerance for duplicate detection
 };
 
+// Chart ranges: CoinGecko `days` parameter, title label and x-axis time unit
+const CHART_RANGES = {
+    '1d': { days: '1', label: 'Last 24 Hours', unit: 'hour' },
+    '7d': { days: '7', label: 'Last 7 Days', unit: 'day' },
+    '30d': { days: '30', label: 'Last 30 Days', unit: 'day' },
+    '90d': { days: '90', label: 'Last 90 Days', unit: 'week' },
+    '1y': { days: '365', label: 'Last Year', unit: 'month' },
+    'max': { days: 'max', label: 'All Time', unit: 'year' }
+};
+
+// AI summary periods and the chart range showing the same window
+const SUMMARY_PERIOD_CHART_RANGES = { '24h': '1d', '7d': '7d', '30d': '30d', '90d': '90d' };
+
+// Selected chart range and mode ('line' or 'candles'), restored from settings on load
+const chartState = {
+    range: '1d',
+    mode: 'line',
+    showBuys: true // Mark saved buys and their break-even band on the chart
+};
+
 // Worker API configuration
 const WORKER_BASE_URL = 'https://crypto-cache.tbog.workers.dev';
 
-// Crypto currencies (for worker validation, not used in frontend selector)
-const CRYPTO_CURRENCIES = ['btc', 'eth', 'ltc', 'bch', 'bnb', 'eos', 'xrp', 'xlm', 'link', 'dot', 'yfi', 'sol', 'bits', 'sats'];
+// Assets the calculator can track: CoinGecko coin id -> ticker, name and exchange codes (CSV import)
+// Keep in sync with SUPPORTED_COINS in worker/shared/constants.js (the worker rejects other coin ids)
+const ASSETS = {
+    bitcoin: { symbol: 'BTC', name: 'Bitcoin', codes: ['BTC', 'XBT', 'XXBT'] }, // Kraken uses XBT/XXBT
+    ethereum: { symbol: 'ETH', name: 'Ethereum', codes: ['ETH', 'XETH'] },
+    solana: { symbol: 'SOL', name: 'Solana', codes: ['SOL'] },
+    litecoin: { symbol: 'LTC', name: 'Litecoin', codes: ['LTC', 'XLTC'] },
+    ripple: { symbol: 'XRP', name: 'XRP', codes: ['XRP', 'XXRP'] },
+    cardano: { symbol: 'ADA', name: 'Cardano', codes: ['ADA'] },
+    dogecoin: { symbol: 'DOGE', name: 'Dogecoin', codes: ['DOGE', 'XDG', 'XXDG'] }
+};
+
+// Asset of transactions and alerts saved before assets were introduced
+const DEFAULT_ASSET = 'bitcoin';
+
+// Crypto quote units offered by the currency selector (CoinGecko vs_currencies)
+// Intl has no currency codes for these, so they carry their own symbol and precision.
+// BTC, bits and sats are denominations of one coin: btcFactor is the number of units per BTC.
+const CRYPTO_QUOTE_UNITS = {
+    BTC: { symbol: '₿', prefix: true, minDecimals: 2, maxDecimals: 8, btcFactor: 1 },
+    BITS: { symbol: 'bits', minDecimals: 2, maxDecimals: 2, btcFactor: 1e6 },
+    SATS: { symbol: 'sats', minDecimals: 0, maxDecimals: 0, btcFactor: 1e8 },
+    ETH: { symbol: 'Ξ', prefix: true, minDecimals: 2, maxDecimals: 8 },
+    LTC: { symbol: 'LTC', minDecimals: 2, maxDecimals: 8 },
+    BCH: { symbol: 'BCH', minDecimals: 2, maxDecimals: 8 },
+    BNB: { symbol: 'BNB', minDecimals: 2, maxDecimals: 8 },
+    EOS: { symbol: 'EOS', minDecimals: 2, maxDecimals: 4 },
+    XRP: { symbol: 'XRP', minDecimals: 2, maxDecimals: 6 },
+    XLM: { symbol: 'XLM', minDecimals: 2, maxDecimals: 7 },
+    LINK: { symbol: 'LINK', minDecimals: 2, maxDecimals: 8 },
+    DOT: { symbol: 'DOT', minDecimals: 2, maxDecimals: 8 },
+    YFI: { symbol: 'YFI', minDecimals: 2, maxDecimals: 8 },
+    SOL: { symbol: 'SOL', minDecimals: 2, maxDecimals: 8 }
+};
 // Commodity currencies (for worker validation, not used in frontend selector)
 const COMMODITY_CURRENCIES = ['xdr', 'xag', 'xau'];
 
@@ -177,6 +249,14 @@ const defaults = {
     fee: 0.01
 };
 
+// Optional fee inputs and the settings they are saved under (empty means the default)
+const FEE_SETTING_INPUTS = {
+    sellFee: 'sellFeePercent',
+    fixedFee: 'fixedFee',
+    withdrawalFee: 'withdrawalFee',
+    spread: 'spread'
+};
+
 // State to track if results have been shown
 let resultsShown = false;
 
@@ -186,6 +266,8 @@ const CACHE_DURATION = 60000; // 60 seconds cache
 
 // Chart instance
 let priceChart = null;
+// RSI / MACD sub-chart instance (only while an oscillator is selected)
+let indicatorChart = null;
 
 // Auto-refresh configuration
 const AUTO_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes in milliseconds
@@ -193,6 +275,17 @@ let autoRefreshTimer = null;
 let autoRefreshEnabled = false;
 let isRefreshing = false; // Flag to prevent concurrent refreshes
 
+// Live price stream (Server-Sent Events from the worker) used while auto-refresh is on
+// Polling every AUTO_REFRESH_INTERVAL takes over whenever the stream is down
+const PRICE_STREAM_URL = `${WORKER_BASE_URL}/api/price-stream`;
+const PRICE_STREAM_MAX_ERRORS = 3; // Failed reconnects before falling back to polling
+const priceStream = {
+    source: null, // Open EventSource
+    live: false,  // Connected and receiving events
+    errors: 0,    // Consecutive connection errors
+    asset: null   // Asset the open stream prices (ticks only carry the currency)
+};
+
 // Register Chart.js zoom plugin
 if (typeof Chart !== 'undefined' && typeof ChartZoom !== 'undefined') {
     Chart.register(ChartZoom);
@@ -200,6 +293,25 @@ if (typeof Chart !== 'undefined' && typeof ChartZoom !== 'undefined') {
     console.warn('ChartZoom plugin not loaded - zoom functionality will not be available');
 }
 
+/**
+ * Get the asset selected in the calculator form
+ * @returns {string} Key in ASSETS
+ */
+function getSelectedAsset() {
+    const select = document.getElementById('asset');
+    return select && ASSETS[select.value] ? select.value : DEFAULT_ASSET;
+}
+
+/**
+ * Get the ticker and name of an asset
+ * Unknown ids (e.g. from a newer backup) are shown by their id
+ * @param {string} asset - Key in ASSETS
+ * @returns {{symbol: string, name: string, codes: Array<string>}} Asset details
+ */
+function getAssetInfo(asset) {
+    return ASSETS[asset] || { symbol: String(asset).toUpperCase(), name: String(asset), codes: [] };
+}
+
 /**
  * Check response headers for currency conversion and display warnings
  * @param {Response} response - Fetch API response
@@ -220,8 +332,9 @@ function handleDataAttribution(response) {
         // Show exchange rate attribution
         exchangeRateAttr.style.display = 'block';
         
-        // Show conversion warning if present
+        // Show conversion warning if present (the worker describes how the prices were converted)
         if (conversionWarningText) {
+            conversionWarning.textContent = `⚠️ ${conversionWarningText}`;
             conversionWarning.style.display = 'block';
         } else {
             conversionWarning.style.display = 'none';
@@ -233,20 +346,69 @@ function handleDataAttribution(response) {
     }
 }
 
-// Fetch current BTC price from CoinGecko API via Cloudflare Worker proxy with fallback
-async function fetchBTCPrice(currency = 'usd') {
+/**
+ * Show which sources the current price was aggregated from and whether they disagree
+ * @param {Object|null} data - Worker /api/price response body, or null when the price came from elsewhere
+ * @param {Response|null} response - Worker response carrying the divergence warning header
+ */
+function handlePriceSourceAttribution(data, response) {
+    const sourcesAttr = document.getElementById('priceSourcesAttribution');
+    const divergenceWarning = document.getElementById('priceDivergenceWarning');
+    
+    if (!data || !Array.isArray(data.sources) || data.sources.length === 0) {
+        sourcesAttr.style.display = 'none';
+        divergenceWarning.style.display = 'none';
+        return;
+    }
+    
+    const names = data.sources.map(source => source.name).join(', ');
+    sourcesAttr.textContent = data.sources.length > 1
+        ? `Current price: median of ${names}`
+        : `Current price: ${names}`;
+    sourcesAttr.style.display = 'block';
+    
+    const warning = response ? response.headers.get('X-Price-Divergence-Warning') : null;
+    if (warning) {
+        divergenceWarning.textContent = `⚠️ ${warning}`;
+        divergenceWarning.style.display = 'block';
+    } else {
+        divergenceWarning.style.display = 'none';
+    }
+}
+
+/**
+ * Read a price from a worker /api/price body or a CoinGecko /simple/price body
+ * @param {Object} data - Response body
+ * @param {string} asset - CoinGecko coin id
+ * @param {string} currencyLower - Lowercase currency code
+ * @returns {number|null} Price, or null if the body has none
+ */
+function readPriceResponse(data, asset, currencyLower) {
+    if (!data) {
+        return null;
+    }
+    if (typeof data.price === 'number') {
+        return data.price;
+    }
+    return data[asset] && typeof data[asset][currencyLower] === 'number' ? data[asset][currencyLower] : null;
+}
+
+// Fetch the current price of an asset (the selected one by default): aggregated by the Cloudflare Worker from several sources, with CoinGecko fallback
+async function fetchBTCPrice(currency = 'usd', asset = getSelectedAsset()) {
     const currencyLower = currency.toLowerCase();
     
-    // Check cache first
-    const cacheKey = currencyLower;
+    // Check cache first (one entry per asset and currency)
+    const cacheKey = `${asset}_${currencyLower}`;
     const cached = priceCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
         return cached.price;
     }
     
-    // Try worker first
+    const workerUrl = `${WORKER_BASE_URL}/api/price?coin=${asset}&vs_currency=${currencyLower}`;
+    const publicUrl = `https://api.coingecko.com/api/v3/simple/price?ids=${asset}&vs_currencies=${currencyLower}`;
+    
+    // Try worker first (median of the price sources it could reach)
     try {
-        const workerUrl = `${WORKER_BASE_URL}/api/v3/simple/price?ids=bitcoin&vs_currencies=${currencyLower}`;
         const response = await fetch(workerUrl);
         
         if (!response.ok) {
@@ -257,17 +419,21 @@ async function fetchBTCPrice(currency = 'usd') {
         handleDataAttribution(response);
         
         const data = await response.json();
-        const price = data.bitcoin[currencyLower];
+        const price = data.price;
+        if (typeof price !== 'number') {
+            throw new Error('Worker response did not include a price');
+        }
+        handlePriceSourceAttribution(data, response);
         
         // Cache the result
         priceCache.set(cacheKey, { price, timestamp: Date.now() });
+        markDataFresh('price');
         return price;
     } catch (workerError) {
         console.warn('Worker API failed, falling back to public API:', workerError);
         
         // Fallback to public CoinGecko API
         try {
-            const publicUrl = `https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=${currencyLower}`;
             const response = await fetch(publicUrl);
             
             if (!response.ok) {
@@ -275,13 +441,23 @@ async function fetchBTCPrice(currency = 'usd') {
             }
             
             const data = await response.json();
-            const price = data.bitcoin[currencyLower];
+            const price = data[asset][currencyLower];
+            handlePriceSourceAttribution(null, null);
             
             // Cache the result
             priceCache.set(cacheKey, { price, timestamp: Date.now() });
+            markDataFresh('price');
             return price;
         } catch (publicError) {
             console.error('Both worker and public API failed:', publicError);
+            
+            // Use the last price kept by the service worker
+            const offline = await getOfflineData([workerUrl, publicUrl]);
+            const offlinePrice = offline ? readPriceResponse(offline.data, asset, currencyLower) : null;
+            if (offlinePrice !== null) {
+                markDataStale('price', offline.cachedAt);
+                return offlinePrice;
+            }
             // Return null to allow downstream code to decide fallback behavior
             // User can still manually enter a sell price if API is unavailable
             return null;
@@ -341,20 +517,29 @@ function extractCacheMetadata(response) {
     };
 }
 
-// Fetch Bitcoin price chart data (last 24 hours, hourly)
-async function fetchBTCChartData(currency = 'usd') {
+/**
+ * Fetch price chart data of an asset for a range
+ * @param {string} currency - Currency code
+ * @param {string} range - Key in CHART_RANGES (defaults to the selected range)
+ * @param {string} asset - Key in ASSETS (defaults to the selected asset)
+ * @returns {Promise<{data: Object, cacheMetadata: Object}|null>} market_chart data and cache metadata
+ */
+async function fetchBTCChartData(currency = 'usd', range = chartState.range, asset = getSelectedAsset()) {
     const currencyLower = currency.toLowerCase();
+    const days = CHART_RANGES[range].days;
     
-    // Check cache first
-    const cacheKey = `chart_${currencyLower}`;
+    // Check cache first (one entry per asset, currency and range)
+    const cacheKey = `chart_${asset}_${currencyLower}_${range}`;
     const cached = priceCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
         return cached.data;
     }
     
+    const workerUrl = `${WORKER_BASE_URL}/api/v3/coins/${asset}/market_chart?vs_currency=${currencyLower}&days=${days}`;
+    const publicUrl = `https://api.coingecko.com/api/v3/coins/${asset}/market_chart?vs_currency=${currencyLower}&days=${days}`;
+    
     // Try worker first
     try {
-        const workerUrl = `${WORKER_BASE_URL}/api/v3/coins/bitcoin/market_chart?vs_currency=${currencyLower}&days=1`;
         const response = await fetch(workerUrl);
         
         if (!response.ok) {
@@ -376,13 +561,13 @@ async function fetchBTCChartData(currency = 'usd') {
         
         // Cache the result
         priceCache.set(cacheKey, { data: result, timestamp: Date.now() });
+        markDataFresh('chart');
         return result;
     } catch (workerError) {
         console.warn('Worker API failed, falling back to public API:', workerError);
         
         // Fallback to public CoinGecko API
         try {
-            const publicUrl = `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=${currencyLower}&days=1`;
             const response = await fetch(publicUrl);
             
             if (!response.ok) {
@@ -403,9 +588,175 @@ async function fetchBTCChartData(currency = 'usd') {
             
             // Cache the result
             priceCache.set(cacheKey, { data: result, timestamp: Date.now() });
+            markDataFresh('chart');
+            return result;
+        } catch (publicError) {
+            console.error('Both worker and public API failed:', publicError);
+            
+            // Use the last chart kept by the service worker
+            const offline = await getOfflineData([workerUrl, publicUrl]);
+            if (offline) {
+                markDataStale('chart', offline.cachedAt);
+                return {
+                    data: offline.data,
+                    cacheMetadata: {
+                        status: 'stored',
+                        maxAge: null,
+                        fetchTime: offline.cachedAt
+                    }
+                };
+            }
+            return null;
+        }
+    }
+}
+
+/**
+ * Fetch OHLC candles of an asset for a range
+ * @param {string} currency - Currency code
+ * @param {string} range - Key in CHART_RANGES (defaults to the selected range)
+ * @param {string} asset - Key in ASSETS (defaults to the selected asset)
+ * @returns {Promise<{data: Array<Array<number>>, cacheMetadata: Object}|null>} Candles [[timestamp, open, high, low, close], ...] and cache metadata
+ */
+async function fetchBTCOHLCData(currency = 'usd', range = chartState.range, asset = getSelectedAsset()) {
+    const currencyLower = currency.toLowerCase();
+    const days = CHART_RANGES[range].days;
+    
+    // Check cache first (one entry per asset, currency and range)
+    const cacheKey = `ohlc_${asset}_${currencyLower}_${range}`;
+    const cached = priceCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+        return cached.data;
+    }
+    
+    const workerUrl = `${WORKER_BASE_URL}/api/v3/coins/${asset}/ohlc?vs_currency=${currencyLower}&days=${days}`;
+    const publicUrl = `https://api.coingecko.com/api/v3/coins/${asset}/ohlc?vs_currency=${currencyLower}&days=${days}`;
+    
+    // Try worker first
+    try {
+        const response = await fetch(workerUrl);
+        
+        if (!response.ok) {
+            throw new Error(`Worker responded with status ${response.status}`);
+        }
+        
+        // Handle data attribution from response headers
+        handleDataAttribution(response);
+        
+        const result = {
+            data: await response.json(),
+            cacheMetadata: extractCacheMetadata(response)
+        };
+        
+        // Cache the result
+        priceCache.set(cacheKey, { data: result, timestamp: Date.now() });
+        markDataFresh('chart');
+        return result;
+    } catch (workerError) {
+        console.warn('Worker API failed, falling back to public API:', workerError);
+        
+        // Fallback to public CoinGecko API
+        try {
+            const response = await fetch(publicUrl);
+            
+            if (!response.ok) {
+                throw new Error(`Public API responded with status ${response.status}`);
+            }
+            
+            const result = {
+                data: await response.json(),
+                cacheMetadata: {
+                    status: 'public-api',
+                    maxAge: null,
+                    fetchTime: Date.now()
+                }
+            };
+            
+            // Cache the result
+            priceCache.set(cacheKey, { data: result, timestamp: Date.now() });
+            markDataFresh('chart');
             return result;
         } catch (publicError) {
             console.error('Both worker and public API failed:', publicError);
+            
+            // Use the last candles kept by the service worker
+            const offline = await getOfflineData([workerUrl, publicUrl]);
+            if (offline) {
+                markDataStale('chart', offline.cachedAt);
+                return {
+                    data: offline.data,
+                    cacheMetadata: {
+                        status: 'stored',
+                        maxAge: null,
+                        fetchTime: offline.cachedAt
+                    }
+                };
+            }
+            return null;
+        }
+    }
+}
+
+/**
+ * Fetch the price of an asset at a past moment (to fill back-dated transactions)
+ * The worker picks the closest point of that day and caches past days long-term. The public
+ * fallback only has the daily snapshot at 00:00 UTC.
+ * @param {number} timestamp - Moment to price (milliseconds)
+ * @param {string} currency - Currency code
+ * @param {string} asset - Key in ASSETS (defaults to the selected asset)
+ * @returns {Promise<{price: number, priceTimestamp: number, conversionWarning: string|null}|null>} Price, time of the data point used and a warning if it was not converted at that day's exchange rate; null if unavailable
+ */
+async function fetchHistoricalPrice(timestamp, currency, asset = getSelectedAsset()) {
+    const currencyLower = currency.toLowerCase();
+    const workerUrl = `${WORKER_BASE_URL}/api/historical-price?coin=${asset}&vs_currency=${currencyLower}&timestamp=${timestamp}`;
+
+    // Try worker first
+    try {
+        const response = await fetch(workerUrl);
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Worker responded with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        const converted = response.headers.has('X-Currency-Converted');
+        return {
+            price: data.price,
+            priceTimestamp: data.priceTimestamp,
+            conversionWarning: converted && response.headers.get('X-Conversion-Mode') !== 'historical'
+                ? response.headers.get('X-Conversion-Warning')
+                : null
+        };
+    } catch (workerError) {
+        console.warn('Worker API failed, falling back to public API:', workerError);
+
+        // Fallback to the public daily snapshot (dd-mm-yyyy, UTC)
+        const date = new Date(timestamp);
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const dateParam = `${day}-${month}-${date.getUTCFullYear()}`;
+        try {
+            const response = await fetch(`https://api.coingecko.com/api/v3/coins/${asset}/history?date=${dateParam}&localization=false`);
+
+            if (!response.ok) {
+                throw new Error(`Public API responded with status ${response.status}`);
+            }
+
+            const data = await response.json();
+            const prices = data.market_data ? data.market_data.current_price : null;
+            if (!prices || typeof prices[currencyLower] !== 'number') {
+                return null;
+            }
+            return {
+                price: prices[currencyLower],
+                priceTimestamp: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+                conversionWarning: null
+            };
+        } catch (publicError) {
+            console.error('Both worker and public API failed:', publicError);
             return null;
         }
     }
@@ -428,6 +779,11 @@ function addPricePointToChart(price, timestamp = Date.now()) {
         console.warn('Chart not initialized, cannot add price point');
         return;
     }
+    
+    // Candles are only refreshed as a whole - a single price has no open/high/low
+    if (chartState.mode === 'candles') {
+        return;
+    }
 
     const dataset = priceChart.data.datasets[0];
     const labels = priceChart.data.labels;
@@ -465,26 +821,127 @@ function addPricePointToChart(price, timestamp = Date.now()) {
         console.log('Added new price point to chart:', { timestamp: newDate, price });
     }
     
-    // Update the chart
-    priceChart.update('none'); // 'none' mode disables animations for smoother updates
+    // Update the chart, recomputing the indicators with the new point
+    updateIndicators();
+}
+
+/**
+ * Build the floating-bar datasets that draw OHLC candles (a thin high-low wick behind an open-close body)
+ * @param {Array<Array<number>>} candles - [[timestamp, open, high, low, close], ...]
+ * @param {boolean} isDarkMode - Whether dark mode colors are used
+ * @returns {Array<Object>} Chart.js bar datasets (body first, wick second)
+ */
+function buildCandlestickDatasets(candles, isDarkMode) {
+    const upColor = isDarkMode ? 'rgba(74, 222, 128, 1)' : 'rgba(22, 163, 74, 1)';
+    const downColor = isDarkMode ? 'rgba(248, 113, 113, 1)' : 'rgba(220, 38, 38, 1)';
+    const colors = candles.map(([, open, , , close]) => close >= open ? upColor : downColor);
+
+    return [
+        {
+            label: 'Open / Close',
+            data: candles.map(([timestamp, open, high, low, close]) => ({
+                x: timestamp,
+                y: [open, close],
+                o: open,
+                h: high,
+                l: low,
+                c: close
+            })),
+            backgroundColor: colors,
+            borderColor: colors,
+            borderWidth: 1,
+            grouped: false,
+            barPercentage: 0.8,
+            categoryPercentage: 1
+        },
+        {
+            label: 'High / Low',
+            data: candles.map(([timestamp, , high, low]) => ({ x: timestamp, y: [low, high] })),
+            backgroundColor: colors,
+            borderWidth: 0,
+            grouped: false,
+            barThickness: 1
+        }
+    ];
+}
+
+/**
+ * Highlight the selected chart range and mode buttons and update the chart title
+ */
+function updateChartControls() {
+    const activeClasses = ['bg-blue-600', 'text-white', 'border-blue-600'];
+    const inactiveClasses = ['bg-white', 'dark:bg-gray-800', 'text-gray-700', 'dark:text-gray-300', 'border-gray-300', 'dark:border-gray-600'];
+
+    document.querySelectorAll('.chart-range-btn, .chart-mode-btn').forEach(button => {
+        const isActive = button.dataset.range === chartState.range || button.dataset.mode === chartState.mode;
+        button.classList.remove(...(isActive ? inactiveClasses : activeClasses));
+        button.classList.add(...(isActive ? activeClasses : inactiveClasses));
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+
+    const title = document.getElementById('chartTitle');
+    if (title) {
+        title.textContent = `${getAssetInfo(getSelectedAsset()).name} Price (${CHART_RANGES[chartState.range].label})`;
+    }
+}
+
+/**
+ * Restore the chart range and mode saved in settings
+ */
+function loadChartPreferences() {
+    const savedRange = getSetting('chartRange');
+    const savedMode = getSetting('chartMode');
+    if (savedRange && CHART_RANGES[savedRange]) {
+        chartState.range = savedRange;
+    }
+    if (savedMode === 'line' || savedMode === 'candles') {
+        chartState.mode = savedMode;
+    }
+    chartState.showBuys = getSetting('chartBuys') !== 'false';
+    document.getElementById('chartShowBuys').checked = chartState.showBuys;
+    loadIndicatorSettings();
+    updateChartControls();
+}
+
+/**
+ * Switch the chart range and/or mode, then redraw the chart
+ * @param {Object} changes - { range, mode } (either may be omitted)
+ */
+async function setChartView({ range = chartState.range, mode = chartState.mode }) {
+    if (range === chartState.range && mode === chartState.mode) {
+        return;
+    }
+    chartState.range = range;
+    chartState.mode = mode;
+    setSetting('chartRange', range);
+    setSetting('chartMode', mode);
+    updateChartControls();
+
+    const currency = document.getElementById('currency').value;
+    const result = await initPriceChart(currency);
+    if (result && result.cacheMetadata) {
+        updateLastUpdateTime(result.cacheMetadata);
+    }
 }
 
-// Initialize or update the price chart
+/**
+ * Initialize or update the price chart for the selected range and mode
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object|null>} Fetched chart or OHLC result, or null if it could not be loaded
+ */
 async function initPriceChart(currency = 'usd') {
     const currencyLower = currency.toLowerCase();
-    const result = await fetchBTCChartData(currencyLower);
+    const range = CHART_RANGES[chartState.range];
+    const showCandles = chartState.mode === 'candles';
+    const result = showCandles
+        ? await fetchBTCOHLCData(currencyLower)
+        : await fetchBTCChartData(currencyLower);
     
-    if (!result || !result.data || !result.data.prices) {
+    if (!result || !result.data || !(showCandles ? Array.isArray(result.data) : result.data.prices)) {
         console.error('Failed to fetch chart data');
-        return;
+        return null;
     }
     
-    const chartData = result.data;
-    
-    // Extract timestamps and prices
-    const timestamps = chartData.prices.map(point => new Date(point[0]));
-    const prices = chartData.prices.map(point => point[1]);
-    
     const ctx = document.getElementById('priceChart').getContext('2d');
     
     // Check if we're in dark mode
@@ -507,14 +964,17 @@ async function initPriceChart(currency = 'usd') {
         priceChart.destroy();
     }
     
-    // Create new chart
-    priceChart = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: timestamps,
+    const formatChartPrice = value => formatTransactionCurrency(value, currency.toUpperCase());
+    
+    // Line mode: timestamps as labels, one price per point
+    // Candle mode: {x, y: [from, to]} floating bars
+    const data = showCandles
+        ? { datasets: buildCandlestickDatasets(result.data, isDarkMode) }
+        : {
+            labels: result.data.prices.map(point => new Date(point[0])),
             datasets: [{
-                label: `Bitcoin Price (${currency.toUpperCase()})`,
-                data: prices,
+                label: `${getAssetInfo(getSelectedAsset()).name} Price (${currency.toUpperCase()})`,
+                data: result.data.prices.map(point => point[1]),
                 borderColor: lineColor,
                 backgroundColor: gradient,
                 borderWidth: 2,
@@ -526,7 +986,12 @@ async function initPriceChart(currency = 'usd') {
                 pointHoverBorderColor: isDarkMode ? '#fff' : '#000',
                 pointHoverBorderWidth: 2
             }]
-        },
+        };
+    
+    // Create new chart
+    priceChart = new Chart(ctx, {
+        type: showCandles ? 'bar' : 'line',
+        data,
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -536,12 +1001,16 @@ async function initPriceChart(currency = 'usd') {
             },
             plugins: {
                 legend: {
-                    display: true,
+                    display: !showCandles,
                     labels: {
                         color: textColor,
                         font: {
                             size: 14,
                             weight: 'bold'
+                        },
+                        // Only the price series and indicators get a legend entry
+                        filter: function(item, legendData) {
+                            return !legendData.datasets[item.datasetIndex].annotation;
                         }
                     }
                 },
@@ -552,27 +1021,55 @@ async function initPriceChart(currency = 'usd') {
                     borderColor: gridColor,
                     borderWidth: 1,
                     displayColors: false,
+                    // Candles: one tooltip entry per candle (from the body dataset) plus indicator values
+                    // Buy annotations are summarized in afterBody instead
+                    filter: function(item) {
+                        if (item.dataset.indicator) {
+                            return item.parsed.y !== null && !isNaN(item.parsed.y);
+                        }
+                        return !item.dataset.annotation && (!showCandles || item.datasetIndex === 0);
+                    },
                     callbacks: {
                         title: function(context) {
                             // Use context[0].parsed.x which contains the raw timestamp value
                             // This ensures proper date formatting regardless of the label format
                             const date = new Date(context[0].parsed.x);
                             // Use user's locale and timezone for date formatting
-                            return date.toLocaleString(undefined, {
+                            // Ranges of a year or more show daily points, so the time is omitted
+                            const showTime = range.unit !== 'month' && range.unit !== 'year';
+                            return date.toLocaleString(undefined, showTime ? {
                                 month: 'short',
                                 day: 'numeric',
                                 hour: '2-digit',
                                 minute: '2-digit',
                                 timeZoneName: 'short'
+                            } : {
+                                year: 'numeric',
+                                month: 'short',
+                                day: 'numeric'
                             });
                         },
                         label: function(context) {
-                            return new Intl.NumberFormat('en-US', {
-                                style: 'currency',
-                                currency: currency.toUpperCase(),
-                                minimumFractionDigits: 2,
-                                maximumFractionDigits: 2
-                            }).format(context.parsed.y);
+                            if (context.dataset.indicator) {
+                                return `${context.dataset.label}: ${formatChartPrice(context.parsed.y)}`;
+                            }
+                            if (showCandles) {
+                                const candle = context.raw;
+                                return [
+                                    `Open: ${formatChartPrice(candle.o)}`,
+                                    `High: ${formatChartPrice(candle.h)}`,
+                                    `Low: ${formatChartPrice(candle.l)}`,
+                                    `Close: ${formatChartPrice(candle.c)}`
+                                ];
+                            }
+                            return formatChartPrice(context.parsed.y);
+                        },
+                        afterBody: function(context) {
+                            if (!chartState.showBuys || context.length === 0) {
+                                return [];
+                            }
+                            const price = showCandles ? context[0].raw.c : context[0].parsed.y;
+                            return getChartTooltipBuyLines(context[0].parsed.x, price, currency.toUpperCase());
                         }
                     }
                 },
@@ -585,11 +1082,13 @@ async function initPriceChart(currency = 'usd') {
                         pinch: {
                             enabled: true
                         },
-                        mode: 'x'
+                        mode: 'x',
+                        onZoomComplete: syncIndicatorChartRange
                     },
                     pan: {
                         enabled: true,
-                        mode: 'x'
+                        mode: 'x',
+                        onPanComplete: syncIndicatorChartRange
                     },
                     limits: {
                         x: {min: 'original', max: 'original'}
@@ -600,9 +1099,13 @@ async function initPriceChart(currency = 'usd') {
                 x: {
                     type: 'time',
                     time: {
-                        unit: 'hour',
+                        unit: range.unit,
                         displayFormats: {
-                            hour: 'HH:mm'
+                            hour: 'HH:mm',
+                            day: 'MMM d',
+                            week: 'MMM d',
+                            month: 'MMM yyyy',
+                            year: 'yyyy'
                         }
                     },
                     grid: {
@@ -627,6 +1130,8 @@ async function initPriceChart(currency = 'usd') {
                             // Format numbers with K/M/B suffixes for mobile screens
                             // Check viewport width on each render to handle device rotation
                             const isMobile = window.innerWidth <= 768;
+                            // Crypto units quote fractions (₿0.035), fiat axes show whole amounts
+                            const unitDecimals = getCryptoQuoteUnit(currency) ? getCurrencyDecimals(currency) : 0;
                             
                             if (isMobile) {
                                 // For mobile, use compact notation with K/M/B suffixes
@@ -646,7 +1151,7 @@ async function initPriceChart(currency = 'usd') {
                                 
                                 // Use conditional formatting to omit multi-char currency codes
                                 const minDecimals = suffix ? 0 : 0;
-                                const maxDecimals = suffix ? 1 : 0;
+                                const maxDecimals = suffix ? 1 : unitDecimals;
                                 const formatted = formatCurrencyConditionally(
                                     displayValue, 
                                     'en-US', 
@@ -657,7 +1162,7 @@ async function initPriceChart(currency = 'usd') {
                                 return formatted + suffix;
                             } else {
                                 // For desktop, show full number with conditional formatting
-                                return formatCurrencyConditionally(value, 'en-US', currency.toUpperCase(), 0, 0);
+                                return formatCurrencyConditionally(value, 'en-US', currency.toUpperCase(), 0, unitDecimals);
                             }
                         }
                     }
@@ -667,60 +1172,601 @@ async function initPriceChart(currency = 'usd') {
     });
     
     // Double-click event listener is now registered once in initEventListeners
+    updateIndicators();
+    updateChartAnnotations();
+    return result;
 }
 
-// ========== AUTO-REFRESH MANAGEMENT ==========
+// ========== CHART TRANSACTION ANNOTATIONS ==========
+
+// Most buys listed in a chart tooltip before the rest are summarized
+const CHART_TOOLTIP_MAX_BUYS = 5;
 
 /**
- * Update the last update timestamp display
- * @param {Object} cacheMetadata - Cache metadata from backend (required)
+ * Get the saved buys shown on the chart (chart asset and currency only, oldest first)
+ * Buys saved in another Bitcoin denomination are converted to the chart's.
+ * @param {Array<Object>} transactions - Saved transactions
+ * @param {string} currency - Chart currency
+ * @param {string} asset - Chart asset (defaults to the selected asset)
+ * @returns {Array<Object>} Buy transactions
  */
-function updateLastUpdateTime(cacheMetadata) {
-    const lastUpdateElement = document.getElementById('lastUpdateTime');
-    if (!lastUpdateElement) return;
-    
-    // Use fetchTime from metadata for display
-    const timeDate = new Date(cacheMetadata.fetchTime);
-    const timeString = timeDate.toLocaleTimeString(undefined, { 
-        hour: '2-digit', 
-        minute: '2-digit',
-        second: '2-digit'
-    });
-    
-    let displayText = `Last updated: ${timeString}`;
-    
-    // Add cache information
-    const { status, maxAge, fetchTime } = cacheMetadata;
-    
-    if (status === 'HIT' && maxAge && fetchTime) {
-        // Calculate when the data was originally cached
-        // For cache HIT, the data could be anywhere from 0 to maxAge seconds old
-        // We show this as a helpful indicator
-        const cacheAgeSeconds = Math.floor((Date.now() - fetchTime) / 1000);
-        const remainingSeconds = Math.max(0, maxAge - cacheAgeSeconds);
-        const remainingMinutes = Math.floor(remainingSeconds / 60);
-        const remainingSecondsDisplay = remainingSeconds % 60;
-        
-        displayText += ` (cached, expires in ${remainingMinutes}m ${remainingSecondsDisplay}s)`;
-    } else if (status === 'MISS' && maxAge) {
-        // Fresh data from backend
-        const expiresMinutes = Math.floor(maxAge / 60);
-        displayText += ` (fresh data, cache ${expiresMinutes}m)`;
-    } else if (status === 'public-api') {
-        displayText += ` (direct API)`;
+function getChartBuys(transactions, currency, asset = getSelectedAsset()) {
+    return transactions
+        .map(tx => convertTransactionQuote(tx, currency))
+        .filter(tx => getTransactionType(tx) === 'buy' && tx.currency === currency && getTransactionAsset(tx) === asset)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Sell price at which a buy breaks even after its buy and sell fees
+ * @param {Object} tx - Buy transaction
+ * @returns {number} Break-even price
+ */
+function getBreakEvenPrice(tx) {
+    const price = solveSellPrice(tx.investment, tx.buyPrice, tx.fees, 0);
+    return price === null ? Infinity : price;
+}
+
+/**
+ * Get the time span covered by the chart's price data
+ * @param {Object} chart - Chart.js instance
+ * @returns {{min: number, max: number}|null} First and last timestamp, or null if the chart is empty
+ */
+function getChartTimeSpan(chart) {
+    const labels = chart.data.labels || [];
+    if (labels.length > 0) {
+        return { min: new Date(labels[0]).getTime(), max: new Date(labels[labels.length - 1]).getTime() };
     }
-    
-    lastUpdateElement.textContent = displayText;
+    const points = chart.data.datasets[0] ? chart.data.datasets[0].data : [];
+    if (points.length > 0) {
+        return { min: points[0].x, max: points[points.length - 1].x };
+    }
+    return null;
 }
 
 /**
- * Fetch AI-generated summary of Bitcoin price trends
- * @param {string} period - Time period ('24h', '7d', '30d', '90d')
- * @returns {Promise<Object>} Summary response with metadata
+ * Build the datasets marking each buy: a marker at the buy time, a dashed buy-price line
+ * from then on, and a shaded band up to the break-even price
+ * Buys made before the visible range start their line at the left edge without a marker.
+ * @param {Array<Object>} buys - Buys from getChartBuys
+ * @param {{min: number, max: number}} span - Chart time span
+ * @param {boolean} isDarkMode - Whether dark mode colors are used
+ * @returns {Array<Object>} Chart.js datasets flagged with `annotation: true`
  */
-async function fetchAISummary(period = '24h') {
+function buildTransactionAnnotationDatasets(buys, span, isDarkMode) {
+    const color = isDarkMode ? 'rgba(251, 191, 36, 1)' : 'rgba(217, 119, 6, 1)';
+    const bandColor = isDarkMode ? 'rgba(251, 191, 36, 0.12)' : 'rgba(217, 119, 6, 0.1)';
+    const datasets = [];
+
+    buys.filter(tx => tx.timestamp <= span.max).forEach(tx => {
+        const start = Math.max(tx.timestamp, span.min);
+        const common = {
+            type: 'line',
+            annotation: true,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            tension: 0,
+            order: -1
+        };
+
+        if (tx.timestamp >= span.min) {
+            datasets.push({
+                ...common,
+                label: 'Buy',
+                data: [{ x: tx.timestamp, y: tx.buyPrice }],
+                showLine: false,
+                pointStyle: 'triangle',
+                pointRadius: 7,
+                pointBackgroundColor: color,
+                pointBorderColor: isDarkMode ? '#1f2937' : '#fff',
+                pointBorderWidth: 1
+            });
+        }
+
+        datasets.push({
+            ...common,
+            label: 'Buy price',
+            data: [{ x: start, y: tx.buyPrice }, { x: span.max, y: tx.buyPrice }],
+            borderColor: color,
+            borderWidth: 1,
+            borderDash: [6, 4],
+            fill: false
+        });
+
+        // Filled down to the buy-price line just added
+        datasets.push({
+            ...common,
+            label: 'Break-even',
+            data: [{ x: start, y: getBreakEvenPrice(tx) }, { x: span.max, y: getBreakEvenPrice(tx) }],
+            borderWidth: 0,
+            backgroundColor: bandColor,
+            fill: '-1'
+        });
+    });
+
+    return datasets;
+}
+
+/**
+ * Tooltip lines with each earlier buy's profit/loss if sold at the hovered price
+ * @param {number} timestamp - Hovered time
+ * @param {number} price - Hovered price
+ * @param {string} currency - Chart currency
+ * @returns {Array<string>} Tooltip lines (empty if no buys precede the point)
+ */
+function getChartTooltipBuyLines(timestamp, price, currency) {
+    const buys = getChartBuys(loadTransactions(), currency).filter(tx => tx.timestamp <= timestamp);
+    if (buys.length === 0) {
+        return [];
+    }
+
+    const lines = ['', 'Your buys at this price:'];
+    buys.slice(-CHART_TOOLTIP_MAX_BUYS).forEach(tx => {
+        const { netProfit } = calculateTransactionProfit(tx, price);
+        const percent = (netProfit / tx.investment) * 100;
+        const sign = netProfit >= 0 ? '+' : '';
+        lines.push(`${new Date(tx.timestamp).toLocaleDateString()} @ ${formatTransactionCurrency(tx.buyPrice, currency)}: ` +
+            `${sign}${formatTransactionCurrency(netProfit, currency)} (${sign}${percent.toFixed(2)}%)`);
+    });
+    if (buys.length > CHART_TOOLTIP_MAX_BUYS) {
+        lines.push(`…and ${buys.length - CHART_TOOLTIP_MAX_BUYS} earlier buys`);
+    }
+    return lines;
+}
+
+/**
+ * Redraw the buy annotations on the current chart from the saved transactions
+ * @param {Array<Object>} transactions - Saved transactions (defaults to loading them)
+ */
+function updateChartAnnotations(transactions = loadTransactions()) {
+    if (!priceChart) {
+        return;
+    }
+
+    const datasets = priceChart.data.datasets.filter(dataset => !dataset.annotation);
+    const span = getChartTimeSpan(priceChart);
+    const currency = document.getElementById('currency').value;
+
+    if (span && chartState.showBuys) {
+        const isDarkMode = document.documentElement.classList.contains('dark');
+        datasets.push(...buildTransactionAnnotationDatasets(getChartBuys(transactions, currency), span, isDarkMode));
+    }
+
+    priceChart.data.datasets = datasets;
+    priceChart.update('none');
+}
+
+// ========== CHART INDICATORS ==========
+
+// Indicator panel defaults (saved as the JSON 'chartIndicators' setting)
+// The math lives in indicators.js; this section only wires it to the charts.
+const DEFAULT_INDICATOR_SETTINGS = {
+    sma: { enabled: false, period: 20 },
+    ema: { enabled: false, period: 50 },
+    bollinger: { enabled: false, period: 20, stdDev: 2 },
+    oscillator: 'none', // 'none', 'rsi' or 'macd' (drawn in the sub-chart)
+    rsi: { period: 14 },
+    macd: { fast: 12, slow: 26, signal: 9 }
+};
+
+// Panel input id for each numeric indicator parameter
+const INDICATOR_PARAM_INPUTS = {
+    sma: { period: 'indicatorSMAPeriod' },
+    ema: { period: 'indicatorEMAPeriod' },
+    bollinger: { period: 'indicatorBollingerPeriod', stdDev: 'indicatorBollingerStdDev' },
+    rsi: { period: 'indicatorRSIPeriod' },
+    macd: { fast: 'indicatorMACDFast', slow: 'indicatorMACDSlow', signal: 'indicatorMACDSignal' }
+};
+
+// Panel checkbox id for each overlay indicator
+const INDICATOR_TOGGLE_INPUTS = { sma: 'indicatorSMA', ema: 'indicatorEMA', bollinger: 'indicatorBollinger' };
+
+// Largest accepted period (the max range has a few thousand daily points)
+const INDICATOR_MAX_PERIOD = 500;
+
+let indicatorSettings = normalizeIndicatorSettings(null);
+
+/**
+ * Merge indicator settings over a base, keeping the base value for anything missing or out of range
+ * @param {Object|null} saved - Parsed settings (possibly partial or invalid)
+ * @param {Object} base - Settings to fall back to (defaults to DEFAULT_INDICATOR_SETTINGS)
+ * @returns {Object} Complete indicator settings
+ */
+function normalizeIndicatorSettings(saved, base = DEFAULT_INDICATOR_SETTINGS) {
+    const settings = JSON.parse(JSON.stringify(base));
+    if (!saved || typeof saved !== 'object') {
+        return settings;
+    }
+
+    Object.keys(INDICATOR_PARAM_INPUTS).forEach(name => {
+        const group = saved[name];
+        if (!group || typeof group !== 'object') {
+            return;
+        }
+        if (typeof group.enabled === 'boolean' && 'enabled' in settings[name]) {
+            settings[name].enabled = group.enabled;
+        }
+        Object.keys(INDICATOR_PARAM_INPUTS[name]).forEach(param => {
+            const value = group[param];
+            if (param === 'stdDev') {
+                if (Number.isFinite(value) && value > 0 && value <= 10) {
+                    settings[name][param] = value;
+                }
+            } else if (Number.isInteger(value) && value >= 2 && value <= INDICATOR_MAX_PERIOD) {
+                settings[name][param] = value;
+            }
+        });
+    });
+
+    if (['none', 'rsi', 'macd'].includes(saved.oscillator)) {
+        settings.oscillator = saved.oscillator;
+    }
+    return settings;
+}
+
+/**
+ * Show the current indicator settings in the panel
+ */
+function updateIndicatorPanel() {
+    Object.entries(INDICATOR_TOGGLE_INPUTS).forEach(([name, id]) => {
+        document.getElementById(id).checked = indicatorSettings[name].enabled;
+    });
+    Object.entries(INDICATOR_PARAM_INPUTS).forEach(([name, params]) => {
+        Object.entries(params).forEach(([param, id]) => {
+            document.getElementById(id).value = indicatorSettings[name][param];
+        });
+    });
+    document.getElementById('indicatorOscillator').value = indicatorSettings.oscillator;
+}
+
+/**
+ * Restore the indicator settings saved in settings
+ */
+function loadIndicatorSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(getSetting('chartIndicators') || 'null');
+    } catch (error) {
+        console.error('Error parsing saved indicator settings:', error);
+    }
+    indicatorSettings = normalizeIndicatorSettings(saved);
+    updateIndicatorPanel();
+}
+
+/**
+ * Read the panel, save the indicator settings and redraw the indicators
+ * Invalid numbers keep their previous value.
+ */
+function handleIndicatorSettingsChange() {
+    const panelSettings = { oscillator: document.getElementById('indicatorOscillator').value };
+    Object.entries(INDICATOR_PARAM_INPUTS).forEach(([name, params]) => {
+        panelSettings[name] = {};
+        Object.entries(params).forEach(([param, id]) => {
+            panelSettings[name][param] = parseFloat(document.getElementById(id).value);
+        });
+    });
+    Object.entries(INDICATOR_TOGGLE_INPUTS).forEach(([name, id]) => {
+        panelSettings[name].enabled = document.getElementById(id).checked;
+    });
+
+    indicatorSettings = normalizeIndicatorSettings(panelSettings, indicatorSettings);
+    setSetting('chartIndicators', JSON.stringify(indicatorSettings));
+    updateIndicatorPanel();
+    updateIndicators();
+}
+
+/**
+ * Get the price series drawn on a chart (candle closes in candle mode)
+ * @param {Object} chart - Chart.js instance
+ * @returns {{times: Array<number>, values: Array<number>}} Timestamps and prices, oldest first
+ */
+function getChartPriceSeries(chart) {
+    const points = chart.data.datasets[0] ? chart.data.datasets[0].data : [];
+    if (chart.data.labels && chart.data.labels.length > 0) {
+        return {
+            times: chart.data.labels.map(label => new Date(label).getTime()),
+            values: points.slice()
+        };
+    }
+    return {
+        times: points.map(point => point.x),
+        values: points.map(point => point.c)
+    };
+}
+
+/**
+ * Build the line datasets drawn over the price (moving averages and Bollinger bands)
+ * @param {{times: Array<number>, values: Array<number>}} series - Chart price series
+ * @param {Object} settings - Indicator settings
+ * @param {boolean} isDarkMode - Whether dark mode colors are used
+ * @returns {Array<Object>} Chart.js datasets flagged with `indicator: true`
+ */
+function buildIndicatorOverlayDatasets(series, settings, isDarkMode) {
+    const toPoints = values => values.map((y, i) => ({ x: series.times[i], y }));
+    const line = (label, values, color, extra = {}) => ({
+        type: 'line',
+        indicator: true,
+        label,
+        data: toPoints(values),
+        borderColor: color,
+        borderWidth: 1.5,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        tension: 0,
+        fill: false,
+        ...extra
+    });
+    const datasets = [];
+
+    if (settings.sma.enabled) {
+        datasets.push(line(`SMA ${settings.sma.period}`, calculateSMA(series.values, settings.sma.period),
+            isDarkMode ? 'rgba(244, 114, 182, 1)' : 'rgba(219, 39, 119, 1)'));
+    }
+    if (settings.ema.enabled) {
+        datasets.push(line(`EMA ${settings.ema.period}`, calculateEMA(series.values, settings.ema.period),
+            isDarkMode ? 'rgba(52, 211, 153, 1)' : 'rgba(5, 150, 105, 1)'));
+    }
+    if (settings.bollinger.enabled) {
+        const { period, stdDev } = settings.bollinger;
+        const bands = calculateBollingerBands(series.values, period, stdDev);
+        const color = isDarkMode ? 'rgba(167, 139, 250, 1)' : 'rgba(124, 58, 237, 1)';
+        datasets.push(line(`BB ${period} middle`, bands.middle, color, { borderDash: [4, 4] }));
+        datasets.push(line(`BB ${period} upper (${stdDev}σ)`, bands.upper, color, { borderWidth: 1 }));
+        // Filled up to the upper band just added
+        datasets.push(line(`BB ${period} lower (${stdDev}σ)`, bands.lower, color, {
+            borderWidth: 1,
+            fill: '-1',
+            backgroundColor: isDarkMode ? 'rgba(167, 139, 250, 0.08)' : 'rgba(124, 58, 237, 0.06)'
+        }));
+    }
+
+    return datasets;
+}
+
+/**
+ * Build the sub-chart datasets and y axis for the selected oscillator
+ * @param {{times: Array<number>, values: Array<number>}} series - Chart price series
+ * @param {Object} settings - Indicator settings (oscillator must be 'rsi' or 'macd')
+ * @param {boolean} isDarkMode - Whether dark mode colors are used
+ * @returns {{datasets: Array<Object>, y: Object}} Chart.js datasets and y-axis options
+ */
+function buildOscillatorDatasets(series, settings, isDarkMode) {
+    const toPoints = values => values.map((y, i) => ({ x: series.times[i], y }));
+    const first = series.times[0];
+    const last = series.times[series.times.length - 1];
+    const lineColor = isDarkMode ? 'rgba(59, 130, 246, 1)' : 'rgba(37, 99, 235, 1)';
+    const signalColor = isDarkMode ? 'rgba(251, 146, 60, 1)' : 'rgba(234, 88, 12, 1)';
+    const common = { type: 'line', pointRadius: 0, pointHoverRadius: 0, tension: 0, fill: false };
+
+    if (settings.oscillator === 'rsi') {
+        const level = (label, value) => ({
+            ...common,
+            label,
+            reference: true,
+            data: [{ x: first, y: value }, { x: last, y: value }],
+            borderColor: isDarkMode ? 'rgba(156, 163, 175, 0.6)' : 'rgba(107, 114, 128, 0.6)',
+            borderWidth: 1,
+            borderDash: [4, 4]
+        });
+        return {
+            datasets: [
+                {
+                    ...common,
+                    label: `RSI ${settings.rsi.period}`,
+                    data: toPoints(calculateRSI(series.values, settings.rsi.period)),
+                    borderColor: lineColor,
+                    borderWidth: 1.5
+                },
+                level('Overbought', 70),
+                level('Oversold', 30)
+            ],
+            y: { min: 0, max: 100 }
+        };
+    }
+
+    const { fast, slow, signal } = settings.macd;
+    const macd = calculateMACD(series.values, fast, slow, signal);
+    const upColor = isDarkMode ? 'rgba(74, 222, 128, 0.6)' : 'rgba(22, 163, 74, 0.6)';
+    const downColor = isDarkMode ? 'rgba(248, 113, 113, 0.6)' : 'rgba(220, 38, 38, 0.6)';
+    return {
+        datasets: [
+            {
+                ...common,
+                label: `MACD ${fast}/${slow}`,
+                data: toPoints(macd.macd),
+                borderColor: lineColor,
+                borderWidth: 1.5
+            },
+            {
+                ...common,
+                label: `Signal ${signal}`,
+                data: toPoints(macd.signal),
+                borderColor: signalColor,
+                borderWidth: 1.5
+            },
+            {
+                type: 'bar',
+                label: 'Histogram',
+                data: toPoints(macd.histogram),
+                backgroundColor: macd.histogram.map(value => value !== null && value < 0 ? downColor : upColor),
+                barPercentage: 1,
+                categoryPercentage: 1
+            }
+        ],
+        y: {}
+    };
+}
+
+/**
+ * Draw (or remove) the RSI / MACD sub-chart below the price chart
+ * @param {{times: Array<number>, values: Array<number>}} series - Chart price series
+ * @param {boolean} isDarkMode - Whether dark mode colors are used
+ */
+function renderIndicatorChart(series, isDarkMode) {
+    const container = document.getElementById('indicatorChartContainer');
+    if (indicatorChart) {
+        indicatorChart.destroy();
+        indicatorChart = null;
+    }
+    if (indicatorSettings.oscillator === 'none' || series.times.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'block';
+
+    const gridColor = isDarkMode ? 'rgba(75, 85, 99, 0.3)' : 'rgba(0, 0, 0, 0.1)';
+    const textColor = isDarkMode ? 'rgba(229, 231, 235, 0.8)' : 'rgba(0, 0, 0, 0.8)';
+    const { datasets, y } = buildOscillatorDatasets(series, indicatorSettings, isDarkMode);
+    const priceScale = priceChart.scales.x;
+
+    indicatorChart = new Chart(document.getElementById('indicatorChart').getContext('2d'), {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: textColor,
+                        boxWidth: 12,
+                        filter: function(item, legendData) {
+                            return !legendData.datasets[item.datasetIndex].reference;
+                        }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: isDarkMode ? 'rgba(31, 41, 55, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+                    titleColor: textColor,
+                    bodyColor: textColor,
+                    borderColor: gridColor,
+                    borderWidth: 1,
+                    displayColors: false,
+                    filter: function(item) {
+                        return !item.dataset.reference && item.parsed.y !== null && !isNaN(item.parsed.y);
+                    },
+                    callbacks: {
+                        title: function(context) {
+                            return new Date(context[0].parsed.x).toLocaleString();
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    // Follow the price chart's visible window (including zoom and pan)
+                    min: priceScale ? priceScale.min : undefined,
+                    max: priceScale ? priceScale.max : undefined,
+                    time: { unit: CHART_RANGES[chartState.range].unit },
+                    grid: { color: gridColor },
+                    ticks: { display: false }
+                },
+                y: {
+                    ...y,
+                    grid: { color: gridColor },
+                    ticks: { color: textColor, maxTicksLimit: 4, ...y.ticks }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Keep the sub-chart's time window in step with the zoomed or panned price chart
+ */
+function syncIndicatorChartRange() {
+    if (!indicatorChart || !priceChart) {
+        return;
+    }
+    indicatorChart.options.scales.x.min = priceChart.scales.x.min;
+    indicatorChart.options.scales.x.max = priceChart.scales.x.max;
+    indicatorChart.update('none');
+}
+
+/**
+ * Recompute the indicators from the chart's current prices and redraw the overlays and sub-chart
+ */
+function updateIndicators() {
+    if (!priceChart) {
+        return;
+    }
+
+    const series = getChartPriceSeries(priceChart);
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    const datasets = priceChart.data.datasets.filter(dataset => !dataset.indicator);
+    datasets.push(...buildIndicatorOverlayDatasets(series, indicatorSettings, isDarkMode));
+
+    priceChart.data.datasets = datasets;
+    priceChart.update('none');
+    renderIndicatorChart(series, isDarkMode);
+}
+
+// ========== AUTO-REFRESH MANAGEMENT ==========
+
+/**
+ * Update the last update timestamp display
+ * @param {Object} cacheMetadata - Cache metadata from backend (required)
+ */
+function updateLastUpdateTime(cacheMetadata) {
+    const lastUpdateElement = document.getElementById('lastUpdateTime');
+    if (!lastUpdateElement) return;
+    
+    // Use fetchTime from metadata for display
+    const timeDate = new Date(cacheMetadata.fetchTime);
+    const timeString = timeDate.toLocaleTimeString(undefined, { 
+        hour: '2-digit', 
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    
+    let displayText = `Last updated: ${timeString}`;
+    
+    // Add cache information
+    const { status, maxAge, fetchTime } = cacheMetadata;
+    
+    if (status === 'HIT' && maxAge && fetchTime) {
+        // Calculate when the data was originally cached
+        // For cache HIT, the data could be anywhere from 0 to maxAge seconds old
+        // We show this as a helpful indicator
+        const cacheAgeSeconds = Math.floor((Date.now() - fetchTime) / 1000);
+        const remainingSeconds = Math.max(0, maxAge - cacheAgeSeconds);
+        const remainingMinutes = Math.floor(remainingSeconds / 60);
+        const remainingSecondsDisplay = remainingSeconds % 60;
+        
+        displayText += ` (cached, expires in ${remainingMinutes}m ${remainingSecondsDisplay}s)`;
+    } else if (status === 'MISS' && maxAge) {
+        // Fresh data from backend
+        const expiresMinutes = Math.floor(maxAge / 60);
+        displayText += ` (fresh data, cache ${expiresMinutes}m)`;
+    } else if (status === 'public-api') {
+        displayText += ` (direct API)`;
+    } else if (status === 'stored') {
+        displayText += ` (offline, stored data)`;
+    } else if (status === 'live') {
+        displayText += ` (live)`;
+    }
+    
+    lastUpdateElement.textContent = displayText;
+}
+
+/**
+ * Fetch AI-generated summary of an asset's price trends
+ * @param {string} period - Time period ('24h', '7d', '30d', '90d')
+ * @param {string} asset - Key in ASSETS (defaults to the selected asset)
+ * @returns {Promise<Object>} Summary response with metadata
+ */
+async function fetchAISummary(period = '24h', asset = getSelectedAsset()) {
+    const workerUrl = `${WORKER_BASE_URL}/ai/summary?period=${period}&coin=${asset}`;
     try {
-        const workerUrl = `${WORKER_BASE_URL}/ai/summary?period=${period}`;
         const response = await fetch(workerUrl);
         
         if (!response.ok) {
@@ -732,12 +1778,27 @@ async function fetchAISummary(period = '24h') {
         // Extract cache metadata from response headers
         const cacheMetadata = extractCacheMetadata(response);
         
+        markDataFresh('summary');
         return {
             data,
             cacheMetadata: cacheMetadata
         };
     } catch (error) {
         console.error('Failed to fetch AI summary:', error);
+        
+        // Show the last summary for this period and asset kept by the service worker
+        const offline = await getOfflineData([workerUrl]);
+        if (offline) {
+            markDataStale('summary', offline.cachedAt);
+            return {
+                data: offline.data,
+                cacheMetadata: {
+                    status: 'stored',
+                    maxAge: null,
+                    fetchTime: offline.cachedAt
+                }
+            };
+        }
         throw error;
     }
 }
@@ -775,6 +1836,8 @@ function updateSummaryTime(cacheMetadata) {
         // Fresh data from backend
         const expiresMinutes = Math.floor(maxAge / 60);
         displayText += ` (fresh analysis, cache ${expiresMinutes}m)`;
+    } else if (status === 'stored') {
+        displayText += ` (offline, stored analysis)`;
     }
     
     summaryUpdateElement.textContent = displayText;
@@ -893,8 +1956,8 @@ function setArticlesPerPageSetting(count) {
  * @returns {Promise<Object>} News data with cache metadata
  */
 async function fetchBitcoinNews() {
+    const workerUrl = `${WORKER_BASE_URL}/api/bitcoin-news`;
     try {
-        const workerUrl = `${WORKER_BASE_URL}/api/bitcoin-news`;
         const response = await fetch(workerUrl);
         
         if (!response.ok) {
@@ -936,12 +1999,28 @@ async function fetchBitcoinNews() {
             displayTime: now // This is when we displayed it to user
         };
         
+        markDataFresh('news');
         return {
             data,
             cacheMetadata: newsCache.cacheMetadata
         };
     } catch (error) {
         console.error('Failed to fetch Bitcoin news:', error);
+        
+        // Show the last news payload kept by the service worker (not cached in newsCache, so the next load retries)
+        const offline = await getOfflineData([workerUrl]);
+        if (offline) {
+            markDataStale('news', offline.cachedAt);
+            return {
+                data: offline.data,
+                cacheMetadata: {
+                    status: 'stored',
+                    maxAge: null,
+                    fetchTime: offline.data.lastUpdatedExternal || offline.cachedAt,
+                    displayTime: Date.now()
+                }
+            };
+        }
         throw error;
     }
 }
@@ -1294,6 +2373,9 @@ function updateNewsTime(cacheMetadata = null) {
             if (status === 'KV') {
                 // Data is from KV, populated by scheduled worker
                 displayText = `Data refreshed ${timeAgo} (updated hourly by scheduled worker)`;
+            } else if (status === 'stored') {
+                // Offline copy kept by the service worker
+                displayText = `Data refreshed ${timeAgo} (offline, stored news)`;
             } else {
                 // Fallback for other cache statuses
                 displayText = `Last updated: ${timeAgo}`;
@@ -1416,6 +2498,9 @@ async function refreshChartAndPrice() {
             // Update timestamp with cache metadata
             updateLastUpdateTime(result.cacheMetadata);
             
+            // Fire any alerts the new price meets
+            await checkAlerts(newPrice, currency);
+            
             // Recalculate if results are visible
             if (areResultsVisible()) {
                 calculate();
@@ -1430,25 +2515,114 @@ async function refreshChartAndPrice() {
 }
 
 /**
- * Start auto-refresh timer
+ * Apply a streamed price tick: update the sell price, chart, results and transactions
+ * @param {{price: number, currency: string, timestamp: number}} tick - Price tick from the stream
  */
-function startAutoRefresh() {
-    // Clear any existing timer
-    stopAutoRefresh();
-    
-    // Start new timer with error handling wrapper
-    autoRefreshTimer = setInterval(async () => {
-        try {
-            await refreshChartAndPrice();
-            
-            // Also refresh news if it's been loaded and cache has expired
-            // Check cache first to avoid unnecessary DOM query
-            const cached = getCachedNews();
-            if (!cached) {
-                // Cache expired - check if news is displayed before refreshing
-                const newsDisplayContainer = document.getElementById('newsDisplayContainer');
-                if (newsDisplayContainer && newsDisplayContainer.style.display !== 'none') {
-                    await loadNews(true);
+async function applyStreamedPrice(tick) {
+    const currency = document.getElementById('currency').value.toLowerCase();
+    // Ignore ticks for a previous currency or asset and ticks arriving during a full refresh
+    if (tick.currency !== currency || priceStream.asset !== getSelectedAsset() || isRefreshing) {
+        return;
+    }
+
+    document.getElementById('sellPrice').value = formatPrice(tick.price);
+    addPricePointToChart(tick.price, tick.timestamp);
+    updateLastUpdateTime({ status: 'live', fetchTime: tick.timestamp });
+    await checkAlerts(tick.price, currency);
+
+    if (areResultsVisible()) {
+        calculate();
+    }
+    await renderTransactions();
+}
+
+/**
+ * Open the live price stream for the selected asset and currency, replacing any open stream
+ * EventSource reconnects by itself (e.g. when the worker ends a stream); after
+ * PRICE_STREAM_MAX_ERRORS failed attempts the stream is closed and polling takes over
+ * until the next timer tick reopens it.
+ * @returns {boolean} Whether a stream was opened (false if EventSource is unsupported)
+ */
+function connectPriceStream() {
+    disconnectPriceStream();
+    if (typeof EventSource === 'undefined') {
+        return false;
+    }
+
+    const currency = document.getElementById('currency').value.toLowerCase();
+    const asset = getSelectedAsset();
+    const source = new EventSource(`${PRICE_STREAM_URL}?vs_currency=${encodeURIComponent(currency)}&coin=${asset}`);
+    priceStream.source = source;
+    priceStream.asset = asset;
+
+    source.onopen = () => {
+        priceStream.live = true;
+        priceStream.errors = 0;
+    };
+    source.addEventListener('price', event => {
+        let tick;
+        try {
+            tick = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Invalid price stream event:', error);
+            return;
+        }
+        applyStreamedPrice(tick).catch(error => console.error('Failed to apply streamed price:', error));
+    });
+    source.addEventListener('unavailable', event => {
+        console.warn('Price stream snapshot unavailable:', event.data);
+    });
+    source.onerror = () => {
+        priceStream.live = false;
+        priceStream.errors++;
+        if (source.readyState === EventSource.CLOSED || priceStream.errors >= PRICE_STREAM_MAX_ERRORS) {
+            console.warn('Price stream dropped, falling back to polling');
+            disconnectPriceStream();
+            refreshChartAndPrice().catch(error => console.error('Auto-refresh failed:', error));
+        }
+    };
+
+    return true;
+}
+
+/**
+ * Close the live price stream
+ */
+function disconnectPriceStream() {
+    if (priceStream.source) {
+        priceStream.source.close();
+        priceStream.source = null;
+    }
+    priceStream.live = false;
+    priceStream.errors = 0;
+}
+
+/**
+ * Start auto-refresh: the live price stream, plus a timer that polls while the stream is down
+ */
+function startAutoRefresh() {
+    // Clear any existing timer
+    stopAutoRefresh();
+    
+    // Start new timer with error handling wrapper
+    autoRefreshTimer = setInterval(async () => {
+        try {
+            // Poll only while the live stream is down, and try to reopen it
+            if (!priceStream.live) {
+                await refreshChartAndPrice();
+                if (!priceStream.source) {
+                    connectPriceStream();
+                }
+            }
+            
+            // Also refresh news if it's been loaded and cache has expired
+            // Check cache first to avoid unnecessary DOM query
+            const cached = getCachedNews();
+            if (!cached) {
+                // Cache expired - check if news is displayed before refreshing
+                const newsDisplayContainer = document.getElementById('newsDisplayContainer');
+                if (newsDisplayContainer && newsDisplayContainer.style.display !== 'none') {
+                    await loadNews(true);
                 }
             }
         } catch (error) {
@@ -1457,18 +2631,20 @@ function startAutoRefresh() {
         }
     }, AUTO_REFRESH_INTERVAL);
     autoRefreshEnabled = true;
+    connectPriceStream();
     
-    console.log('Auto-refresh started (every 5 minutes)');
+    console.log('Auto-refresh started (live stream, polling every 5 minutes while it is down)');
 }
 
 /**
- * Stop auto-refresh timer
+ * Stop auto-refresh timer and the live price stream
  */
 function stopAutoRefresh() {
     if (autoRefreshTimer) {
         clearInterval(autoRefreshTimer);
         autoRefreshTimer = null;
     }
+    disconnectPriceStream();
     autoRefreshEnabled = false;
     
     console.log('Auto-refresh stopped');
@@ -1488,11 +2664,11 @@ function toggleAutoRefresh() {
     if (autoRefreshEnabled) {
         stopAutoRefresh();
         toggleButton.setAttribute('aria-checked', 'false');
-        setCookie('crypto_calc_autoRefresh', 'false', 365);
+        setSetting('autoRefresh', 'false');
     } else {
         startAutoRefresh();
         toggleButton.setAttribute('aria-checked', 'true');
-        setCookie('crypto_calc_autoRefresh', 'true', 365);
+        setSetting('autoRefresh', 'true');
     }
 }
 
@@ -1500,7 +2676,7 @@ function toggleAutoRefresh() {
  * Load auto-refresh preference from cookie
  */
 function loadAutoRefreshPreference() {
-    const savedPreference = getCookie('crypto_calc_autoRefresh');
+    const savedPreference = getSetting('autoRefresh');
     const toggleButton = document.getElementById('autoRefreshToggle');
     
     if (!toggleButton) {
@@ -1517,822 +2693,5090 @@ function loadAutoRefreshPreference() {
     }
 }
 
-// Cookie helper functions
-function setCookie(name, value, days = 90) {
-    if (!hasConsent()) {
-        return; // Don't set cookie without consent
-    }
-    const expires = new Date();
-    expires.setTime(expires.getTime() + days * 24 * 60 * 60 * 1000);
-    document.cookie = name + '=' + encodeURIComponent(value) + ';expires=' + expires.toUTCString() + ';path=/';
+// ========== PRICE ALERTS ==========
+
+// Conditions offered for each alert type
+const ALERT_TYPES = {
+    price: { valueLabel: 'Price', conditions: ['above', 'below'] },    // Asset price in the alert's currency
+    profit: { valueLabel: 'Net profit', conditions: ['above', 'below'] }, // Net profit of one saved buy
+    change: { valueLabel: 'Change (%)', conditions: ['beyond'] }         // 24h change beyond ±value percent
+};
+
+// Default minimum time between two firings of a repeating alert
+const DEFAULT_ALERT_COOLDOWN_MINUTES = 60;
+
+// User alerts, saved as the JSON 'alerts' setting:
+// { id, type, condition, value, asset, currency, transactionTimestamp, mode: 'once'|'repeat', cooldownMinutes, active, lastTriggered }
+let priceAlerts = [];
+
+/**
+ * Get the asset an alert watches
+ * Alerts saved before assets were introduced watch Bitcoin
+ * @param {Object} alert - Alert
+ * @returns {string} Key in ASSETS
+ */
+function getAlertAsset(alert) {
+    return alert.asset || DEFAULT_ASSET;
 }
 
-function getCookie(name) {
-    if (!hasConsent()) {
-        return null; // Don't read cookies without consent
-    }
-    const nameEQ = name + '=';
-    const ca = document.cookie.split(';');
-    for (let i = 0; i < ca.length; i++) {
-        let c = ca[i];
-        while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-        if (c.indexOf(nameEQ) === 0) return decodeURIComponent(c.substring(nameEQ.length, c.length));
+/**
+ * Check that a stored alert has the fields its type needs
+ * @param {Object} alert - Parsed alert
+ * @returns {boolean} Whether the alert can be evaluated
+ */
+function isValidAlert(alert) {
+    return Boolean(alert) &&
+        ALERT_TYPES[alert.type] !== undefined &&
+        ALERT_TYPES[alert.type].conditions.includes(alert.condition) &&
+        Number.isFinite(alert.value) &&
+        typeof alert.currency === 'string' &&
+        (alert.type !== 'profit' || Number.isFinite(alert.transactionTimestamp)) &&
+        (alert.mode === 'once' || alert.mode === 'repeat');
+}
+
+/**
+ * Restore the saved alerts and show them
+ */
+function loadAlerts() {
+    try {
+        const saved = JSON.parse(getSetting('alerts') || '[]');
+        priceAlerts = Array.isArray(saved) ? saved.filter(isValidAlert) : [];
+    } catch (error) {
+        console.error('Error parsing saved alerts:', error);
+        priceAlerts = [];
     }
-    return null;
+    renderAlerts();
 }
 
-// ========== EXPORT/IMPORT FUNCTIONALITY ==========
+/**
+ * Save the alerts (only once consent is given, like other settings)
+ */
+function saveAlerts() {
+    setSetting('alerts', JSON.stringify(priceAlerts));
+}
 
 /**
- * Get current values from DOM elements
- * @returns {object} Object with current form values
+ * Find the saved buy a profit alert watches
+ * @param {Object} alert - Profit alert
+ * @param {Array<Object>} transactions - Saved transactions
+ * @returns {Object|undefined} The buy, or undefined if it was deleted
  */
-function getValuesFromDOM() {
-    const values = {};
-    
-    // Get form values from DOM
-    const investmentEl = document.getElementById('investment');
-    const buyPriceEl = document.getElementById('buyPrice');
-    const feeEl = document.getElementById('fee');
-    const currencyEl = document.getElementById('currency');
-    
-    if (investmentEl && investmentEl.value) {
-        values.investment = investmentEl.value;
-    }
-    if (buyPriceEl && buyPriceEl.value) {
-        values.buyPrice = buyPriceEl.value;
-    }
-    if (feeEl && feeEl.value) {
-        values.fee = feeEl.value;
+function getAlertBuy(alert, transactions) {
+    return transactions.find(tx => getTransactionType(tx) === 'buy' && tx.timestamp === alert.transactionTimestamp);
+}
+
+/**
+ * Label a saved buy for the alert form and alert descriptions
+ * @param {Object} tx - Buy transaction
+ * @returns {string} e.g. "1/2/2025 BTC @ €40,000.00"
+ */
+function describeAlertBuy(tx) {
+    const symbol = getAssetInfo(getTransactionAsset(tx)).symbol;
+    return `${new Date(tx.timestamp).toLocaleDateString()} ${symbol} @ ${formatTransactionCurrency(tx.buyPrice, tx.currency)}`;
+}
+
+/**
+ * Describe an alert in words
+ * @param {Object} alert - Alert
+ * @param {Array<Object>} transactions - Saved transactions
+ * @returns {string} e.g. "BTC above €100,000.00"
+ */
+function describeAlert(alert, transactions) {
+    const symbol = getAssetInfo(getAlertAsset(alert)).symbol;
+    if (alert.type === 'price') {
+        return `${symbol} ${alert.condition} ${formatTransactionCurrency(alert.value, alert.currency)}`;
     }
-    if (currencyEl && currencyEl.value) {
-        values.currency = currencyEl.value;
+    if (alert.type === 'change') {
+        return `${symbol} 24h change (${alert.currency}) beyond ±${alert.value}%`;
     }
-    
-    // Get dark mode state from DOM (check if 'dark' class is present on html element)
-    const isDarkMode = document.documentElement.classList.contains('dark');
-    values.darkMode = isDarkMode.toString();
-    
-    // Get auto-refresh state from toggle button
-    const autoRefreshToggle = document.getElementById('autoRefreshToggle');
-    if (autoRefreshToggle) {
-        const isEnabled = autoRefreshToggle.getAttribute('aria-checked') === 'true';
-        values.autoRefresh = isEnabled.toString();
+    const tx = getAlertBuy(alert, transactions);
+    const target = tx ? `buy of ${describeAlertBuy(tx)}` : 'a deleted buy';
+    return `Net profit of ${target} ${alert.condition} ${formatTransactionCurrency(alert.value, alert.currency)}`;
+}
+
+/**
+ * Percentage change between the price 24 hours ago and a current price
+ * @param {string} currency - Currency code
+ * @param {number} price - Current price
+ * @param {string} asset - Key in ASSETS
+ * @returns {Promise<number|null>} Change in percent, or null if the 24h history is unavailable
+ */
+async function get24hChangePercent(currency, price, asset) {
+    const result = await fetchBTCChartData(currency.toLowerCase(), '1d', asset);
+    const prices = result && result.data && result.data.prices;
+    if (!prices || prices.length === 0) {
+        return null;
     }
-    
-    return values;
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    const reference = prices.find(point => point[0] >= dayAgo) || prices[0];
+    return ((price - reference[1]) / reference[1]) * 100;
 }
 
 /**
- * Export all stored data (cookies and localStorage) as a base64-encoded string
- * If consent is not granted, reads current values from DOM instead
- * @returns {string} Base64-encoded JSON string containing all data
+ * Whether a measured value meets an alert's condition
+ * @param {Object} alert - Alert
+ * @param {number} measured - Price, net profit or percent change
+ * @returns {boolean} Whether the alert fires
  */
-function exportData() {
-    try {
-        const data = {
-            version: 1, // For future compatibility
-            timestamp: new Date().toISOString(),
-            cookies: {},
-            localStorage: {}
-        };
-        
-        const consentGranted = hasConsent();
-        
-        if (consentGranted) {
-            // Export cookies (all crypto_calc_* cookies except consent)
-            const cookieNames = ['darkMode', 'autoRefresh', 'investment', 'buyPrice', 'fee', 'currency'];
-            cookieNames.forEach(name => {
-                const fullName = `crypto_calc_${name}`;
-                const value = getCookie(fullName);
-                if (value !== null) {
-                    data.cookies[name] = value;
-                }
-            });
-            
-            // Export localStorage (consent and transactions)
-            try {
-                const consent = localStorage.getItem('crypto_calc_consent');
-                if (consent) {
-                    data.localStorage.consent = consent;
-                }
-                
-                const transactions = localStorage.getItem('crypto_calc_transactions');
-                if (transactions) {
-                    data.localStorage.transactions = transactions;
-                }
-            } catch (e) {
-                console.warn('Could not access localStorage for export:', e);
-            }
-        } else {
-            // If consent not granted, read current values from DOM
-            const domValues = getValuesFromDOM();
-            Object.assign(data.cookies, domValues);
-            
-            // Note: transactions won't be available without consent
-            // as they require localStorage
-        }
-        
-        // Convert to JSON and then to base64
-        const jsonString = JSON.stringify(data);
-        // Use modern approach for UTF-8 encoding before base64
-        const utf8Bytes = new TextEncoder().encode(jsonString);
-        const binaryString = Array.from(utf8Bytes, byte => String.fromCharCode(byte)).join('');
-        const base64String = btoa(binaryString);
-        
-        return base64String;
-    } catch (e) {
-        console.error('Failed to export data:', e);
-        throw new Error('Failed to export data. Please try again.');
+function isAlertConditionMet(alert, measured) {
+    if (alert.condition === 'above') {
+        return measured > alert.value;
     }
+    if (alert.condition === 'below') {
+        return measured < alert.value;
+    }
+    return Math.abs(measured) > Math.abs(alert.value);
 }
 
 /**
- * Import data from a base64-encoded string
- * @param {string} base64String - Base64-encoded JSON string containing data to import
- * @returns {boolean} True if import was successful
+ * Evaluate all active alerts against a newly fetched price
+ * Prices of other assets or in other currencies (for alerts created under another selection or
+ * profit alerts on other buys) are fetched through the regular price cache.
+ * @param {number} price - New price
+ * @param {string} currency - Currency of the new price
+ * @param {string} asset - Asset of the new price (defaults to the selected asset)
  */
-function importData(base64String) {
-    try {
-        // Validate input
-        if (!base64String || typeof base64String !== 'string') {
-            throw new Error('Invalid import data');
+async function checkAlerts(price, currency, asset = getSelectedAsset()) {
+    const now = Date.now();
+    const due = priceAlerts.filter(alert => alert.active && (alert.mode === 'once' || alert.lastTriggered === null ||
+        now - alert.lastTriggered >= alert.cooldownMinutes * 60 * 1000));
+    if (due.length === 0) {
+        return;
+    }
+
+    const transactions = loadTransactions();
+    const prices = new Map([[getPositionKey(asset, currency.toUpperCase()), price]]);
+    const getPrice = async (alertAsset, code) => {
+        const key = getPositionKey(alertAsset, code);
+        if (!prices.has(key)) {
+            prices.set(key, await fetchBTCPrice(code, alertAsset));
         }
-        
-        // Decode base64 and parse JSON using modern approach
-        const binaryString = atob(base64String.trim());
-        const utf8Bytes = Uint8Array.from(binaryString, char => char.charCodeAt(0));
-        const jsonString = new TextDecoder().decode(utf8Bytes);
-        const data = JSON.parse(jsonString);
-        
-        // Validate data structure
-        if (!data.version || !data.cookies || !data.localStorage) {
-            throw new Error('Invalid data format');
+        return prices.get(key);
+    };
+
+    let triggered = false;
+    for (const alert of due) {
+        const currentPrice = await getPrice(getAlertAsset(alert), alert.currency);
+        if (currentPrice === null) {
+            continue;
         }
-        
-        // Import cookies
-        Object.keys(data.cookies).forEach(name => {
-            const fullName = `crypto_calc_${name}`;
-            setCookie(fullName, data.cookies[name], 365);
-        });
-        
-        // Import localStorage
-        try {
-            if (data.localStorage.consent) {
-                localStorage.setItem('crypto_calc_consent', data.localStorage.consent);
+
+        let measured;
+        let detail;
+        if (alert.type === 'price') {
+            measured = currentPrice;
+            detail = `Now ${formatTransactionCurrency(currentPrice, alert.currency)}`;
+        } else if (alert.type === 'profit') {
+            const tx = getAlertBuy(alert, transactions);
+            if (!tx) {
+                continue;
             }
-            
-            if (data.localStorage.transactions) {
-                localStorage.setItem('crypto_calc_transactions', data.localStorage.transactions);
+            measured = calculateTransactionProfit(tx, currentPrice).netProfit;
+            detail = `Net profit ${formatTransactionCurrency(measured, alert.currency)} at ${formatTransactionCurrency(currentPrice, alert.currency)}`;
+        } else {
+            measured = await get24hChangePercent(alert.currency, currentPrice, getAlertAsset(alert));
+            if (measured === null) {
+                continue;
             }
-        } catch (e) {
-            console.warn('Could not access localStorage for import:', e);
+            detail = `24h change ${measured >= 0 ? '+' : ''}${measured.toFixed(2)}% (now ${formatTransactionCurrency(currentPrice, alert.currency)})`;
         }
-        
-        return true;
-    } catch (e) {
-        console.error('Failed to import data:', e);
-        throw new Error('Failed to import data. Please check the format and try again.');
+
+        if (!isAlertConditionMet(alert, measured)) {
+            continue;
+        }
+
+        alert.lastTriggered = now;
+        if (alert.mode === 'once') {
+            alert.active = false;
+        }
+        triggered = true;
+        showAlertNotification(`${describeAlert(alert, transactions)}. ${detail}`);
+    }
+
+    if (triggered) {
+        saveAlerts();
+        renderAlerts(transactions);
     }
 }
 
 /**
- * Copy text to clipboard
- * @param {string} text - Text to copy
- * @returns {Promise<boolean>} True if copy was successful
+ * Announce a triggered alert as a browser notification, or in the page if notifications are unavailable
+ * @param {string} message - Alert message
  */
-async function copyToClipboard(text) {
-    try {
-        // Modern clipboard API
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-            await navigator.clipboard.writeText(text);
-            return true;
+function showAlertNotification(message) {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        try {
+            new Notification('Crypto price alert', { body: message, icon: 'favicon-192.png' });
+            return;
+        } catch (error) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.warn('Notification failed, showing in-page alert instead:', error);
         }
-        
-        // Fallback for older browsers
-        const textArea = document.createElement('textarea');
-        textArea.value = text;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
-        
-        const successful = document.execCommand('copy');
-        document.body.removeChild(textArea);
-        
-        return successful;
-    } catch (e) {
-        console.error('Failed to copy to clipboard:', e);
-        return false;
     }
+    showAlertBanner(message);
 }
 
 /**
- * Share text using Web Share API (mobile)
- * @param {string} text - Text to share
- * @returns {Promise<boolean>} True if share was successful
+ * Show a dismissible in-page alert banner
+ * @param {string} message - Alert message
  */
-async function shareText(text) {
-    try {
-        if (navigator.share) {
-            await navigator.share({
-                title: 'Crypto Calculator Data',
-                text: text
-            });
-            return true;
+function showAlertBanner(message) {
+    const item = document.createElement('div');
+    item.className = 'flex items-start gap-2 p-3 rounded-lg shadow-lg border border-yellow-300 dark:border-yellow-700 bg-yellow-50 dark:bg-yellow-900 text-sm text-gray-800 dark:text-gray-100';
+
+    const text = document.createElement('span');
+    text.className = 'flex-1';
+    text.textContent = `🔔 ${message}`;
+
+    const close = document.createElement('button');
+    close.className = 'px-1 text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-gray-200';
+    close.setAttribute('aria-label', 'Dismiss alert');
+    close.textContent = '✕';
+    close.addEventListener('click', () => item.remove());
+
+    item.append(text, close);
+    document.getElementById('alertBanner').appendChild(item);
+}
+
+/**
+ * Ask for notification permission (from a user action) and show the resulting status
+ */
+async function requestAlertPermission() {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
         }
-        return false;
-    } catch (e) {
-        // User cancelled or share failed
-        console.log('Share cancelled or failed:', e);
-        return false;
     }
+    updateAlertPermissionStatus();
 }
 
 /**
- * Download data as a file
- * @param {string} data - Data to download
- * @param {string} filename - Name of the file
+ * Show whether alerts will use browser notifications or the in-page banner
  */
-function downloadFile(data, filename) {
-    try {
-        // Create a blob from the data
-        const blob = new Blob([data], { type: 'text/plain' });
-        
+function updateAlertPermissionStatus() {
+    const status = document.getElementById('alertPermissionStatus');
+    const granted = typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    status.textContent = granted ? 'Browser notifications on' : 'Shown in the page (notifications not allowed)';
+}
+
+/**
+ * Show the alert form fields for the selected type and mode
+ * @param {Array<Object>} transactions - Saved transactions (defaults to loading them)
+ */
+function updateAlertFormFields(transactions = loadTransactions()) {
+    const type = ALERT_TYPES[document.getElementById('alertType').value];
+    const condition = document.getElementById('alertCondition');
+
+    Array.from(condition.options).forEach(option => {
+        option.hidden = !type.conditions.includes(option.value);
+    });
+    if (!type.conditions.includes(condition.value)) {
+        condition.value = type.conditions[0];
+    }
+
+    document.getElementById('alertValueLabel').textContent = type.valueLabel;
+    document.getElementById('alertTransactionContainer').style.display = type === ALERT_TYPES.profit ? '' : 'none';
+    document.getElementById('alertCooldownContainer').style.display =
+        document.getElementById('alertMode').value === 'repeat' ? '' : 'none';
+
+    // Saved buys to choose from, numbered like their order in the ledger
+    const select = document.getElementById('alertTransaction');
+    const selected = select.value;
+    select.innerHTML = '';
+    transactions.forEach((tx, index) => {
+        if (getTransactionType(tx) === 'buy') {
+            const option = document.createElement('option');
+            option.value = String(tx.timestamp);
+            option.textContent = `#${index + 1} ${describeAlertBuy(tx)}`;
+            select.appendChild(option);
+        }
+    });
+    if (Array.from(select.options).some(option => option.value === selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Create an alert from the alert form
+ */
+async function addAlertFromForm() {
+    const type = document.getElementById('alertType').value;
+    const value = parseFloat(document.getElementById('alertValue').value);
+    const mode = document.getElementById('alertMode').value;
+    const cooldownMinutes = parseInt(document.getElementById('alertCooldown').value, 10);
+
+    if (isNaN(value)) {
+        alert('Please enter a value for the alert');
+        return;
+    }
+    if (type === 'change' && value <= 0) {
+        alert('The 24h change must be greater than zero');
+        return;
+    }
+    if (mode === 'repeat' && (isNaN(cooldownMinutes) || cooldownMinutes < 1)) {
+        alert('Cooldown must be at least 1 minute');
+        return;
+    }
+
+    const newAlert = {
+        id: Date.now(),
+        type,
+        condition: document.getElementById('alertCondition').value,
+        value,
+        asset: getSelectedAsset(),
+        currency: document.getElementById('currency').value,
+        mode,
+        cooldownMinutes: mode === 'repeat' ? cooldownMinutes : DEFAULT_ALERT_COOLDOWN_MINUTES,
+        active: true,
+        lastTriggered: null
+    };
+
+    if (type === 'profit') {
+        const tx = getAlertBuy({ transactionTimestamp: Number(document.getElementById('alertTransaction').value) }, loadTransactions());
+        if (!tx) {
+            alert('Save a buy transaction first to watch its profit');
+            return;
+        }
+        newAlert.transactionTimestamp = tx.timestamp;
+        newAlert.asset = getTransactionAsset(tx);
+        newAlert.currency = tx.currency;
+    }
+
+    priceAlerts.push(newAlert);
+    saveAlerts();
+    renderAlerts();
+    document.getElementById('alertValue').value = '';
+    await requestAlertPermission();
+}
+
+/**
+ * Render the alert list
+ * @param {Array<Object>} transactions - Saved transactions (defaults to loading them)
+ */
+function renderAlerts(transactions = loadTransactions()) {
+    const list = document.getElementById('alertsList');
+    list.innerHTML = '';
+    updateAlertFormFields(transactions);
+    updateAlertPermissionStatus();
+
+    if (priceAlerts.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-gray-500 dark:text-gray-400';
+        empty.textContent = 'No alerts yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    priceAlerts.forEach(priceAlert => {
+        const item = document.createElement('li');
+        item.className = 'flex flex-wrap items-center justify-between gap-2 p-2 rounded border border-gray-200 dark:border-gray-700';
+
+        const mode = priceAlert.mode === 'repeat' ? `repeats, ${priceAlert.cooldownMinutes} min cooldown` : 'once';
+        const status = priceAlert.active ? '' : ' · triggered';
+        const last = priceAlert.lastTriggered ? ` · last ${new Date(priceAlert.lastTriggered).toLocaleString()}` : '';
+
+        const text = document.createElement('span');
+        text.className = priceAlert.active ? 'dark:text-gray-200' : 'text-gray-500 dark:text-gray-400';
+        text.textContent = `${describeAlert(priceAlert, transactions)} (${mode}${status}${last})`;
+
+        const actions = document.createElement('span');
+        actions.className = 'flex gap-2';
+        actions.innerHTML = `
+            <button data-alert-id="${priceAlert.id}" class="toggle-alert px-2 py-1 bg-gray-500 text-white text-xs rounded hover:bg-gray-600 transition">
+                ${priceAlert.active ? 'Pause' : 'Re-arm'}
+            </button>
+            <button data-alert-id="${priceAlert.id}" class="delete-alert px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 transition">
+                Delete
+            </button>
+        `;
+
+        item.append(text, actions);
+        list.appendChild(item);
+    });
+
+    list.querySelectorAll('.toggle-alert').forEach(button => {
+        button.addEventListener('click', function() {
+            const target = priceAlerts.find(a => a.id === Number(this.dataset.alertId));
+            target.active = !target.active;
+            target.lastTriggered = target.active ? null : target.lastTriggered;
+            saveAlerts();
+            renderAlerts();
+        });
+    });
+    list.querySelectorAll('.delete-alert').forEach(button => {
+        button.addEventListener('click', function() {
+            priceAlerts = priceAlerts.filter(a => a.id !== Number(this.dataset.alertId));
+            saveAlerts();
+            renderAlerts();
+        });
+    });
+}
+
+// ========== DCA PLANNER ==========
+
+// Recurring buy intervals: days between buys, or calendar months
+const DCA_INTERVALS = {
+    daily: { days: 1 },
+    weekly: { days: 7 },
+    biweekly: { days: 14 },
+    monthly: { months: 1 }
+};
+
+// Backtest chart instance (invested vs. value)
+let dcaChart = null;
+// Last backtest, kept so its buys can be saved to the ledger
+let dcaBacktest = null;
+
+/**
+ * Read and validate a DCA plan from the planner inputs
+ * The plan uses the asset, currency and fees of the calculator; its own fee field overrides the buy percentage
+ * @returns {{plan: Object|null, error: string|null}} Plan or validation error
+ */
+function readDCAPlan() {
+    const amount = parseFloat(document.getElementById('dcaAmount').value);
+    const interval = document.getElementById('dcaInterval').value;
+    // Plain dates are UTC midnight, which lines up with CoinGecko's daily points
+    const start = new Date(document.getElementById('dcaStartDate').value).getTime();
+    const feeValue = document.getElementById('dcaFee').value;
+    const { fees, error: feeError } = readFeeModel();
+
+    if (isNaN(amount) || amount <= 0) {
+        return { plan: null, error: 'Amount per buy must be greater than zero' };
+    }
+    if (!DCA_INTERVALS[interval]) {
+        return { plan: null, error: 'Please choose a buy interval' };
+    }
+    if (isNaN(start)) {
+        return { plan: null, error: 'Please enter a valid start date' };
+    }
+    if (start > Date.now()) {
+        return { plan: null, error: 'Start date cannot be in the future' };
+    }
+    if (feeError) {
+        return { plan: null, error: feeError };
+    }
+    if (feeValue !== '') {
+        fees.buy = parseFloat(feeValue);
+    }
+    if (isNaN(fees.buy) || fees.buy < 0 || fees.buy >= 100) {
+        return { plan: null, error: 'Fee percentage must be between 0 and 100' };
+    }
+
+    return {
+        plan: {
+            asset: getSelectedAsset(),
+            currency: document.getElementById('currency').value,
+            amount,
+            interval,
+            start,
+            fees,
+            venue: getFeeVenue()
+        },
+        error: null
+    };
+}
+
+/**
+ * Get the scheduled buy times of a plan (UTC calendar arithmetic)
+ * Monthly buys keep the start day, moved to the last day of shorter months
+ * @param {number} start - First buy (timestamp)
+ * @param {string} interval - Key in DCA_INTERVALS
+ * @param {number} end - Latest possible buy (timestamp)
+ * @returns {Array<number>} Buy timestamps, oldest first
+ */
+function getDCABuyDates(start, interval, end) {
+    const { days, months } = DCA_INTERVALS[interval];
+    const first = new Date(start);
+    const dates = [];
+
+    for (let i = 0; ; i++) {
+        const date = new Date(first);
+        if (months) {
+            date.setUTCDate(1);
+            date.setUTCMonth(first.getUTCMonth() + i * months);
+            const monthDays = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            date.setUTCDate(Math.min(first.getUTCDate(), monthDays));
+        } else {
+            date.setUTCDate(first.getUTCDate() + i * days);
+        }
+        if (date.getTime() > end) {
+            return dates;
+        }
+        dates.push(date.getTime());
+    }
+}
+
+/**
+ * Pick the shortest chart range whose history reaches back to a date
+ * @param {number} start - Earliest timestamp needed
+ * @param {number} now - Current timestamp
+ * @returns {string} Key in CHART_RANGES
+ */
+function getDCAChartRange(start, now = Date.now()) {
+    const spanDays = (now - start) / 86400000;
+    return Object.keys(CHART_RANGES).find(key =>
+        CHART_RANGES[key].days === 'max' || Number(CHART_RANGES[key].days) >= spanDays
+    );
+}
+
+/**
+ * Get the price in effect at a time: the last point at or before it
+ * @param {Array<Array<number>>} prices - market_chart [timestamp, price] pairs, oldest first
+ * @param {number} timestamp - Time to price
+ * @returns {number|null} Price, or null before the first point
+ */
+function getPriceAt(prices, timestamp) {
+    let low = 0;
+    let high = prices.length - 1;
+    let found = null;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (prices[mid][0] <= timestamp) {
+            found = prices[mid][1];
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * Backtest a recurring buy plan against historical prices
+ * Each buy invests the plan amount at the price in effect at that time, less the fees
+ * (the same model as a saved buy). Buys before the first price point are skipped.
+ * @param {Array<Array<number>>} prices - market_chart [timestamp, price] pairs, oldest first
+ * @param {Object} plan - Plan from readDCAPlan
+ * @returns {Object|null} Buys, totals and the invested/value series, or null if no buy has a price
+ */
+function backtestDCA(prices, plan) {
+    if (prices.length === 0) {
+        return null;
+    }
+
+    const lastPoint = prices[prices.length - 1];
+    const buys = getDCABuyDates(plan.start, plan.interval, lastPoint[0])
+        .map(timestamp => ({ timestamp, price: getPriceAt(prices, timestamp) }))
+        .filter(buy => buy.price > 0)
+        .map(buy => ({ ...buy, coins: calculateTrade(plan.amount, buy.price, 0, plan.fees).coinsHeld }));
+    if (buys.length === 0) {
+        return null;
+    }
+
+    // Running totals at every price point from the first buy on
+    const series = [];
+    let next = 0;
+    let invested = 0;
+    let coins = 0;
+    prices.forEach(([timestamp, price]) => {
+        while (next < buys.length && buys[next].timestamp <= timestamp) {
+            invested += plan.amount;
+            coins += buys[next].coins;
+            next++;
+        }
+        if (next > 0) {
+            series.push({ x: timestamp, invested, value: coins * price });
+        }
+    });
+
+    const value = coins * lastPoint[1];
+    return {
+        plan,
+        buys,
+        invested,
+        coins,
+        averageCost: invested / coins,
+        price: lastPoint[1],
+        value,
+        profit: value - invested,
+        series
+    };
+}
+
+/**
+ * Turn the buys of a backtest into ledger transactions
+ * @param {Object} backtest - Result of backtestDCA
+ * @returns {Array<Object>} Buy transactions, oldest first
+ */
+function getDCATransactions(backtest) {
+    const { asset, currency, amount, fees, venue } = backtest.plan;
+    return backtest.buys.map(buy => {
+        const tx = {
+            type: 'buy',
+            asset,
+            investment: amount,
+            buyPrice: buy.price,
+            fees: { ...fees },
+            currency,
+            timestamp: buy.timestamp
+        };
+        if (venue) {
+            tx.venue = venue;
+        }
+        return tx;
+    });
+}
+
+/**
+ * Render the backtest totals and chart
+ * @param {Object} backtest - Result of backtestDCA
+ */
+function renderDCAResults(backtest) {
+    const { asset, currency } = backtest.plan;
+    const format = value => formatTransactionCurrency(value, currency);
+    const profitClass = backtest.profit > 0 ? 'text-green-600 dark:text-green-400' :
+                        backtest.profit < 0 ? 'text-red-600 dark:text-red-400' :
+                        'text-gray-800 dark:text-white';
+    const percent = (backtest.profit / backtest.invested) * 100;
+    const items = [
+        ['Buys', String(backtest.buys.length), ''],
+        ['Invested', format(backtest.invested), ''],
+        ['Accumulated', `${backtest.coins.toFixed(8)} ${getAssetInfo(asset).symbol}`, ''],
+        ['Average Cost', format(backtest.averageCost), ''],
+        ['Current Value', format(backtest.value), ''],
+        ['Profit/Loss', `${format(backtest.profit)} (${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%)`, profitClass]
+    ];
+
+    document.getElementById('dcaSummary').innerHTML = items.map(([label, value, valueClass]) => `
+        <div class="bg-gray-50 dark:bg-gray-700 rounded-md p-2">
+            <div class="text-xs text-gray-500 dark:text-gray-400">${label}</div>
+            <div class="font-semibold ${valueClass || 'text-gray-800 dark:text-white'}">${escapeHTML(value)}</div>
+        </div>
+    `).join('');
+    document.getElementById('dcaResults').style.display = 'block';
+    renderDCAChart(backtest);
+}
+
+/**
+ * Draw the invested vs. value chart of a backtest
+ * @param {Object} backtest - Result of backtestDCA
+ */
+function renderDCAChart(backtest) {
+    if (dcaChart) {
+        dcaChart.destroy();
+        dcaChart = null;
+    }
+
+    const currency = backtest.plan.currency.toUpperCase();
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    const gridColor = isDarkMode ? 'rgba(75, 85, 99, 0.3)' : 'rgba(0, 0, 0, 0.1)';
+    const textColor = isDarkMode ? 'rgba(229, 231, 235, 0.8)' : 'rgba(0, 0, 0, 0.8)';
+    const lineColor = isDarkMode ? 'rgba(59, 130, 246, 1)' : 'rgba(37, 99, 235, 1)';
+    const investedColor = isDarkMode ? 'rgba(156, 163, 175, 1)' : 'rgba(107, 114, 128, 1)';
+    const axisDecimals = getCryptoQuoteUnit(currency) ? getCurrencyDecimals(currency) : 0;
+
+    dcaChart = new Chart(document.getElementById('dcaChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Invested',
+                    data: backtest.series.map(point => ({ x: point.x, y: point.invested })),
+                    borderColor: investedColor,
+                    borderWidth: 1.5,
+                    stepped: true,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Value',
+                    data: backtest.series.map(point => ({ x: point.x, y: point.value })),
+                    borderColor: lineColor,
+                    borderWidth: 2,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: textColor,
+                        boxWidth: 12
+                    }
+                },
+                tooltip: {
+                    backgroundColor: isDarkMode ? 'rgba(31, 41, 55, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+                    titleColor: textColor,
+                    bodyColor: textColor,
+                    borderColor: gridColor,
+                    borderWidth: 1,
+                    callbacks: {
+                        title: function(context) {
+                            return new Date(context[0].parsed.x).toLocaleDateString();
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatTransactionCurrency(context.parsed.y, currency)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    grid: { color: gridColor },
+                    ticks: { color: textColor, maxRotation: 0, autoSkip: true, maxTicksLimit: 8 }
+                },
+                y: {
+                    grid: { color: gridColor },
+                    ticks: {
+                        color: textColor,
+                        callback: function(value) {
+                            return formatCurrencyConditionally(value, 'en-US', currency, 0, axisDecimals);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Run the planner: fetch the price history the plan needs and backtest it
+ */
+async function runDCABacktest() {
+    const { plan, error } = readDCAPlan();
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    const status = document.getElementById('dcaStatus');
+    status.textContent = 'Loading price history...';
+
+    const result = await fetchBTCChartData(plan.currency, getDCAChartRange(plan.start), plan.asset);
+    const prices = result && result.data && Array.isArray(result.data.prices) ? result.data.prices : [];
+    const backtest = backtestDCA(prices, plan);
+    if (!backtest) {
+        status.textContent = '';
+        alert('No price history is available for this plan. Please try a later start date or try again later.');
+        return;
+    }
+
+    dcaBacktest = backtest;
+    const firstBuy = new Date(backtest.buys[0].timestamp).toLocaleDateString();
+    status.textContent = `${getAssetInfo(plan.asset).symbol}/${plan.currency.toUpperCase()} since ${firstBuy}`;
+    renderDCAResults(backtest);
+}
+
+/**
+ * Append the buys of the last backtest to the saved transactions
+ * Buys that are already saved (e.g. from saving the same backtest twice) are skipped
+ */
+function saveDCATransactions() {
+    if (!dcaBacktest) return;
+
+    const transactions = loadTransactions();
+    const buys = getDCATransactions(dcaBacktest)
+        .filter(tx => !transactions.some(existing => isDuplicateTransaction(existing, tx)));
+    if (buys.length === 0) {
+        alert('These buys are already in your saved transactions.');
+        return;
+    }
+    if (!confirm(`Add ${buys.length} buys to your saved transactions?`)) {
+        return;
+    }
+
+    if (!saveTransactions(transactions.concat(buys))) {
+        alert('Failed to save transactions. Your browser storage may be disabled or full. Please check your browser settings.');
+        return;
+    }
+
+    alert(`Saved ${buys.length} transactions successfully!`);
+    renderTransactions();
+}
+
+// ========== STORAGE ==========
+
+// IndexedDB database holding settings and transactions once consent is granted
+// (market data for offline use is kept by the service worker, see OFFLINE SUPPORT)
+const STORAGE_DB_NAME = 'crypto_calc';
+const STORAGE_DB_VERSION = 2;
+
+// Object stores and their key paths
+const STORAGE_STORES = {
+    transactions: 'id',
+    settings: 'name'
+};
+
+// Settings record marking that the legacy cookies/localStorage data was moved to IndexedDB
+const STORAGE_MIGRATION_KEY = '__legacyMigrated';
+
+// Non-enumerable property linking a transaction object to its stored record
+const STORAGE_ID = Symbol('storageId');
+
+// In-memory copy of the stored data: reads are synchronous, writes go through to the backend
+const storageState = {
+    backend: null,        // Active backend once initStorage has run
+    settings: new Map(),  // Setting name -> string value
+    transactions: [],     // [{ id, json }] in ledger order
+    nextTransactionId: 1,
+    pending: new Set()    // Writes not yet committed
+};
+
+/**
+ * Read all crypto_calc_* cookies
+ * @returns {Array<Array<string>>} [name without prefix, value] pairs
+ */
+function readLegacyCookies() {
+    return document.cookie.split(';')
+        .map(cookie => cookie.trim())
+        .filter(cookie => cookie.startsWith('crypto_calc_'))
+        .map(cookie => {
+            const eqPos = cookie.indexOf('=');
+            return [cookie.substring('crypto_calc_'.length, eqPos), decodeURIComponent(cookie.substring(eqPos + 1))];
+        });
+}
+
+/**
+ * Read the legacy localStorage transactions array
+ * @returns {Array<Object>} Transactions (empty if none or unreadable)
+ */
+function readLegacyTransactions() {
+    try {
+        const saved = localStorage.getItem('crypto_calc_transactions');
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.error('Failed to load transactions:', e);
+        return [];
+    }
+}
+
+/**
+ * Storage backend on IndexedDB: one record per transaction and setting
+ */
+const indexedDBStorage = {
+    name: 'indexedDB',
+    db: null,
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORAGE_STORES).forEach(([store, keyPath]) => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        db.createObjectStore(store, { keyPath });
+                    }
+                });
+                // Version 1 also cached prices and charts, which the service worker now keeps
+                Array.from(db.objectStoreNames)
+                    .filter(store => !(store in STORAGE_STORES))
+                    .forEach(store => db.deleteObjectStore(store));
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    },
+
+    /**
+     * Run a callback inside an IndexedDB transaction
+     * @param {string|Array<string>} storeNames - Object stores to open
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the stores keyed by name; may return a request whose result is resolved
+     * @returns {Promise<*>} Request result, once the transaction has committed
+     */
+    transact(storeNames, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            const stores = {};
+            [].concat(storeNames).forEach(name => {
+                stores[name] = transaction.objectStore(name);
+            });
+
+            const request = callback(stores);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    },
+
+    async loadSettings() {
+        const records = await this.transact('settings', 'readonly', stores => stores.settings.getAll());
+        return records.map(record => [record.name, record.value]);
+    },
+
+    putSettings(entries) {
+        return this.transact('settings', 'readwrite', stores => {
+            entries.forEach(([name, value]) => stores.settings.put({ name, value }));
+        });
+    },
+
+    async loadTransactions() {
+        // getAll returns records in key order, which is ledger order
+        const records = await this.transact('transactions', 'readonly', stores => stores.transactions.getAll());
+        return records.map(({ id, ...tx }) => ({ id, tx }));
+    },
+
+    writeTransactions(change) {
+        return this.transact('transactions', 'readwrite', stores => {
+            if (change.reset) {
+                stores.transactions.clear();
+            }
+            change.remove.forEach(id => stores.transactions.delete(id));
+            change.put.forEach(record => stores.transactions.put({ ...JSON.parse(record.json), id: record.id }));
+        });
+    },
+
+    /**
+     * Move the legacy cookies and localStorage transactions into IndexedDB (once)
+     * Runs in a single transaction, and the legacy keys are only removed after it commits
+     */
+    async migrateLegacy() {
+        const migrated = await this.transact('settings', 'readonly', stores => stores.settings.get(STORAGE_MIGRATION_KEY));
+        if (migrated) return;
+
+        const cookies = readLegacyCookies();
+        const transactions = readLegacyTransactions();
+
+        await this.transact(['settings', 'transactions'], 'readwrite', stores => {
+            cookies.forEach(([name, value]) => stores.settings.put({ name, value }));
+            transactions.forEach((tx, index) => stores.transactions.put({ ...tx, id: index + 1 }));
+            stores.settings.put({ name: STORAGE_MIGRATION_KEY, value: new Date().toISOString() });
+        });
+
+        cookies.forEach(([name]) => {
+            document.cookie = `crypto_calc_${name}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+        });
+        localStorage.removeItem('crypto_calc_transactions');
+    }
+};
+
+/**
+ * Write a cookie (only with consent)
+ * @param {string} name - Cookie name
+ * @param {string} value - Value (URI-encoded when written)
+ * @param {number} days - Days until the cookie expires
+ */
+function setCookie(name, value, days = 90) {
+    if (!hasConsent()) {
+        return; // Don't set cookie without consent
+    }
+    const expires = new Date();
+    expires.setTime(expires.getTime() + days * 24 * 60 * 60 * 1000);
+    document.cookie = name + '=' + encodeURIComponent(value) + ';expires=' + expires.toUTCString() + ';path=/';
+}
+
+/**
+ * Fallback backend on the original cookies and localStorage key, used when IndexedDB is unavailable
+ */
+const legacyStorage = {
+    name: 'legacy',
+
+    async open() {},
+
+    async loadSettings() {
+        return readLegacyCookies();
+    },
+
+    async putSettings(entries) {
+        entries.forEach(([name, value]) => setCookie(`crypto_calc_${name}`, value, 365));
+    },
+
+    async loadTransactions() {
+        return readLegacyTransactions().map((tx, index) => ({ id: index + 1, tx }));
+    },
+
+    async writeTransactions(change) {
+        localStorage.setItem('crypto_calc_transactions', `[${change.records.map(record => record.json).join(',')}]`);
+    }
+};
+
+/**
+ * Open storage and load settings and transactions into memory
+ * Uses IndexedDB (migrating legacy data on first run) and falls back to cookies/localStorage.
+ * Nothing is opened or read without consent.
+ */
+async function initStorage() {
+    if (!hasConsent()) {
+        return;
+    }
+
+    let backend = legacyStorage;
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            await indexedDBStorage.open();
+            await indexedDBStorage.migrateLegacy();
+            backend = indexedDBStorage;
+        } catch (e) {
+            console.warn('IndexedDB unavailable, falling back to cookies and localStorage:', e);
+        }
+    }
+
+    try {
+        const [settings, transactions] = await Promise.all([backend.loadSettings(), backend.loadTransactions()]);
+        storageState.settings = new Map(settings);
+        storageState.transactions = transactions.map(record => ({ id: record.id, json: JSON.stringify(record.tx) }));
+        storageState.nextTransactionId = transactions.reduce((max, record) => Math.max(max, record.id), 0) + 1;
+    } catch (e) {
+        console.error('Failed to load stored data:', e);
+    }
+    storageState.backend = backend;
+}
+
+/**
+ * Delete all stored data (used when consent is revoked)
+ */
+function clearStorage() {
+    if (indexedDBStorage.db) {
+        indexedDBStorage.db.close();
+        indexedDBStorage.db = null;
+    }
+    if (typeof indexedDB !== 'undefined') {
+        indexedDB.deleteDatabase(STORAGE_DB_NAME);
+    }
+    storageState.backend = null;
+    storageState.settings = new Map();
+    storageState.transactions = [];
+    storageState.nextTransactionId = 1;
+}
+
+/**
+ * Track a backend write so flushStorage can wait for it
+ * @param {Promise} write - Pending write
+ * @param {string} description - What is being saved (for the error message)
+ * @param {boolean} notify - Alert the user if the write fails
+ */
+function trackStorageWrite(write, description, notify = false) {
+    const pending = write
+        .catch(e => {
+            console.error(`Failed to save ${description}:`, e);
+            if (notify) {
+                alert(`Failed to save ${description}. Your browser storage may be disabled or full.`);
+            }
+        })
+        .finally(() => storageState.pending.delete(pending));
+    storageState.pending.add(pending);
+}
+
+/**
+ * Wait until all pending writes are committed (e.g. before reloading the page)
+ * @returns {Promise<void>}
+ */
+async function flushStorage() {
+    await Promise.all(Array.from(storageState.pending));
+}
+
+/**
+ * Get a stored setting
+ * @param {string} name - Setting name (e.g. 'currency')
+ * @returns {string|null} Stored value, or null if not set or no consent
+ */
+function getSetting(name) {
+    if (!hasConsent()) {
+        return null; // Don't read stored data without consent
+    }
+    const value = storageState.settings.get(name);
+    return value === undefined ? null : value;
+}
+
+/**
+ * Store a setting
+ * @param {string} name - Setting name (e.g. 'currency')
+ * @param {*} value - Value (stored as a string)
+ */
+function setSetting(name, value) {
+    if (!hasConsent() || !storageState.backend) {
+        return; // Don't store data without consent
+    }
+    storageState.settings.set(name, String(value));
+    trackStorageWrite(storageState.backend.putSettings([[name, String(value)]]), `setting "${name}"`);
+}
+
+// ========== OFFLINE SUPPORT ==========
+
+// Service worker cache holding the last successful API responses (DATA_CACHE in sw.js)
+const OFFLINE_DATA_CACHE = 'crypto-calc-data';
+
+// Labels for the data shown in the stale indicator
+const STALE_DATA_LABELS = {
+    price: 'price',
+    chart: 'chart',
+    news: 'news',
+    summary: 'AI summary'
+};
+
+// Data currently shown from an offline copy: kind -> time the copy was fetched (ms)
+const staleData = new Map();
+
+/**
+ * Register the service worker (app shell precache + offline data copies)
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) {
+        return;
+    }
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Read the newest stored copy of an API response kept by the service worker
+ * @param {Array<string>} urls - Request URLs that return the same data (e.g. worker and public API)
+ * @returns {Promise<{data: *, cachedAt: number}|null>} Parsed body and fetch time, or null if none
+ */
+async function getOfflineData(urls) {
+    if (typeof caches === 'undefined') {
+        return null;
+    }
+    try {
+        const cache = await caches.open(OFFLINE_DATA_CACHE);
+        let newest = null;
+        for (const url of urls) {
+            const response = await cache.match(url);
+            if (!response) {
+                continue;
+            }
+            const cachedAt = parseInt(response.headers.get('X-Cached-At'), 10) || 0;
+            if (!newest || cachedAt > newest.cachedAt) {
+                newest = { data: await response.json(), cachedAt };
+            }
+        }
+        return newest;
+    } catch (e) {
+        console.warn('Failed to read offline data:', e);
+        return null;
+    }
+}
+
+/**
+ * Record that a kind of data is being shown from an offline copy
+ * @param {string} kind - Key in STALE_DATA_LABELS
+ * @param {number} since - Time the copy was fetched (ms)
+ */
+function markDataStale(kind, since) {
+    staleData.set(kind, since);
+    updateStaleIndicator();
+}
+
+/**
+ * Record that a kind of data was fetched fresh
+ * @param {string} kind - Key in STALE_DATA_LABELS
+ */
+function markDataFresh(kind) {
+    if (staleData.delete(kind)) {
+        updateStaleIndicator();
+    }
+}
+
+/**
+ * Show which data is stale and since when, or that the browser is offline
+ */
+function updateStaleIndicator() {
+    const indicator = document.getElementById('staleIndicator');
+    if (!indicator) return;
+
+    if (staleData.size > 0) {
+        const oldest = Math.min(...staleData.values());
+        const kinds = Array.from(staleData.keys()).map(kind => STALE_DATA_LABELS[kind]).join(', ');
+        const since = oldest > 0 ? new Date(oldest).toLocaleString() : 'an earlier visit';
+        indicator.textContent = `⚠️ Offline – showing ${kinds} stale since ${since}. Data will refresh when the connection returns.`;
+        indicator.style.display = 'block';
+    } else if (!navigator.onLine) {
+        indicator.textContent = '⚠️ You are offline – prices will update when the connection returns.';
+        indicator.style.display = 'block';
+    } else {
+        indicator.style.display = 'none';
+    }
+}
+
+/**
+ * Refresh stale data once the connection returns
+ */
+async function handleConnectionRestored() {
+    updateStaleIndicator();
+    if (staleData.has('price') || staleData.has('chart')) {
+        try {
+            await refreshChartAndPrice();
+        } catch (error) {
+            console.error('Refresh after reconnecting failed:', error);
+        }
+    }
+    if (staleData.has('news')) {
+        await loadNews(true);
+    }
+}
+
+// ========== EXPORT/IMPORT FUNCTIONALITY ==========
+
+/**
+ * Get current values from DOM elements
+ * @returns {object} Object with current form values
+ */
+function getValuesFromDOM() {
+    const values = {};
+    
+    // Get form values from DOM
+    const investmentEl = document.getElementById('investment');
+    const buyPriceEl = document.getElementById('buyPrice');
+    const feeEl = document.getElementById('fee');
+    const currencyEl = document.getElementById('currency');
+    
+    if (investmentEl && investmentEl.value) {
+        values.investment = investmentEl.value;
+    }
+    if (buyPriceEl && buyPriceEl.value) {
+        values.buyPrice = buyPriceEl.value;
+    }
+    if (feeEl && feeEl.value) {
+        values.fee = feeEl.value;
+    }
+    Object.entries(FEE_SETTING_INPUTS).forEach(([name, id]) => {
+        const element = document.getElementById(id);
+        if (element && element.value) {
+            values[name] = element.value;
+        }
+    });
+    if (currencyEl && currencyEl.value) {
+        values.currency = currencyEl.value;
+    }
+    values.asset = getSelectedAsset();
+    
+    // Get dark mode state from DOM (check if 'dark' class is present on html element)
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    values.darkMode = isDarkMode.toString();
+    
+    // Get cost basis method from the transactions section
+    const costBasisMethodEl = document.getElementById('costBasisMethod');
+    if (costBasisMethodEl && costBasisMethodEl.value) {
+        values.costMethod = costBasisMethodEl.value;
+    }
+    
+    // Get chart range and mode
+    values.chartRange = chartState.range;
+    values.chartMode = chartState.mode;
+    values.chartBuys = String(chartState.showBuys);
+    values.chartIndicators = JSON.stringify(indicatorSettings);
+    values.alerts = JSON.stringify(priceAlerts);
+    values.feePresets = JSON.stringify(customFeePresets);
+    values.feePreset = JSON.stringify(getFeePresetSelection());
+    
+    // Get auto-refresh state from toggle button
+    const autoRefreshToggle = document.getElementById('autoRefreshToggle');
+    if (autoRefreshToggle) {
+        const isEnabled = autoRefreshToggle.getAttribute('aria-checked') === 'true';
+        values.autoRefresh = isEnabled.toString();
+    }
+    
+    return values;
+}
+
+// Current backup format version written by exportData
+const BACKUP_VERSION = 3;
+
+// Settings (crypto_calc_* cookies, without the prefix) included in backups
+const BACKUP_SETTING_NAMES = ['darkMode', 'autoRefresh', 'investment', 'buyPrice', 'fee', 'sellFee', 'fixedFee', 'withdrawalFee', 'spread', 'feePreset', 'feePresets', 'currency', 'asset', 'costMethod', 'holdingPeriod', 'chartRange', 'chartMode', 'chartBuys', 'chartIndicators', 'alerts'];
+
+// Fields each transaction type must carry
+const TRANSACTION_REQUIRED_FIELDS = {
+    'buy': ['investment', 'buyPrice', 'fees'],
+    'sell': ['amount', 'sellPrice', 'fees'],
+    'transfer-in': ['amount', 'buyPrice', 'fee'],
+    'transfer-out': ['amount', 'fee']
+};
+
+// Version 2 trades carried a single fee percentage instead of the fee model
+const LEGACY_TRANSACTION_REQUIRED_FIELDS = {
+    ...TRANSACTION_REQUIRED_FIELDS,
+    'buy': ['investment', 'buyPrice', 'fee'],
+    'sell': ['amount', 'sellPrice', 'fee']
+};
+
+/**
+ * Build the JSON schema for a backup format version
+ * @param {number} version - Backup format version
+ * @returns {Object} Schema understood by validateSchema
+ */
+function getBackupSchema(version) {
+    if (version === 1) {
+        // Version 1 stored raw cookie and localStorage strings
+        return {
+            type: 'object',
+            required: ['version', 'cookies', 'localStorage'],
+            properties: {
+                version: { type: 'number', enum: [1] },
+                timestamp: { type: 'string' },
+                cookies: { type: 'object', additionalProperties: { type: 'string' } },
+                localStorage: {
+                    type: 'object',
+                    properties: {
+                        consent: { type: 'string' },
+                        transactions: { type: 'string' }
+                    }
+                }
+            }
+        };
+    }
+
+    const settings = {};
+    BACKUP_SETTING_NAMES.forEach(name => {
+        settings[name] = { type: 'string' };
+    });
+    const amount = { type: 'number', minimum: 0 };
+    const requiredByType = version === 2 ? LEGACY_TRANSACTION_REQUIRED_FIELDS : TRANSACTION_REQUIRED_FIELDS;
+    const fees = {
+        type: 'object',
+        required: Object.keys(NO_FEES),
+        additionalProperties: false,
+        properties: {}
+    };
+    Object.keys(NO_FEES).forEach(name => {
+        fees.properties[name] = amount;
+    });
+
+    return {
+        type: 'object',
+        required: ['version', 'timestamp', 'checksum', 'cookies', 'localStorage'],
+        properties: {
+            version: { type: 'number', enum: [version] },
+            timestamp: { type: 'string' },
+            checksum: { type: 'string' },
+            cookies: { type: 'object', properties: settings, additionalProperties: false },
+            localStorage: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    consent: { type: 'string' },
+                    transactions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['currency', 'timestamp'],
+                            requiredByType,
+                            properties: {
+                                type: { type: 'string', enum: Object.keys(TRANSACTION_REQUIRED_FIELDS) },
+                                asset: { type: 'string' },
+                                investment: amount,
+                                buyPrice: amount,
+                                sellPrice: amount,
+                                amount: amount,
+                                fee: amount,
+                                fees,
+                                venue: { type: 'string' },
+                                currency: { type: 'string' },
+                                timestamp: { type: 'number' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Validate a value against a minimal JSON schema
+ * Supports type, enum, minimum, required, properties, additionalProperties, items,
+ * and requiredByType (per-transaction-type required fields, untyped records count as buys)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateSchema(value, schema, path = 'backup') {
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (schema.type && actualType !== schema.type) {
+        return [`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+
+    const errors = [];
+    if (actualType === 'number' && !isFinite(value)) {
+        errors.push(`${path} must be a finite number`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+
+    if (actualType === 'object') {
+        const required = (schema.required || []).concat(
+            schema.requiredByType ? schema.requiredByType[value.type || 'buy'] || [] : []
+        );
+        required.forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const propertySchema = (schema.properties || {})[key];
+            if (propertySchema) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (schema.additionalProperties) {
+                errors.push(...validateSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+// Upgrades from each backup version to the next one
+const BACKUP_MIGRATIONS = {
+    // Version 1 -> 2: transactions become a JSON array, unknown settings are dropped
+    1: data => {
+        let transactions;
+        if (data.localStorage.transactions !== undefined) {
+            try {
+                transactions = JSON.parse(data.localStorage.transactions);
+            } catch (e) {
+                throw new Error('The transactions in this backup are corrupted.');
+            }
+        }
+
+        const cookies = {};
+        BACKUP_SETTING_NAMES.forEach(name => {
+            if (data.cookies[name] !== undefined) {
+                cookies[name] = data.cookies[name];
+            }
+        });
+
+        const localStorageData = {};
+        if (data.localStorage.consent !== undefined) {
+            localStorageData.consent = data.localStorage.consent;
+        }
+        if (transactions !== undefined) {
+            localStorageData.transactions = transactions;
+        }
+
+        return {
+            version: 2,
+            timestamp: data.timestamp || new Date(0).toISOString(),
+            cookies,
+            localStorage: localStorageData
+        };
+    },
+    // Version 2 -> 3: the single trade fee becomes the fee model (same buy and sell percentage)
+    2: data => {
+        const localStorageData = { ...data.localStorage };
+        if (localStorageData.transactions !== undefined) {
+            localStorageData.transactions = localStorageData.transactions.map(tx => migrateTransactionFees({ ...tx }));
+        }
+        return { ...data, version: 3, localStorage: localStorageData };
+    }
+};
+
+/**
+ * Calculate the CRC-32 checksum of a string (UTF-8)
+ * @param {string} text - Text to checksum
+ * @returns {string} 8-digit hex checksum
+ */
+function crc32(text) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of new TextEncoder().encode(text)) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Calculate the checksum of a backup's contents (everything except the checksum itself)
+ * @param {Object} data - Backup object
+ * @returns {string} Checksum
+ */
+function getBackupChecksum(data) {
+    return crc32(JSON.stringify({ ...data, checksum: undefined }));
+}
+
+/**
+ * Encode a backup object as base64 (UTF-8 JSON)
+ * @param {Object} data - Backup object
+ * @returns {string} Base64 string
+ */
+function encodeBackup(data) {
+    const utf8Bytes = new TextEncoder().encode(JSON.stringify(data));
+    const binaryString = Array.from(utf8Bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binaryString);
+}
+
+/**
+ * Decode a base64 data code into its JSON object
+ * @param {string} base64String - Exported data code
+ * @returns {Object} Decoded object
+ * @throws {Error} If the code is not valid base64-encoded JSON
+ */
+function decodeBackup(base64String) {
+    try {
+        const binaryString = atob(base64String.replace(/\s+/g, ''));
+        const utf8Bytes = Uint8Array.from(binaryString, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(utf8Bytes));
+    } catch (e) {
+        throw new Error('The import code could not be read. It may be incomplete - make sure you copied all of it.');
+    }
+}
+
+/**
+ * Decode, validate, checksum-verify and migrate a backup to the current version
+ * @param {string} base64String - Exported data code
+ * @returns {{backup: Object, sourceVersion: number}} Current-version backup and the version it was written in
+ * @throws {Error} With a user-facing message describing what is wrong
+ */
+function parseBackup(base64String) {
+    if (!base64String || typeof base64String !== 'string' || !base64String.trim()) {
+        throw new Error('The import code is empty.');
+    }
+
+    const data = decodeBackup(base64String);
+    if (isEncryptedBackupData(data)) {
+        throw new Error('This backup is encrypted. Enter its passphrase to import it.');
+    }
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        throw new Error('This is not a Crypto Calculator backup.');
+    }
+    if (data.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of the calculator. Please reload the page and try again.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error(`Unknown backup version: ${data.version}`);
+    }
+
+    const sourceVersion = data.version;
+    const sourceErrors = validateSchema(data, getBackupSchema(sourceVersion));
+    if (sourceErrors.length > 0) {
+        throw new Error(`The backup is invalid:\n${sourceErrors.slice(0, 5).join('\n')}`);
+    }
+    if (data.checksum !== undefined && data.checksum !== getBackupChecksum(data)) {
+        throw new Error('The backup checksum does not match. The code was probably truncated or edited - copy it again from the original.');
+    }
+
+    let backup = data;
+    while (backup.version < BACKUP_VERSION) {
+        backup = BACKUP_MIGRATIONS[backup.version](backup);
+    }
+    backup.checksum = getBackupChecksum(backup);
+
+    const errors = validateSchema(backup, getBackupSchema(BACKUP_VERSION));
+    if (errors.length > 0) {
+        throw new Error(`The backup is invalid:\n${errors.slice(0, 5).join('\n')}`);
+    }
+
+    return { backup, sourceVersion };
+}
+
+/**
+ * Export all stored data (cookies and localStorage) as a base64-encoded string
+ * If consent is not granted, reads current values from DOM instead
+ * @returns {string} Base64-encoded JSON string containing all data
+ */
+function exportData() {
+    try {
+        const data = {
+            version: BACKUP_VERSION,
+            timestamp: new Date().toISOString(),
+            cookies: {},
+            localStorage: {}
+        };
+        
+        const consentGranted = hasConsent();
+        
+        if (consentGranted) {
+            // Export cookies (all crypto_calc_* cookies except consent)
+            BACKUP_SETTING_NAMES.forEach(name => {
+                const value = getSetting(name);
+                if (value !== null) {
+                    data.cookies[name] = value;
+                }
+            });
+            
+            // Export localStorage (consent and transactions)
+            try {
+                const consent = localStorage.getItem('crypto_calc_consent');
+                if (consent) {
+                    data.localStorage.consent = consent;
+                }
+            } catch (e) {
+                console.warn('Could not access localStorage for export:', e);
+            }
+            data.localStorage.transactions = loadTransactions();
+        } else {
+            // If consent not granted, read current values from DOM
+            const domValues = getValuesFromDOM();
+            Object.assign(data.cookies, domValues);
+            
+            // Note: transactions won't be available without consent
+            // as they require localStorage
+        }
+        
+        data.checksum = getBackupChecksum(data);
+        return encodeBackup(data);
+    } catch (e) {
+        console.error('Failed to export data:', e);
+        throw new Error('Failed to export data. Please try again.');
+    }
+}
+
+/**
+ * Work out what importing a backup would change, without writing anything (dry run)
+ * @param {Object} backup - Current-version backup from parseBackup
+ * @param {string} mode - 'merge' (keep current data, append new transactions) or 'replace'
+ * @returns {Object} Plan with settings changes, resulting transactions and counts
+ */
+function planDataImport(backup, mode) {
+    const settings = [];
+    Object.keys(backup.cookies).forEach(name => {
+        const current = getSetting(name);
+        const incoming = backup.cookies[name];
+        if (current === incoming || (mode === 'merge' && current !== null)) return;
+        settings.push({ name, from: current, to: incoming });
+    });
+
+    const current = loadTransactions();
+    const incoming = backup.localStorage.transactions;
+    let transactions = current;
+    let added = 0;
+    let duplicates = 0;
+
+    if (incoming !== undefined && mode === 'replace') {
+        transactions = incoming;
+        added = incoming.length;
+    } else if (incoming !== undefined) {
+        transactions = current.slice();
+        incoming.forEach(tx => {
+            if (transactions.some(existing => isDuplicateTransaction(existing, tx))) {
+                duplicates++;
+            } else {
+                transactions.push(tx);
+                added++;
+            }
+        });
+    }
+
+    return {
+        mode,
+        backup,
+        settings,
+        consent: backup.localStorage.consent,
+        transactions,
+        hasTransactions: incoming !== undefined,
+        counts: {
+            current: current.length,
+            incoming: incoming ? incoming.length : 0,
+            added,
+            duplicates,
+            removed: incoming !== undefined && mode === 'replace' ? current.length : 0
+        },
+        shortfall: findLedgerShortfall(transactions)
+    };
+}
+
+/**
+ * Write an import plan to storage
+ * @param {Object} plan - Plan from planDataImport
+ * @returns {Promise<void>} Resolves once the data is committed
+ */
+async function applyDataImport(plan) {
+    plan.settings.forEach(setting => {
+        setSetting(setting.name, setting.to);
+    });
+
+    try {
+        if (plan.consent) {
+            localStorage.setItem('crypto_calc_consent', plan.consent);
+        }
+    } catch (e) {
+        console.warn('Could not access localStorage for import:', e);
+    }
+
+    if (plan.hasTransactions && !saveTransactions(plan.transactions)) {
+        throw new Error('Failed to save the imported transactions. Your browser storage may be disabled or full.');
+    }
+    await flushStorage();
+}
+
+// Key derivation and cipher settings for passphrase-encrypted backups
+const BACKUP_ENCRYPTION = {
+    iterations: 600000, // PBKDF2-SHA256 work factor (OWASP recommendation)
+    minIterations: 100000, // Accepted range when decrypting: backups are untrusted input
+    maxIterations: 10000000,
+    saltBytes: 16,
+    ivBytes: 12,
+    minPassphraseLength: 8
+};
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64String - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64String) {
+    return Uint8Array.from(atob(base64String), char => char.charCodeAt(0));
+}
+
+/**
+ * Check whether a decoded data code is an encrypted backup envelope
+ * @param {Object} data - Decoded data code
+ * @returns {boolean} True if encrypted
+ */
+function isEncryptedBackupData(data) {
+    return !!data && data.encrypted === true;
+}
+
+/**
+ * Check whether a data code holds an encrypted backup
+ * @param {string} base64String - Exported data code
+ * @returns {boolean} True if encrypted
+ */
+function isEncryptedBackup(base64String) {
+    try {
+        return isEncryptedBackupData(decodeBackup(base64String));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} AES-256-GCM key
+ */
+async function deriveBackupKey(passphrase, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Check the key derivation parameters of an encrypted backup before deriving its key
+ * The file is untrusted: a huge iteration count would freeze the page, and malformed
+ * values would only fail deep inside WebCrypto
+ * @param {Object} kdf - Key derivation parameters from the backup envelope
+ * @returns {boolean} True if the parameters are supported
+ */
+function isSupportedBackupKdf(kdf) {
+    return !!kdf && kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' && typeof kdf.salt === 'string' &&
+        Number.isInteger(kdf.iterations) &&
+        kdf.iterations >= BACKUP_ENCRYPTION.minIterations &&
+        kdf.iterations <= BACKUP_ENCRYPTION.maxIterations;
+}
+
+/**
+ * Encrypt a data code with a passphrase
+ * The result is itself a data code wrapping the ciphertext and the parameters needed to decrypt it
+ * @param {string} base64String - Plain data code from exportData
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} Encrypted data code
+ */
+async function encryptBackup(base64String, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(BACKUP_ENCRYPTION.saltBytes));
+    const iv = crypto.getRandomValues(new Uint8Array(BACKUP_ENCRYPTION.ivBytes));
+    const key = await deriveBackupKey(passphrase, salt, BACKUP_ENCRYPTION.iterations);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(base64String)
+    );
+
+    return encodeBackup({
+        encrypted: true,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_ENCRYPTION.iterations, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: bytesToBase64(new Uint8Array(ciphertext))
+    });
+}
+
+/**
+ * Decrypt an encrypted data code
+ * @param {string} base64String - Encrypted data code from encryptBackup
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} Plain data code
+ * @throws {Error} If the passphrase is wrong or the backup is damaged
+ */
+async function decryptBackup(base64String, passphrase) {
+    const envelope = decodeBackup(base64String);
+    if (!isEncryptedBackupData(envelope) || envelope.version !== 1 ||
+        !isSupportedBackupKdf(envelope.kdf) || !envelope.cipher || envelope.cipher.name !== 'AES-GCM') {
+        throw new Error('Unsupported encrypted backup format.');
+    }
+
+    try {
+        const key = await deriveBackupKey(passphrase, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) },
+            key,
+            base64ToBytes(envelope.data)
+        );
+        return new TextDecoder().decode(plaintext);
+    } catch (e) {
+        // AES-GCM authentication fails for both a wrong passphrase and modified ciphertext
+        throw new Error('Wrong passphrase, or the encrypted backup is damaged.');
+    }
+}
+
+/**
+ * Ask the user for a passphrase in the passphrase dialog
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Dialog title
+ * @param {string} options.message - Explanation shown under the title
+ * @param {boolean} options.confirm - Ask for the passphrase twice and enforce the minimum length (for encryption)
+ * @returns {Promise<string|null>} Passphrase, or null if cancelled
+ */
+function requestPassphrase({ title, message, confirm = false }) {
+    const modal = document.getElementById('passphraseModal');
+    const form = document.getElementById('passphraseForm');
+    const input = document.getElementById('passphraseInput');
+    const confirmInput = document.getElementById('passphraseConfirmInput');
+    const error = document.getElementById('passphraseError');
+    const cancelButton = document.getElementById('cancelPassphrase');
+
+    document.getElementById('passphraseTitle').textContent = title;
+    document.getElementById('passphraseMessage').textContent = message;
+    document.getElementById('passphraseConfirmContainer').style.display = confirm ? 'block' : 'none';
+    input.value = '';
+    confirmInput.value = '';
+    error.style.display = 'none';
+    modal.style.display = 'flex';
+    input.focus();
+
+    return new Promise(resolve => {
+        const finish = value => {
+            form.removeEventListener('submit', onSubmit);
+            cancelButton.removeEventListener('click', onCancel);
+            input.value = '';
+            confirmInput.value = '';
+            modal.style.display = 'none';
+            resolve(value);
+        };
+        const showError = text => {
+            error.textContent = text;
+            error.style.display = 'block';
+        };
+        const onSubmit = event => {
+            event.preventDefault();
+            if (confirm && input.value.length < BACKUP_ENCRYPTION.minPassphraseLength) {
+                showError(`Use at least ${BACKUP_ENCRYPTION.minPassphraseLength} characters.`);
+            } else if (confirm && input.value !== confirmInput.value) {
+                showError('The passphrases do not match.');
+            } else if (!input.value) {
+                showError('Enter the passphrase.');
+            } else {
+                finish(input.value);
+            }
+        };
+        const onCancel = () => finish(null);
+
+        form.addEventListener('submit', onSubmit);
+        cancelButton.addEventListener('click', onCancel);
+    });
+}
+
+/**
+ * Export data for sharing or download, encrypting it when the encrypt option is checked
+ * @returns {Promise<string|null>} Data code, or null if the user cancelled the passphrase dialog
+ */
+async function getExportCode() {
+    const exportedData = exportData();
+    const encryptToggle = document.getElementById('encryptExport');
+    if (!encryptToggle || !encryptToggle.checked) {
+        return exportedData;
+    }
+
+    const passphrase = await requestPassphrase({
+        title: 'Encrypt Backup',
+        message: 'Choose a passphrase. You will need it to import this backup - it cannot be recovered if lost.',
+        confirm: true
+    });
+    if (passphrase === null) {
+        return null;
+    }
+    return encryptBackup(exportedData, passphrase);
+}
+
+/**
+ * Copy text to clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if copy was successful
+ */
+async function copyToClipboard(text) {
+    try {
+        // Modern clipboard API
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        }
+        
+        // Fallback for older browsers
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-999999px';
+        textArea.style.top = '-999999px';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        
+        const successful = document.execCommand('copy');
+        document.body.removeChild(textArea);
+        
+        return successful;
+    } catch (e) {
+        console.error('Failed to copy to clipboard:', e);
+        return false;
+    }
+}
+
+/**
+ * Share text using Web Share API (mobile)
+ * @param {string} text - Text to share
+ * @returns {Promise<boolean>} True if share was successful
+ */
+async function shareText(text) {
+    try {
+        if (navigator.share) {
+            await navigator.share({
+                title: 'Crypto Calculator Data',
+                text: text
+            });
+            return true;
+        }
+        return false;
+    } catch (e) {
+        // User cancelled or share failed
+        console.log('Share cancelled or failed:', e);
+        return false;
+    }
+}
+
+/**
+ * Download data as a file
+ * @param {string} data - Data to download
+ * @param {string} filename - Name of the file
+ * @param {string} mimeType - MIME type of the file (default: 'text/plain')
+ */
+function downloadFile(data, filename, mimeType = 'text/plain') {
+    try {
+        // Create a blob from the data
+        const blob = new Blob([data], { type: mimeType });
+        
         // Create a temporary URL for the blob
         const url = URL.createObjectURL(blob);
         
-        // Create a temporary anchor element
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.style.display = 'none';
+        // Create a temporary anchor element
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.style.display = 'none';
+        
+        // Append to document, click, and remove
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        
+        // Release the URL
+        URL.revokeObjectURL(url);
+        
+        return true;
+    } catch (e) {
+        console.error('Failed to download file:', e);
+        return false;
+    }
+}
+
+/**
+ * Handle share button click - shares data via clipboard or Web Share API
+ */
+async function handleShare() {
+    try {
+        const exportedData = await getExportCode();
+        if (exportedData === null) {
+            return; // Passphrase dialog cancelled
+        }
+        
+        // Try to share using Web Share API first (works on mobile and some desktop browsers)
+        if (navigator.share) {
+            try {
+                const shared = await shareText(exportedData);
+                if (shared) {
+                    alert('Data ready to share!');
+                    return;
+                }
+                // If shareText returns false, fall through to clipboard
+                console.log('Share not supported, trying clipboard');
+            } catch (e) {
+                // User cancelled or error occurred, fall through to clipboard
+                console.log('Share cancelled or failed, trying clipboard:', e.message);
+            }
+        }
+        
+        // Fallback to copy to clipboard
+        const copied = await copyToClipboard(exportedData);
+        if (copied) {
+            alert('Data copied to clipboard!\n\nYou can now paste it to save or share.');
+        } else {
+            // Last resort: show in a dialog for manual copy
+            const message = 'Copy this data to save or share:\n\n' + exportedData;
+            prompt(message, exportedData);
+        }
+    } catch (e) {
+        alert(e.message || 'Failed to share data');
+    }
+}
+
+/**
+ * Handle download button click - downloads data as a file
+ */
+async function handleDownload() {
+    try {
+        const exportedData = await getExportCode();
+        if (exportedData === null) {
+            return; // Passphrase dialog cancelled
+        }
+        
+        // Generate filename with timestamp
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const suffix = isEncryptedBackup(exportedData) ? '-encrypted' : '';
+        const filename = `crypto-calculator-data-${timestamp}${suffix}.txt`;
         
-        // Append to document, click, and remove
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        // Try to download the file
+        const downloaded = downloadFile(exportedData, filename);
+        
+        if (downloaded) {
+            alert('Data downloaded successfully!\n\nFile: ' + filename);
+        } else {
+            // Fallback: try to copy to clipboard instead
+            const copied = await copyToClipboard(exportedData);
+            if (copied) {
+                alert('Download not supported by your browser.\n\nData copied to clipboard instead!');
+            } else {
+                // Last resort: show in a dialog for manual copy
+                const message = 'Copy this data to save:\n\n' + exportedData;
+                prompt(message, exportedData);
+            }
+        }
+    } catch (e) {
+        alert(e.message || 'Failed to download data');
+    }
+}
+
+// Import plan currently shown in the import dialog preview
+let dataImportPlan = null;
+// Last decrypted backup, so changing the import mode does not ask for the passphrase again
+let dataImportDecrypted = { code: null, plainCode: null };
+// Incremented on every preview refresh so slower (decrypting) refreshes cannot overwrite newer ones
+let dataImportRefreshId = 0;
+
+/**
+ * Handle import button click - opens the import dialog
+ */
+function handleImport() {
+    // Check for consent first
+    if (!hasConsent()) {
+        alert('Please accept cookie consent first before importing data.');
+        return;
+    }
+    
+    document.getElementById('dataImportInput').value = '';
+    document.getElementById('dataImportFile').value = '';
+    dataImportDecrypted = { code: null, plainCode: null };
+    refreshDataImportPreview();
+    document.getElementById('dataImportModal').style.display = 'flex';
+}
+
+/**
+ * Close the data import dialog
+ */
+function closeDataImport() {
+    document.getElementById('dataImportModal').style.display = 'none';
+}
+
+/**
+ * Get the selected import mode
+ * @returns {string} 'merge' or 'replace'
+ */
+function getDataImportMode() {
+    const checked = document.querySelector('input[name="dataImportMode"]:checked');
+    return checked ? checked.value : 'merge';
+}
+
+/**
+ * Decrypt the pasted backup, asking for its passphrase unless it was already unlocked
+ * @param {string} code - Encrypted data code
+ * @returns {Promise<string>} Plain data code
+ */
+async function getDecryptedImportCode(code) {
+    if (dataImportDecrypted.code === code) {
+        return dataImportDecrypted.plainCode;
+    }
+
+    const passphrase = await requestPassphrase({
+        title: 'Unlock Backup',
+        message: 'This backup is encrypted. Enter the passphrase it was exported with.'
+    });
+    if (passphrase === null) {
+        throw new Error('This backup is encrypted. Enter its passphrase to preview it.');
+    }
+
+    const plainCode = await decryptBackup(code, passphrase);
+    dataImportDecrypted = { code, plainCode };
+    return plainCode;
+}
+
+/**
+ * Dry-run the pasted backup and show what the import would change
+ */
+async function refreshDataImportPreview() {
+    const refreshId = ++dataImportRefreshId;
+    const preview = document.getElementById('dataImportPreview');
+    const confirmButton = document.getElementById('confirmDataImport');
+    const code = document.getElementById('dataImportInput').value;
+
+    dataImportPlan = null;
+    confirmButton.disabled = true;
+    preview.innerHTML = '';
+
+    if (!code.trim()) {
+        preview.textContent = 'Paste a code or choose a file to preview the changes.';
+        return;
+    }
+
+    const encrypted = isEncryptedBackup(code);
+    let parsed;
+    try {
+        parsed = parseBackup(encrypted ? await getDecryptedImportCode(code) : code);
+    } catch (e) {
+        if (refreshId !== dataImportRefreshId) return;
+
+        const error = document.createElement('p');
+        error.className = 'text-red-600 dark:text-red-400 whitespace-pre-line';
+        error.textContent = e.message;
+        preview.appendChild(error);
+
+        if (encrypted) {
+            const retryButton = document.createElement('button');
+            retryButton.type = 'button';
+            retryButton.className = 'mt-2 text-sm text-blue-600 dark:text-blue-400 hover:underline';
+            retryButton.textContent = '🔑 Enter passphrase';
+            retryButton.addEventListener('click', refreshDataImportPreview);
+            preview.appendChild(retryButton);
+        }
+        return;
+    }
+    if (refreshId !== dataImportRefreshId) return;
+
+    const plan = planDataImport(parsed.backup, getDataImportMode());
+    const lines = [];
+    const created = new Date(parsed.backup.timestamp);
+    lines.push(`Backup from ${isNaN(created) ? 'an unknown date' : created.toLocaleString()}` +
+        (encrypted ? ' (encrypted)' : '') +
+        (parsed.sourceVersion < BACKUP_VERSION ? ` (format v${parsed.sourceVersion}, upgraded to v${BACKUP_VERSION})` : ''));
+
+    if (!plan.hasTransactions) {
+        lines.push('Transactions: not included in this backup, yours are kept');
+    } else if (plan.mode === 'replace') {
+        lines.push(`Transactions: your ${plan.counts.current} transactions will be replaced by ${plan.counts.incoming} from the backup`);
+    } else {
+        lines.push(`Transactions: ${plan.counts.added} new will be added, ${plan.counts.duplicates} already saved will be skipped`);
+    }
+
+    if (plan.settings.length === 0) {
+        lines.push('Settings: no changes');
+    } else {
+        plan.settings.forEach(setting => {
+            lines.push(`Setting ${setting.name}: ${setting.from === null ? '(not set)' : setting.from} → ${setting.to}`);
+        });
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'list-disc list-inside space-y-1';
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    });
+    preview.appendChild(list);
+
+    if (plan.shortfall) {
+        const warning = document.createElement('p');
+        warning.className = 'mt-2 text-yellow-700 dark:text-yellow-400';
+        warning.textContent = `Warning: after this import the ${describePosition(plan.shortfall)} ledger sells or sends more coins than it holds on ${new Date(plan.transactions[plan.shortfall.index].timestamp).toLocaleDateString()}.`;
+        preview.appendChild(warning);
+    }
+
+    dataImportPlan = plan;
+    confirmButton.disabled = plan.settings.length === 0 && plan.counts.added === 0 && plan.counts.removed === 0;
+}
+
+/**
+ * Apply the previewed import and reload the page
+ */
+async function confirmDataImport() {
+    if (!dataImportPlan) return;
+
+    try {
+        await applyDataImport(dataImportPlan);
+        alert('Data imported successfully! The page will now reload to apply the changes.');
+        window.location.reload();
+    } catch (e) {
+        alert(e.message || 'Failed to import data');
+    }
+}
+
+// Detect user's currency based on locale
+function detectUserCurrency() {
+    try {
+        // Try to detect currency from user's locale
+        const userLocale = navigator.language || navigator.userLanguage || 'en-US';
+        
+        // Common currency mappings based on locale
+        const localeToCurrency = {
+            'en-US': 'USD', 'en-GB': 'GBP', 'en-AU': 'AUD', 'en-CA': 'CAD',
+            'de': 'EUR', 'de-DE': 'EUR', 'fr': 'EUR', 'fr-FR': 'EUR', 
+            'es': 'EUR', 'es-ES': 'EUR', 'it': 'EUR', 'it-IT': 'EUR',
+            'pt-BR': 'BRL', 'ja': 'JPY', 'ja-JP': 'JPY',
+            'zh-CN': 'CNY', 'ko': 'KRW', 'ko-KR': 'KRW',
+            'en-IN': 'INR', 'hi': 'INR', 'ru': 'RUB', 'ru-RU': 'RUB',
+            'ro': 'RON', 'ro-RO': 'RON',
+            'es-MX': 'MXN', 'en-SG': 'SGD', 'zh-HK': 'HKD', 'en-HK': 'HKD'
+        };
+        
+        // Try exact match first, then language part
+        let detectedCurrency = localeToCurrency[userLocale];
+        if (!detectedCurrency) {
+            const lang = userLocale.split('-')[0];
+            detectedCurrency = localeToCurrency[lang];
+        }
+        
+        return detectedCurrency || 'USD';
+    } catch (e) {
+        return 'USD';
+    }
+}
+
+// Save form values to cookies (excluding sell price)
+function saveFormValues() {
+    setSetting('investment', document.getElementById('investment').value);
+    setSetting('buyPrice', document.getElementById('buyPrice').value);
+    // Sell price is not saved - always fetched from API
+    setSetting('fee', document.getElementById('fee').value);
+    Object.entries(FEE_SETTING_INPUTS).forEach(([name, id]) => {
+        setSetting(name, document.getElementById(id).value);
+    });
+    setSetting('currency', document.getElementById('currency').value);
+    setSetting('asset', getSelectedAsset());
+}
+
+// Load form values from cookies
+async function loadFormValues() {
+    const savedInvestment = getSetting('investment');
+    const savedBuyPrice = getSetting('buyPrice');
+    // Sell price is not saved in cookies - always fetch from API
+    const savedFee = getSetting('fee');
+    const savedCurrency = getSetting('currency');
+    const savedAsset = getSetting('asset');
+
+    // Set currency first: try cookie, then detect, then default to USD
+    const currency = savedCurrency ?? detectUserCurrency();
+    // Use setCurrency to synchronize all three currency elements
+    setCurrency(currency, false);
+    document.getElementById('asset').value = ASSETS[savedAsset] ? savedAsset : DEFAULT_ASSET;
+
+    // Fetch the current price of the selected asset in the selected currency
+    const sellPriceValue = await fetchBTCPrice(currency);
+
+    // Set values from cookies or defaults
+    document.getElementById('investment').value = savedInvestment ?? defaults.investment;
+    document.getElementById('buyPrice').value = savedBuyPrice ?? defaults.buyPrice;
+    // Use fetched price, or fallback to approximate value for initial load only
+    document.getElementById('sellPrice').value = formatPrice(sellPriceValue ?? defaults.sellPriceFallback);
+    document.getElementById('fee').value = savedFee ?? defaults.fee;
+    // Settings saved before the fee model leave these empty: the sell fee then follows the buy fee
+    Object.entries(FEE_SETTING_INPUTS).forEach(([name, id]) => {
+        document.getElementById(id).value = getSetting(name) ?? '';
+    });
+}
+
+// Cache for currency formatters to improve performance
+const formatterCache = new Map();
+// Cache for currency symbol length check results
+const symbolLengthCache = new Map();
+
+/**
+ * Get or create a cached formatter
+ * @param {string} locale - The target locale
+ * @param {string} currencyCode - The 3-letter currency code
+ * @param {number} minFractionDigits - Minimum fraction digits
+ * @param {number} maxFractionDigits - Maximum fraction digits
+ * @param {boolean} isCurrency - Whether to create a currency formatter or number formatter
+ * @returns {Intl.NumberFormat} The cached or new formatter
+ */
+function getOrCreateFormatter(locale, currencyCode, minFractionDigits, maxFractionDigits, isCurrency) {
+    const key = `${locale}|${currencyCode}|${minFractionDigits}|${maxFractionDigits}|${isCurrency}`;
+    
+    if (!formatterCache.has(key)) {
+        const options = {
+            minimumFractionDigits: minFractionDigits,
+            maximumFractionDigits: maxFractionDigits
+        };
+        
+        if (isCurrency) {
+            options.style = 'currency';
+            options.currency = currencyCode;
+            options.currencyDisplay = 'symbol';
+        }
+        
+        formatterCache.set(key, new Intl.NumberFormat(locale, options));
+    }
+    
+    return formatterCache.get(key);
+}
+
+/**
+ * Check if currency symbol is multi-character (cached)
+ * @param {string} locale - The target locale
+ * @param {string} currencyCode - The 3-letter currency code
+ * @returns {boolean} True if symbol is multi-character, false otherwise
+ */
+function isMultiCharSymbol(locale, currencyCode) {
+    const key = `${locale}|${currencyCode}`;
+    
+    if (!symbolLengthCache.has(key)) {
+        // Create a temporary formatter to check symbol length once
+        const formatter = new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: currencyCode,
+            currencyDisplay: 'symbol'
+        });
+        
+        const parts = formatter.formatToParts(100);
+        const currencyPart = parts.find(part => part.type === 'currency');
+        const isMultiChar = currencyPart && currencyPart.value.length > 1;
+        
+        symbolLengthCache.set(key, isMultiChar);
+    }
+    
+    return symbolLengthCache.get(key);
+}
+
+/**
+ * Formats a number as currency, falling back to a plain number 
+ * if the currency symbol is not a single character.
+ * @param {number} value - The number to format.
+ * @param {string} locale - The target locale (e.g., 'en-US', 'ro-RO').
+ * @param {string} currencyCode - The 3-letter currency code (e.g., 'USD', 'RON').
+ * @param {number} minFractionDigits - Minimum fraction digits (default: 2).
+ * @param {number} maxFractionDigits - Maximum fraction digits (default: 2).
+ * @returns {string} The formatted string.
+ */
+function formatCurrencyConditionally(value, locale, currencyCode, minFractionDigits = 2, maxFractionDigits = 2) {
+    // Crypto units are not Intl currencies: keep single-character symbols (₿, Ξ), drop unit names
+    const unit = getCryptoQuoteUnit(currencyCode);
+    if (unit) {
+        return unit.prefix
+            ? formatCryptoQuote(value, currencyCode, minFractionDigits, maxFractionDigits)
+            : getOrCreateFormatter(locale, currencyCode, minFractionDigits, maxFractionDigits, false).format(value);
+    }
+
+    // Check if symbol is multi-character (cached result)
+    if (isMultiCharSymbol(locale, currencyCode)) {
+        // Fallback: Return only the number formatted according to the locale
+        const numberFormatter = getOrCreateFormatter(locale, currencyCode, minFractionDigits, maxFractionDigits, false);
+        return numberFormatter.format(value);
+    } else {
+        // Use standard currency formatting (includes the single-character symbol)
+        const formatter = getOrCreateFormatter(locale, currencyCode, minFractionDigits, maxFractionDigits, true);
+        return formatter.format(value);
+    }
+}
+
+/**
+ * Get the crypto quote unit of a currency code
+ * @param {string} currency - Currency code (any case)
+ * @returns {Object|null} Entry of CRYPTO_QUOTE_UNITS, or null for Intl (fiat) currencies
+ */
+function getCryptoQuoteUnit(currency) {
+    return CRYPTO_QUOTE_UNITS[String(currency || '').toUpperCase()] || null;
+}
+
+/**
+ * Number of decimals amounts in a currency are entered, rounded and exported with
+ * @param {string} currency - Currency code
+ * @returns {number} 2 for fiat, the unit's precision for crypto units
+ */
+function getCurrencyDecimals(currency) {
+    const unit = getCryptoQuoteUnit(currency);
+    return unit ? unit.maxDecimals : 2;
+}
+
+/**
+ * Format an amount in a crypto quote unit (e.g. ₿0.0352, 12,500 sats, 1.25 SOL)
+ * @param {number} num - Amount in the unit
+ * @param {string} currency - Crypto unit code
+ * @param {number} minFractionDigits - Minimum fraction digits (default: the unit's)
+ * @param {number} maxFractionDigits - Maximum fraction digits (default: the unit's)
+ * @returns {string} Formatted amount
+ */
+function formatCryptoQuote(num, currency, minFractionDigits, maxFractionDigits) {
+    const unit = getCryptoQuoteUnit(currency);
+    const digits = getOrCreateFormatter(
+        'en-US',
+        currency,
+        minFractionDigits ?? unit.minDecimals,
+        maxFractionDigits ?? unit.maxDecimals,
+        false
+    ).format(Math.abs(num));
+    const sign = num < 0 ? '-' : '';
+    return unit.prefix ? `${sign}${unit.symbol}${digits}` : `${sign}${digits} ${unit.symbol}`;
+}
+
+// Format number as currency
+function formatCurrency(num) {
+    const currency = document.getElementById('currency').value || 'USD';
+    return formatTransactionCurrency(num, currency);
+}
+
+// Format price to the currency's precision (2 decimal places for fiat)
+function formatPrice(price) {
+    // Return as-is for null/undefined, input fields handle these gracefully
+    if (price === null || price === undefined) {
+        return price;
+    }
+    // Convert to number and check if valid
+    const num = Number(price);
+    if (Number.isNaN(num)) {
+        return price;
+    }
+    return parseFloat(num.toFixed(getCurrencyDecimals(document.getElementById('currency').value)));
+}
+
+// Animate individual characters/digits with staggered effect
+function animateDigits(element, newValue) {
+    const oldValue = element.textContent;
+    if (oldValue === newValue) return;
+
+    // Wrap each character in a span for individual animation
+    const chars = newValue.split('');
+    element.innerHTML = chars.map((char, index) => {
+        const delayMs = index * ANIMATION_CONFIG.DIGIT_STAGGER_DELAY;
+        return `<span class="digit-flip" style="animation-delay: ${delayMs}ms">${char}</span>`;
+    }).join('');
+
+    // Remove animation classes after animation completes
+    const totalDuration = ANIMATION_CONFIG.DIGIT_FLIP_DURATION + (chars.length * ANIMATION_CONFIG.DIGIT_STAGGER_DELAY);
+    setTimeout(() => {
+        element.textContent = newValue;
+    }, totalDuration);
+}
+
+// Update element with animation
+function updateWithAnimation(elementId, value) {
+    const element = document.getElementById(elementId);
+    if (resultsShown) {
+        animateDigits(element, value);
+    } else {
+        element.textContent = value;
+    }
+}
+
+// Check if results are currently visible
+function areResultsVisible() {
+    const resultsElement = document.getElementById('results');
+    return resultsElement && resultsElement.classList.contains('show');
+}
+
+// Fee model with nothing charged: buy/sell/spread are percentages, fixed is quote currency
+// per trade, withdrawal is coins sent off the exchange after the buy
+const NO_FEES = { buy: 0, sell: 0, fixed: 0, withdrawal: 0, spread: 0 };
+
+/**
+ * Fee model charging the same percentage on both legs (the single fee of older versions)
+ * @param {number} percent - Fee percentage
+ * @returns {Object} Fee model
+ */
+function createUniformFees(percent) {
+    return { ...NO_FEES, buy: percent, sell: percent };
+}
+
+/**
+ * Read the calculator's fee inputs
+ * An empty sell fee means the same as the buy fee; empty fixed, withdrawal and spread mean none.
+ * @returns {{fees: Object|null, error: string|null}} Fee model or validation error
+ */
+function readFeeModel() {
+    const value = id => document.getElementById(id).value.trim();
+    const buy = parseFloat(value('fee'));
+    const fees = {
+        buy,
+        sell: value('sellFeePercent') === '' ? buy : parseFloat(value('sellFeePercent')),
+        fixed: parseFloat(value('fixedFee') || '0'),
+        withdrawal: parseFloat(value('withdrawalFee') || '0'),
+        spread: parseFloat(value('spread') || '0')
+    };
+
+    if (Object.values(fees).some(isNaN)) {
+        return { fees: null, error: 'Please enter valid numbers for all fee fields' };
+    }
+    if ([fees.buy, fees.sell, fees.spread].some(percent => percent < 0 || percent > 100)) {
+        return { fees: null, error: 'Fee and spread percentages must be between 0 and 100' };
+    }
+    if (fees.fixed < 0 || fees.withdrawal < 0) {
+        return { fees: null, error: 'Fixed and withdrawal fees cannot be negative' };
+    }
+    return { fees, error: null };
+}
+
+/**
+ * Proceeds of selling coins under a fee model
+ * The sale fills half the spread below the quoted price; the sell percentage and the
+ * fixed fee come off the gross.
+ * @param {number} coins - Coins sold
+ * @param {number} sellPrice - Quoted price per coin
+ * @param {Object} fees - Fee model
+ * @returns {Object} grossSaleAmount, sellFee, spreadCost and netSaleAmount
+ */
+function calculateSale(coins, sellPrice, fees) {
+    const grossSaleAmount = coins * sellPrice * (1 - fees.spread / 200);
+    const sellFee = coins > 0 ? grossSaleAmount * (fees.sell / 100) + fees.fixed : 0;
+    return {
+        grossSaleAmount,
+        sellFee,
+        spreadCost: coins * sellPrice - grossSaleAmount,
+        netSaleAmount: grossSaleAmount - sellFee
+    };
+}
+
+/**
+ * Result of buying with an investment and later selling every coin held
+ * The fee model shared by calculate(), saved transactions and the scenario table:
+ * the buy percentage and fixed fee are taken from the investment, the buy fills half the
+ * spread above the quoted price, the withdrawal fee leaves in coins, and the sale is
+ * priced by calculateSale.
+ * @param {number} investment - Amount invested (quote currency, fees included)
+ * @param {number} buyPrice - Quoted price per coin at the buy
+ * @param {number} sellPrice - Quoted price per coin at the sell
+ * @param {Object} fees - Fee model (see NO_FEES)
+ * @returns {Object} coinsPurchased, coinsHeld, buyFee, withdrawalFee, grossSaleAmount, sellFee,
+ *   spreadCost, netSaleAmount, totalFees and netProfit
+ */
+function calculateTrade(investment, buyPrice, sellPrice, fees) {
+    // Percentage and fixed buy fee come out of the investment
+    const buyFee = investment * (fees.buy / 100) + fees.fixed;
+    const buyFill = buyPrice * (1 + fees.spread / 200);
+    const coinsPurchased = Math.max(investment - buyFee, 0) / buyFill;
+
+    // Withdrawing to a wallet costs coins, valued at the sell price
+    const coinsHeld = Math.max(coinsPurchased - fees.withdrawal, 0);
+    const withdrawalFee = (coinsPurchased - coinsHeld) * sellPrice;
+
+    const sale = calculateSale(coinsHeld, sellPrice, fees);
+    const buySpreadCost = coinsPurchased * (buyFill - buyPrice);
+    const spreadCost = buySpreadCost + sale.spreadCost;
+
+    return {
+        coinsPurchased,
+        coinsHeld,
+        buyFee,
+        withdrawalFee,
+        grossSaleAmount: sale.grossSaleAmount,
+        sellFee: sale.sellFee,
+        spreadCost,
+        netSaleAmount: sale.netSaleAmount,
+        totalFees: buyFee + withdrawalFee + sale.sellFee + spreadCost,
+        netProfit: sale.netSaleAmount - investment
+    };
+}
+
+// Calculate profit
+function calculate() {
+    const investment = parseFloat(document.getElementById('investment').value);
+    const buyPrice = parseFloat(document.getElementById('buyPrice').value);
+    const sellPrice = parseFloat(document.getElementById('sellPrice').value);
+
+    // Validate inputs
+    if (isNaN(investment) || isNaN(buyPrice) || isNaN(sellPrice)) {
+        alert('Please enter valid numbers for all fields');
+        return;
+    }
+
+    if (investment <= 0) {
+        alert('Investment amount must be greater than zero');
+        return;
+    }
+
+    if (buyPrice <= 0) {
+        alert('Buy price must be greater than zero');
+        return;
+    }
+
+    if (sellPrice <= 0) {
+        alert('Sell price must be greater than zero');
+        return;
+    }
+
+    const { fees, error } = readFeeModel();
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    const {
+        coinsHeld,
+        buyFee,
+        withdrawalFee,
+        grossSaleAmount,
+        sellFee,
+        spreadCost,
+        netSaleAmount,
+        totalFees,
+        netProfit
+    } = calculateTrade(investment, buyPrice, sellPrice, fees);
+
+    // Display results with animation
+    updateWithAnimation('coinsPurchased', coinsHeld.toFixed(8));
+    updateWithAnimation('buyFee', formatCurrency(buyFee));
+    updateWithAnimation('grossSale', formatCurrency(grossSaleAmount));
+    updateWithAnimation('sellFee', formatCurrency(sellFee));
+    // Spread and withdrawal rows only matter when those fees are set
+    document.getElementById('spreadCostRow').style.display = fees.spread > 0 ? 'flex' : 'none';
+    document.getElementById('withdrawalCostRow').style.display = fees.withdrawal > 0 ? 'flex' : 'none';
+    updateWithAnimation('spreadCost', formatCurrency(spreadCost));
+    updateWithAnimation('withdrawalCost', formatCurrency(withdrawalFee));
+    updateWithAnimation('netSale', formatCurrency(netSaleAmount));
+    updateWithAnimation('totalFees', formatCurrency(totalFees));
+    
+    const netProfitElement = document.getElementById('netProfit');
+    updateWithAnimation('netProfit', formatCurrency(netProfit));
+    
+    // Color code profit/loss
+    if (netProfit > 0) {
+        netProfitElement.className = 'text-2xl font-bold text-green-600';
+    } else if (netProfit < 0) {
+        netProfitElement.className = 'text-2xl font-bold text-red-600';
+    } else {
+        netProfitElement.className = 'text-2xl font-bold text-gray-600';
+    }
+
+    // Show results with smooth animation
+    const resultsDiv = document.getElementById('results');
+    resultsDiv.classList.add('show');
+    resultsShown = true;
+
+    // Keep a built scenario table in step with the calculator inputs
+    if (isScenarioTableVisible()) {
+        renderScenarioTable(false);
+    }
+}
+
+// ========== FEE PRESETS ==========
+// The published schedules live in fee-presets.js; this section wires them to the fee fields.
+
+// Custom presets, saved as the JSON 'feePresets' setting: { id, name, fees } with a full fee model
+let customFeePresets = [];
+
+/**
+ * Check that a stored custom preset has a name and a complete fee model
+ * @param {Object} preset - Parsed preset
+ * @returns {boolean} Whether the preset can be applied
+ */
+function isValidCustomFeePreset(preset) {
+    return Boolean(preset) &&
+        typeof preset.id === 'string' &&
+        typeof preset.name === 'string' &&
+        Boolean(preset.fees) &&
+        Object.keys(NO_FEES).every(name => Number.isFinite(preset.fees[name]) && preset.fees[name] >= 0);
+}
+
+/**
+ * Find a preset by id among the published and custom presets
+ * @param {string} id - Preset id
+ * @returns {Object|undefined} Preset (custom presets have a fees model instead of tiers)
+ */
+function getFeePreset(id) {
+    return FEE_PRESETS.find(preset => preset.id === id) || customFeePresets.find(preset => preset.id === id);
+}
+
+/**
+ * Get the preset selected in the calculator
+ * @returns {Object|undefined} Preset, or undefined when fees are entered by hand
+ */
+function getSelectedFeePreset() {
+    return getFeePreset(document.getElementById('feePreset').value);
+}
+
+/**
+ * Venue recorded on saved trades: the exchange of the selected preset
+ * Custom presets are named after the venue they describe.
+ * @returns {string|null} Venue name, or null when no preset is selected
+ */
+function getFeeVenue() {
+    const preset = getSelectedFeePreset();
+    if (!preset) {
+        return null;
+    }
+    return preset.venue || preset.name;
+}
+
+/**
+ * Label a volume tier
+ * @param {Object} preset - Published preset
+ * @param {number} index - Index in preset.tiers
+ * @returns {string} e.g. "$10K – $50K" or "$10M+"
+ */
+function describeFeeTier(preset, index) {
+    const formatter = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: preset.volumeCurrency,
+        notation: 'compact',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1
+    });
+    const format = value => formatter.format(value);
+    const tier = preset.tiers[index];
+    const next = preset.tiers[index + 1];
+    return next ? `${format(tier.minVolume)} – ${format(next.minVolume)}` : `${format(tier.minVolume)}+`;
+}
+
+/**
+ * Fill the preset selector: published schedules, then custom presets
+ */
+function renderFeePresetOptions() {
+    const select = document.getElementById('feePreset');
+    const selected = select.value;
+    select.innerHTML = '<option value="">None (enter fees)</option>';
+
+    const addGroup = (label, presets) => {
+        if (presets.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    };
+    addGroup('Exchanges', FEE_PRESETS);
+    addGroup('Custom', customFeePresets);
+
+    select.value = getFeePreset(selected) ? selected : '';
+}
+
+/**
+ * Show the tier and order type selectors and the schedule note for the selected preset
+ * @param {number} tierIndex - Tier to select (published presets only)
+ */
+function renderFeePresetDetails(tierIndex = 0) {
+    const preset = getSelectedFeePreset();
+    const isPublished = Boolean(preset && preset.tiers);
+    const tierSelect = document.getElementById('feeTier');
+
+    tierSelect.innerHTML = '';
+    if (isPublished) {
+        preset.tiers.forEach((tier, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = describeFeeTier(preset, index);
+            tierSelect.appendChild(option);
+        });
+        tierSelect.value = String(preset.tiers[tierIndex] ? tierIndex : 0);
+    }
+    document.getElementById('feeTierContainer').style.display = isPublished && preset.tiers.length > 1 ? '' : 'none';
+    document.getElementById('feeLiquidityContainer').style.display = isPublished ? '' : 'none';
+    document.getElementById('deleteFeePreset').style.display = preset && !isPublished ? '' : 'none';
+
+    const info = document.getElementById('feePresetInfo');
+    info.innerHTML = '';
+    if (!isPublished) {
+        info.textContent = preset ? `Custom preset recorded as venue "${preset.name}" on saved trades.` : '';
+        return;
+    }
+
+    const notes = [`Published ${preset.name} schedule; fees change, check the`];
+    if (preset.fixed) {
+        const fixed = Object.entries(preset.fixed)
+            .map(([currency, amount]) => formatTransactionCurrency(amount, currency))
+            .join(' / ');
+        notes.unshift(`Fixed fee of ${fixed} per trade applies in ${Object.keys(preset.fixed).join(', ')} only.`);
+    }
+    info.textContent = `${notes.join(' ')} `;
+    const link = document.createElement('a');
+    link.href = preset.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'underline hover:text-blue-600 dark:hover:text-blue-400';
+    link.textContent = 'fee page';
+    info.appendChild(link);
+    info.appendChild(document.createTextNode('.'));
+}
+
+/**
+ * Get the selected preset, tier and order type (saved as the JSON 'feePreset' setting)
+ * @returns {{id: string, tier: number, liquidity: string}} Selection ('' id when none)
+ */
+function getFeePresetSelection() {
+    return {
+        id: document.getElementById('feePreset').value,
+        tier: parseInt(document.getElementById('feeTier').value, 10) || 0,
+        liquidity: document.getElementById('feeLiquidity').value
+    };
+}
+
+/**
+ * Save the selected preset, tier and order type
+ */
+function saveFeePresetSelection() {
+    setSetting('feePreset', JSON.stringify(getFeePresetSelection()));
+}
+
+/**
+ * Fill the fee fields from the selected preset and recalculate
+ * Published presets set the percentages, fixed fee and spread and leave the withdrawal fee
+ * (a network cost that depends on the asset) as entered; custom presets set every field.
+ */
+function applyFeePreset() {
+    const preset = getSelectedFeePreset();
+    saveFeePresetSelection();
+    if (!preset) {
+        return;
+    }
+
+    const fees = preset.tiers
+        ? getPresetFeeModel(
+            preset,
+            parseInt(document.getElementById('feeTier').value, 10) || 0,
+            document.getElementById('feeLiquidity').value,
+            document.getElementById('currency').value
+        )
+        : preset.fees;
+
+    document.getElementById('fee').value = fees.buy;
+    document.getElementById('sellFeePercent').value = fees.sell;
+    document.getElementById('fixedFee').value = fees.fixed || '';
+    document.getElementById('spread').value = fees.spread || '';
+    if (fees.withdrawal !== undefined) {
+        document.getElementById('withdrawalFee').value = fees.withdrawal || '';
+    }
+
+    saveFormValues();
+    if (areResultsVisible()) {
+        calculate();
+    }
+}
+
+/**
+ * Save the current fee fields as a custom preset (replacing one with the same name)
+ */
+function saveCustomFeePreset() {
+    const { fees, error } = readFeeModel();
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    const current = getSelectedFeePreset();
+    const name = (prompt('Preset name (the exchange or broker these fees are for):', current ? current.name : '') || '').trim();
+    if (!name) {
+        return;
+    }
+
+    let preset = customFeePresets.find(existing => existing.name.toLowerCase() === name.toLowerCase());
+    if (preset) {
+        if (!confirm(`Replace the fees of the preset "${preset.name}"?`)) {
+            return;
+        }
+        preset.fees = fees;
+    } else {
+        preset = { id: `custom-${Date.now()}`, name, fees };
+        customFeePresets.push(preset);
+    }
+    setSetting('feePresets', JSON.stringify(customFeePresets));
+
+    renderFeePresetOptions();
+    document.getElementById('feePreset').value = preset.id;
+    renderFeePresetDetails();
+    saveFeePresetSelection();
+}
+
+/**
+ * Delete the selected custom preset
+ */
+function deleteCustomFeePreset() {
+    const preset = getSelectedFeePreset();
+    if (!preset || preset.tiers || !confirm(`Delete the preset "${preset.name}"? Saved transactions keep their venue.`)) {
+        return;
+    }
+    customFeePresets = customFeePresets.filter(existing => existing.id !== preset.id);
+    setSetting('feePresets', JSON.stringify(customFeePresets));
+
+    document.getElementById('feePreset').value = '';
+    renderFeePresetOptions();
+    renderFeePresetDetails();
+    saveFeePresetSelection();
+}
+
+/**
+ * Restore the custom presets and the selected preset
+ * The fee fields themselves are restored by loadFormValues, so nothing is re-applied here.
+ */
+function loadFeePresets() {
+    try {
+        const saved = JSON.parse(getSetting('feePresets') || '[]');
+        customFeePresets = Array.isArray(saved) ? saved.filter(isValidCustomFeePreset) : [];
+    } catch (error) {
+        console.error('Error parsing saved fee presets:', error);
+        customFeePresets = [];
+    }
+
+    let selection = {};
+    try {
+        selection = JSON.parse(getSetting('feePreset') || '{}') || {};
+    } catch (error) {
+        console.error('Error parsing saved fee preset selection:', error);
+    }
+
+    renderFeePresetOptions();
+    document.getElementById('feePreset').value = getFeePreset(selection.id) ? selection.id : '';
+    document.getElementById('feeLiquidity').value = selection.liquidity === 'maker' ? 'maker' : 'taker';
+    renderFeePresetDetails(selection.tier || 0);
+}
+
+// ========== SCENARIO ANALYSIS ==========
+
+// Most sell price rows in the scenario table
+const SCENARIO_MAX_ROWS = 101;
+
+/**
+ * Sell price that yields a target net profit under the calculator's fee model
+ * The net sale is linear in the sell price, so two evaluations of calculateTrade solve it exactly.
+ * @param {number} investment - Amount invested
+ * @param {number} buyPrice - Price per coin at the buy
+ * @param {Object} fees - Fee model
+ * @param {number} targetProfit - Net profit wanted (quote currency, 0 for break-even)
+ * @returns {number|null} Sell price, or null if no price reaches the target (e.g. a 100% fee)
+ */
+function solveSellPrice(investment, buyPrice, fees, targetProfit) {
+    const base = calculateTrade(investment, buyPrice, 0, fees).netSaleAmount;
+    const perUnit = calculateTrade(investment, buyPrice, 1, fees).netSaleAmount - base;
+    if (!(perUnit > 0)) {
+        return null;
+    }
+    const price = (investment + targetProfit - base) / perUnit;
+    return price > 0 ? price : null;
+}
+
+/**
+ * Get the sell prices of the scenario rows, highest first
+ * @param {number} center - Sell price in the middle of the table
+ * @param {number} rangePercent - How far above and below the center to go (%)
+ * @param {number} stepPercent - Distance between rows (% of the center)
+ * @returns {Array<number>} Positive sell prices
+ */
+function getScenarioSellPrices(center, rangePercent, stepPercent) {
+    const steps = Math.floor(rangePercent / stepPercent + 1e-9);
+    const prices = [];
+    for (let i = steps; i >= -steps; i--) {
+        const price = center * (1 + (i * stepPercent) / 100);
+        if (price > 0) {
+            prices.push(price);
+        }
+    }
+    return prices;
+}
+
+/**
+ * Parse the fee levels list ("0, 0.1, 0.5")
+ * @param {string} text - Comma or space separated percentages
+ * @returns {Array<number>|null} Sorted unique fee levels, or null if one is invalid
+ */
+function parseScenarioFees(text) {
+    const values = text.split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (values.some(value => isNaN(value) || value < 0 || value >= 100)) {
+        return null;
+    }
+    return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Fee columns of the scenario table: the calculator's own fees, then each fee level
+ * charged on both legs (fixed, withdrawal and spread stay as in the calculator)
+ * @param {Object} fees - Calculator fee model
+ * @param {Array<number>} levels - Fee percentages
+ * @returns {Array<{label: string, fees: Object}>} Columns
+ */
+function getScenarioFeeColumns(fees, levels) {
+    return [
+        { label: 'Your fees', fees },
+        ...levels.map(level => ({ label: `${level}% fee`, fees: { ...fees, buy: level, sell: level } }))
+    ];
+}
+
+/**
+ * Compute the net profit of every sell price and fee level combination
+ * @param {number} investment - Amount invested
+ * @param {number} buyPrice - Price per coin at the buy
+ * @param {Array<number>} sellPrices - Row sell prices
+ * @param {Array<Object>} feeColumns - Column fee models (see getScenarioFeeColumns)
+ * @param {number} targetPercent - Net profit target (% of the investment)
+ * @returns {Object} rows [{sellPrice, cells: [{netProfit, percent}]}], and per fee column
+ *   its label, the break-even and target sell prices and the break-even row index
+ */
+function buildScenarioGrid(investment, buyPrice, sellPrices, feeColumns, targetPercent) {
+    const rows = sellPrices.map(sellPrice => ({
+        sellPrice,
+        cells: feeColumns.map(({ fees }) => {
+            const { netProfit } = calculateTrade(investment, buyPrice, sellPrice, fees);
+            return { netProfit, percent: (netProfit / investment) * 100 };
+        })
+    }));
+
+    const columns = feeColumns.map(({ label, fees }, column) => {
+        // Lowest listed price that is at least break-even (rows run from high to low)
+        let breakEvenRow = -1;
+        rows.forEach((row, index) => {
+            if (row.cells[column].netProfit >= 0) {
+                breakEvenRow = index;
+            }
+        });
+        return {
+            label,
+            breakEven: solveSellPrice(investment, buyPrice, fees, 0),
+            target: solveSellPrice(investment, buyPrice, fees, investment * (targetPercent / 100)),
+            breakEvenRow
+        };
+    });
+
+    return { rows, columns };
+}
+
+/**
+ * Read the calculator and scenario inputs
+ * @returns {{scenario: Object|null, error: string|null}} Inputs or validation error
+ */
+function readScenarioInputs() {
+    const investment = parseFloat(document.getElementById('investment').value);
+    const buyPrice = parseFloat(document.getElementById('buyPrice').value);
+    const sellPrice = parseFloat(document.getElementById('sellPrice').value);
+    const { fees, error: feeError } = readFeeModel();
+    const range = parseFloat(document.getElementById('scenarioRange').value);
+    const step = parseFloat(document.getElementById('scenarioStep').value);
+    const target = parseFloat(document.getElementById('scenarioTarget').value);
+
+    if (!(investment > 0) || !(buyPrice > 0) || !(sellPrice > 0) || feeError) {
+        return { scenario: null, error: 'Please enter a valid investment, buy price, sell price and fees in the calculator' };
+    }
+    if (!(range > 0) || !(step > 0)) {
+        return { scenario: null, error: 'Range and step must be greater than zero' };
+    }
+    if (Math.floor(range / step) * 2 + 1 > SCENARIO_MAX_ROWS) {
+        return { scenario: null, error: `Range and step give more than ${SCENARIO_MAX_ROWS} rows; please use a larger step` };
+    }
+    if (isNaN(target)) {
+        return { scenario: null, error: 'Please enter a valid target profit' };
+    }
+
+    const levels = parseScenarioFees(document.getElementById('scenarioFees').value);
+    if (!levels) {
+        return { scenario: null, error: 'Fee levels must be percentages between 0 and 100' };
+    }
+
+    return {
+        scenario: { investment, buyPrice, sellPrice, range, step, target, feeColumns: getScenarioFeeColumns(fees, levels) },
+        error: null
+    };
+}
+
+/**
+ * Heatmap background for a net profit, scaled by the largest absolute profit in the table
+ * @param {number} netProfit - Cell net profit
+ * @param {number} maxAbsProfit - Largest absolute net profit in the table
+ * @returns {string} CSS color
+ */
+function getScenarioCellColor(netProfit, maxAbsProfit) {
+    const strength = maxAbsProfit > 0 ? Math.abs(netProfit) / maxAbsProfit : 0;
+    const alpha = (0.08 + strength * 0.5).toFixed(2);
+    return netProfit >= 0 ? `rgba(22, 163, 74, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+}
+
+/**
+ * Render the scenario heatmap and the target-profit solver
+ * @param {boolean} showErrors - Alert on invalid inputs (false when re-rendering after a calculation)
+ */
+function renderScenarioTable(showErrors = true) {
+    const { scenario, error } = readScenarioInputs();
+    if (error) {
+        if (showErrors) {
+            alert(error);
+        }
+        return;
+    }
+
+    const currency = document.getElementById('currency').value;
+    const format = value => formatTransactionCurrency(value, currency);
+    const sellPrices = getScenarioSellPrices(scenario.sellPrice, scenario.range, scenario.step);
+    const { rows, columns } = buildScenarioGrid(scenario.investment, scenario.buyPrice, sellPrices, scenario.feeColumns, scenario.target);
+    const maxAbsProfit = Math.max(...rows.flatMap(row => row.cells.map(cell => Math.abs(cell.netProfit))));
+    const formatSolved = value => value === null ? '—' : format(value);
+    const targetLabel = `${scenario.target >= 0 ? '+' : ''}${scenario.target}%`;
+
+    const header = `
+        <tr class="border-b dark:border-gray-600">
+            <th class="text-left py-1 px-2 text-gray-700 dark:text-gray-300">Sell price</th>
+            ${columns.map(column => `
+                <th class="text-right py-1 px-2 text-gray-700 dark:text-gray-300">${escapeHTML(column.label)}</th>
+            `).join('')}
+        </tr>
+    `;
+    const body = rows.map((row, rowIndex) => {
+        const isCenter = Math.abs(row.sellPrice - scenario.sellPrice) < 1e-9 * scenario.sellPrice;
+        return `
+            <tr class="${isCenter ? 'font-bold' : ''}">
+                <td class="py-1 px-2 whitespace-nowrap dark:text-gray-200">${escapeHTML(format(row.sellPrice))}</td>
+                ${row.cells.map((cell, column) => {
+                    const isBreakEven = columns[column].breakEvenRow === rowIndex;
+                    return `
+                        <td 
+                            class="py-1 px-2 text-right whitespace-nowrap dark:text-white ${isBreakEven ? 'ring-2 ring-inset ring-yellow-400' : ''}"
+                            style="background-color: ${getScenarioCellColor(cell.netProfit, maxAbsProfit)};"
+                            title="${isBreakEven ? `First price at or above break-even (${escapeHTML(formatSolved(columns[column].breakEven))})` : ''}"
+                        >
+                            ${escapeHTML(format(cell.netProfit))}
+                            <span class="text-gray-600 dark:text-gray-300">(${cell.percent >= 0 ? '+' : ''}${cell.percent.toFixed(1)}%)</span>
+                        </td>
+                    `;
+                }).join('')}
+            </tr>
+        `;
+    }).join('');
+    const footer = `
+        <tr class="border-t dark:border-gray-600">
+            <td class="py-1 px-2 font-semibold text-gray-700 dark:text-gray-300">Break-even</td>
+            ${columns.map(column => `<td class="py-1 px-2 text-right whitespace-nowrap dark:text-gray-200">${escapeHTML(formatSolved(column.breakEven))}</td>`).join('')}
+        </tr>
+        <tr>
+            <td class="py-1 px-2 font-semibold text-gray-700 dark:text-gray-300">Sell for ${escapeHTML(targetLabel)}</td>
+            ${columns.map(column => `<td class="py-1 px-2 text-right whitespace-nowrap dark:text-gray-200">${escapeHTML(formatSolved(column.target))}</td>`).join('')}
+        </tr>
+    `;
+
+    document.getElementById('scenarioTable').innerHTML = `<thead>${header}</thead><tbody>${body}</tbody><tfoot>${footer}</tfoot>`;
+
+    // The first column holds the calculator's own fees
+    const current = columns[0];
+    document.getElementById('scenarioTargetResult').textContent = current.target === null
+        ? `No sell price reaches ${targetLabel} net with your fees.`
+        : `Sell at ${format(current.target)} for ${targetLabel} net with your fees (break-even ${formatSolved(current.breakEven)}).`;
+    document.getElementById('scenarioResults').style.display = 'block';
+}
+
+/**
+ * Check whether the scenario table has been built
+ * @returns {boolean} True if the table is shown
+ */
+function isScenarioTableVisible() {
+    const results = document.getElementById('scenarioResults');
+    return results && results.style.display !== 'none';
+}
+
+// ========== TRANSACTIONS MANAGEMENT ==========
+
+/**
+ * Load the saved transactions
+ * Each call returns fresh objects, tagged with their stored record id
+ * @returns {Array<Object>} Transactions in ledger order
+ */
+function loadTransactions() {
+    if (!hasConsent()) {
+        return []; // Don't access storage without consent
+    }
+    return storageState.transactions.map(record => {
+        const tx = migrateTransactionFees(JSON.parse(record.json));
+        Object.defineProperty(tx, STORAGE_ID, { value: record.id, configurable: true });
+        return tx;
+    });
+}
+
+/**
+ * Save the full transaction list
+ * Only added, changed and removed records are written; a reordered list is rewritten
+ * @param {Array<Object>} transactions - Transactions in ledger order
+ * @returns {boolean} False if storage is unavailable (no consent)
+ */
+function saveTransactions(transactions) {
+    if (!hasConsent() || !storageState.backend) {
+        return false; // Don't store data without consent
+    }
+
+    const previous = new Map(storageState.transactions.map(record => [record.id, record.json]));
+    const used = new Set();
+    let ordered = true;
+    let lastId = 0;
+
+    const records = transactions.map(tx => {
+        let id = tx[STORAGE_ID];
+        if (id === undefined || !previous.has(id) || used.has(id)) {
+            id = storageState.nextTransactionId++;
+        }
+        ordered = ordered && id > lastId;
+        lastId = id;
+        used.add(id);
+        return { id, json: JSON.stringify(tx) };
+    });
+
+    // Store order is key order, so a list that is no longer sorted by id is renumbered
+    if (!ordered) {
+        records.forEach((record, index) => {
+            record.id = index + 1;
+        });
+        storageState.nextTransactionId = records.length + 1;
+    }
+
+    records.forEach((record, index) => {
+        Object.defineProperty(transactions[index], STORAGE_ID, { value: record.id, configurable: true });
+    });
+
+    const change = {
+        records,
+        reset: !ordered,
+        put: records.filter(record => !ordered || previous.get(record.id) !== record.json),
+        remove: ordered ? Array.from(previous.keys()).filter(id => !used.has(id)) : []
+    };
+    storageState.transactions = records;
+    trackStorageWrite(storageState.backend.writeTransactions(change), 'transactions', true);
+    return true;
+}
+
+/**
+ * Coins to sell to recover an amount after the sell fees
+ * Formula: amount = coinsToSell * price * (1 - spread/200) * (1 - sell/100) - fixed
+ * @param {number} amount - Amount to recover (quote currency)
+ * @param {number} price - Quoted sell price
+ * @param {Object} fees - Fee model
+ * @returns {number} Coins to sell, or 0 if no sale can recover anything
+ */
+function getCoinsToRecover(amount, price, fees) {
+    const netPerCoin = price * (1 - fees.spread / 200) * (1 - fees.sell / 100);
+    return netPerCoin > 0 ? (amount + fees.fixed) / netPerCoin : 0;
+}
+
+// Calculate current profit for a transaction
+function calculateTransactionProfit(transaction, currentPrice) {
+    const { coinsHeld, netSaleAmount, netProfit } = calculateTrade(
+        transaction.investment,
+        transaction.buyPrice,
+        currentPrice,
+        transaction.fees
+    );
+    
+    const coinsToSellBreakEven = getCoinsToRecover(transaction.investment, currentPrice, transaction.fees);
+    
+    // Calculate effective coins to sell accounting for sell fees
+    // This represents the coins minus the portion that goes to fees
+    const coinsToSellForProfit = currentPrice > 0 ? netSaleAmount / currentPrice : 0;
+    
+    return {
+        coinsPurchased: coinsHeld,
+        netProfit,
+        coinsToSellBreakEven,
+        coinsToSellForProfit
+    };
+}
+
+// ========== PORTFOLIO ENGINE ==========
+
+// Supported cost basis accounting methods
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+// Coin amounts below this threshold are treated as zero (floating point dust)
+const COIN_EPSILON = 1e-10;
+
+/**
+ * Get the type of a saved transaction
+ * Transactions saved before types were introduced are always buys
+ * @param {Object} tx - Saved transaction
+ * @returns {string} Transaction type
+ */
+function getTransactionType(tx) {
+    return tx.type || 'buy';
+}
+
+/**
+ * Get the asset of a saved transaction
+ * Transactions saved before assets were introduced are Bitcoin
+ * @param {Object} tx - Saved transaction
+ * @returns {string} Key in ASSETS
+ */
+function getTransactionAsset(tx) {
+    return tx.asset || DEFAULT_ASSET;
+}
+
+// Quote amounts of a transaction (coin amounts and percentages are never converted)
+const TRANSACTION_QUOTE_FIELDS = ['investment', 'buyPrice', 'sellPrice'];
+
+/**
+ * Express a saved transaction in another Bitcoin denomination
+ * BTC, bits and sats differ only by a fixed factor, so entries saved in one are shown
+ * and valued in whichever the selector is set to. Other currencies are returned unchanged.
+ * @param {Object} tx - Saved transaction
+ * @param {string} currency - Target currency code
+ * @returns {Object} Converted copy, or the transaction itself
+ */
+function convertTransactionQuote(tx, currency) {
+    const from = getCryptoQuoteUnit(tx.currency);
+    const to = getCryptoQuoteUnit(currency);
+    if (!from || !to || !from.btcFactor || !to.btcFactor || from === to) {
+        return tx;
+    }
+
+    const factor = to.btcFactor / from.btcFactor;
+    const converted = { ...tx, currency: currency.toUpperCase() };
+    TRANSACTION_QUOTE_FIELDS.forEach(field => {
+        if (typeof tx[field] === 'number') {
+            converted[field] = tx[field] * factor;
+        }
+    });
+    // The fixed fee is charged in the quote currency too
+    if (tx.fees) {
+        converted.fees = { ...tx.fees, fixed: tx.fees.fixed * factor };
+    }
+    return converted;
+}
+
+/**
+ * Get the coin amount a transaction adds or removes (before transfer network fees)
+ * Buys derive their coins from the investment after the buy fees, spread and withdrawal fee
+ * @param {Object} tx - Saved transaction
+ * @returns {number} Coin amount
+ */
+function getTransactionCoins(tx) {
+    if (getTransactionType(tx) === 'buy') {
+        return calculateTrade(tx.investment, tx.buyPrice, 0, tx.fees).coinsHeld;
+    }
+    return tx.amount;
+}
+
+/**
+ * Upgrade a transaction saved with a single fee percentage to the fee model
+ * The old fee was charged on both legs, so it becomes the buy and sell percentage and
+ * every result stays the same. Transfers keep their network fee in coins.
+ * @param {Object} tx - Saved transaction, modified in place
+ * @returns {Object} The transaction
+ */
+function migrateTransactionFees(tx) {
+    const type = getTransactionType(tx);
+    if ((type === 'buy' || type === 'sell') && !tx.fees) {
+        tx.fees = createUniformFees(tx.fee || 0);
+        delete tx.fee;
+    }
+    return tx;
+}
+
+/**
+ * Get the selected cost basis method from cookie
+ * @returns {string} One of COST_BASIS_METHODS (defaults to 'fifo')
+ */
+function getCostBasisMethod() {
+    const saved = getSetting('costMethod');
+    return COST_BASIS_METHODS.includes(saved) ? saved : 'fifo';
+}
+
+/**
+ * Key of the portfolio position a transaction belongs to (one per asset and quote currency)
+ * @param {string} asset - Key in ASSETS
+ * @param {string} currency - Quote currency
+ * @returns {string} Position key, e.g. "bitcoin:USD"
+ */
+function getPositionKey(asset, currency) {
+    return `${asset}:${currency}`;
+}
+
+/**
+ * Label a position by its asset ticker and quote currency
+ * @param {Object} position - Position (or any object with asset and currency)
+ * @returns {string} e.g. "BTC/USD"
+ */
+function describePosition(position) {
+    return `${getAssetInfo(position.asset).symbol}/${position.currency}`;
+}
+
+/**
+ * Create an empty portfolio position for an asset and currency
+ * @param {string} asset - Key in ASSETS
+ * @param {string} currency - Quote currency of the position
+ * @returns {Object} Empty position
+ */
+function createPosition(asset, currency) {
+    return {
+        asset,
+        currency,
+        lots: [],          // Open lots: { txIndex, timestamp, coins, costBasis, buyFees, fees }
+        disposals: [],     // Closed lot pieces, one per lot consumed by a sell
+        events: [],        // Per-transaction results in chronological order
+        realizedProfit: 0,
+        invested: 0,
+        proceeds: 0
+    };
+}
+
+/**
+ * Sum the coins held in a set of lots
+ * @param {Array} lots - Open lots
+ * @returns {number} Total coins
+ */
+function sumLotCoins(lots) {
+    return lots.reduce((sum, lot) => sum + lot.coins, 0);
+}
+
+/**
+ * Re-price all open lots at the pooled average cost (average-cost method)
+ * Keeps the lots (and their acquisition dates) but spreads cost evenly per coin
+ * @param {Array} lots - Open lots, modified in place
+ */
+function poolLotsAtAverageCost(lots) {
+    const totalCoins = sumLotCoins(lots);
+    if (totalCoins <= 0) return;
+
+    const totalCost = lots.reduce((sum, lot) => sum + lot.costBasis, 0);
+    const totalBuyFees = lots.reduce((sum, lot) => sum + lot.buyFees, 0);
+
+    lots.forEach(lot => {
+        const share = lot.coins / totalCoins;
+        lot.costBasis = totalCost * share;
+        lot.buyFees = totalBuyFees * share;
+    });
+}
+
+/**
+ * Remove coins from open lots according to the accounting method
+ * @param {Array} lots - Open lots, modified in place
+ * @param {number} coins - Coins to remove
+ * @param {string} method - Cost basis method ('fifo', 'lifo' or 'average')
+ * @returns {{pieces: Array, shortfall: number}} Consumed lot pieces and coins that could not be covered
+ */
+function consumeLots(lots, coins, method) {
+    if (method === 'average') {
+        poolLotsAtAverageCost(lots);
+    }
+
+    const pieces = [];
+    let remaining = coins;
+
+    while (remaining > COIN_EPSILON && lots.length > 0) {
+        // LIFO takes from the newest lot, FIFO and average take from the oldest
+        const lotIndex = method === 'lifo' ? lots.length - 1 : 0;
+        const lot = lots[lotIndex];
+        const taken = Math.min(lot.coins, remaining);
+        const ratio = taken / lot.coins;
+
+        const piece = {
+            txIndex: lot.txIndex,
+            timestamp: lot.timestamp,
+            coins: taken,
+            costBasis: lot.costBasis * ratio,
+            buyFees: lot.buyFees * ratio
+        };
+        pieces.push(piece);
+
+        lot.coins -= taken;
+        lot.costBasis -= piece.costBasis;
+        lot.buyFees -= piece.buyFees;
+        remaining -= taken;
+
+        if (lot.coins <= COIN_EPSILON) {
+            lots.splice(lotIndex, 1);
+        }
+    }
+
+    return { pieces, shortfall: remaining > COIN_EPSILON ? remaining : 0 };
+}
+
+/**
+ * Apply a buy transaction to a position
+ * The buy fees (percentage, fixed, spread and withdrawal) are deducted from the investment
+ * and included in the lot's cost basis; the lot keeps the fee model for its eventual sale
+ * @param {Object} position - Position to update
+ * @param {Object} tx - Buy transaction
+ * @param {number} index - Index of the transaction in the saved list
+ */
+function applyBuy(position, tx, index) {
+    const coins = getTransactionCoins(tx);
+    const buyFees = tx.investment - coins * tx.buyPrice;
+
+    position.lots.push({
+        txIndex: index,
+        timestamp: tx.timestamp,
+        coins,
+        costBasis: tx.investment,
+        buyFees,
+        fees: tx.fees
+    });
+    position.invested += tx.investment;
+
+    position.events.push({ index, type: 'buy', coins, holdings: sumLotCoins(position.lots) });
+}
+
+/**
+ * Apply a sell transaction to a position, realizing profit on the consumed lots
+ * @param {Object} position - Position to update
+ * @param {Object} tx - Sell transaction ({ amount, sellPrice, fees })
+ * @param {number} index - Index of the transaction in the saved list
+ * @param {string} method - Cost basis method
+ */
+function applySell(position, tx, index, method) {
+    const { pieces, shortfall } = consumeLots(position.lots, tx.amount, method);
+    const coinsSold = tx.amount - shortfall;
+
+    // Spread, percentage and fixed fees all count as selling costs
+    const netProceeds = calculateSale(coinsSold, tx.sellPrice, tx.fees).netSaleAmount;
+    const sellFees = coinsSold * tx.sellPrice - netProceeds;
+
+    let realized = 0;
+    pieces.forEach(piece => {
+        const share = coinsSold > 0 ? piece.coins / coinsSold : 0;
+        const proceeds = netProceeds * share;
+        const gain = proceeds - piece.costBasis;
+        realized += gain;
+
+        position.disposals.push({
+            txIndex: index,
+            lotTxIndex: piece.txIndex,
+            acquiredAt: piece.timestamp,
+            disposedAt: tx.timestamp,
+            coins: piece.coins,
+            costBasis: piece.costBasis,
+            proceeds,
+            fees: piece.buyFees + sellFees * share,
+            gain
+        });
+    });
+
+    position.realizedProfit += realized;
+    position.proceeds += netProceeds;
+
+    position.events.push({
+        index,
+        type: 'sell',
+        coins: coinsSold,
+        realizedProfit: realized,
+        shortfall,
+        holdings: sumLotCoins(position.lots)
+    });
+}
+
+/**
+ * Apply a transfer-in to a position
+ * The coins arrive with a cost basis carried over from elsewhere (amount × buyPrice);
+ * the network fee (in coins) reduces the coins received but stays in the cost basis
+ * @param {Object} position - Position to update
+ * @param {Object} tx - Transfer-in transaction ({ amount, buyPrice, fee })
+ * @param {number} index - Index of the transaction in the saved list
+ */
+function applyTransferIn(position, tx, index) {
+    const coins = Math.max(0, tx.amount - (tx.fee || 0));
+
+    position.lots.push({
+        txIndex: index,
+        timestamp: tx.timestamp,
+        coins,
+        costBasis: tx.amount * (tx.buyPrice || 0),
+        buyFees: (tx.fee || 0) * (tx.buyPrice || 0),
+        fees: NO_FEES
+    });
+
+    position.events.push({ index, type: 'transfer-in', coins, holdings: sumLotCoins(position.lots) });
+}
+
+/**
+ * Apply a transfer-out to a position
+ * The coins leave the tracked portfolio without realizing any profit/loss;
+ * the network fee (in coins) is removed together with the amount
+ * @param {Object} position - Position to update
+ * @param {Object} tx - Transfer-out transaction ({ amount, fee })
+ * @param {number} index - Index of the transaction in the saved list
+ * @param {string} method - Cost basis method
+ */
+function applyTransferOut(position, tx, index, method) {
+    const coins = tx.amount + (tx.fee || 0);
+    const { shortfall } = consumeLots(position.lots, coins, method);
+
+    position.events.push({
+        index,
+        type: 'transfer-out',
+        coins: coins - shortfall,
+        shortfall,
+        holdings: sumLotCoins(position.lots)
+    });
+}
+
+/**
+ * Build per-currency positions from the saved transaction ledger
+ * Transactions are replayed in chronological order; buys and transfers in open lots,
+ * sells and transfers out close them according to the selected cost basis method
+ * @param {Array} transactions - Saved transactions (as returned by loadTransactions)
+ * @param {string} method - Cost basis method ('fifo', 'lifo' or 'average')
+ * @returns {Map<string, Object>} Positions keyed by asset and currency (see getPositionKey)
+ */
+function buildPortfolio(transactions, method = 'fifo') {
+    const positions = new Map();
+
+    // Replay in chronological order, keeping the original index for ties and for row lookups
+    const ordered = transactions
+        .map((tx, index) => ({ tx, index }))
+        .sort((a, b) => (a.tx.timestamp - b.tx.timestamp) || (a.index - b.index));
+
+    ordered.forEach(({ tx, index }) => {
+        const key = getPositionKey(getTransactionAsset(tx), tx.currency);
+        if (!positions.has(key)) {
+            positions.set(key, createPosition(getTransactionAsset(tx), tx.currency));
+        }
+        const position = positions.get(key);
+
+        switch (getTransactionType(tx)) {
+            case 'sell':
+                applySell(position, tx, index, method);
+                break;
+            case 'transfer-in':
+                applyTransferIn(position, tx, index);
+                break;
+            case 'transfer-out':
+                applyTransferOut(position, tx, index, method);
+                break;
+            default:
+                applyBuy(position, tx, index);
+        }
+    });
+
+    return positions;
+}
+
+/**
+ * Find the first event in the ledger that removes more coins than were held at the time
+ * Holdings do not depend on the cost basis method, so FIFO is used for the replay
+ * @param {Array} transactions - Saved transactions
+ * @returns {Object|null} The offending event with its asset and currency, or null if the ledger is consistent
+ */
+function findLedgerShortfall(transactions) {
+    for (const position of buildPortfolio(transactions, 'fifo').values()) {
+        const event = position.events.find(e => e.shortfall > 0);
+        if (event) {
+            return { ...event, asset: position.asset, currency: position.currency };
+        }
+    }
+    return null;
+}
+
+/**
+ * Map every transaction that removes more coins than were held at the time to its shortfall event
+ * @param {Array} transactions - Saved transactions
+ * @returns {Map<Object, Object>} Shortfall event (with its asset and currency) per transaction object
+ */
+function getLedgerShortfalls(transactions) {
+    const shortfalls = new Map();
+    for (const position of buildPortfolio(transactions, 'fifo').values()) {
+        position.events.filter(e => e.shortfall > 0).forEach(event => {
+            shortfalls.set(transactions[event.index], { ...event, asset: position.asset, currency: position.currency });
+        });
+    }
+    return shortfalls;
+}
+
+/**
+ * Find the first shortfall introduced by a change to the ledger
+ * Shortfalls the ledger already had (e.g. saved before holdings were checked) only count if the
+ * change makes them larger, so they do not block unrelated adds and deletes
+ * @param {Array} before - Transactions before the change
+ * @param {Array} after - Transactions after the change, sharing the objects of unchanged transactions
+ * @returns {Object|null} The offending event (its index points into `after`), or null
+ */
+function findNewLedgerShortfall(before, after) {
+    const previous = getLedgerShortfalls(before);
+    for (const [tx, event] of getLedgerShortfalls(after)) {
+        const existing = previous.get(tx);
+        if (!existing || event.shortfall > existing.shortfall + COIN_EPSILON) {
+            return event;
+        }
+    }
+    return null;
+}
+
+/**
+ * Calculate current profit for the part of a buy lot that is still held
+ * Mirrors calculateTransactionProfit, but starts from the lot's remaining coins and cost basis
+ * @param {Object} lot - Open lot from buildPortfolio
+ * @param {number} currentPrice - Current market price
+ * @returns {Object} Same shape as calculateTransactionProfit
+ */
+function calculateLotProfit(lot, currentPrice) {
+    const { netSaleAmount } = calculateSale(lot.coins, currentPrice, lot.fees);
+    const netProfit = netSaleAmount - lot.costBasis;
+
+    return {
+        coinsPurchased: lot.coins,
+        netProfit,
+        coinsToSellBreakEven: getCoinsToRecover(lot.costBasis, currentPrice, lot.fees),
+        coinsToSellForProfit: currentPrice > 0 ? netSaleAmount / currentPrice : 0
+    };
+}
+
+/**
+ * Value the open lots of a position at a market price
+ * Unrealized profit assumes each lot is sold with its own fees, matching calculateTransactionProfit
+ * @param {Object} position - Position built by buildPortfolio
+ * @param {number|null} price - Current market price (null if unavailable)
+ * @returns {Object} Totals for the position
+ */
+function markPositionToMarket(position, price) {
+    const holdings = sumLotCoins(position.lots);
+    const costBasis = position.lots.reduce((sum, lot) => sum + lot.costBasis, 0);
+
+    let marketValue = null;
+    let unrealizedProfit = null;
+    if (price !== null && price !== undefined && !isNaN(price)) {
+        marketValue = holdings * price;
+        unrealizedProfit = position.lots.reduce(
+            (sum, lot) => sum + calculateSale(lot.coins, price, lot.fees).netSaleAmount - lot.costBasis,
+            0
+        );
+    }
+
+    return {
+        asset: position.asset,
+        currency: position.currency,
+        holdings,
+        costBasis,
+        averageCost: holdings > COIN_EPSILON ? costBasis / holdings : 0,
+        marketValue,
+        unrealizedProfit,
+        realizedProfit: position.realizedProfit,
+        totalProfit: unrealizedProfit !== null ? unrealizedProfit + position.realizedProfit : null
+    };
+}
+
+/**
+ * Render per-asset and currency portfolio totals above the transactions table
+ * @param {Map<string, Object>} positions - Positions built by buildPortfolio
+ * @param {Map<string, number|null>} priceMap - Current price per position key
+ */
+function renderPortfolioSummary(positions, priceMap) {
+    const container = document.getElementById('portfolioSummary');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    positions.forEach((position, key) => {
+        const currency = position.currency;
+        const totals = markPositionToMarket(position, priceMap.get(key));
+        const format = value => value === null ? '—' : formatTransactionCurrency(value, currency);
+        const profitClass = value => value > 0 ? 'text-green-600 dark:text-green-400' :
+                                     value < 0 ? 'text-red-600 dark:text-red-400' :
+                                     'text-gray-600 dark:text-gray-400';
+
+        const card = document.createElement('div');
+        card.className = 'bg-white dark:bg-gray-800 rounded-lg p-3 border border-gray-200 dark:border-gray-600 text-sm';
+        card.innerHTML = `
+            <div class="font-bold text-gray-800 dark:text-white mb-2">${escapeHTML(describePosition(position))}</div>
+            <div class="flex justify-between"><span class="text-gray-600 dark:text-gray-400">Holdings:</span><span class="dark:text-white">${totals.holdings.toFixed(8)}</span></div>
+            <div class="flex justify-between"><span class="text-gray-600 dark:text-gray-400">Cost Basis:</span><span class="dark:text-white">${format(totals.costBasis)}</span></div>
+            <div class="flex justify-between"><span class="text-gray-600 dark:text-gray-400">Average Cost:</span><span class="dark:text-white">${format(totals.averageCost)}</span></div>
+            <div class="flex justify-between"><span class="text-gray-600 dark:text-gray-400">Market Value:</span><span class="dark:text-white">${format(totals.marketValue)}</span></div>
+            <div class="flex justify-between"><span class="text-gray-600 dark:text-gray-400">Unrealized P/L:</span><span class="font-semibold ${profitClass(totals.unrealizedProfit)}">${format(totals.unrealizedProfit)}</span></div>
+            <div class="flex justify-between"><span class="text-gray-600 dark:text-gray-400">Realized P/L:</span><span class="font-semibold ${profitClass(totals.realizedProfit)}">${format(totals.realizedProfit)}</span></div>
+            <div class="flex justify-between border-t dark:border-gray-600 mt-1 pt-1"><span class="font-semibold text-gray-800 dark:text-white">Total P/L:</span><span class="font-bold ${profitClass(totals.totalProfit)}">${format(totals.totalProfit)}</span></div>
+        `;
+        container.appendChild(card);
+    });
+}
+
+// Format currency with transaction's currency
+function formatTransactionCurrency(num, currency) {
+    if (getCryptoQuoteUnit(currency)) {
+        return formatCryptoQuote(num, currency);
+    }
+    // Use 'en-US' locale for consistent formatting across all users
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(num);
+}
+
+// ========== TAX REPORT ==========
+
+// Default holding period (in days) after which a disposal counts as long-term
+const DEFAULT_HOLDING_PERIOD_DAYS = 365;
+
+/**
+ * Get the long-term holding period threshold from the report form
+ * @returns {number} Holding period in days
+ */
+function getHoldingPeriodDays() {
+    const input = document.getElementById('holdingPeriodDays');
+    const days = input ? parseInt(input.value, 10) : NaN;
+    return isNaN(days) || days < 0 ? DEFAULT_HOLDING_PERIOD_DAYS : days;
+}
+
+/**
+ * Build a capital gains report for one calendar year from the ledger disposals
+ * @param {Array} transactions - Saved transactions
+ * @param {number} year - Calendar year of the disposals to include
+ * @param {string} method - Cost basis method used to match sells against lots
+ * @param {number} holdingPeriodDays - Disposals held longer than this are long-term
+ * @returns {Object} Report with per-disposal rows and per-currency totals (all assets combined)
+ */
+function buildTaxReport(transactions, year, method, holdingPeriodDays) {
+    const rows = [];
+    const totals = new Map();
+
+    buildPortfolio(transactions, method).forEach(({ asset, currency, disposals }) => {
+        disposals
+            .filter(disposal => new Date(disposal.disposedAt).getFullYear() === year)
+            .forEach(disposal => {
+                const holdingDays = Math.floor((disposal.disposedAt - disposal.acquiredAt) / 86400000);
+                const term = holdingDays > holdingPeriodDays ? 'long' : 'short';
+                rows.push({ asset, currency, holdingDays, term, ...disposal });
+
+                if (!totals.has(currency)) {
+                    totals.set(currency, { costBasis: 0, proceeds: 0, fees: 0, shortTermGain: 0, longTermGain: 0 });
+                }
+                const total = totals.get(currency);
+                total.costBasis += disposal.costBasis;
+                total.proceeds += disposal.proceeds;
+                total.fees += disposal.fees;
+                total[term === 'long' ? 'longTermGain' : 'shortTermGain'] += disposal.gain;
+            });
+    });
+
+    rows.sort((a, b) => (a.disposedAt - b.disposedAt) || (a.acquiredAt - b.acquiredAt));
+
+    return { year, method, holdingPeriodDays, rows, totals };
+}
+
+/**
+ * Get the calendar years that contain at least one disposal
+ * @param {Array} transactions - Saved transactions
+ * @returns {Array<number>} Years in descending order
+ */
+function getTaxReportYears(transactions) {
+    const years = new Set([new Date().getFullYear()]);
+    transactions
+        .filter(tx => getTransactionType(tx) === 'sell')
+        .forEach(tx => years.add(new Date(tx.timestamp).getFullYear()));
+    return [...years].sort((a, b) => b - a);
+}
+
+/**
+ * Fill the tax year selector, keeping the current selection when possible
+ * @param {Array} transactions - Saved transactions
+ */
+function updateTaxReportYears(transactions) {
+    const select = document.getElementById('taxReportYear');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '';
+    getTaxReportYears(transactions).forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        select.appendChild(option);
+    });
+    if (selected && select.querySelector(`option[value="${parseInt(selected, 10)}"]`)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Format a timestamp as an ISO date (YYYY-MM-DD) in local time
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Date string
+ */
+function formatReportDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Escape a value for a CSV field
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a tax report to CSV
+ * Amounts are plain numbers (2 decimals) so spreadsheets can sum them
+ * @param {Object} report - Report from buildTaxReport
+ * @returns {string} CSV text
+ */
+function taxReportToCSV(report) {
+    const header = ['Asset', 'Currency', 'Acquired', 'Disposed', 'Holding Days', 'Term', 'Coins', 'Cost Basis', 'Proceeds', 'Fees', 'Gain'];
+    const lines = [header.join(',')];
+
+    report.rows.forEach(row => {
+        const decimals = getCurrencyDecimals(row.currency);
+        lines.push([
+            getAssetInfo(row.asset).symbol,
+            row.currency,
+            formatReportDate(row.acquiredAt),
+            formatReportDate(row.disposedAt),
+            row.holdingDays,
+            row.term === 'long' ? 'Long-term' : 'Short-term',
+            row.coins.toFixed(8),
+            row.costBasis.toFixed(decimals),
+            row.proceeds.toFixed(decimals),
+            row.fees.toFixed(decimals),
+            row.gain.toFixed(decimals)
+        ].map(escapeCSVField).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a tax report as a standalone print-friendly HTML document
+ * @param {Object} report - Report from buildTaxReport
+ * @returns {string} HTML document
+ */
+function taxReportToHTML(report) {
+    const methodLabels = { fifo: 'FIFO', lifo: 'LIFO', average: 'Average cost' };
+
+    const rowsHTML = report.rows.map(row => `
+        <tr>
+            <td>${escapeHTML(getAssetInfo(row.asset).symbol)}</td>
+            <td>${escapeHTML(row.currency)}</td>
+            <td>${formatReportDate(row.acquiredAt)}</td>
+            <td>${formatReportDate(row.disposedAt)}</td>
+            <td class="num">${row.holdingDays}</td>
+            <td>${row.term === 'long' ? 'Long-term' : 'Short-term'}</td>
+            <td class="num">${row.coins.toFixed(8)}</td>
+            <td class="num">${formatTransactionCurrency(row.costBasis, row.currency)}</td>
+            <td class="num">${formatTransactionCurrency(row.proceeds, row.currency)}</td>
+            <td class="num">${formatTransactionCurrency(row.fees, row.currency)}</td>
+            <td class="num">${formatTransactionCurrency(row.gain, row.currency)}</td>
+        </tr>`).join('');
+
+    const totalsHTML = [...report.totals.entries()].map(([currency, total]) => `
+        <tr>
+            <td>${escapeHTML(currency)}</td>
+            <td class="num">${formatTransactionCurrency(total.proceeds, currency)}</td>
+            <td class="num">${formatTransactionCurrency(total.costBasis, currency)}</td>
+            <td class="num">${formatTransactionCurrency(total.fees, currency)}</td>
+            <td class="num">${formatTransactionCurrency(total.shortTermGain, currency)}</td>
+            <td class="num">${formatTransactionCurrency(total.longTermGain, currency)}</td>
+            <td class="num">${formatTransactionCurrency(total.shortTermGain + total.longTermGain, currency)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Capital Gains Report ${report.year}</title>
+<style>
+    body { font-family: sans-serif; font-size: 12px; color: #111; margin: 24px; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    h2 { font-size: 14px; margin-top: 24px; }
+    p { margin: 2px 0; color: #444; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+    th { background: #f3f4f6; }
+    .num { text-align: right; white-space: nowrap; }
+</style>
+</head>
+<body>
+<h1>Capital Gains Report ${report.year}</h1>
+<p>Cost basis method: ${methodLabels[report.method] || escapeHTML(report.method)}</p>
+<p>Long-term holding period: more than ${report.holdingPeriodDays} days</p>
+<p>Generated: ${escapeHTML(new Date().toLocaleString())}</p>
+<h2>Summary</h2>
+<table>
+    <thead><tr><th>Currency</th><th>Proceeds</th><th>Cost Basis</th><th>Fees</th><th>Short-term Gain</th><th>Long-term Gain</th><th>Total Gain</th></tr></thead>
+    <tbody>${totalsHTML || '<tr><td colspan="7">No disposals in this year.</td></tr>'}</tbody>
+</table>
+<h2>Disposals</h2>
+<table>
+    <thead><tr><th>Asset</th><th>Currency</th><th>Acquired</th><th>Disposed</th><th>Holding Days</th><th>Term</th><th>Coins</th><th>Cost Basis</th><th>Proceeds</th><th>Fees</th><th>Gain</th></tr></thead>
+    <tbody>${rowsHTML || '<tr><td colspan="11">No disposals in this year.</td></tr>'}</tbody>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * Build the tax report for the year and holding period selected in the form
+ * @returns {Object|null} Report, or null if there are no transactions
+ */
+function getSelectedTaxReport() {
+    const transactions = loadTransactions();
+    if (transactions.length === 0) {
+        alert('No saved transactions to report.');
+        return null;
+    }
+
+    const yearSelect = document.getElementById('taxReportYear');
+    const year = yearSelect && yearSelect.value ? parseInt(yearSelect.value, 10) : new Date().getFullYear();
+    return buildTaxReport(transactions, year, getCostBasisMethod(), getHoldingPeriodDays());
+}
+
+/**
+ * Handle CSV export button click - downloads the tax report as a CSV file
+ */
+function handleTaxReportCSV() {
+    const report = getSelectedTaxReport();
+    if (!report) return;
+
+    const filename = `crypto-capital-gains-${report.year}.csv`;
+    if (!downloadFile(taxReportToCSV(report), filename, 'text/csv')) {
+        alert('Download not supported by your browser.');
+    }
+}
+
+/**
+ * Handle print button click - opens the tax report in a print-friendly window
+ */
+function handleTaxReportPrint() {
+    const report = getSelectedTaxReport();
+    if (!report) return;
+
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        alert('Please allow pop-ups to open the printable report.');
+        return;
+    }
+    reportWindow.document.write(taxReportToHTML(report));
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+}
+
+// Labels shown in the transactions table for each transaction type
+const TRANSACTION_TYPE_LABELS = {
+    'buy': 'Buy',
+    'sell': 'Sell',
+    'transfer-in': 'Transfer In',
+    'transfer-out': 'Transfer Out'
+};
+
+/**
+ * Build the data cells of a transactions table row
+ * Buys show the hypothetical sale of the coins still held from that buy,
+ * sells show the realized result and transfers only move coins
+ * @param {Object} tx - Saved transaction
+ * @param {string} type - Transaction type
+ * @param {Object} event - Ledger event for the transaction (from buildPortfolio)
+ * @param {Object|undefined} lot - Remaining open lot for buys and transfers in
+ * @param {number} sellPrice - Price used to value open coins
+ * @returns {string} Table cells HTML
+ */
+function createTransactionCells(tx, type, event, lot, sellPrice) {
+    const cell = (content, extraClass = '', title = '') =>
+        `<td class="py-2 px-2 whitespace-nowrap ${extraClass}"${title ? ` title="${title}"` : ''}>${content}</td>`;
+    const profitClass = value => value > 0 ? 'text-green-600 dark:text-green-400' : 
+                                 value < 0 ? 'text-red-600 dark:text-red-400' : 
+                                 'text-gray-600 dark:text-gray-400';
+    
+    const date = new Date(tx.timestamp).toLocaleString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    
+    // Highlight events that remove more coins than were held at the time
+    const shortfallClass = event.shortfall > 0 ? 'text-orange-600 dark:text-orange-400' : '';
+    const shortfallTitle = event.shortfall > 0 ? `Exceeds holdings by ${event.shortfall.toFixed(8)} coins` : '';
+    const holdingsCell = cell(event.holdings.toFixed(8), shortfallClass, shortfallTitle);
+    
+    const venue = tx.venue ? `<div class="text-xs text-gray-500 dark:text-gray-400">${escapeHTML(tx.venue)}</div>` : '';
+    let cells = cell(`${TRANSACTION_TYPE_LABELS[type]} ${getAssetInfo(getTransactionAsset(tx)).symbol}${venue}`) + cell(date);
+    
+    if (type === 'sell') {
+        cells += cell(formatTransactionCurrency(tx.amount * tx.sellPrice, tx.currency));
+        cells += cell(formatTransactionCurrency(tx.sellPrice, tx.currency));
+        cells += cell(`-${event.coins.toFixed(8)}`, shortfallClass, shortfallTitle);
+        cells += cell('—') + cell('—');
+        cells += cell(formatTransactionCurrency(event.realizedProfit, tx.currency), `font-semibold ${profitClass(event.realizedProfit)}`, 'Realized profit/loss');
+        return cells + holdingsCell;
+    }
+    
+    if (type === 'transfer-out') {
+        cells += cell('—') + cell('—');
+        cells += cell(`-${event.coins.toFixed(8)}`, shortfallClass, shortfallTitle);
+        cells += cell('—') + cell('—') + cell('—');
+        return cells + holdingsCell;
+    }
+    
+    if (type === 'transfer-in') {
+        cells += cell(formatTransactionCurrency(tx.amount * (tx.buyPrice || 0), tx.currency), '', 'Carried-over cost basis');
+        cells += cell(formatTransactionCurrency(tx.buyPrice || 0, tx.currency));
+    } else {
+        cells += cell(formatTransactionCurrency(tx.investment, tx.currency));
+        cells += cell(formatTransactionCurrency(tx.buyPrice, tx.currency));
+    }
+    
+    // Coins from this buy that were already sold or transferred no longer count towards break even
+    if (!lot) {
+        cells += cell(event.coins.toFixed(8), '', 'Fully sold or transferred');
+        cells += cell('—') + cell('—') + cell('—');
+        return cells + holdingsCell;
+    }
+    
+    const { coinsPurchased, netProfit, coinsToSellBreakEven, coinsToSellForProfit } = calculateLotProfit(lot, sellPrice);
+    
+    // Check if break even amount is greater than coins held
+    const isBreakEvenExceedingCoins = coinsToSellBreakEven > coinsPurchased;
+    const breakEvenClass = isBreakEvenExceedingCoins ? 'text-orange-600 dark:text-orange-400' : '';
+    
+    // Calculate remaining coins after break even sell
+    const remainingCoins = coinsPurchased - coinsToSellBreakEven;
+    const breakEvenTooltip = `Remaining after sell: ${remainingCoins.toFixed(8)} coins`;
+    
+    const coinsTitle = coinsPurchased < event.coins - COIN_EPSILON
+        ? `${event.coins.toFixed(8)} acquired, ${coinsPurchased.toFixed(8)} still held`
+        : '';
+    cells += cell(coinsPurchased.toFixed(8), '', coinsTitle);
+    cells += cell(coinsToSellBreakEven.toFixed(8), breakEvenClass, breakEvenTooltip);
+    cells += cell(coinsToSellForProfit.toFixed(8));
+    cells += cell(formatTransactionCurrency(netProfit, tx.currency), `font-semibold ${profitClass(netProfit)}`);
+    return cells + holdingsCell;
+}
+
+// Render transactions table
+async function renderTransactions() {
+    const formCurrency = document.getElementById('currency') ? document.getElementById('currency').value : null;
+    const transactions = loadTransactions().map(tx => convertTransactionQuote(tx, formCurrency));
+    const tbody = document.getElementById('transactionsTableBody');
+    const section = document.getElementById('transactionsSection');
+    
+    // Keep the buy markers on the chart and the profit alerts in sync with the ledger
+    updateChartAnnotations(transactions);
+    renderAlerts(transactions);
+    
+    if (transactions.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    section.style.display = 'block';
+    tbody.innerHTML = '';
+    
+    // Check if there's a manually entered sell price in the form
+    const formSellPriceInput = document.getElementById('sellPrice');
+    const formSellPriceValue = formSellPriceInput ? parseFloat(formSellPriceInput.value) : null;
+    const formPositionKey = getPositionKey(getSelectedAsset(), formCurrency);
+    const hasManualSellPrice = formSellPriceValue && !isNaN(formSellPriceValue) && formSellPriceValue > 0;
+    
+    // Get unique asset/currency pairs to minimize API calls
+    const uniquePositions = new Map(transactions.map(tx => [
+        getPositionKey(getTransactionAsset(tx), tx.currency),
+        { asset: getTransactionAsset(tx), currency: tx.currency }
+    ]));
+    
+    // Fetch prices for all unique pairs in parallel
+    const pricePromises = [...uniquePositions].map(([key, { asset, currency }]) =>
+        fetchBTCPrice(currency, asset).then(price => ({ key, price }))
+    );
+    const prices = await Promise.all(pricePromises);
+    const priceMap = new Map(prices.map(({ key, price }) => [key, price]));
+    
+    // Replay the ledger as lots and show per-asset totals above the table
+    const portfolio = buildPortfolio(transactions, getCostBasisMethod());
+    const eventMap = new Map();
+    const lotMap = new Map();
+    portfolio.forEach(position => {
+        position.events.forEach(event => eventMap.set(event.index, event));
+        position.lots.forEach(lot => lotMap.set(lot.txIndex, lot));
+    });
+    renderPortfolioSummary(portfolio, priceMap);
+    updateTaxReportYears(transactions);
+    
+    for (let i = 0; i < transactions.length; i++) {
+        const tx = transactions[i];
+        const type = getTransactionType(tx);
+        const event = eventMap.get(i);
+        const positionKey = getPositionKey(getTransactionAsset(tx), tx.currency);
+        const currentPrice = priceMap.get(positionKey);
         
-        // Release the URL
-        URL.revokeObjectURL(url);
+        // Use manually entered sell price if available and asset and currency match
+        let sellPrice;
+        if (hasManualSellPrice && positionKey === formPositionKey) {
+            sellPrice = formSellPriceValue;
+        } else {
+            sellPrice = currentPrice !== null ? currentPrice : (tx.buyPrice || tx.sellPrice);
+        }
         
-        return true;
-    } catch (e) {
-        console.error('Failed to download file:', e);
-        return false;
+        const row = document.createElement('tr');
+        row.className = 'border-b dark:border-gray-600';
+        row.innerHTML = createTransactionCells(tx, type, event, lotMap.get(i), sellPrice) + `
+            <td class="py-2 px-2">
+                <button 
+                    data-index="${i}"
+                    class="delete-transaction px-3 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 transition"
+                >
+                    Delete
+                </button>
+            </td>
+        `;
+        tbody.appendChild(row);
     }
+    
+    // Add event listeners to delete buttons
+    document.querySelectorAll('.delete-transaction').forEach(button => {
+        button.addEventListener('click', function() {
+            const index = parseInt(this.getAttribute('data-index'));
+            deleteTransaction(index);
+        });
+    });
 }
 
 /**
- * Handle share button click - shares data via clipboard or Web Share API
+ * Show the ledger fields that apply to the selected transaction type
+ * Buys derive their coins from the investment; other types need a coin amount.
+ * Transfers pay a network fee in coins instead of a percentage
  */
-async function handleShare() {
+function updateTransactionTypeFields() {
+    const type = document.getElementById('txType').value;
+    const isTransfer = type === 'transfer-in' || type === 'transfer-out';
+
+    document.getElementById('txAmountContainer').style.display = type === 'buy' ? 'none' : '';
+    document.getElementById('txFeeLabel').textContent = isTransfer ? 'Network Fee (coins)' : 'Transaction Fee (%)';
+    document.getElementById('txFee').placeholder = isTransfer ? '0' :
+        type === 'sell' ? 'Same as Sell Fee (%) above' : 'Same as Buy Fee (%) above';
+    document.getElementById('txFee').step = isTransfer ? '0.00000001' : '0.001';
+}
+
+/**
+ * Fill the price of the ledger entry from the market price at its date
+ * Buys and transfers in get the buy price, sells the sell price
+ */
+async function lookupTransactionPrice() {
+    const type = document.getElementById('txType').value;
+    if (type === 'transfer-out') {
+        alert('Transfers out have no price to look up');
+        return;
+    }
+
+    const dateValue = document.getElementById('txDate').value;
+    if (!dateValue) {
+        alert('Please choose the transaction date first');
+        return;
+    }
+    const timestamp = new Date(dateValue).getTime();
+    if (isNaN(timestamp) || timestamp > Date.now()) {
+        alert('Please choose a past transaction date');
+        return;
+    }
+
+    const button = document.getElementById('lookupTxPrice');
+    const currency = document.getElementById('currency').value;
+    const asset = getSelectedAsset();
+    button.disabled = true;
     try {
-        const exportedData = exportData();
-        
-        // Try to share using Web Share API first (works on mobile and some desktop browsers)
-        if (navigator.share) {
-            try {
-                const shared = await shareText(exportedData);
-                if (shared) {
-                    alert('Data ready to share!');
-                    return;
-                }
-                // If shareText returns false, fall through to clipboard
-                console.log('Share not supported, trying clipboard');
-            } catch (e) {
-                // User cancelled or error occurred, fall through to clipboard
-                console.log('Share cancelled or failed, trying clipboard:', e.message);
-            }
+        const result = await fetchHistoricalPrice(timestamp, currency, asset);
+        if (!result) {
+            alert(`No ${getAssetInfo(asset).symbol} price is available for ${new Date(timestamp).toLocaleDateString()}`);
+            return;
         }
-        
-        // Fallback to copy to clipboard
-        const copied = await copyToClipboard(exportedData);
-        if (copied) {
-            alert('Data copied to clipboard!\n\nYou can now paste it to save or share.');
-        } else {
-            // Last resort: show in a dialog for manual copy
-            const message = 'Copy this data to save or share:\n\n' + exportedData;
-            prompt(message, exportedData);
+        document.getElementById(type === 'sell' ? 'sellPrice' : 'buyPrice').value = formatPrice(result.price);
+        if (result.conversionWarning) {
+            alert(`${currency} price converted from USD: ${result.conversionWarning}`);
         }
-    } catch (e) {
-        alert(e.message || 'Failed to share data');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Read and validate a ledger entry from the calculator form
+ * @returns {{transaction: Object|null, error: string|null}} The transaction to save, or a validation message
+ */
+function readTransactionFromForm() {
+    const type = document.getElementById('txType').value;
+    const asset = getSelectedAsset();
+    const currency = document.getElementById('currency').value;
+    const isTransfer = type === 'transfer-in' || type === 'transfer-out';
+
+    // Date defaults to now; back-dated entries are replayed in order by the portfolio engine
+    const dateValue = document.getElementById('txDate').value;
+    const timestamp = dateValue ? new Date(dateValue).getTime() : Date.now();
+    if (isNaN(timestamp)) {
+        return { transaction: null, error: 'Please enter a valid transaction date' };
+    }
+    if (timestamp > Date.now()) {
+        return { transaction: null, error: 'Transaction date cannot be in the future' };
+    }
+
+    // Own fee for this transaction: transfers default to zero, trades use the calculator's
+    // fee model with this fee (if given) replacing the percentage of their leg
+    const txFeeValue = document.getElementById('txFee').value;
+    const fee = txFeeValue !== '' ? parseFloat(txFeeValue) : 0;
+
+    if (isNaN(fee) || fee < 0) {
+        return { transaction: null, error: 'Please enter a valid fee' };
+    }
+    if (!isTransfer && fee > 100) {
+        return { transaction: null, error: 'Fee percentage must be between 0 and 100' };
+    }
+
+    let fees = null;
+    if (!isTransfer) {
+        const feeModel = readFeeModel();
+        if (feeModel.error) {
+            return { transaction: null, error: feeModel.error };
+        }
+        fees = feeModel.fees;
+        if (txFeeValue !== '') {
+            fees[type] = fee;
+        }
+    }
+    // Trades remember the exchange of the selected fee preset
+    const venue = isTransfer ? null : getFeeVenue();
+
+    if (type === 'buy') {
+        const investment = parseFloat(document.getElementById('investment').value);
+        const buyPrice = parseFloat(document.getElementById('buyPrice').value);
+
+        if (isNaN(investment) || isNaN(buyPrice)) {
+            return { transaction: null, error: 'Please enter valid numbers for all fields' };
+        }
+        if (investment <= 0 || buyPrice <= 0) {
+            return { transaction: null, error: 'Investment amount and buy price must be greater than zero' };
+        }
+
+        const transaction = { type, asset, investment, buyPrice, fees, currency, timestamp };
+        if (venue) {
+            transaction.venue = venue;
+        }
+        if (!(getTransactionCoins(transaction) > 0)) {
+            return { transaction: null, error: 'The fees use up the whole investment' };
+        }
+        return { transaction, error: null };
+    }
+
+    const amount = parseFloat(document.getElementById('txAmount').value);
+    if (isNaN(amount) || amount <= 0) {
+        return { transaction: null, error: 'Amount (coins) must be greater than zero' };
+    }
+
+    if (type === 'sell') {
+        const sellPrice = parseFloat(document.getElementById('sellPrice').value);
+        if (isNaN(sellPrice) || sellPrice <= 0) {
+            return { transaction: null, error: 'Sell price must be greater than zero' };
+        }
+        const transaction = { type, asset, amount, sellPrice, fees, currency, timestamp };
+        if (venue) {
+            transaction.venue = venue;
+        }
+        return { transaction, error: null };
+    }
+
+    if (type === 'transfer-in') {
+        if (fee >= amount) {
+            return { transaction: null, error: 'Network fee must be smaller than the transferred amount' };
+        }
+        const buyPrice = parseFloat(document.getElementById('buyPrice').value);
+        if (isNaN(buyPrice) || buyPrice < 0) {
+            return { transaction: null, error: 'Buy price (cost basis per coin) cannot be negative' };
+        }
+        return { transaction: { type, asset, amount, buyPrice, fee, currency, timestamp }, error: null };
     }
+
+    return { transaction: { type, asset, amount, fee, currency, timestamp }, error: null };
+}
+
+// Delete a transaction
+function deleteTransaction(index) {
+    const transactions = loadTransactions();
+    const remaining = transactions.filter((tx, i) => i !== index);
+
+    // Removing a buy or transfer in can leave later sells and transfers out without the coins they removed
+    const shortfall = findNewLedgerShortfall(transactions, remaining);
+    if (shortfall) {
+        const shortfallDate = new Date(remaining[shortfall.index].timestamp).toLocaleString();
+        const message = `Deleting this transaction leaves the ${describePosition(shortfall)} portfolio ${shortfall.shortfall.toFixed(8)} coins short on ${shortfallDate}. Delete it anyway?`;
+        if (!confirm(message)) {
+            return;
+        }
+    }
+
+    saveTransactions(remaining);
+    renderTransactions();
 }
 
+// ========== CSV TRADE IMPORT ==========
+
+// Ledger fields that can be mapped from CSV columns
+const CSV_IMPORT_FIELDS = [
+    { key: 'date', label: 'Date' },
+    { key: 'type', label: 'Type' },
+    { key: 'asset', label: 'Asset' },
+    { key: 'pair', label: 'Pair' },
+    { key: 'quote', label: 'Quote Currency' },
+    { key: 'amount', label: 'Amount (coins)' },
+    { key: 'price', label: 'Price' },
+    { key: 'total', label: 'Total' },
+    { key: 'fee', label: 'Fee' }
+];
+
+// Column-mapping presets for common exchange export layouts; imported trades record the venue
+const CSV_IMPORT_PRESETS = {
+    coinbase: {
+        label: 'Coinbase (transaction history)',
+        venue: 'Coinbase',
+        columns: { date: 'Timestamp', type: 'Transaction Type', asset: 'Asset', quote: 'Spot Price Currency', amount: 'Quantity Transacted', price: 'Spot Price at Transaction', total: 'Subtotal', fee: 'Fees and/or Spread' }
+    },
+    kraken: {
+        label: 'Kraken (trades)',
+        venue: 'Kraken',
+        columns: { date: 'time', type: 'type', pair: 'pair', amount: 'vol', price: 'price', total: 'cost', fee: 'fee' }
+    },
+    binance: {
+        label: 'Binance (trade history)',
+        venue: 'Binance',
+        columns: { date: 'Date(UTC)', type: 'Side', pair: 'Pair', amount: 'Executed', price: 'Price', total: 'Amount', fee: 'Fee' }
+    },
+    bitstamp: {
+        label: 'Bitstamp (transactions)',
+        venue: 'Bitstamp',
+        columns: { date: 'Datetime', type: 'Sub Type', amount: 'Amount', price: 'Rate', total: 'Value', fee: 'Fee' }
+    },
+    manual: {
+        label: 'Other (map columns manually)',
+        columns: {}
+    }
+};
+
+// Exchange spellings of each asset, mapped to its key in ASSETS (e.g. XXBT -> bitcoin)
+const ASSET_CODES = new Map(Object.entries(ASSETS).flatMap(([asset, info]) => info.codes.map(code => [code, asset])));
+
+// Stablecoin quotes are imported as their fiat peg
+const STABLECOIN_QUOTES = { USDT: 'USD', USDC: 'USD', BUSD: 'USD', DAI: 'USD', TUSD: 'USD', FDUSD: 'USD', EURT: 'EUR', EURC: 'EUR' };
+
+// Exchange wording for each ledger transaction type
+const CSV_IMPORT_TYPE_ALIASES = {
+    'buy': ['buy', 'bought', 'purchase', 'advanced trade buy', 'market buy', 'limit buy'],
+    'sell': ['sell', 'sold', 'advanced trade sell', 'market sell', 'limit sell'],
+    'transfer-in': ['receive', 'received', 'deposit', 'transfer in', 'transfer-in'],
+    'transfer-out': ['send', 'sent', 'withdrawal', 'withdraw', 'transfer out', 'transfer-out']
+};
+
+// Import dialog state
+const csvImportState = {
+    rows: [],        // Parsed CSV rows (arrays of cells)
+    headerIndex: -1, // Index of the header row in rows
+    preview: []      // Normalized rows: { rowNumber, transaction, status, message }
+};
+
 /**
- * Handle download button click - downloads data as a file
+ * Parse CSV text into rows of cells
+ * Handles quoted fields, escaped quotes, CRLF line endings, and comma or semicolon delimiters
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
  */
-async function handleDownload() {
-    try {
-        const exportedData = exportData();
-        
-        // Generate filename with timestamp
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const filename = `crypto-calculator-data-${timestamp}.txt`;
-        
-        // Try to download the file
-        const downloaded = downloadFile(exportedData, filename);
-        
-        if (downloaded) {
-            alert('Data downloaded successfully!\n\nFile: ' + filename);
-        } else {
-            // Fallback: try to copy to clipboard instead
-            const copied = await copyToClipboard(exportedData);
-            if (copied) {
-                alert('Download not supported by your browser.\n\nData copied to clipboard instead!');
+function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
             } else {
-                // Last resort: show in a dialog for manual copy
-                const message = 'Copy this data to save:\n\n' + exportedData;
-                prompt(message, exportedData);
+                field += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
-    } catch (e) {
-        alert(e.message || 'Failed to download data');
     }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.map(cells => cells.map(cell => cell.trim()));
 }
 
 /**
- * Handle import button click
+ * Parse an exchange-formatted number such as "0.5 BTC", "$1,234.56" or "30.5USDT"
+ * @param {string} text - Cell text
+ * @returns {{value: number, unit: string|null}} Absolute numeric value (NaN if missing) and unit code
  */
-function handleImport() {
-    // Check for consent first
-    if (!hasConsent()) {
-        alert('Please accept cookie consent first before importing data.');
-        return;
-    }
-    
-    const data = prompt('Paste your exported data here:');
-    
-    if (!data) {
-        return; // User cancelled
+function parseCSVNumber(text) {
+    if (!text) return { value: NaN, unit: null };
+
+    const unitMatch = text.match(/[A-Za-z]{2,}/);
+    const numeric = text.replace(/[A-Za-z]{2,}/g, '').replace(/[^0-9.\-]/g, '');
+    const value = numeric ? Math.abs(parseFloat(numeric)) : NaN;
+
+    return { value, unit: unitMatch ? unitMatch[0].toUpperCase() : null };
+}
+
+/**
+ * Parse an exchange date cell
+ * Zone-less "YYYY-MM-DD HH:MM:SS" values are treated as UTC (as exchanges export them),
+ * plain numbers as Unix seconds or milliseconds
+ * @param {string} text - Cell text
+ * @returns {number} Timestamp in milliseconds (NaN if invalid)
+ */
+function parseImportDate(text) {
+    if (!text) return NaN;
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = parseFloat(text);
+        return number < 1e11 ? Math.round(number * 1000) : Math.round(number);
     }
-    
-    try {
-        const success = importData(data);
-        if (success) {
-            alert('Data imported successfully! The page will now reload to apply the changes.');
-            window.location.reload();
-        }
-    } catch (e) {
-        alert(e.message || 'Failed to import data');
+
+    if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+        return Date.parse(text.replace(' ', 'T') + 'Z');
     }
+
+    // Bitstamp writes abbreviated months with a period ("Jan. 31, 2024, 12:00 PM")
+    return Date.parse(text.replace(/([A-Za-z]{3})\./, '$1').replace(/ UTC$/, 'Z'));
 }
 
-// Detect user's currency based on locale
-function detectUserCurrency() {
-    try {
-        // Try to detect currency from user's locale
-        const userLocale = navigator.language || navigator.userLanguage || 'en-US';
-        
-        // Common currency mappings based on locale
-        const localeToCurrency = {
-            'en-US': 'USD', 'en-GB': 'GBP', 'en-AU': 'AUD', 'en-CA': 'CAD',
-            'de': 'EUR', 'de-DE': 'EUR', 'fr': 'EUR', 'fr-FR': 'EUR', 
-            'es': 'EUR', 'es-ES': 'EUR', 'it': 'EUR', 'it-IT': 'EUR',
-            'pt-BR': 'BRL', 'ja': 'JPY', 'ja-JP': 'JPY',
-            'zh-CN': 'CNY', 'ko': 'KRW', 'ko-KR': 'KRW',
-            'en-IN': 'INR', 'hi': 'INR', 'ru': 'RUB', 'ru-RU': 'RUB',
-            'ro': 'RON', 'ro-RO': 'RON',
-            'es-MX': 'MXN', 'en-SG': 'SGD', 'zh-HK': 'HKD', 'en-HK': 'HKD'
-        };
-        
-        // Try exact match first, then language part
-        let detectedCurrency = localeToCurrency[userLocale];
-        if (!detectedCurrency) {
-            const lang = userLocale.split('-')[0];
-            detectedCurrency = localeToCurrency[lang];
-        }
-        
-        return detectedCurrency || 'USD';
-    } catch (e) {
-        return 'USD';
+/**
+ * Split a trading pair such as "XXBTZUSD", "BTCUSDT" or "BTC-EUR" into base and quote
+ * @param {string} pair - Pair cell text
+ * @returns {{base: string|null, quote: string|null}} Base and quote codes
+ */
+function parseTradingPair(pair) {
+    const compact = (pair || '').toUpperCase().replace(/[\/\-_ ]/g, '');
+    const base = [...ASSET_CODES.keys()]
+        .sort((a, b) => b.length - a.length)
+        .find(code => compact.startsWith(code));
+
+    if (!base) {
+        return { base: compact ? compact : null, quote: null };
+    }
+
+    // Kraken prefixes its X-codes' fiat quotes with Z (XXBTZUSD, XETHZEUR)
+    let quote = compact.slice(base.length);
+    if (base.length === 4 && base.startsWith('X') && quote.length === 4 && quote.startsWith('Z')) {
+        quote = quote.slice(1);
     }
+    return { base, quote: quote || null };
 }
 
-// Save form values to cookies (excluding sell price)
-function saveFormValues() {
-    setCookie('crypto_calc_investment', document.getElementById('investment').value);
-    setCookie('crypto_calc_buyPrice', document.getElementById('buyPrice').value);
-    // Sell price is not saved - always fetched from API
-    setCookie('crypto_calc_fee', document.getElementById('fee').value);
-    setCookie('crypto_calc_currency', document.getElementById('currency').value);
+/**
+ * Map an exchange transaction type to a ledger type
+ * @param {string} text - Type cell text
+ * @returns {string|null} Ledger type, or null if unsupported
+ */
+function normalizeImportType(text) {
+    const value = (text || '').trim().toLowerCase();
+    return Object.keys(CSV_IMPORT_TYPE_ALIASES).find(type => CSV_IMPORT_TYPE_ALIASES[type].includes(value)) || null;
 }
 
-// Load form values from cookies
-async function loadFormValues() {
-    const savedInvestment = getCookie('crypto_calc_investment');
-    const savedBuyPrice = getCookie('crypto_calc_buyPrice');
-    // Sell price is not saved in cookies - always fetch from API
-    const savedFee = getCookie('crypto_calc_fee');
-    const savedCurrency = getCookie('crypto_calc_currency');
+/**
+ * Get the currency codes offered by the currency selector
+ * @returns {Set<string>} Upper-case currency codes
+ */
+function getCurrencyOptions() {
+    const options = document.querySelectorAll('#currencyDropdown .currency-option');
+    return new Set(Array.from(options, option => option.getAttribute('data-value')));
+}
 
-    // Set currency first: try cookie, then detect, then default to USD
-    const currency = savedCurrency ?? detectUserCurrency();
-    // Use setCurrency to synchronize all three currency elements
-    setCurrency(currency, false);
+/**
+ * Convert one mapped CSV record into a ledger transaction
+ * @param {Object} record - Cell values keyed by ledger field (from the column mapping)
+ * @param {string} defaultCurrency - Currency used when the export has no quote information
+ * @param {Set<string>} supportedCurrencies - Currencies the calculator can price
+ * @param {string} defaultAsset - Asset used when the export has no asset or pair column
+ * @returns {{transaction: Object|null, error: string|null}} Transaction or error message
+ */
+function normalizeImportRecord(record, defaultCurrency, supportedCurrencies, defaultAsset = DEFAULT_ASSET) {
+    const type = normalizeImportType(record.type);
+    if (!type) {
+        return { transaction: null, error: record.type ? `Unsupported type "${record.type}"` : 'Missing type' };
+    }
 
-    // Fetch current BTC price for the selected currency
-    const sellPriceValue = await fetchBTCPrice(currency);
+    const timestamp = parseImportDate(record.date);
+    if (isNaN(timestamp)) {
+        return { transaction: null, error: record.date ? `Invalid date "${record.date}"` : 'Missing date' };
+    }
 
-    // Set values from cookies or defaults
-    document.getElementById('investment').value = savedInvestment ?? defaults.investment;
-    document.getElementById('buyPrice').value = savedBuyPrice ?? defaults.buyPrice;
-    // Use fetched price, or fallback to approximate value for initial load only
-    document.getElementById('sellPrice').value = formatPrice(sellPriceValue ?? defaults.sellPriceFallback);
-    document.getElementById('fee').value = savedFee ?? defaults.fee;
-}
+    const pair = parseTradingPair(record.pair);
+    const assetCode = (record.asset || pair.base || getAssetInfo(defaultAsset).symbol).toUpperCase();
+    const asset = ASSET_CODES.get(assetCode);
+    if (!asset) {
+        return { transaction: null, error: `Unsupported asset "${assetCode}"` };
+    }
 
-// Cache for currency formatters to improve performance
-const formatterCache = new Map();
-// Cache for currency symbol length check results
-const symbolLengthCache = new Map();
+    const amountField = parseCSVNumber(record.amount);
+    const priceField = parseCSVNumber(record.price);
+    const totalField = parseCSVNumber(record.total);
+    const feeField = parseCSVNumber(record.fee);
 
-/**
- * Get or create a cached formatter
- * @param {string} locale - The target locale
- * @param {string} currencyCode - The 3-letter currency code
- * @param {number} minFractionDigits - Minimum fraction digits
- * @param {number} maxFractionDigits - Maximum fraction digits
- * @param {boolean} isCurrency - Whether to create a currency formatter or number formatter
- * @returns {Intl.NumberFormat} The cached or new formatter
- */
-function getOrCreateFormatter(locale, currencyCode, minFractionDigits, maxFractionDigits, isCurrency) {
-    const key = `${locale}|${currencyCode}|${minFractionDigits}|${maxFractionDigits}|${isCurrency}`;
-    
-    if (!formatterCache.has(key)) {
-        const options = {
-            minimumFractionDigits: minFractionDigits,
-            maximumFractionDigits: maxFractionDigits
+    let amount = amountField.value;
+    let price = priceField.value;
+    if (isNaN(price) && totalField.value > 0 && amount > 0) {
+        price = totalField.value / amount;
+    }
+    if (isNaN(amount) && totalField.value > 0 && price > 0) {
+        amount = totalField.value / price;
+    }
+
+    // Quote currency: explicit column, then units on the price/total cells, then the pair
+    const unitQuote = [priceField.unit, totalField.unit].find(unit => unit && ASSET_CODES.get(unit) !== asset);
+    let currency = (record.quote || unitQuote || pair.quote || defaultCurrency).toUpperCase();
+    currency = STABLECOIN_QUOTES[currency] || currency;
+    // Coin quotes use the exchange's code for the coin (XBT, XXBT); the selector uses its symbol
+    if (ASSET_CODES.has(currency)) {
+        currency = getAssetInfo(ASSET_CODES.get(currency)).symbol;
+    }
+    if (!supportedCurrencies.has(currency)) {
+        return { transaction: null, error: `Unsupported currency "${currency}"` };
+    }
+
+    if (!(amount > 0)) {
+        return { transaction: null, error: 'Missing amount' };
+    }
+
+    // Fees may be charged in coins (e.g. Binance buys); trades need them in quote currency
+    const feeValue = isNaN(feeField.value) ? 0 : feeField.value;
+    const feeInCoins = feeField.unit && ASSET_CODES.get(feeField.unit) === asset;
+
+    if (type === 'transfer-in' || type === 'transfer-out') {
+        const fee = feeInCoins ? feeValue : 0;
+        const transaction = type === 'transfer-in'
+            ? { type, asset, amount, buyPrice: price > 0 ? price : 0, fee, currency, timestamp }
+            : { type, asset, amount, fee, currency, timestamp };
+        return { transaction, error: null };
+    }
+
+    if (!(price > 0)) {
+        return { transaction: null, error: 'Missing price' };
+    }
+
+    const feeQuote = feeInCoins ? feeValue * price : feeValue;
+    const grossAmount = amount * price;
+
+    if (type === 'buy') {
+        // The ledger stores the gross investment and a fee percentage that yields the coins received:
+        // a quote-currency fee is paid on top of the trade, a coin fee comes out of the coins bought.
+        // The same percentage is assumed for the eventual sale.
+        const investment = feeInCoins ? grossAmount : grossAmount + feeQuote;
+        const fees = createUniformFees((feeQuote / investment) * 100);
+        return {
+            transaction: { type, asset, investment, buyPrice: price, fees, currency, timestamp },
+            error: null
         };
-        
-        if (isCurrency) {
-            options.style = 'currency';
-            options.currency = currencyCode;
-            options.currencyDisplay = 'symbol';
-        }
-        
-        formatterCache.set(key, new Intl.NumberFormat(locale, options));
     }
-    
-    return formatterCache.get(key);
+
+    return {
+        transaction: { type, asset, amount, sellPrice: price, fees: createUniformFees((feeQuote / grossAmount) * 100), currency, timestamp },
+        error: null
+    };
 }
 
 /**
- * Check if currency symbol is multi-character (cached)
- * @param {string} locale - The target locale
- * @param {string} currencyCode - The 3-letter currency code
- * @returns {boolean} True if symbol is multi-character, false otherwise
+ * Check whether two transactions describe the same trade (same type, asset, currency, time and coins)
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @returns {boolean} True if they are duplicates
  */
-function isMultiCharSymbol(locale, currencyCode) {
-    const key = `${locale}|${currencyCode}`;
-    
-    if (!symbolLengthCache.has(key)) {
-        // Create a temporary formatter to check symbol length once
-        const formatter = new Intl.NumberFormat(locale, {
-            style: 'currency',
-            currency: currencyCode,
-            currencyDisplay: 'symbol'
-        });
-        
-        const parts = formatter.formatToParts(100);
-        const currencyPart = parts.find(part => part.type === 'currency');
-        const isMultiChar = currencyPart && currencyPart.value.length > 1;
-        
-        symbolLengthCache.set(key, isMultiChar);
-    }
-    
-    return symbolLengthCache.get(key);
+function isDuplicateTransaction(a, b) {
+    return getTransactionType(a) === getTransactionType(b) &&
+        getTransactionAsset(a) === getTransactionAsset(b) &&
+        a.currency === b.currency &&
+        Math.abs(a.timestamp - b.timestamp) < 1000 &&
+        Math.abs(getTransactionCoins(a) - getTransactionCoins(b)) < 1e-8;
 }
 
 /**
- * Formats a number as currency, falling back to a plain number 
- * if the currency symbol is not a single character.
- * @param {number} value - The number to format.
- * @param {string} locale - The target locale (e.g., 'en-US', 'ro-RO').
- * @param {string} currencyCode - The 3-letter currency code (e.g., 'USD', 'RON').
- * @param {number} minFractionDigits - Minimum fraction digits (default: 2).
- * @param {number} maxFractionDigits - Maximum fraction digits (default: 2).
- * @returns {string} The formatted string.
+ * Find the header row for a preset in the parsed rows
+ * Some exports (e.g. Coinbase) start with a few lines of preamble before the header
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @param {Object} preset - Preset from CSV_IMPORT_PRESETS
+ * @returns {number} Header row index, or -1 if not found
  */
-function formatCurrencyConditionally(value, locale, currencyCode, minFractionDigits = 2, maxFractionDigits = 2) {
-    // Check if symbol is multi-character (cached result)
-    if (isMultiCharSymbol(locale, currencyCode)) {
-        // Fallback: Return only the number formatted according to the locale
-        const numberFormatter = getOrCreateFormatter(locale, currencyCode, minFractionDigits, maxFractionDigits, false);
-        return numberFormatter.format(value);
-    } else {
-        // Use standard currency formatting (includes the single-character symbol)
-        const formatter = getOrCreateFormatter(locale, currencyCode, minFractionDigits, maxFractionDigits, true);
-        return formatter.format(value);
+function findCSVHeaderRow(rows, preset) {
+    const required = Object.values(preset.columns).map(name => name.toLowerCase());
+    const limit = Math.min(rows.length, 20);
+
+    for (let i = 0; i < limit; i++) {
+        const cells = rows[i].map(cell => cell.toLowerCase());
+        if (required.length > 0 ? required.every(name => cells.includes(name)) : cells.filter(Boolean).length > 1) {
+            return i;
+        }
     }
+    return -1;
 }
 
-// Format number as currency
-function formatCurrency(num) {
-    const currency = document.getElementById('currency').value || 'USD';
-    // Use 'en-US' locale for consistent formatting across all users
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: currency,
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(num);
+/**
+ * Pick the first preset whose columns all appear in the file
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {string} Preset key ('manual' if none matches)
+ */
+function detectCSVPreset(rows) {
+    return Object.keys(CSV_IMPORT_PRESETS).find(key =>
+        key !== 'manual' && findCSVHeaderRow(rows, CSV_IMPORT_PRESETS[key]) !== -1
+    ) || 'manual';
 }
 
-// Format price to 2 decimal places
-function formatPrice(price) {
-    // Return as-is for null/undefined, input fields handle these gracefully
-    if (price === null || price === undefined) {
-        return price;
-    }
-    // Convert to number and check if valid
-    const num = Number(price);
-    if (Number.isNaN(num)) {
-        return price;
-    }
-    return parseFloat(num.toFixed(2));
+/**
+ * Render the column-mapping selects for the current header row
+ * @param {Object} preset - Preset whose column names are preselected
+ */
+function renderCSVImportMapping(preset) {
+    const container = document.getElementById('csvImportMapping');
+    const headers = csvImportState.headerIndex >= 0 ? csvImportState.rows[csvImportState.headerIndex] : [];
+
+    container.innerHTML = '';
+    container.style.display = headers.length > 0 ? 'grid' : 'none';
+
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const wrapper = document.createElement('div');
+
+        const label = document.createElement('label');
+        label.className = 'block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1';
+        label.htmlFor = `csvMap_${field.key}`;
+        label.textContent = field.label;
+        wrapper.appendChild(label);
+
+        const select = document.createElement('select');
+        select.id = `csvMap_${field.key}`;
+        select.dataset.field = field.key;
+        select.className = 'csv-map-select w-full px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = '(not in file)';
+        select.appendChild(noneOption);
+
+        const presetColumn = (preset.columns[field.key] || '').toLowerCase();
+        headers.forEach((header, index) => {
+            if (!header) return;
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = header;
+            if (header.toLowerCase() === presetColumn) {
+                option.selected = true;
+            }
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', refreshCSVImportPreview);
+        wrapper.appendChild(select);
+        container.appendChild(wrapper);
+    });
 }
 
-// Animate individual characters/digits with staggered effect
-function animateDigits(element, newValue) {
-    const oldValue = element.textContent;
-    if (oldValue === newValue) return;
+/**
+ * Re-run normalization, duplicate detection and holdings validation for the preview
+ */
+function refreshCSVImportPreview() {
+    const mapping = {};
+    document.querySelectorAll('.csv-map-select').forEach(select => {
+        if (select.value !== '') {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        }
+    });
 
-    // Wrap each character in a span for individual animation
-    const chars = newValue.split('');
-    element.innerHTML = chars.map((char, index) => {
-        const delayMs = index * ANIMATION_CONFIG.DIGIT_STAGGER_DELAY;
-        return `<span class="digit-flip" style="animation-delay: ${delayMs}ms">${char}</span>`;
-    }).join('');
+    const defaultCurrency = document.getElementById('currency').value;
+    const defaultAsset = getSelectedAsset();
+    const supportedCurrencies = getCurrencyOptions();
+    const existing = loadTransactions();
+    const layout = CSV_IMPORT_PRESETS[document.getElementById('csvImportPreset').value];
+    const venue = layout && layout.venue;
+    const accepted = [];
+
+    csvImportState.preview = [];
+    csvImportState.rows.slice(csvImportState.headerIndex + 1).forEach((cells, offset) => {
+        if (cells.every(cell => cell === '')) return;
+
+        const record = {};
+        Object.entries(mapping).forEach(([field, column]) => {
+            record[field] = cells[column] || '';
+        });
 
-    // Remove animation classes after animation completes
-    const totalDuration = ANIMATION_CONFIG.DIGIT_FLIP_DURATION + (chars.length * ANIMATION_CONFIG.DIGIT_STAGGER_DELAY);
-    setTimeout(() => {
-        element.textContent = newValue;
-    }, totalDuration);
-}
+        const rowNumber = csvImportState.headerIndex + offset + 2;
+        const { transaction, error } = normalizeImportRecord(record, defaultCurrency, supportedCurrencies, defaultAsset);
+        if (transaction && venue && (transaction.type === 'buy' || transaction.type === 'sell')) {
+            transaction.venue = venue;
+        }
+
+        if (error) {
+            csvImportState.preview.push({ rowNumber, transaction: null, status: 'error', message: error });
+        } else if (existing.some(tx => isDuplicateTransaction(tx, transaction)) ||
+                   accepted.some(tx => isDuplicateTransaction(tx, transaction))) {
+            csvImportState.preview.push({ rowNumber, transaction, status: 'duplicate', message: 'Already in ledger' });
+        } else {
+            accepted.push(transaction);
+            csvImportState.preview.push({ rowNumber, transaction, status: 'ok', message: 'Ready' });
+        }
+    });
 
-// Update element with animation
-function updateWithAnimation(elementId, value) {
-    const element = document.getElementById(elementId);
-    if (resultsShown) {
-        animateDigits(element, value);
-    } else {
-        element.textContent = value;
-    }
-}
+    // Reject imported sells/transfers out that would remove more coins than held at that date
+    const rejected = findImportShortfalls(existing, accepted);
+    csvImportState.preview.forEach(row => {
+        const shortfall = row.status === 'ok' && rejected.get(row.transaction);
+        if (!shortfall) return;
 
-// Check if results are currently visible
-function areResultsVisible() {
-    const resultsElement = document.getElementById('results');
-    return resultsElement && resultsElement.classList.contains('show');
-}
+        row.status = 'error';
+        if (shortfall.transaction === row.transaction) {
+            row.message = `Exceeds holdings by ${shortfall.shortfall.toFixed(8)} coins`;
+        } else {
+            const shortDate = new Date(shortfall.transaction.timestamp).toLocaleDateString();
+            row.message = `Leaves the ${TRANSACTION_TYPE_LABELS[shortfall.type].toLowerCase()} of ${shortDate} short by ${shortfall.shortfall.toFixed(8)} coins`;
+        }
+    });
 
-// Calculate profit
-function calculate() {
-    const investment = parseFloat(document.getElementById('investment').value);
-    const buyPrice = parseFloat(document.getElementById('buyPrice').value);
-    const sellPrice = parseFloat(document.getElementById('sellPrice').value);
-    const feePercent = parseFloat(document.getElementById('fee').value);
+    renderCSVImportPreview();
+}
 
-    // Validate inputs
-    if (isNaN(investment) || isNaN(buyPrice) || isNaN(sellPrice) || isNaN(feePercent)) {
-        alert('Please enter valid numbers for all fields');
-        return;
+/**
+ * Find the imported sells and transfers out that would remove more coins than the ledger holds
+ * Buys and transfers in only add coins, so they are always kept. Removals are added in date
+ * order and rejected when they leave themselves, or a transaction already in the ledger (e.g. a
+ * later sell), short of coins. Shortfalls the ledger already had are ignored.
+ * @param {Array} existing - Saved transactions
+ * @param {Array} imported - Transactions ready to import
+ * @returns {Map<Object, Object>} Per rejected imported transaction: the shortfall event it causes,
+ *     with the short transaction
+ */
+function findImportShortfalls(existing, imported) {
+    const rejected = new Map();
+    if (!findNewLedgerShortfall(existing, existing.concat(imported))) {
+        return rejected;
     }
 
-    if (investment <= 0) {
-        alert('Investment amount must be greater than zero');
-        return;
-    }
+    const isRemoval = tx => ['sell', 'transfer-out'].includes(getTransactionType(tx));
+    const removals = imported
+        .filter(isRemoval)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    let kept = existing.concat(imported.filter(tx => !isRemoval(tx)));
+
+    removals.forEach(tx => {
+        const candidate = kept.concat(tx);
+        const shortfall = findNewLedgerShortfall(existing, candidate);
+        if (shortfall) {
+            rejected.set(tx, { ...shortfall, transaction: candidate[shortfall.index] });
+        } else {
+            kept = candidate;
+        }
+    });
 
-    if (buyPrice <= 0) {
-        alert('Buy price must be greater than zero');
-        return;
-    }
+    return rejected;
+}
 
-    if (sellPrice <= 0) {
-        alert('Sell price must be greater than zero');
-        return;
-    }
+/**
+ * Render the preview table and summary for the import dialog
+ */
+function renderCSVImportPreview() {
+    const tbody = document.getElementById('csvImportPreview');
+    const status = document.getElementById('csvImportStatus');
+    const confirmButton = document.getElementById('confirmCsvImport');
+    const statusClasses = {
+        ok: 'text-green-600 dark:text-green-400',
+        duplicate: 'text-gray-500 dark:text-gray-400',
+        error: 'text-red-600 dark:text-red-400'
+    };
 
-    if (feePercent < 0 || feePercent > 100) {
-        alert('Fee percentage must be between 0 and 100');
-        return;
-    }
+    tbody.innerHTML = '';
+    csvImportState.preview.forEach(row => {
+        const tx = row.transaction;
+        const tr = document.createElement('tr');
+        tr.className = 'border-b dark:border-gray-600';
+
+        const cells = [
+            String(row.rowNumber),
+            row.message,
+            tx ? `${TRANSACTION_TYPE_LABELS[tx.type]} ${getAssetInfo(tx.asset).symbol}` : '',
+            tx ? new Date(tx.timestamp).toLocaleString() : '',
+            tx ? getTransactionCoins(tx).toFixed(8) : '',
+            tx && (tx.buyPrice || tx.sellPrice) ? formatTransactionCurrency(tx.buyPrice || tx.sellPrice, tx.currency) : '',
+            tx ? (tx.type === 'buy' || tx.type === 'sell' ? `${tx.fees[tx.type].toFixed(3)}%` : tx.fee.toFixed(8)) : '',
+            tx ? tx.currency : ''
+        ];
+        cells.forEach((text, index) => {
+            const td = document.createElement('td');
+            td.className = `py-1 px-2 whitespace-nowrap ${index === 1 ? statusClasses[row.status] : ''}`;
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
 
-    // Calculate buy fee (applied to investment amount)
-    const buyFee = investment * (feePercent / 100);
-    const amountAfterBuyFee = investment - buyFee;
-    
-    // Calculate coins purchased with amount after buy fee
-    const coinsPurchased = amountAfterBuyFee / buyPrice;
-    
-    // Calculate gross sale amount
-    const grossSaleAmount = coinsPurchased * sellPrice;
-    
-    // Calculate sell fee (applied to gross sale amount)
-    const sellFee = grossSaleAmount * (feePercent / 100);
-    
-    // Calculate net sale amount
-    const netSaleAmount = grossSaleAmount - sellFee;
-    
-    // Calculate net profit/loss
-    const netProfit = netSaleAmount - investment;
-    
-    // Calculate total fees
-    const totalFees = buyFee + sellFee;
+    const counts = { ok: 0, duplicate: 0, error: 0 };
+    csvImportState.preview.forEach(row => counts[row.status]++);
 
-    // Display results with animation
-    updateWithAnimation('coinsPurchased', coinsPurchased.toFixed(8));
-    updateWithAnimation('buyFee', formatCurrency(buyFee));
-    updateWithAnimation('grossSale', formatCurrency(grossSaleAmount));
-    updateWithAnimation('sellFee', formatCurrency(sellFee));
-    updateWithAnimation('netSale', formatCurrency(netSaleAmount));
-    updateWithAnimation('totalFees', formatCurrency(totalFees));
-    
-    const netProfitElement = document.getElementById('netProfit');
-    updateWithAnimation('netProfit', formatCurrency(netProfit));
-    
-    // Color code profit/loss
-    if (netProfit > 0) {
-        netProfitElement.className = 'text-2xl font-bold text-green-600';
-    } else if (netProfit < 0) {
-        netProfitElement.className = 'text-2xl font-bold text-red-600';
+    if (csvImportState.rows.length === 0) {
+        status.textContent = 'Choose a CSV file exported from your exchange.';
+    } else if (csvImportState.headerIndex < 0) {
+        status.textContent = 'Could not find the header row for this layout. Pick another layout or "Other" to map columns manually.';
     } else {
-        netProfitElement.className = 'text-2xl font-bold text-gray-600';
+        status.textContent = `${counts.ok} ready to import, ${counts.duplicate} duplicates skipped, ${counts.error} rows with errors.`;
     }
 
-    // Show results with smooth animation
-    const resultsDiv = document.getElementById('results');
-    resultsDiv.classList.add('show');
-    resultsShown = true;
+    confirmButton.disabled = counts.ok === 0;
+    confirmButton.textContent = counts.ok > 0 ? `Import ${counts.ok} transactions` : 'Import';
 }
 
-// ========== TRANSACTIONS MANAGEMENT ==========
+/**
+ * Apply a layout preset: locate its header row and preselect its columns
+ * @param {string} presetKey - Key in CSV_IMPORT_PRESETS
+ */
+function applyCSVImportPreset(presetKey) {
+    const preset = CSV_IMPORT_PRESETS[presetKey] || CSV_IMPORT_PRESETS.manual;
+    csvImportState.headerIndex = findCSVHeaderRow(csvImportState.rows, preset);
+    renderCSVImportMapping(preset);
+    refreshCSVImportPreview();
+}
 
-// Load transactions from localStorage
-function loadTransactions() {
+/**
+ * Open the CSV import dialog
+ */
+function openCSVImport() {
     if (!hasConsent()) {
-        return []; // Don't access localStorage without consent
+        alert('Please accept cookie consent to save transactions. Your data will be stored locally on your device.');
+        showConsentBanner();
+        return;
     }
-    try {
-        const saved = localStorage.getItem('crypto_calc_transactions');
-        return saved ? JSON.parse(saved) : [];
-    } catch (e) {
-        console.error('Failed to load transactions:', e);
-        return [];
+
+    const presetSelect = document.getElementById('csvImportPreset');
+    if (presetSelect.options.length === 0) {
+        Object.entries(CSV_IMPORT_PRESETS).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.label;
+            presetSelect.appendChild(option);
+        });
     }
+
+    csvImportState.rows = [];
+    csvImportState.headerIndex = -1;
+    csvImportState.preview = [];
+    document.getElementById('csvImportFile').value = '';
+    document.getElementById('csvImportMapping').style.display = 'none';
+    renderCSVImportPreview();
+
+    document.getElementById('csvImportModal').style.display = 'flex';
 }
 
-// Save transactions to localStorage
-function saveTransactions(transactions) {
-    if (!hasConsent()) {
-        return false; // Don't save to localStorage without consent
-    }
+/**
+ * Close the CSV import dialog
+ */
+function closeCSVImport() {
+    document.getElementById('csvImportModal').style.display = 'none';
+}
+
+/**
+ * Handle CSV file selection - parse the file and auto-detect its layout
+ * @param {File} file - Selected file
+ */
+async function handleCSVImportFile(file) {
+    if (!file) return;
+
     try {
-        localStorage.setItem('crypto_calc_transactions', JSON.stringify(transactions));
-        return true;
+        csvImportState.rows = parseCSV(await file.text());
     } catch (e) {
-        console.error('Failed to save transactions:', e);
-        return false;
+        console.error('Failed to read CSV file:', e);
+        alert('Failed to read the CSV file.');
+        return;
     }
-}
 
-// Calculate current profit for a transaction
-function calculateTransactionProfit(transaction, currentPrice) {
-    const buyFee = transaction.investment * (transaction.fee / 100);
-    const amountAfterBuyFee = transaction.investment - buyFee;
-    const coinsPurchased = amountAfterBuyFee / transaction.buyPrice;
-    const grossSaleAmount = coinsPurchased * currentPrice;
-    const sellFee = grossSaleAmount * (transaction.fee / 100);
-    const netSaleAmount = grossSaleAmount - sellFee;
-    const netProfit = netSaleAmount - transaction.investment;
-    
-    // Calculate coins to sell to recover the initial investment amount (accounting for sell fee)
-    // Formula: investment = coinsToSell * currentPrice * (1 - fee/100)
-    // Therefore: coinsToSell = investment / (currentPrice * (1 - fee/100))
-    const feeMultiplier = 1 - transaction.fee / 100;
-    const coinsToSellBreakEven = feeMultiplier > 0 && currentPrice > 0
-        ? transaction.investment / (currentPrice * feeMultiplier)
-        : 0;
-    
-    // Calculate effective coins to sell accounting for sell fee
-    // This represents the coins minus the portion that goes to fees
-    const coinsToSellForProfit = coinsPurchased * feeMultiplier;
-    
-    return {
-        coinsPurchased,
-        netProfit,
-        coinsToSellBreakEven,
-        coinsToSellForProfit
-    };
-}
-
-// Format currency with transaction's currency
-function formatTransactionCurrency(num, currency) {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: currency,
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(num);
+    const presetKey = detectCSVPreset(csvImportState.rows);
+    document.getElementById('csvImportPreset').value = presetKey;
+    applyCSVImportPreset(presetKey);
 }
 
-// Render transactions table
-async function renderTransactions() {
-    const transactions = loadTransactions();
-    const tbody = document.getElementById('transactionsTableBody');
-    const section = document.getElementById('transactionsSection');
-    
-    if (transactions.length === 0) {
-        section.style.display = 'none';
+/**
+ * Append the rows marked ready to the saved transactions
+ */
+function confirmCSVImport() {
+    const imported = csvImportState.preview
+        .filter(row => row.status === 'ok')
+        .map(row => row.transaction);
+    if (imported.length === 0) return;
+
+    const transactions = loadTransactions().concat(imported);
+    if (!saveTransactions(transactions)) {
+        alert('Failed to save transactions. Your browser storage may be disabled or full. Please check your browser settings.');
         return;
     }
-    
-    section.style.display = 'block';
-    tbody.innerHTML = '';
-    
-    // Check if there's a manually entered sell price in the form
-    const formSellPriceInput = document.getElementById('sellPrice');
-    const formSellPriceValue = formSellPriceInput ? parseFloat(formSellPriceInput.value) : null;
-    const formCurrency = document.getElementById('currency') ? document.getElementById('currency').value : null;
-    const hasManualSellPrice = formSellPriceValue && !isNaN(formSellPriceValue) && formSellPriceValue > 0;
-    
-    // Get unique currencies to minimize API calls
-    const uniqueCurrencies = [...new Set(transactions.map(tx => tx.currency))];
-    
-    // Fetch prices for all unique currencies in parallel
-    const pricePromises = uniqueCurrencies.map(currency => 
-        fetchBTCPrice(currency).then(price => ({ currency, price }))
-    );
-    const prices = await Promise.all(pricePromises);
-    const priceMap = new Map(prices.map(({ currency, price }) => [currency, price]));
-    
-    for (let i = 0; i < transactions.length; i++) {
-        const tx = transactions[i];
-        const currentPrice = priceMap.get(tx.currency);
-        
-        // Use manually entered sell price if available and currency matches
-        let sellPrice;
-        if (hasManualSellPrice && tx.currency === formCurrency) {
-            sellPrice = formSellPriceValue;
-        } else {
-            sellPrice = currentPrice !== null ? currentPrice : tx.buyPrice;
-        }
-        
-        const { coinsPurchased, netProfit, coinsToSellBreakEven, coinsToSellForProfit } = calculateTransactionProfit(tx, sellPrice);
-        
-        const profitClass = netProfit > 0 ? 'text-green-600 dark:text-green-400' : 
-                           netProfit < 0 ? 'text-red-600 dark:text-red-400' : 
-                           'text-gray-600 dark:text-gray-400';
-        
-        // Check if break even amount is greater than coins purchased
-        const isBreakEvenExceedingCoins = coinsToSellBreakEven > coinsPurchased;
-        const breakEvenClass = isBreakEvenExceedingCoins ? 'text-orange-600 dark:text-orange-400' : '';
-        
-        // Calculate remaining coins after break even sell
-        const remainingCoins = coinsPurchased - coinsToSellBreakEven;
-        const breakEvenTooltip = `Remaining after sell: ${remainingCoins.toFixed(8)} coins`;
-        
-        const row = document.createElement('tr');
-        row.className = 'border-b dark:border-gray-600';
-        row.innerHTML = `
-            <td class="py-2 px-2 whitespace-nowrap">${formatTransactionCurrency(tx.investment, tx.currency)}</td>
-            <td class="py-2 px-2 whitespace-nowrap">${formatTransactionCurrency(tx.buyPrice, tx.currency)}</td>
-            <td class="py-2 px-2 whitespace-nowrap">${coinsPurchased.toFixed(8)}</td>
-            <td class="py-2 px-2 whitespace-nowrap ${breakEvenClass}" title="${breakEvenTooltip}">${coinsToSellBreakEven.toFixed(8)}</td>
-            <td class="py-2 px-2 whitespace-nowrap">${coinsToSellForProfit.toFixed(8)}</td>
-            <td class="py-2 px-2 whitespace-nowrap font-semibold ${profitClass}">${formatTransactionCurrency(netProfit, tx.currency)}</td>
-            <td class="py-2 px-2">
-                <button 
-                    data-index="${i}"
-                    class="delete-transaction px-3 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 transition"
-                >
-                    Delete
-                </button>
-            </td>
-        `;
-        tbody.appendChild(row);
-    }
-    
-    // Add event listeners to delete buttons
-    document.querySelectorAll('.delete-transaction').forEach(button => {
-        button.addEventListener('click', function() {
-            const index = parseInt(this.getAttribute('data-index'));
-            deleteTransaction(index);
-        });
-    });
-}
 
-// Delete a transaction
-function deleteTransaction(index) {
-    const transactions = loadTransactions();
-    transactions.splice(index, 1);
-    saveTransactions(transactions);
+    closeCSVImport();
+    alert(`Imported ${imported.length} transactions successfully!`);
     renderTransactions();
 }
 
@@ -2356,12 +7800,39 @@ function initEventListeners() {
         }
         // Update the chart with new currency
         await initPriceChart(currency);
+        // Stream prices in the new currency
+        if (autoRefreshEnabled) {
+            connectPriceStream();
+        }
         // Only recalculate if results are visible
         if (areResultsVisible()) {
             calculate();
         }
     });
 
+    // Price, chart, stream and AI summary follow the selected asset
+    document.getElementById('asset').addEventListener('change', async function() {
+        saveFormValues();
+        const currency = document.getElementById('currency').value;
+        const newPrice = await fetchBTCPrice(currency);
+        if (newPrice !== null) {
+            document.getElementById('sellPrice').value = formatPrice(newPrice);
+        }
+        updateChartControls();
+        await initPriceChart(currency);
+        if (autoRefreshEnabled) {
+            connectPriceStream();
+        }
+        // Replace a summary of the previous asset
+        if (document.getElementById('summaryDisplayContainer').style.display !== 'none') {
+            await requestAISummary();
+        }
+        if (areResultsVisible()) {
+            calculate();
+        }
+        renderTransactions();
+    });
+
     // Refresh button handler
     document.getElementById('refreshPrice').addEventListener('click', async function() {
         const currency = document.getElementById('currency').value;
@@ -2372,6 +7843,7 @@ function initEventListeners() {
             addPricePointToChart(newPrice);
             // Update timestamp with default metadata (no cache info for WebSocket updates)
             updateLastUpdateTime(extractCacheMetadata(null));
+            await checkAlerts(newPrice, currency);
         }
         // Recalculate if results are visible
         if (areResultsVisible()) {
@@ -2436,8 +7908,41 @@ function initEventListeners() {
             });
             this.classList.remove('bg-white', 'dark:bg-gray-800', 'text-gray-700', 'dark:text-gray-300', 'border-gray-300', 'dark:border-gray-600');
             this.classList.add('bg-purple-600', 'text-white', 'border-purple-600');
+            
+            // Show the same window on the chart so the summary can be compared against it
+            setChartView({ range: SUMMARY_PERIOD_CHART_RANGES[this.dataset.period] });
+        });
+    });
+    
+    // Chart range and line/candle mode buttons
+    document.querySelectorAll('.chart-range-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            setChartView({ range: this.dataset.range });
+        });
+    });
+    document.querySelectorAll('.chart-mode-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            setChartView({ mode: this.dataset.mode });
         });
     });
+    document.getElementById('chartShowBuys').addEventListener('change', function() {
+        chartState.showBuys = this.checked;
+        setSetting('chartBuys', String(this.checked));
+        updateChartAnnotations();
+    });
+    // Price alerts
+    document.getElementById('alertType').addEventListener('change', () => updateAlertFormFields());
+    document.getElementById('alertMode').addEventListener('change', () => updateAlertFormFields());
+    document.getElementById('addAlert').addEventListener('click', addAlertFromForm);
+    document.getElementById('indicatorPanelToggle').addEventListener('click', function() {
+        const panel = document.getElementById('indicatorPanel');
+        const isOpen = panel.style.display !== 'none';
+        panel.style.display = isOpen ? 'none' : 'block';
+        this.setAttribute('aria-expanded', String(!isOpen));
+    });
+    document.querySelectorAll('.indicator-input').forEach(input => {
+        input.addEventListener('change', handleIndicatorSettingsChange);
+    });
 
     // Bitcoin News Feed toggle handler
     let newsVisible = true; // Track visibility state
@@ -2476,8 +7981,18 @@ function initEventListeners() {
         await loadNews(true);
     });
 
+    // Fee presets fill the fee fields below
+    document.getElementById('feePreset').addEventListener('change', function() {
+        renderFeePresetDetails();
+        applyFeePreset();
+    });
+    document.getElementById('feeTier').addEventListener('change', applyFeePreset);
+    document.getElementById('feeLiquidity').addEventListener('change', applyFeePreset);
+    document.getElementById('saveFeePreset').addEventListener('click', saveCustomFeePreset);
+    document.getElementById('deleteFeePreset').addEventListener('click', deleteCustomFeePreset);
+
     // Save values and recalculate when inputs change
-    ['investment', 'buyPrice', 'sellPrice', 'fee'].forEach(function(id) {
+    ['investment', 'buyPrice', 'sellPrice', 'fee', ...Object.values(FEE_SETTING_INPUTS)].forEach(function(id) {
         const element = document.getElementById(id);
         element.addEventListener('change', function() {
             saveFormValues();
@@ -2512,47 +8027,84 @@ function initEventListeners() {
             return;
         }
         
-        const investment = parseFloat(document.getElementById('investment').value);
-        const buyPrice = parseFloat(document.getElementById('buyPrice').value);
-        const fee = parseFloat(document.getElementById('fee').value);
-        const currency = document.getElementById('currency').value;
-
-        // Validate inputs
-        if (isNaN(investment) || isNaN(buyPrice) || isNaN(fee)) {
-            alert('Please enter valid numbers for all fields');
-            return;
-        }
-
-        if (investment <= 0 || buyPrice <= 0) {
-            alert('Investment amount and buy price must be greater than zero');
+        const { transaction, error } = readTransactionFromForm();
+        if (error) {
+            alert(error);
             return;
         }
 
-        if (fee < 0 || fee > 100) {
-            alert('Fee percentage must be between 0 and 100');
+        const transactions = loadTransactions();
+        const updated = transactions.concat(transaction);
+
+        // Sells and transfers out cannot remove more coins than were held at that date
+        const shortfall = findNewLedgerShortfall(transactions, updated);
+        if (shortfall) {
+            const heldCoins = shortfall.coins + shortfall.holdings;
+            const shortfallDate = new Date(updated[shortfall.index].timestamp).toLocaleString();
+            alert(`Not enough coins: only ${heldCoins.toFixed(8)} coins are held in the ${describePosition(shortfall)} portfolio on ${shortfallDate}.`);
             return;
         }
 
-        const transaction = {
-            investment,
-            buyPrice,
-            fee,
-            currency,
-            timestamp: Date.now()
-        };
-
-        const transactions = loadTransactions();
-        transactions.push(transaction);
-        const saved = saveTransactions(transactions);
+        const saved = saveTransactions(updated);
         
         if (saved) {
             alert('Transaction saved successfully!');
             renderTransactions();
         } else {
-            alert('Failed to save transaction. Your browser may have localStorage disabled or full. Please check your browser settings.');
+            alert('Failed to save transaction. Your browser storage may be disabled or full. Please check your browser settings.');
         }
     });
 
+    // Tax report controls
+    const holdingPeriodInput = document.getElementById('holdingPeriodDays');
+    holdingPeriodInput.value = getSetting('holdingPeriod') ?? DEFAULT_HOLDING_PERIOD_DAYS;
+    holdingPeriodInput.addEventListener('change', function() {
+        setSetting('holdingPeriod', String(getHoldingPeriodDays()));
+    });
+    document.getElementById('exportTaxReportCSV').addEventListener('click', handleTaxReportCSV);
+    document.getElementById('printTaxReport').addEventListener('click', handleTaxReportPrint);
+
+    // Scenario analysis table (rebuilt when its inputs change once shown)
+    document.getElementById('buildScenarioTable').addEventListener('click', function() {
+        renderScenarioTable();
+    });
+    ['scenarioRange', 'scenarioStep', 'scenarioFees', 'scenarioTarget'].forEach(id => {
+        document.getElementById(id).addEventListener('change', function() {
+            if (isScenarioTableVisible()) {
+                renderScenarioTable();
+            }
+        });
+    });
+
+    // DCA planner (start date defaults to one year ago)
+    const dcaStartInput = document.getElementById('dcaStartDate');
+    const today = new Date().toISOString().slice(0, 10);
+    const yearAgo = new Date();
+    yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+    dcaStartInput.max = today;
+    dcaStartInput.value = yearAgo.toISOString().slice(0, 10);
+    document.getElementById('runDcaBacktest').addEventListener('click', runDCABacktest);
+    document.getElementById('saveDcaTransactions').addEventListener('click', saveDCATransactions);
+
+    // CSV trade import dialog
+    document.getElementById('openCsvImport').addEventListener('click', openCSVImport);
+    document.getElementById('closeCsvImport').addEventListener('click', closeCSVImport);
+    document.getElementById('cancelCsvImport').addEventListener('click', closeCSVImport);
+    document.getElementById('confirmCsvImport').addEventListener('click', confirmCSVImport);
+    document.getElementById('csvImportFile').addEventListener('change', function() {
+        handleCSVImportFile(this.files[0]);
+    });
+    document.getElementById('csvImportPreset').addEventListener('change', function() {
+        applyCSVImportPreset(this.value);
+    });
+
+    // Transaction type changes which ledger fields apply
+    document.getElementById('txType').addEventListener('change', updateTransactionTypeFields);
+    updateTransactionTypeFields();
+
+    // Fill the price from the market price at the transaction date
+    document.getElementById('lookupTxPrice').addEventListener('click', lookupTransactionPrice);
+
     // Clear all transactions
     document.getElementById('clearAllTransactions').addEventListener('click', function() {
         if (confirm('Are you sure you want to delete all saved transactions?')) {
@@ -2561,11 +8113,19 @@ function initEventListeners() {
                 alert('All transactions cleared successfully!');
                 renderTransactions();
             } else {
-                alert('Failed to clear transactions. Your browser may have localStorage disabled. Please check your browser settings.');
+                alert('Failed to clear transactions. Your browser storage may be disabled. Please check your browser settings.');
             }
         }
     });
 
+    // Cost basis method selector for the portfolio totals
+    const costBasisMethodSelect = document.getElementById('costBasisMethod');
+    costBasisMethodSelect.value = getCostBasisMethod();
+    costBasisMethodSelect.addEventListener('change', function() {
+        setSetting('costMethod', this.value);
+        renderTransactions();
+    });
+
     // Initialize searchable currency dropdown
     initCurrencyDropdown();
 }
@@ -2590,6 +8150,7 @@ function setCurrency(currencyCode, triggerChange = false) {
     
     // Update hidden input (the source of truth)
     hiddenInput.value = currencyCode;
+    updateQuoteInputSteps(currencyCode);
     
     // Update mobile select
     if (mobileSelect) {
@@ -2616,6 +8177,22 @@ function setCurrency(currencyCode, triggerChange = false) {
     }
 }
 
+/**
+ * Match the step of the amount and price inputs to the currency's precision
+ * so crypto unit prices like 0.03521 BTC pass form validation
+ * @param {string} currencyCode - Selected currency code
+ */
+function updateQuoteInputSteps(currencyCode) {
+    const decimals = getCurrencyDecimals(currencyCode);
+    const step = decimals > 0 ? (10 ** -decimals).toFixed(decimals) : '1';
+    ['investment', 'buyPrice', 'sellPrice', 'fixedFee'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.step = step;
+        }
+    });
+}
+
 /**
  * Initialize searchable currency dropdown functionality
  */
@@ -2750,12 +8327,22 @@ function initCurrencyDropdown() {
 
 // Run on page load
 window.addEventListener('load', async function() {
+    // Offline support: app shell precache and last-known API data
+    registerServiceWorker();
+    window.addEventListener('online', handleConnectionRestored);
+    window.addEventListener('offline', updateStaleIndicator);
     // Initialize consent system first (before any data storage)
     initConsent();
+    // Open storage (IndexedDB, migrating legacy cookies/localStorage) before reading settings
+    await initStorage();
     
     initDarkMode();
     initEventListeners();
     await loadFormValues();
+    loadFeePresets();
+    // Restore the chart range and mode before drawing it
+    loadChartPreferences();
+    loadAlerts();
     // Initialize the price chart with the selected currency
     const currency = document.getElementById('currency').value;
     await initPriceChart(currency);
@@ -0,0 +1,245 @@
+/**
+ * Tests for the Transaction Ledger
+ * Loads the page scripts into a sandbox (as index.html does) and tests the legacy fee migration,
+ * the lot accounting of the portfolio, the holdings checks that guard saving, deleting and importing transactions, and the
+ * checks on encrypted backups
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+/**
+ * Run the local page scripts in one context and return its globals
+ * Only the load handler touches the DOM, so a window stub is enough.
+ */
+function loadPageScripts() {
+  const context = vm.createContext({
+    window: { addEventListener: () => {} },
+    console,
+    crypto,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa
+  });
+  ['indicators.js', 'fee-presets.js', 'script.js'].forEach(file => {
+    vm.runInContext(readFileSync(new URL(file, import.meta.url), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+const app = loadPageScripts();
+const fees = { buy: 0, sell: 0, fixed: 0, withdrawal: 0, spread: 0 };
+const day = (date) => Date.parse(`${date}T12:00:00Z`);
+
+// One coin per 1000 invested at 1000
+const buy = (date, coins, asset = 'bitcoin') => ({
+  type: 'buy', asset, investment: coins * 1000, buyPrice: 1000, fees, currency: 'USD', timestamp: day(date)
+});
+const sell = (date, amount, asset = 'bitcoin') => ({
+  type: 'sell', asset, amount, sellPrice: 1200, fees, currency: 'USD', timestamp: day(date)
+});
+
+describe('migrateTransactionFees', () => {
+  /**
+   * Results of a transaction under the single fee of older versions, charged on both legs
+   */
+  const singleFeeProfit = ({ investment, buyPrice, fee }, currentPrice) => {
+    const coinsPurchased = investment * (1 - fee / 100) / buyPrice;
+    const netSaleAmount = coinsPurchased * currentPrice * (1 - fee / 100);
+    return {
+      coinsPurchased,
+      netProfit: netSaleAmount - investment,
+      coinsToSellBreakEven: investment / (currentPrice * (1 - fee / 100)),
+      coinsToSellForProfit: coinsPurchased * (1 - fee / 100)
+    };
+  };
+
+  it.each([
+    [0.1, 65000],
+    [1.5, 30000],
+    [0, 42000]
+  ])('should keep the results of a legacy %s%% fee transaction at %s', (fee, currentPrice) => {
+    const legacy = { investment: 1000, buyPrice: 50000, fee, currency: 'USD', timestamp: day('2024-01-01') };
+
+    const migrated = app.migrateTransactionFees({ ...legacy });
+    const result = app.calculateTransactionProfit(migrated, currentPrice);
+    const expected = singleFeeProfit(legacy, currentPrice);
+
+    expect(migrated).not.toHaveProperty('fee');
+    expect(migrated.fees).toEqual({ buy: fee, sell: fee, fixed: 0, withdrawal: 0, spread: 0 });
+    Object.keys(expected).forEach(field => {
+      expect(result[field], field).toBeCloseTo(expected[field], 10);
+    });
+  });
+
+  it('should leave transfers and migrated transactions alone', () => {
+    const transfer = { type: 'transfer-in', amount: 1, buyPrice: 1000, fee: 0.001, currency: 'USD', timestamp: day('2024-01-01') };
+    const migrated = buy('2024-01-01', 1);
+
+    expect(app.migrateTransactionFees({ ...transfer })).toEqual(transfer);
+    expect(app.migrateTransactionFees({ ...migrated })).toEqual(migrated);
+  });
+});
+
+describe('buildPortfolio', () => {
+  // Three buys at rising prices, then a sell of 1.5 coins at 3000 that spans two lots
+  const buyAt = (date, coins, price) => ({
+    type: 'buy', asset: 'bitcoin', investment: coins * price, buyPrice: price, fees, currency: 'USD', timestamp: day(date)
+  });
+  const ledger = [
+    buyAt('2024-01-01', 1, 1000),
+    buyAt('2024-02-01', 1, 2000),
+    buyAt('2024-03-01', 1, 4000),
+    { ...sell('2024-04-01', 1.5), sellPrice: 3000 }
+  ];
+
+  // Proceeds 4500; the remaining 1.5 coins are valued at 5000
+  it.each([
+    // FIFO sells lot 1 and half of lot 2 (cost 2000)
+    ['fifo', { realized: 2500, costBasis: 5000, unrealized: 2500, lots: [0, 1] }],
+    // LIFO sells lot 3 and half of lot 2 (cost 5000)
+    ['lifo', { realized: -500, costBasis: 2000, unrealized: 5500, lots: [2, 1] }],
+    // Average cost sells 1.5 coins at 7000 / 3 per coin (cost 3500)
+    ['average', { realized: 1000, costBasis: 3500, unrealized: 4000, lots: [0, 1] }]
+  ])('should account a sell spanning lots with %s', (method, expected) => {
+    const position = app.buildPortfolio(ledger, method).get('bitcoin:USD');
+    const marked = app.markPositionToMarket(position, 5000);
+
+    expect(position.realizedProfit).toBeCloseTo(expected.realized, 8);
+    expect(position.disposals.map(disposal => disposal.lotTxIndex)).toEqual(expected.lots);
+    expect(position.disposals.reduce((sum, disposal) => sum + disposal.gain, 0)).toBeCloseTo(expected.realized, 8);
+    expect(marked.holdings).toBeCloseTo(1.5, 10);
+    expect(marked.costBasis).toBeCloseTo(expected.costBasis, 8);
+    expect(marked.unrealizedProfit).toBeCloseTo(expected.unrealized, 8);
+    // Every method splits the same total profit (7500 + 4500 - 7000) differently
+    expect(marked.totalProfit).toBeCloseTo(5000, 8);
+    expect(position.events.at(-1)).toMatchObject({ type: 'sell', coins: 1.5, shortfall: 0 });
+  });
+
+  it('should keep partly sold lots with their remaining coins and cost', () => {
+    const lotsOf = (method) => app.buildPortfolio(ledger, method).get('bitcoin:USD').lots
+      .map(lot => [lot.txIndex, Number(lot.coins.toFixed(10)), Number(lot.costBasis.toFixed(6))]);
+
+    expect(lotsOf('fifo')).toEqual([[1, 0.5, 1000], [2, 1, 4000]]);
+    expect(lotsOf('lifo')).toEqual([[0, 1, 1000], [1, 0.5, 1000]]);
+    // Average cost keeps each lot's date but prices every remaining coin at 7000 / 3
+    expect(lotsOf('average')).toEqual([[1, 0.5, 1166.666667], [2, 1, 2333.333333]]);
+  });
+});
+
+describe('findNewLedgerShortfall', () => {
+  it('should reject an added sell larger than the holdings at its date', () => {
+    const ledger = [buy('2024-01-01', 1), buy('2024-03-01', 1)];
+    const updated = ledger.concat(sell('2024-02-01', 1.5));
+
+    const shortfall = app.findNewLedgerShortfall(ledger, updated);
+
+    expect(shortfall).toMatchObject({ index: 2, asset: 'bitcoin', currency: 'USD', holdings: 0 });
+    expect(shortfall.shortfall).toBeCloseTo(0.5, 8);
+    expect(app.findNewLedgerShortfall(ledger, ledger.concat(sell('2024-03-02', 1.5)))).toBeNull();
+  });
+
+  it('should not let an existing shortfall block unrelated changes', () => {
+    const ledger = [sell('2023-12-01', 0.2), buy('2024-01-01', 1)];
+
+    expect(app.findLedgerShortfall(ledger)).not.toBeNull();
+    expect(app.findNewLedgerShortfall(ledger, ledger.concat(buy('2024-02-01', 1)))).toBeNull();
+    expect(app.findNewLedgerShortfall(ledger, ledger.concat(sell('2024-02-01', 0.5)))).toBeNull();
+    expect(app.findNewLedgerShortfall(ledger, ledger.concat(sell('2024-01-01', 0.5, 'ethereum')))).not.toBeNull();
+    // Selling before the shortfall makes it larger
+    expect(app.findNewLedgerShortfall(ledger, [sell('2023-11-01', 0.1), ...ledger])).toMatchObject({ index: 0 });
+  });
+
+  it('should report deletes that leave a later sell short', () => {
+    const ledger = [buy('2024-01-01', 1), buy('2024-02-01', 1), sell('2024-03-01', 1.5)];
+
+    const withoutBuy = ledger.filter((tx, i) => i !== 1);
+    const withoutSell = ledger.filter((tx, i) => i !== 2);
+
+    expect(app.findNewLedgerShortfall(ledger, withoutBuy)).toMatchObject({ index: 1, type: 'sell' });
+    expect(app.findNewLedgerShortfall(ledger, withoutSell)).toBeNull();
+  });
+});
+
+describe('findImportShortfalls', () => {
+  it('should reject a back-dated sell larger than the holdings at its date', () => {
+    const existing = [buy('2024-01-01', 1), buy('2024-03-01', 2)];
+    const backDated = sell('2024-02-01', 1.5);
+    const imported = [buy('2024-04-01', 1), backDated];
+
+    const rejected = app.findImportShortfalls(existing, imported);
+
+    expect([...rejected.keys()]).toEqual([backDated]);
+    expect(rejected.get(backDated).transaction).toBe(backDated);
+    expect(rejected.get(backDated).shortfall).toBeCloseTo(0.5, 8);
+  });
+
+  it('should reject the imported sell that leaves an existing later sell short', () => {
+    const laterSell = sell('2024-03-01', 1);
+    const existing = [buy('2024-01-01', 1), laterSell];
+    const backDated = sell('2024-02-01', 0.6);
+
+    const rejected = app.findImportShortfalls(existing, [backDated]);
+
+    expect(rejected.get(backDated)).toMatchObject({ type: 'sell', transaction: laterSell });
+    expect(rejected.get(backDated).shortfall).toBeCloseTo(0.6, 8);
+    // The rest of the ledger stays consistent, so later saves are not blocked
+    expect(app.findLedgerShortfall(existing)).toBeNull();
+  });
+
+  it('should keep sells covered by imported buys and drop only the offending rows', () => {
+    const existing = [buy('2024-01-01', 1), sell('2024-06-01', 1)];
+    const coveredSell = sell('2024-03-01', 0.5);
+    const excessSell = sell('2024-04-01', 0.5);
+    const imported = [excessSell, buy('2024-02-01', 0.5), coveredSell];
+
+    const rejected = app.findImportShortfalls(existing, imported);
+
+    expect([...rejected.keys()]).toEqual([excessSell]);
+    const kept = existing.concat(imported.filter(tx => !rejected.has(tx)));
+    expect(app.findLedgerShortfall(kept)).toBeNull();
+  });
+
+  it('should ignore shortfalls the ledger already had', () => {
+    const existing = [sell('2023-12-01', 0.2), buy('2024-01-01', 1)];
+
+    expect(app.findImportShortfalls(existing, [sell('2024-02-01', 0.5)]).size).toBe(0);
+  });
+});
+
+describe('decryptBackup', () => {
+  /**
+   * Re-encode an encrypted backup with changed key derivation parameters
+   */
+  const withKdf = (code, kdf) => {
+    const envelope = app.decodeBackup(code);
+    return app.encodeBackup({ ...envelope, kdf: { ...envelope.kdf, ...kdf } });
+  };
+
+  it('should decrypt a backup encrypted with the same passphrase', async () => {
+    const code = await app.encryptBackup('plain-code', 'correct horse');
+
+    expect(await app.decryptBackup(code, 'correct horse')).toBe('plain-code');
+    await expect(app.decryptBackup(code, 'wrong horse')).rejects.toThrow('Wrong passphrase');
+  });
+
+  it('should refuse key derivation parameters outside the supported range before deriving a key', async () => {
+    const code = await app.encryptBackup('plain-code', 'correct horse');
+    const invalid = [
+      { iterations: 1e12 },
+      { iterations: 0 },
+      { iterations: -600000 },
+      { iterations: 600000.5 },
+      { iterations: '600000' },
+      { iterations: 99999 },
+      { name: 'scrypt' },
+      { hash: 'SHA-1' }
+    ];
+
+    for (const kdf of invalid) {
+      await expect(app.decryptBackup(withKdf(code, kdf), 'correct horse')).rejects.toThrow('Unsupported encrypted backup format.');
+    }
+  });
+});
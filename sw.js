@@ -0,0 +1,161 @@
+/**
+ * Service Worker - offline support for the Crypto Profit Calculator
+ * - Precaches the app shell so the page opens without a network
+ * - Serves the app files network-first, so a deploy is picked up on the next online visit
+ * - Keeps the last successful market data responses (price, chart, news, AI summary);
+ *   script.js falls back to them when both the worker and the public API are unreachable
+ */
+
+// Bump when SHELL_FILES changes (the shell is network-first, so code changes need no bump)
+const SHELL_CACHE = 'crypto-calc-shell-v3';
+// Last successful API responses (read by script.js as OFFLINE_DATA_CACHE)
+const DATA_CACHE = 'crypto-calc-data';
+// Header added to stored API responses with the time they were received (ms)
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'script.js',
+    'indicators.js',
+    'fee-presets.js',
+    'markdown-parser.js',
+    'output.css',
+    'favicon.ico',
+    'favicon-192.png',
+    'favicon-512.png',
+    'manifest.webmanifest'
+];
+
+// Market data APIs whose responses are kept for offline use
+const DATA_HOSTS = ['crypto-cache.tbog.workers.dev', 'api.coingecko.com'];
+// Versioned third-party scripts (Chart.js and plugins), cached on first use
+const CDN_HOSTS = ['cdn.jsdelivr.net'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            // Cache files one by one so a missing file (e.g. output.css before a CSS build) does not block install
+            .then(cache => Promise.all(SHELL_FILES.map(file => cache.add(file).catch(error => {
+                console.warn(`Service worker could not precache ${file}:`, error);
+            }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('crypto-calc-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (DATA_HOSTS.includes(url.hostname)) {
+        // The live price stream is a long-lived response that cannot be cached
+        if (url.pathname !== '/api/price-stream') {
+            event.respondWith(fetchAndStoreData(event));
+        }
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Fetch an API response and keep a copy of it when it succeeds
+ * Failures are passed through untouched: the page decides whether to use the stored copy,
+ * after trying its own fallbacks (e.g. the public CoinGecko API when the worker is down).
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchAndStoreData(event) {
+    const response = await fetch(event.request);
+    if (response.ok) {
+        event.waitUntil(storeDataResponse(event.request, response.clone()));
+    }
+    return response;
+}
+
+/**
+ * Store an API response with the time it was received
+ * @param {Request} request - Original request
+ * @param {Response} response - Response copy
+ * @returns {Promise<void>}
+ */
+async function storeDataResponse(request, response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    const stored = new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(request.url, stored);
+}
+
+/**
+ * Serve from the cache, fetching (and caching) on a miss
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    // Script tags load CDN files without CORS, so their responses are opaque (status 0)
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve from the network, refreshing the cache; fall back to the cache when offline
+ * Page navigations fall back to the cached index.html.
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('index.html');
+            if (shell) {
+                return shell;
+            }
+        }
+        throw error;
+    }
+}
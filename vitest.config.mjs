@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests of the browser scripts (the worker has its own test suite in worker/)
+export default defineConfig({
+  test: {
+    include: ['*.test.js'],
+    environment: 'node',
+    globals: false
+  },
+  css: {
+    postcss: false // Disable PostCSS processing for tests
+  }
+});
@@ -0,0 +1,43 @@
+-- Migration: Add price alert tables
+-- Date: 2026-10-19
+-- Description: Adds the price_alerts and alert_deliveries tables used by the API worker
+--              (alert registration) and the price alerts worker (evaluation and webhook delivery).
+--              Uses IF NOT EXISTS, so it is safe to run multiple times.
+
+-- Price alerts table: Alert rules evaluated by the price alerts worker
+CREATE TABLE IF NOT EXISTS price_alerts (
+    id TEXT PRIMARY KEY,                    -- Alert ID (UUID)
+    currency TEXT NOT NULL,                 -- Lowercase vs_currency (e.g. usd)
+    condition TEXT NOT NULL,                -- above or below
+    threshold REAL NOT NULL,                -- Price threshold in the alert currency
+    webhookUrl TEXT NOT NULL,               -- URL that receives the JSON payload
+    mode TEXT NOT NULL DEFAULT 'once',      -- once (deactivates after firing) or repeat
+    cooldownSeconds INTEGER NOT NULL,       -- Minimum time between firings
+    active BOOLEAN DEFAULT 1,               -- False once a one-shot alert has fired
+    lastTriggeredAt INTEGER,                -- Last firing timestamp (milliseconds)
+    createdAt INTEGER NOT NULL,             -- Record creation timestamp (milliseconds)
+    updatedAt INTEGER NOT NULL              -- Record update timestamp (milliseconds)
+);
+
+-- Index on active flag for the per-run evaluation query
+CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(active) WHERE active = 1;
+
+-- Alert deliveries table: Webhook delivery queue with retry and dedup state
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id TEXT PRIMARY KEY,                    -- Dedup key: alertId + previous firing time
+    alertId TEXT NOT NULL,                  -- Alert that fired
+    payload TEXT NOT NULL,                  -- JSON payload sent to the webhook
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, delivered, failed
+    attempts INTEGER DEFAULT 0,             -- Delivery attempts made
+    lastError TEXT,                         -- Last delivery error (if any)
+    nextAttemptAt INTEGER,                  -- Next attempt timestamp (milliseconds)
+    deliveredAt INTEGER,                    -- Successful delivery timestamp (milliseconds)
+    createdAt INTEGER NOT NULL,             -- Record creation timestamp (milliseconds)
+    updatedAt INTEGER NOT NULL              -- Record update timestamp (milliseconds)
+);
+
+-- Index for finding due deliveries (oldest first)
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_due ON alert_deliveries(nextAttemptAt) WHERE status = 'pending';
+
+-- Index for deleting an alert's delivery history
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alertId ON alert_deliveries(alertId);
@@ -0,0 +1,14 @@
+-- Migration: Add exchange rate history table
+-- Date: 2026-10-19
+-- Description: Adds the exchange_rates table. The API worker records the daily USD rates from
+--              ExchangeRate-API and converts historical price series with the rate of each day.
+--              Uses IF NOT EXISTS, so it is safe to run multiple times.
+
+-- Exchange rates table: Daily rates from USD, one row per date and currency
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    date TEXT NOT NULL,                     -- UTC date the rates were published (YYYY-MM-DD)
+    currency TEXT NOT NULL,                 -- Uppercase currency code (e.g. RON)
+    rate REAL NOT NULL,                     -- Units of the currency per USD
+    createdAt INTEGER NOT NULL,             -- Record creation timestamp (milliseconds)
+    PRIMARY KEY (currency, date)
+);
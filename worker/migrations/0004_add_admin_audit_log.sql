@@ -0,0 +1,24 @@
+-- Migration: Add admin audit log table
+-- Date: 2026-10-19
+-- Description: Adds the admin_audit_log table. Every authenticated call to an admin or diagnostic
+--              route of the workers (see shared/admin-auth.js) writes one row, including calls
+--              refused for lacking the scope.
+--              Uses IF NOT EXISTS, so it is safe to run multiple times.
+
+-- Admin audit log table: One row per privileged call
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    createdAt INTEGER NOT NULL,             -- Call timestamp (milliseconds)
+    worker TEXT NOT NULL,                   -- Worker that served the call (api, news-processor, news-updater, price-alerts)
+    action TEXT NOT NULL,                   -- Route action (e.g. articles.process, stats.read)
+    scope TEXT NOT NULL,                    -- Scope the caller authenticated with: read or operator
+    requiredScope TEXT NOT NULL,            -- Scope the route requires
+    authMethod TEXT NOT NULL,               -- bearer or hmac
+    method TEXT NOT NULL,                   -- HTTP method
+    path TEXT NOT NULL,                     -- Path and query string
+    status INTEGER NOT NULL,                -- Response status (403 when the scope was insufficient)
+    ip TEXT                                 -- CF-Connecting-IP of the caller
+);
+
+-- Index for reading the log by time (newest first)
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_createdAt ON admin_audit_log(createdAt DESC);
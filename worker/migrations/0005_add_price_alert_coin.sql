@@ -0,0 +1,8 @@
+-- Migration: Add coin column to price_alerts table
+-- Date: 2026-10-19
+-- Description: Adds the coin column so server-side alerts can watch any supported coin instead
+--              of only Bitcoin. Existing rules were Bitcoin alerts and keep that coin through the default.
+
+-- Note: SQLite doesn't support IF NOT EXISTS for ALTER TABLE, so this fails harmlessly
+-- when the column already exists
+ALTER TABLE price_alerts ADD COLUMN coin TEXT NOT NULL DEFAULT 'bitcoin';
@@ -59,3 +59,69 @@ CREATE TABLE IF NOT EXISTS processing_checkpoint (
 -- Initialize checkpoint table with a single row
 INSERT OR IGNORE INTO processing_checkpoint (id, lastProcessedAt, articlesProcessedCount)
 VALUES (1, 0, 0);
+
+-- Price alerts table: Alert rules evaluated by the price alerts worker
+CREATE TABLE IF NOT EXISTS price_alerts (
+    id TEXT PRIMARY KEY,                    -- Alert ID (UUID)
+    coin TEXT NOT NULL DEFAULT 'bitcoin',   -- CoinGecko coin id (e.g. ethereum)
+    currency TEXT NOT NULL,                 -- Lowercase vs_currency (e.g. usd)
+    condition TEXT NOT NULL,                -- above or below
+    threshold REAL NOT NULL,                -- Price threshold in the alert currency
+    webhookUrl TEXT NOT NULL,               -- URL that receives the JSON payload
+    mode TEXT NOT NULL DEFAULT 'once',      -- once (deactivates after firing) or repeat
+    cooldownSeconds INTEGER NOT NULL,       -- Minimum time between firings
+    active BOOLEAN DEFAULT 1,               -- False once a one-shot alert has fired
+    lastTriggeredAt INTEGER,                -- Last firing timestamp (milliseconds)
+    createdAt INTEGER NOT NULL,             -- Record creation timestamp (milliseconds)
+    updatedAt INTEGER NOT NULL              -- Record update timestamp (milliseconds)
+);
+
+-- Index on active flag for the per-run evaluation query
+CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(active) WHERE active = 1;
+
+-- Alert deliveries table: Webhook delivery queue with retry and dedup state
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id TEXT PRIMARY KEY,                    -- Dedup key: alertId + previous firing time
+    alertId TEXT NOT NULL,                  -- Alert that fired
+    payload TEXT NOT NULL,                  -- JSON payload sent to the webhook
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, delivered, failed
+    attempts INTEGER DEFAULT 0,             -- Delivery attempts made
+    lastError TEXT,                         -- Last delivery error (if any)
+    nextAttemptAt INTEGER,                  -- Next attempt timestamp (milliseconds)
+    deliveredAt INTEGER,                    -- Successful delivery timestamp (milliseconds)
+    createdAt INTEGER NOT NULL,             -- Record creation timestamp (milliseconds)
+    updatedAt INTEGER NOT NULL              -- Record update timestamp (milliseconds)
+);
+
+-- Index for finding due deliveries (oldest first)
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_due ON alert_deliveries(nextAttemptAt) WHERE status = 'pending';
+
+-- Index for deleting an alert's delivery history
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alertId ON alert_deliveries(alertId);
+
+-- Exchange rates table: Daily rates from USD recorded by the API worker, one row per date and currency
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    date TEXT NOT NULL,                     -- UTC date the rates were published (YYYY-MM-DD)
+    currency TEXT NOT NULL,                 -- Uppercase currency code (e.g. RON)
+    rate REAL NOT NULL,                     -- Units of the currency per USD
+    createdAt INTEGER NOT NULL,             -- Record creation timestamp (milliseconds)
+    PRIMARY KEY (currency, date)
+);
+
+-- Admin audit log table: One row per authenticated call to an admin route of any worker
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    createdAt INTEGER NOT NULL,             -- Call timestamp (milliseconds)
+    worker TEXT NOT NULL,                   -- Worker that served the call (api, news-processor, news-updater, price-alerts)
+    action TEXT NOT NULL,                   -- Route action (e.g. articles.process, stats.read)
+    scope TEXT NOT NULL,                    -- Scope the caller authenticated with: read or operator
+    requiredScope TEXT NOT NULL,            -- Scope the route requires
+    authMethod TEXT NOT NULL,               -- bearer or hmac
+    method TEXT NOT NULL,                   -- HTTP method
+    path TEXT NOT NULL,                     -- Path and query string
+    status INTEGER NOT NULL,                -- Response status (403 when the scope was insufficient)
+    ip TEXT                                 -- CF-Connecting-IP of the caller
+);
+
+-- Index for reading the log by time (newest first)
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_createdAt ON admin_audit_log(createdAt DESC);
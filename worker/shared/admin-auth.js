@@ -0,0 +1,259 @@
+/**
+ * Admin API Authentication
+ *
+ * The admin and diagnostic routes of the workers (on-demand article processing, database
+ * statistics, alert registration) are server-to-server calls, authenticated with secrets
+ * instead of the browser origin allow-list. Two scopes:
+ * - read: statistics and listings (ADMIN_READ_TOKEN)
+ * - operator: every route, including calls that change data or spend AI neurons (ADMIN_OPERATOR_TOKEN)
+ *
+ * A caller proves a scope in one of two ways:
+ * - Bearer token: Authorization: Bearer <token>
+ * - HMAC-signed request, so the secret never travels with the request:
+ *   X-Admin-Timestamp: <milliseconds since the epoch>
+ *   X-Admin-Signature: hex HMAC-SHA256(token, "<timestamp>\n<METHOD>\n<path?query>\n<hex SHA-256 of the body>")
+ *   Signatures older than ADMIN_SIGNATURE_MAX_AGE are rejected.
+ *
+ * Every authenticated call is recorded in the admin_audit_log D1 table, including calls
+ * refused for lacking the scope. Calls without valid credentials are only logged to the console.
+ */
+
+import { ADMIN_SIGNATURE_MAX_AGE } from './constants.js';
+
+// Scopes, lowest first (a scope grants every scope before it)
+export const ADMIN_SCOPES = {
+  READ: 'read',
+  OPERATOR: 'operator'
+};
+
+const SCOPE_ORDER = [ADMIN_SCOPES.READ, ADMIN_SCOPES.OPERATOR];
+
+/**
+ * Compare two strings in constant time (for tokens and signatures)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % right.length] || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Get the configured admin credentials of a worker
+ * @param {Object} env - Environment variables (ADMIN_OPERATOR_TOKEN, ADMIN_READ_TOKEN secrets)
+ * @returns {Array<{scope: string, secret: string}>} Credentials, highest scope first
+ */
+export function getAdminCredentials(env) {
+  const credentials = [];
+  if (env.ADMIN_OPERATOR_TOKEN) {
+    credentials.push({ scope: ADMIN_SCOPES.OPERATOR, secret: env.ADMIN_OPERATOR_TOKEN });
+  }
+  if (env.ADMIN_READ_TOKEN) {
+    credentials.push({ scope: ADMIN_SCOPES.READ, secret: env.ADMIN_READ_TOKEN });
+  }
+  return credentials;
+}
+
+/**
+ * Check whether a granted scope covers a required scope
+ * @param {string} granted - Scope the caller authenticated with
+ * @param {string} required - Scope the route requires
+ * @returns {boolean} True if the call is allowed
+ */
+export function scopeAllows(granted, required) {
+  return SCOPE_ORDER.indexOf(granted) >= SCOPE_ORDER.indexOf(required) && SCOPE_ORDER.includes(required);
+}
+
+/**
+ * Hex encode bytes
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string} Lowercase hex
+ */
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the string signed for an HMAC-authenticated request
+ * Reads the body from a clone, so the handler can still read the request.
+ * @param {Request} request - Request to sign or verify
+ * @param {string} timestamp - X-Admin-Timestamp value
+ * @returns {Promise<string>} Signed string
+ */
+async function getSignaturePayload(request, timestamp) {
+  const url = new URL(request.url);
+  const body = request.body ? await request.clone().arrayBuffer() : new ArrayBuffer(0);
+  const bodyHash = toHex(await crypto.subtle.digest('SHA-256', body));
+  return `${timestamp}\n${request.method.toUpperCase()}\n${url.pathname}${url.search}\n${bodyHash}`;
+}
+
+/**
+ * Compute a hex HMAC-SHA256
+ * @param {string} secret - Key
+ * @param {string} message - Message
+ * @returns {Promise<string>} Lowercase hex signature
+ */
+async function hmacHex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Compute the signature headers for an admin request (for scripts and other workers calling the admin routes)
+ * @param {Request} request - Request to sign (method, URL and body are signed)
+ * @param {string} secret - Token of the scope to use
+ * @param {number} timestamp - Signing time in milliseconds (defaults to now)
+ * @returns {Promise<Object>} X-Admin-Timestamp and X-Admin-Signature headers
+ */
+export async function signAdminRequest(request, secret, timestamp = Date.now()) {
+  const payload = await getSignaturePayload(request, String(timestamp));
+  return {
+    'X-Admin-Timestamp': String(timestamp),
+    'X-Admin-Signature': await hmacHex(secret, payload)
+  };
+}
+
+/**
+ * Authenticate an admin request with a bearer token or an HMAC signature
+ * @param {Request} request - Incoming request
+ * @param {Array<{scope: string, secret: string}>} credentials - Credentials from getAdminCredentials
+ * @param {number} now - Current timestamp (milliseconds)
+ * @returns {Promise<{scope: string, method: string}|null>} Granted scope and auth method, or null
+ */
+export async function authenticateAdminRequest(request, credentials, now) {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    const token = authorization.slice(7);
+    const match = token && credentials.find(credential => timingSafeEqual(token, credential.secret));
+    return match ? { scope: match.scope, method: 'bearer' } : null;
+  }
+
+  const timestamp = request.headers.get('X-Admin-Timestamp');
+  const signature = request.headers.get('X-Admin-Signature');
+  if (!timestamp || !signature) {
+    return null;
+  }
+  const signedAt = Number(timestamp);
+  if (!Number.isFinite(signedAt) || Math.abs(now - signedAt) > ADMIN_SIGNATURE_MAX_AGE * 1000) {
+    return null;
+  }
+
+  const payload = await getSignaturePayload(request, timestamp);
+  for (const credential of credentials) {
+    if (timingSafeEqual(signature.toLowerCase(), await hmacHex(credential.secret, payload))) {
+      return { scope: credential.scope, method: 'hmac' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Write an audit row for a privileged call
+ * Failures are logged, never thrown: auditing must not break the call it records.
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} entry - {worker, action, scope, requiredScope, authMethod, method, path, status, ip}
+ * @returns {Promise<boolean>} True if the row was written
+ */
+export async function recordAdminAudit(db, entry) {
+  if (!db) {
+    console.warn(`No D1 binding, admin call not audited: ${entry.worker} ${entry.action} (${entry.status})`);
+    return false;
+  }
+  try {
+    await db.prepare(`
+      INSERT INTO admin_audit_log (createdAt, worker, action, scope, requiredScope, authMethod, method, path, status, ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      Date.now(),
+      entry.worker,
+      entry.action,
+      entry.scope,
+      entry.requiredScope,
+      entry.authMethod,
+      entry.method,
+      entry.path,
+      entry.status,
+      entry.ip || null
+    ).run();
+    return true;
+  } catch (error) {
+    console.error('Failed to write admin audit row:', error);
+    return false;
+  }
+}
+
+/**
+ * Build a JSON error response for the admin routes
+ * @param {number} status - HTTP status
+ * @param {string} error - Short error
+ * @param {string} message - Explanation
+ * @param {Object} headers - Extra headers
+ * @returns {Response} JSON response
+ */
+function adminErrorResponse(status, error, message, headers = {}) {
+  return new Response(JSON.stringify({ success: false, error, message }), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Authenticate, authorize and audit an admin call, then run its handler
+ * - 503 when the worker has no admin credentials configured (the route is disabled)
+ * - 401 without valid credentials
+ * - 403 when the credentials lack the required scope (audited)
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (admin secrets, DB binding)
+ * @param {Object} ctx - Execution context (the audit row is written in waitUntil)
+ * @param {Object} options - {worker, action, scope: required scope, credentials: defaults to getAdminCredentials(env)}
+ * @param {function({scope: string, method: string}): Promise<Response>} handler - Route handler
+ * @returns {Promise<Response>} Handler response or auth error
+ */
+export async function handleAdminRequest(request, env, ctx, options, handler) {
+  const credentials = options.credentials || getAdminCredentials(env);
+  if (credentials.length === 0) {
+    return adminErrorResponse(503, 'Admin API not configured', 'Set ADMIN_OPERATOR_TOKEN or ADMIN_READ_TOKEN to enable this route');
+  }
+
+  const url = new URL(request.url);
+  const auth = await authenticateAdminRequest(request, credentials, Date.now());
+  if (!auth) {
+    console.warn(`Rejected unauthenticated admin call: ${options.worker} ${options.action}`);
+    return adminErrorResponse(401, 'Unauthorized', 'Invalid or missing bearer token or request signature', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const audit = (status) => ctx.waitUntil(recordAdminAudit(env.DB, {
+    worker: options.worker,
+    action: options.action,
+    scope: auth.scope,
+    requiredScope: options.scope,
+    authMethod: auth.method,
+    method: request.method,
+    path: `${url.pathname}${url.search}`,
+    status,
+    ip: request.headers.get('CF-Connecting-IP')
+  }));
+
+  if (!scopeAllows(auth.scope, options.scope)) {
+    audit(403);
+    return adminErrorResponse(403, 'Forbidden', `This route requires the ${options.scope} scope`);
+  }
+
+  let response;
+  try {
+    response = await handler(auth);
+  } catch (error) {
+    audit(500);
+    throw error;
+  }
+  audit(response.status);
+  return response;
+}
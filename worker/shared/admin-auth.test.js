@@ -0,0 +1,227 @@
+/**
+ * Tests for Admin API Authentication
+ * Validates bearer and HMAC authentication, scope checks and audit rows against an in-memory D1 mock
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ADMIN_SCOPES,
+  timingSafeEqual,
+  getAdminCredentials,
+  scopeAllows,
+  signAdminRequest,
+  authenticateAdminRequest,
+  recordAdminAudit,
+  handleAdminRequest
+} from './admin-auth.js';
+
+/**
+ * Minimal D1 mock recording admin_audit_log inserts
+ */
+function createMockAuditD1({ fail = false } = {}) {
+  const rows = [];
+  return {
+    _rows: rows,
+    prepare: (sql) => {
+      const statement = {
+        _params: [],
+        bind: (...params) => {
+          statement._params = params;
+          return statement;
+        },
+        run: async () => {
+          if (!sql.includes('INSERT INTO admin_audit_log')) {
+            throw new Error(`Unexpected SQL in mock: ${sql}`);
+          }
+          if (fail) {
+            throw new Error('D1 unavailable');
+          }
+          const [createdAt, worker, action, scope, requiredScope, authMethod, method, path, status, ip] = statement._params;
+          rows.push({ createdAt, worker, action, scope, requiredScope, authMethod, method, path, status, ip });
+          return { meta: { changes: 1 } };
+        }
+      };
+      return statement;
+    }
+  };
+}
+
+const env = { ADMIN_OPERATOR_TOKEN: 'operator-secret', ADMIN_READ_TOKEN: 'read-secret' };
+const credentials = getAdminCredentials(env);
+const ctx = { waitUntil: (promise) => promise };
+
+const adminRequest = (path, { method = 'GET', headers = {}, body } = {}) => new Request(`https://worker.example${path}`, {
+  method,
+  headers,
+  body
+});
+
+describe('timingSafeEqual', () => {
+  it('should compare strings of any length', () => {
+    expect(timingSafeEqual('secret', 'secret')).toBe(true);
+    expect(timingSafeEqual('secret', 'secreT')).toBe(false);
+    expect(timingSafeEqual('secret', 'secret-longer')).toBe(false);
+    expect(timingSafeEqual('', 'secret')).toBe(false);
+  });
+});
+
+describe('getAdminCredentials / scopeAllows', () => {
+  it('should list the configured tokens, operator first', () => {
+    expect(credentials).toEqual([
+      { scope: 'operator', secret: 'operator-secret' },
+      { scope: 'read', secret: 'read-secret' }
+    ]);
+    expect(getAdminCredentials({})).toEqual([]);
+  });
+
+  it('should let operator cover read but not the reverse', () => {
+    expect(scopeAllows(ADMIN_SCOPES.OPERATOR, ADMIN_SCOPES.READ)).toBe(true);
+    expect(scopeAllows(ADMIN_SCOPES.OPERATOR, ADMIN_SCOPES.OPERATOR)).toBe(true);
+    expect(scopeAllows(ADMIN_SCOPES.READ, ADMIN_SCOPES.READ)).toBe(true);
+    expect(scopeAllows(ADMIN_SCOPES.READ, ADMIN_SCOPES.OPERATOR)).toBe(false);
+    expect(scopeAllows(ADMIN_SCOPES.OPERATOR, 'root')).toBe(false);
+  });
+});
+
+describe('authenticateAdminRequest', () => {
+  const now = Date.UTC(2026, 9, 19, 12);
+
+  it('should map bearer tokens to their scope', async () => {
+    const bearer = (token) => adminRequest('/stats', { headers: { 'Authorization': `Bearer ${token}` } });
+
+    expect(await authenticateAdminRequest(bearer('operator-secret'), credentials, now)).toEqual({ scope: 'operator', method: 'bearer' });
+    expect(await authenticateAdminRequest(bearer('read-secret'), credentials, now)).toEqual({ scope: 'read', method: 'bearer' });
+    expect(await authenticateAdminRequest(bearer('wrong'), credentials, now)).toBeNull();
+    expect(await authenticateAdminRequest(adminRequest('/stats'), credentials, now)).toBeNull();
+  });
+
+  it('should accept requests signed with a token', async () => {
+    const unsigned = adminRequest('/process?articleId=a1&force', { method: 'POST', body: '{"note":"retry"}' });
+    const headers = await signAdminRequest(unsigned, 'read-secret', now);
+    const signed = adminRequest('/process?articleId=a1&force', { method: 'POST', headers, body: '{"note":"retry"}' });
+
+    expect(headers['X-Admin-Timestamp']).toBe(String(now));
+    expect(headers['X-Admin-Signature']).toMatch(/^[0-9a-f]{64}$/);
+    expect(await authenticateAdminRequest(signed, credentials, now + 1000)).toEqual({ scope: 'read', method: 'hmac' });
+    // The handler can still read the body
+    expect(await signed.text()).toBe('{"note":"retry"}');
+  });
+
+  it('should reject signatures over another request, expired or with an unknown key', async () => {
+    const headers = await signAdminRequest(adminRequest('/process?articleId=a1'), 'operator-secret', now);
+
+    const otherArticle = adminRequest('/process?articleId=a2', { headers });
+    const otherMethod = adminRequest('/process?articleId=a1', { method: 'DELETE', headers });
+    const otherBody = adminRequest('/process?articleId=a1', { method: 'POST', headers, body: 'x' });
+    expect(await authenticateAdminRequest(otherArticle, credentials, now)).toBeNull();
+    expect(await authenticateAdminRequest(otherMethod, credentials, now)).toBeNull();
+    expect(await authenticateAdminRequest(otherBody, credentials, now)).toBeNull();
+
+    const original = () => adminRequest('/process?articleId=a1', { headers });
+    expect(await authenticateAdminRequest(original(), credentials, now + 301000)).toBeNull();
+    expect(await authenticateAdminRequest(original(), credentials, now - 301000)).toBeNull();
+    expect(await authenticateAdminRequest(original(), [{ scope: 'read', secret: 'read-secret' }], now)).toBeNull();
+    expect(await authenticateAdminRequest(original(), credentials, now)).toEqual({ scope: 'operator', method: 'hmac' });
+  });
+});
+
+describe('recordAdminAudit', () => {
+  const entry = {
+    worker: 'news-updater',
+    action: 'stats.read',
+    scope: 'read',
+    requiredScope: 'read',
+    authMethod: 'bearer',
+    method: 'GET',
+    path: '/',
+    status: 200,
+    ip: null
+  };
+
+  it('should write one row', async () => {
+    const db = createMockAuditD1();
+
+    expect(await recordAdminAudit(db, entry)).toBe(true);
+    expect(db._rows).toEqual([{ ...entry, createdAt: expect.any(Number) }]);
+  });
+
+  it('should not throw when the row cannot be written', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await recordAdminAudit(createMockAuditD1({ fail: true }), entry)).toBe(false);
+    expect(await recordAdminAudit(undefined, entry)).toBe(false);
+
+    consoleError.mockRestore();
+    consoleWarn.mockRestore();
+  });
+});
+
+describe('handleAdminRequest', () => {
+  const options = { worker: 'news-processor', action: 'articles.process', scope: ADMIN_SCOPES.OPERATOR };
+  const bearer = (token) => adminRequest('/process?articleId=a1&force', {
+    headers: { 'Authorization': `Bearer ${token}`, 'CF-Connecting-IP': '203.0.113.7' }
+  });
+
+  it('should run the handler for a sufficient scope and audit the result', async () => {
+    const db = createMockAuditD1();
+    const handler = vi.fn(async () => Response.json({ success: true }, { status: 200 }));
+
+    const response = await handleAdminRequest(bearer('operator-secret'), { ...env, DB: db }, ctx, options, handler);
+
+    expect(response.status).toBe(200);
+    expect(handler).toHaveBeenCalledWith({ scope: 'operator', method: 'bearer' });
+    expect(db._rows).toEqual([expect.objectContaining({
+      worker: 'news-processor',
+      action: 'articles.process',
+      scope: 'operator',
+      requiredScope: 'operator',
+      authMethod: 'bearer',
+      method: 'GET',
+      path: '/process?articleId=a1&force',
+      status: 200,
+      ip: '203.0.113.7'
+    })]);
+  });
+
+  it('should refuse and audit calls lacking the scope', async () => {
+    const db = createMockAuditD1();
+    const handler = vi.fn();
+
+    const response = await handleAdminRequest(bearer('read-secret'), { ...env, DB: db }, ctx, options, handler);
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).message).toContain('operator scope');
+    expect(handler).not.toHaveBeenCalled();
+    expect(db._rows).toEqual([expect.objectContaining({ scope: 'read', requiredScope: 'operator', status: 403 })]);
+  });
+
+  it('should reject missing credentials without an audit row', async () => {
+    const db = createMockAuditD1();
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await handleAdminRequest(bearer('guess'), { ...env, DB: db }, ctx, options, vi.fn());
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(db._rows).toHaveLength(0);
+    consoleWarn.mockRestore();
+  });
+
+  it('should disable the route when no token is configured', async () => {
+    const response = await handleAdminRequest(bearer('operator-secret'), { DB: createMockAuditD1() }, ctx, options, vi.fn());
+
+    expect(response.status).toBe(503);
+    expect((await response.json()).error).toBe('Admin API not configured');
+  });
+
+  it('should audit handler errors as 500', async () => {
+    const db = createMockAuditD1();
+
+    await expect(handleAdminRequest(bearer('operator-secret'), { ...env, DB: db }, ctx, options, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(db._rows[0].status).toBe(500);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * CoinGecko API Utilities
+ * 
+ * Shared between the API worker and the price alerts worker so both read the same
+ * edge-cached responses (cache keys are shared, so one upstream call serves both).
+ */
+
+/**
+ * Generic function to fetch data from CoinGecko API with caching
+ * @param {string} endpoint - CoinGecko API endpoint (e.g., '/api/v3/simple/supported_vs_currencies')
+ * @param {string} cacheKey - Cache key for storing the response
+ * @param {number} cacheTTL - Cache time-to-live in seconds
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<{data: Object, cacheStatus: string}>} API response data with cache status
+ */
+export async function fetchFromCoinGecko(endpoint, cacheKey, cacheTTL, env, ctx) {
+  const cache = caches.default;
+  
+  // Try to get from cache first
+  const cacheUrl = new URL(`https://cache-internal/${cacheKey}`);
+  const cachedResponse = await cache.match(cacheUrl);
+  
+  if (cachedResponse) {
+    const data = await cachedResponse.json();
+    return { data, cacheStatus: 'HIT' };
+  }
+  
+  // Fetch from CoinGecko API
+  const apiKey = env.COINGECKO_KEY;
+  const headers = new Headers();
+  if (apiKey) {
+    headers.set('x-cg-demo-api-key', apiKey);
+  }
+  
+  const url = `https://api.coingecko.com${endpoint}`;
+  const response = await fetch(url, { headers });
+  
+  if (!response.ok) {
+    throw new Error(`CoinGecko API request failed: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  
+  // Cache the result
+  const cacheResponse = new Response(JSON.stringify(data), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `public, max-age=${cacheTTL}`
+    }
+  });
+  
+  // Cache asynchronously using waitUntil - allows response to be sent while cache operation completes
+  // This is the recommended pattern for Cloudflare Workers to avoid blocking the response
+  ctx.waitUntil(cache.put(cacheUrl, cacheResponse));
+  
+  return { data, cacheStatus: 'MISS' };
+}
+
+/**
+ * Fetch the current price of one coin in one CoinGecko-supported currency
+ * Uses the same cache key as the price stream, so the stream, alerts and any other reader
+ * share one upstream call per cache TTL.
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {string} coinId - CoinGecko coin id (e.g. 'bitcoin')
+ * @param {string} currency - Lowercase currency code supported by CoinGecko
+ * @param {number} cacheTTL - Cache time-to-live in seconds
+ * @returns {Promise<{price: number, timestamp: number}>} Price and CoinGecko update time (ms)
+ */
+export async function fetchCoinPriceSnapshot(env, ctx, coinId, currency, cacheTTL) {
+  const result = await fetchFromCoinGecko(
+    `/api/v3/simple/price?ids=${coinId}&vs_currencies=${currency}&include_last_updated_at=true`,
+    `price-snapshot-${coinId}-${currency}`,
+    cacheTTL,
+    env,
+    ctx
+  );
+
+  const quote = result.data[coinId];
+  if (!quote || typeof quote[currency] !== 'number') {
+    throw new Error(`Price snapshot did not include a ${coinId} price`);
+  }
+
+  return {
+    price: quote[currency],
+    timestamp: quote.last_updated_at ? quote.last_updated_at * 1000 : Date.now()
+  };
+}
@@ -104,9 +104,23 @@ export const PRICE_HISTORY_CACHE_TTL = 600;  // 10 minutes
 // Cache duration for market chart data (in seconds)
 export const MARKET_CHART_CACHE_TTL = 300;  // 5 minutes
 
+// Cache duration for historical prices of past days (in seconds); closed days never change
+export const HISTORICAL_PRICE_CACHE_TTL = 2592000;  // 30 days
+
 // Cache duration for Bitcoin news (in seconds)
 export const BITCOIN_NEWS_CACHE_TTL = 300;  // 5 minutes
 
+// CoinGecko coin ids served by the API worker (proxy paths, `ids`, summaries and price streams)
+export const SUPPORTED_COINS = {
+  bitcoin: { name: 'Bitcoin', symbol: 'BTC' },
+  ethereum: { name: 'Ethereum', symbol: 'ETH' },
+  solana: { name: 'Solana', symbol: 'SOL' },
+  litecoin: { name: 'Litecoin', symbol: 'LTC' },
+  ripple: { name: 'XRP', symbol: 'XRP' },
+  cardano: { name: 'Cardano', symbol: 'ADA' },
+  dogecoin: { name: 'Dogecoin', symbol: 'DOGE' }
+};
+
 // CORS configuration (in seconds)
 export const CORS_MAX_AGE = 86400;  // 24 hours
 
@@ -119,6 +133,55 @@ export const PRICE_SAMPLE_THRESHOLD = 200;           // Data points threshold fo
 export const PRICE_LARGE_DATASET_SAMPLES = 8;       // Samples for large datasets (>200 points)
 export const PRICE_SMALL_DATASET_SAMPLES = 12;      // Samples for small datasets (<=200 points)
 
+// Price stream (Server-Sent Events) configuration
+export const PRICE_STREAM_SNAPSHOT_TTL = 10;  // Seconds one upstream price snapshot is shared by all streams
+export const PRICE_STREAM_INTERVAL = 5;       // Seconds between snapshot checks on each stream
+export const PRICE_STREAM_DURATION = 300;     // Seconds before a stream is closed (clients reconnect)
+export const PRICE_STREAM_RETRY = 5000;       // Reconnect delay sent to clients (in milliseconds)
+
+// Multi-source price aggregation (/api/price, see shared/price-sources.js)
+export const PRICE_SOURCES = 'coingecko,coinbase,kraken,bitstamp';  // Enabled sources (comma-separated)
+export const AGGREGATED_PRICE_CACHE_TTL = 30;  // Seconds one aggregated price is shared by all requests
+export const PRICE_SOURCE_TIMEOUT = 5000;      // Milliseconds to wait for each source
+export const PRICE_DIVERGENCE_THRESHOLD = 1;   // Percent from the median above which sources disagree
+export const PRICE_SOURCE_MAX_FAILURES = 3;    // Consecutive failures before a source is skipped
+export const PRICE_SOURCE_COOLDOWN = 60;       // Seconds a failing source is skipped
+
+// Per-client rate limiting (token bucket per client IP and route group, see shared/rate-limit.js)
+// Limits are requests per RATE_LIMIT_WINDOW; 0 disables limiting for the group
+export const RATE_LIMIT_WINDOW = 60;          // Seconds for an empty bucket to refill
+export const RATE_LIMIT_DEFAULT = 120;        // Routes without their own limit
+export const RATE_LIMIT_AI_SUMMARY = 10;      // /ai/summary (Workers AI budget)
+export const RATE_LIMIT_COINGECKO = 60;       // CoinGecko proxy and /api/historical-price (CoinGecko quota)
+export const RATE_LIMIT_PRICE_STREAM = 10;    // New /api/price-stream connections
+export const RATE_LIMIT_ADMIN = 20;           // /api/alerts and /api/price-sources (admin credential checks)
+
+// =============================================================================
+// Price Alerts Configuration (API worker registration + price alerts worker)
+// =============================================================================
+
+// Maximum number of stored alert rules (registration is rejected beyond this)
+export const MAX_PRICE_ALERTS = 100;
+
+// Cooldown between firings of one alert (in seconds)
+export const ALERT_DEFAULT_COOLDOWN = 3600;  // 1 hour
+export const ALERT_MIN_COOLDOWN = 300;       // 5 minutes (the cron runs every minute)
+
+// Webhook delivery
+// 4 retries at 1, 2, 4 and 8 minutes after the first attempt = 15 minutes of retrying
+export const ALERT_MAX_DELIVERY_ATTEMPTS = 5;
+export const ALERT_RETRY_BASE_DELAY = 60;          // Seconds before the first retry (doubles per attempt)
+export const ALERT_WEBHOOK_TIMEOUT = 10000;        // Milliseconds to wait for a webhook response
+export const ALERT_DELIVERIES_PER_RUN = 20;        // Webhook calls per run (stay within subrequest limits)
+export const ALERT_DELIVERY_RETENTION = 60 * 60 * 24 * 7;  // Seconds to keep finished deliveries (dedup history)
+
+// =============================================================================
+// Admin API Configuration (all workers, see shared/admin-auth.js)
+// =============================================================================
+
+// Seconds an HMAC-signed admin request stays valid (either side of the worker's clock)
+export const ADMIN_SIGNATURE_MAX_AGE = 300;  // 5 minutes
+
 // =============================================================================
 // Shared Utility Functions
 // =============================================================================
@@ -235,6 +298,7 @@ export function getAPIWorkerConfig(env) {
     SUMMARY_CACHE_TTL: getConfig(env, 'SUMMARY_CACHE_TTL', SUMMARY_CACHE_TTL),
     PRICE_HISTORY_CACHE_TTL: getConfig(env, 'PRICE_HISTORY_CACHE_TTL', PRICE_HISTORY_CACHE_TTL),
     MARKET_CHART_CACHE_TTL: getConfig(env, 'MARKET_CHART_CACHE_TTL', MARKET_CHART_CACHE_TTL),
+    HISTORICAL_PRICE_CACHE_TTL: getConfig(env, 'HISTORICAL_PRICE_CACHE_TTL', HISTORICAL_PRICE_CACHE_TTL),
     BITCOIN_NEWS_CACHE_TTL: getConfig(env, 'BITCOIN_NEWS_CACHE_TTL', BITCOIN_NEWS_CACHE_TTL),
     CORS_MAX_AGE: getConfig(env, 'CORS_MAX_AGE', CORS_MAX_AGE),
     LLM_MAX_TOKENS: getConfig(env, 'LLM_MAX_TOKENS', LLM_MAX_TOKENS),
@@ -242,5 +306,40 @@ export function getAPIWorkerConfig(env) {
     PRICE_SAMPLE_THRESHOLD: getConfig(env, 'PRICE_SAMPLE_THRESHOLD', PRICE_SAMPLE_THRESHOLD),
     PRICE_LARGE_DATASET_SAMPLES: getConfig(env, 'PRICE_LARGE_DATASET_SAMPLES', PRICE_LARGE_DATASET_SAMPLES),
     PRICE_SMALL_DATASET_SAMPLES: getConfig(env, 'PRICE_SMALL_DATASET_SAMPLES', PRICE_SMALL_DATASET_SAMPLES),
+    PRICE_STREAM_SNAPSHOT_TTL: getConfig(env, 'PRICE_STREAM_SNAPSHOT_TTL', PRICE_STREAM_SNAPSHOT_TTL),
+    PRICE_STREAM_INTERVAL: getConfig(env, 'PRICE_STREAM_INTERVAL', PRICE_STREAM_INTERVAL),
+    PRICE_STREAM_DURATION: getConfig(env, 'PRICE_STREAM_DURATION', PRICE_STREAM_DURATION),
+    PRICE_STREAM_RETRY: getConfig(env, 'PRICE_STREAM_RETRY', PRICE_STREAM_RETRY),
+    PRICE_SOURCES: getConfig(env, 'PRICE_SOURCES', PRICE_SOURCES),
+    AGGREGATED_PRICE_CACHE_TTL: getConfig(env, 'AGGREGATED_PRICE_CACHE_TTL', AGGREGATED_PRICE_CACHE_TTL),
+    PRICE_SOURCE_TIMEOUT: getConfig(env, 'PRICE_SOURCE_TIMEOUT', PRICE_SOURCE_TIMEOUT),
+    PRICE_DIVERGENCE_THRESHOLD: getConfig(env, 'PRICE_DIVERGENCE_THRESHOLD', PRICE_DIVERGENCE_THRESHOLD),
+    PRICE_SOURCE_MAX_FAILURES: getConfig(env, 'PRICE_SOURCE_MAX_FAILURES', PRICE_SOURCE_MAX_FAILURES),
+    PRICE_SOURCE_COOLDOWN: getConfig(env, 'PRICE_SOURCE_COOLDOWN', PRICE_SOURCE_COOLDOWN),
+    RATE_LIMIT_WINDOW: getConfig(env, 'RATE_LIMIT_WINDOW', RATE_LIMIT_WINDOW),
+    RATE_LIMIT_DEFAULT: getConfig(env, 'RATE_LIMIT_DEFAULT', RATE_LIMIT_DEFAULT),
+    RATE_LIMIT_AI_SUMMARY: getConfig(env, 'RATE_LIMIT_AI_SUMMARY', RATE_LIMIT_AI_SUMMARY),
+    RATE_LIMIT_COINGECKO: getConfig(env, 'RATE_LIMIT_COINGECKO', RATE_LIMIT_COINGECKO),
+    RATE_LIMIT_PRICE_STREAM: getConfig(env, 'RATE_LIMIT_PRICE_STREAM', RATE_LIMIT_PRICE_STREAM),
+    RATE_LIMIT_ADMIN: getConfig(env, 'RATE_LIMIT_ADMIN', RATE_LIMIT_ADMIN),
+    MAX_PRICE_ALERTS: getConfig(env, 'MAX_PRICE_ALERTS', MAX_PRICE_ALERTS),
+    ALERT_DEFAULT_COOLDOWN: getConfig(env, 'ALERT_DEFAULT_COOLDOWN', ALERT_DEFAULT_COOLDOWN),
+    ALERT_MIN_COOLDOWN: getConfig(env, 'ALERT_MIN_COOLDOWN', ALERT_MIN_COOLDOWN),
+  };
+}
+
+/**
+ * Get all configuration values for price alerts worker
+ * @param {Object} env - Cloudflare Workers environment
+ * @returns {Object} Configuration object
+ */
+export function getPriceAlertsConfig(env) {
+  return {
+    PRICE_STREAM_SNAPSHOT_TTL: getConfig(env, 'PRICE_STREAM_SNAPSHOT_TTL', PRICE_STREAM_SNAPSHOT_TTL),
+    ALERT_MAX_DELIVERY_ATTEMPTS: getConfig(env, 'ALERT_MAX_DELIVERY_ATTEMPTS', ALERT_MAX_DELIVERY_ATTEMPTS),
+    ALERT_RETRY_BASE_DELAY: getConfig(env, 'ALERT_RETRY_BASE_DELAY', ALERT_RETRY_BASE_DELAY),
+    ALERT_WEBHOOK_TIMEOUT: getConfig(env, 'ALERT_WEBHOOK_TIMEOUT', ALERT_WEBHOOK_TIMEOUT),
+    ALERT_DELIVERIES_PER_RUN: getConfig(env, 'ALERT_DELIVERIES_PER_RUN', ALERT_DELIVERIES_PER_RUN),
+    ALERT_DELIVERY_RETENTION: getConfig(env, 'ALERT_DELIVERY_RETENTION', ALERT_DELIVERY_RETENTION),
   };
 }
@@ -0,0 +1,125 @@
+/**
+ * Exchange Rate History Utilities
+ *
+ * The API worker converts prices for currencies CoinGecko does not quote from USD. A cron trigger
+ * records each day's USD rates in D1 (fresh fetches for requests backfill a day it missed), so
+ * historical series can be converted point by point with the rate of each point's own day:
+ * - exchange_rates: one row per UTC date and currency (rates from USD)
+ */
+
+// Conversion modes reported in the X-Conversion-Mode header
+export const CONVERSION_MODES = {
+  HISTORICAL: 'historical', // Every point used the stored rate of its day (or the last stored day before it)
+  PARTIAL: 'partial',       // Points before the stored history used the current rate
+  CURRENT: 'current'        // Every point used the current rate
+};
+
+/**
+ * Get the UTC date of a timestamp as stored in exchange_rates
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function getRateDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Store the daily USD rates of an ExchangeRate-API response
+ * The rates are filed under the day ExchangeRate-API published them. A day is only written once,
+ * so the hourly refetches of the same rates cost one read.
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} data - ExchangeRate-API /latest/USD response
+ * @returns {Promise<number>} Number of rates stored (0 if the day was already recorded)
+ */
+export async function recordExchangeRates(db, data) {
+  const now = Date.now();
+  const date = getRateDate(data.time_last_update_unix ? data.time_last_update_unix * 1000 : now);
+
+  const rates = Object.entries(data.rates || {}).filter(([, rate]) => typeof rate === 'number' && rate > 0);
+  if (rates.length === 0) {
+    return 0;
+  }
+
+  // All rates of a day are written together, so checking one of them (by primary key) is enough
+  const existing = await db.prepare('SELECT 1 FROM exchange_rates WHERE currency = ? AND date = ?')
+    .bind(rates[0][0].toUpperCase(), date)
+    .first();
+  if (existing) {
+    return 0;
+  }
+
+  await db.batch(rates.map(([currency, rate]) =>
+    db.prepare('INSERT OR IGNORE INTO exchange_rates (date, currency, rate, createdAt) VALUES (?, ?, ?, ?)')
+      .bind(date, currency.toUpperCase(), rate, now)
+  ));
+  return rates.length;
+}
+
+/**
+ * Get the stored daily rates of one currency for a date range
+ * Includes the last stored day before the range, so the first days of the range are covered
+ * when they have no row of their own.
+ * @param {D1Database} db - D1 database instance
+ * @param {string} currency - Currency code (any case)
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array<{date: string, rate: number}>>} Rates, oldest first
+ */
+export async function getExchangeRateHistory(db, currency, fromDate, toDate) {
+  const code = currency.toUpperCase();
+  const [before, range] = await db.batch([
+    db.prepare(`
+      SELECT date, rate FROM exchange_rates
+      WHERE currency = ? AND date < ?
+      ORDER BY date DESC
+      LIMIT 1
+    `).bind(code, fromDate),
+    db.prepare(`
+      SELECT date, rate FROM exchange_rates
+      WHERE currency = ? AND date >= ? AND date <= ?
+      ORDER BY date ASC
+    `).bind(code, fromDate, toDate)
+  ]);
+  return [...(before.results || []), ...(range.results || [])];
+}
+
+/**
+ * Build a lookup of the rate in effect at a timestamp
+ * Each timestamp uses the rate of its UTC date or, on days without a row, the last stored day
+ * before it. Timestamps before the history starts use the current rate.
+ * @param {Array<{date: string, rate: number}>} history - Stored rates, oldest first
+ * @param {number} currentRate - Current rate (fallback)
+ * @returns {function(number): number} Rate at a timestamp (milliseconds)
+ */
+export function createRateLookup(history, currentRate) {
+  return (timestamp) => {
+    const date = getRateDate(timestamp);
+    // Binary search for the last stored day on or before the date
+    let low = 0;
+    let high = history.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (history[middle].date <= date) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found >= 0 ? history[found].rate : currentRate;
+  };
+}
+
+/**
+ * Get the conversion mode of a series converted with createRateLookup
+ * @param {Array<{date: string, rate: number}>} history - Stored rates, oldest first
+ * @param {number} firstTimestamp - Timestamp of the oldest point (milliseconds)
+ * @returns {string} One of CONVERSION_MODES
+ */
+export function getConversionMode(history, firstTimestamp) {
+  if (history.length === 0) {
+    return CONVERSION_MODES.CURRENT;
+  }
+  return history[0].date <= getRateDate(firstTimestamp) ? CONVERSION_MODES.HISTORICAL : CONVERSION_MODES.PARTIAL;
+}
@@ -0,0 +1,167 @@
+/**
+ * Tests for Exchange Rate History Utilities
+ * Validates daily rate recording, range reads and per-point rate lookup against an in-memory D1 mock
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CONVERSION_MODES,
+  getRateDate,
+  recordExchangeRates,
+  getExchangeRateHistory,
+  createRateLookup,
+  getConversionMode
+} from './exchange-rates.js';
+
+/**
+ * Minimal D1 mock covering the statements issued by shared/exchange-rates.js
+ */
+function createMockRatesD1(rows = []) {
+  const table = rows.map(row => ({ ...row }));
+  let writes = 0;
+
+  const execute = (sql, params) => {
+    if (sql.includes('SELECT 1 FROM exchange_rates')) {
+      const [currency, date] = params;
+      return table.find(row => row.currency === currency && row.date === date) ? { 1: 1 } : null;
+    }
+    if (sql.includes('INSERT OR IGNORE INTO exchange_rates')) {
+      const [date, currency, rate, createdAt] = params;
+      if (table.some(row => row.currency === currency && row.date === date)) {
+        return { meta: { changes: 0 } };
+      }
+      table.push({ date, currency, rate, createdAt });
+      writes++;
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes('date < ?')) {
+      const [currency, fromDate] = params;
+      const before = table
+        .filter(row => row.currency === currency && row.date < fromDate)
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, 1);
+      return { results: before.map(({ date, rate }) => ({ date, rate })) };
+    }
+    if (sql.includes('date >= ? AND date <= ?')) {
+      const [currency, fromDate, toDate] = params;
+      const range = table
+        .filter(row => row.currency === currency && row.date >= fromDate && row.date <= toDate)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      return { results: range.map(({ date, rate }) => ({ date, rate })) };
+    }
+    throw new Error(`Unexpected SQL in mock: ${sql}`);
+  };
+
+  return {
+    _rows: table,
+    get _writes() {
+      return writes;
+    },
+    prepare: (sql) => {
+      const statement = {
+        _params: [],
+        bind: (...params) => {
+          statement._params = params;
+          return statement;
+        },
+        run: async () => execute(sql, statement._params),
+        all: async () => execute(sql, statement._params),
+        first: async () => execute(sql, statement._params)
+      };
+      return statement;
+    },
+    batch: async (statements) => Promise.all(statements.map(statement => statement.run()))
+  };
+}
+
+const march = (day) => Date.UTC(2024, 2, day, 12);
+
+describe('getRateDate', () => {
+  it('should use the UTC date', () => {
+    expect(getRateDate(Date.UTC(2024, 2, 14, 23, 59))).toBe('2024-03-14');
+    expect(getRateDate(Date.UTC(2024, 2, 15, 0, 0))).toBe('2024-03-15');
+  });
+});
+
+describe('recordExchangeRates', () => {
+  const response = {
+    time_last_update_unix: Date.UTC(2024, 2, 14, 0, 2) / 1000,
+    rates: { USD: 1, RON: 4.6, EUR: 0.92, BAD: 'n/a' }
+  };
+
+  it('should store the rates under their publication date once', async () => {
+    const db = createMockRatesD1();
+
+    expect(await recordExchangeRates(db, response)).toBe(3);
+    expect(db._rows).toHaveLength(3);
+    expect(db._rows.find(row => row.currency === 'RON')).toMatchObject({ date: '2024-03-14', rate: 4.6 });
+
+    // Hourly refetches of the same publication write nothing
+    expect(await recordExchangeRates(db, response)).toBe(0);
+    expect(db._writes).toBe(3);
+
+    // The next publication is a new day
+    expect(await recordExchangeRates(db, { ...response, time_last_update_unix: response.time_last_update_unix + 86400 })).toBe(3);
+    expect(db._rows).toHaveLength(6);
+  });
+
+  it('should ignore responses without rates', async () => {
+    const db = createMockRatesD1();
+    expect(await recordExchangeRates(db, { result: 'error' })).toBe(0);
+    expect(db._rows).toHaveLength(0);
+  });
+});
+
+describe('getExchangeRateHistory', () => {
+  it('should return the range and the last stored day before it, oldest first', async () => {
+    const db = createMockRatesD1([
+      { date: '2024-03-01', currency: 'RON', rate: 4.5 },
+      { date: '2024-03-05', currency: 'RON', rate: 4.55 },
+      { date: '2024-03-12', currency: 'RON', rate: 4.58 },
+      { date: '2024-03-14', currency: 'RON', rate: 4.6 },
+      { date: '2024-03-20', currency: 'RON', rate: 4.65 },
+      { date: '2024-03-12', currency: 'EUR', rate: 0.92 }
+    ]);
+
+    expect(await getExchangeRateHistory(db, 'ron', '2024-03-10', '2024-03-15')).toEqual([
+      { date: '2024-03-05', rate: 4.55 },
+      { date: '2024-03-12', rate: 4.58 },
+      { date: '2024-03-14', rate: 4.6 }
+    ]);
+    expect(await getExchangeRateHistory(db, 'RON', '2024-02-01', '2024-02-28')).toEqual([]);
+  });
+});
+
+describe('createRateLookup', () => {
+  const history = [
+    { date: '2024-03-05', rate: 4.55 },
+    { date: '2024-03-12', rate: 4.58 },
+    { date: '2024-03-14', rate: 4.6 }
+  ];
+
+  it('should use the rate of the day or the last stored day before it', () => {
+    const rateAt = createRateLookup(history, 5);
+
+    expect(rateAt(march(5))).toBe(4.55);
+    expect(rateAt(march(11))).toBe(4.55);
+    expect(rateAt(march(12))).toBe(4.58);
+    expect(rateAt(march(14))).toBe(4.6);
+    expect(rateAt(march(30))).toBe(4.6);
+  });
+
+  it('should use the current rate before the history starts or without history', () => {
+    expect(createRateLookup(history, 5)(march(1))).toBe(5);
+    expect(createRateLookup([], 5)(march(14))).toBe(5);
+  });
+});
+
+describe('getConversionMode', () => {
+  const history = [{ date: '2024-03-05', rate: 4.55 }];
+
+  it('should report whether the history covers the whole series', () => {
+    expect(getConversionMode(history, march(5))).toBe(CONVERSION_MODES.HISTORICAL);
+    expect(getConversionMode(history, march(10))).toBe(CONVERSION_MODES.HISTORICAL);
+    expect(getConversionMode(history, march(4))).toBe(CONVERSION_MODES.PARTIAL);
+    expect(getConversionMode([], march(10))).toBe(CONVERSION_MODES.CURRENT);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Price Alert Utilities
+ *
+ * Shared between the API worker (alert registration) and the price alerts worker
+ * (evaluation and webhook delivery). Rules and delivery state live in D1:
+ * - price_alerts: one row per registered rule
+ * - alert_deliveries: one row per firing, keyed so a firing is only queued once
+ */
+
+import { SUPPORTED_COINS } from './constants.js';
+
+export const ALERT_CONDITIONS = ['above', 'below'];
+export const ALERT_MODES = ['once', 'repeat'];
+
+const LOCAL_WEBHOOK_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Validate and normalize an alert registration request body
+ * @param {Object} input - Parsed JSON body
+ * @param {Array<string>} supportedCurrencies - Lowercase currency codes supported by CoinGecko
+ * @param {Object} config - API worker configuration (cooldown limits)
+ * @returns {{alert: Object|null, error: string|null}} Normalized alert or validation error
+ */
+export function validateAlertRule(input, supportedCurrencies, config) {
+  if (!input || typeof input !== 'object') {
+    return { alert: null, error: 'Request body must be a JSON object' };
+  }
+
+  // Rules registered before alerts had a coin were bitcoin alerts
+  const coin = input.coin === undefined ? 'bitcoin' : String(input.coin).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(SUPPORTED_COINS, coin)) {
+    return { alert: null, error: `Coin '${coin}' is not supported (supported: ${Object.keys(SUPPORTED_COINS).join(', ')})` };
+  }
+
+  const currency = typeof input.currency === 'string' ? input.currency.toLowerCase() : 'usd';
+  if (!supportedCurrencies.includes(currency)) {
+    return { alert: null, error: `Currency '${currency}' is not supported` };
+  }
+
+  if (!ALERT_CONDITIONS.includes(input.condition)) {
+    return { alert: null, error: `condition must be one of: ${ALERT_CONDITIONS.join(', ')}` };
+  }
+
+  const threshold = Number(input.threshold);
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    return { alert: null, error: 'threshold must be a positive number' };
+  }
+
+  let webhookUrl;
+  try {
+    webhookUrl = new URL(input.webhookUrl);
+  } catch (e) {
+    return { alert: null, error: 'webhookUrl must be a valid URL' };
+  }
+  const isLocal = LOCAL_WEBHOOK_HOSTS.includes(webhookUrl.hostname);
+  if (webhookUrl.protocol !== 'https:' && !(isLocal && webhookUrl.protocol === 'http:')) {
+    return { alert: null, error: 'webhookUrl must use https (http is only allowed for localhost)' };
+  }
+
+  const mode = input.mode === undefined ? 'once' : input.mode;
+  if (!ALERT_MODES.includes(mode)) {
+    return { alert: null, error: `mode must be one of: ${ALERT_MODES.join(', ')}` };
+  }
+
+  const cooldownSeconds = input.cooldownSeconds === undefined
+    ? config.ALERT_DEFAULT_COOLDOWN
+    : Number(input.cooldownSeconds);
+  if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < config.ALERT_MIN_COOLDOWN) {
+    return { alert: null, error: `cooldownSeconds must be an integer of at least ${config.ALERT_MIN_COOLDOWN}` };
+  }
+
+  return {
+    alert: {
+      coin,
+      currency,
+      condition: input.condition,
+      threshold,
+      webhookUrl: webhookUrl.toString(),
+      mode,
+      cooldownSeconds
+    },
+    error: null
+  };
+}
+
+/**
+ * Check whether a price satisfies an alert's condition
+ * @param {Object} alert - Alert rule
+ * @param {number} price - Current price in the alert's currency
+ * @returns {boolean} True if the alert should fire
+ */
+export function isAlertTriggered(alert, price) {
+  if (alert.condition === 'above') {
+    return price >= alert.threshold;
+  }
+  if (alert.condition === 'below') {
+    return price <= alert.threshold;
+  }
+  return false;
+}
+
+/**
+ * Build the delivery ID for a firing
+ * Derived from the alert state the evaluation saw (its previous firing), so overlapping
+ * cron runs that both see the alert as due queue the same delivery once instead of
+ * sending duplicate webhooks, while each later firing gets a new ID.
+ * @param {Object} alert - Alert rule
+ * @returns {string} Delivery ID
+ */
+export function getDeliveryId(alert) {
+  return `${alert.id}:${alert.lastTriggeredAt || 0}`;
+}
+
+/**
+ * Exponential backoff before the next delivery attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} baseDelay - Delay before the first retry (seconds)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts, baseDelay) {
+  return baseDelay * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Convert a D1 row to an alert object
+ * @param {Object} row - D1 row
+ * @returns {Object} Alert object
+ */
+export function rowToAlert(row) {
+  return {
+    id: row.id,
+    coin: row.coin || 'bitcoin',
+    currency: row.currency,
+    condition: row.condition,
+    threshold: row.threshold,
+    webhookUrl: row.webhookUrl,
+    mode: row.mode,
+    cooldownSeconds: row.cooldownSeconds,
+    active: row.active === 1,
+    lastTriggeredAt: row.lastTriggeredAt || null,
+    createdAt: row.createdAt
+  };
+}
+
+/**
+ * Insert a new alert rule
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} alert - Validated alert (see validateAlertRule)
+ * @returns {Promise<Object>} Stored alert
+ */
+export async function insertAlert(db, alert) {
+  const now = Date.now();
+  const id = crypto.randomUUID();
+
+  await db.prepare(`
+    INSERT INTO price_alerts (
+      id, coin, currency, condition, threshold, webhookUrl, mode, cooldownSeconds,
+      active, lastTriggeredAt, createdAt, updatedAt
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, NULL, ?, ?)
+  `).bind(
+    id,
+    alert.coin,
+    alert.currency,
+    alert.condition,
+    alert.threshold,
+    alert.webhookUrl,
+    alert.mode,
+    alert.cooldownSeconds,
+    now,
+    now
+  ).run();
+
+  return { id, ...alert, active: true, lastTriggeredAt: null, createdAt: now };
+}
+
+/**
+ * Count stored alert rules
+ * @param {D1Database} db - D1 database instance
+ * @returns {Promise<number>} Number of alerts
+ */
+export async function countAlerts(db) {
+  const result = await db.prepare('SELECT COUNT(*) as total FROM price_alerts').first();
+  return result?.total || 0;
+}
+
+/**
+ * List all alert rules (newest first)
+ * @param {D1Database} db - D1 database instance
+ * @returns {Promise<Array>} Alerts
+ */
+export async function listAlerts(db) {
+  const result = await db.prepare('SELECT * FROM price_alerts ORDER BY createdAt DESC').all();
+  return (result.results || []).map(rowToAlert);
+}
+
+/**
+ * Delete an alert rule and its delivery history
+ * @param {D1Database} db - D1 database instance
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<boolean>} True if the alert existed
+ */
+export async function deleteAlert(db, alertId) {
+  const results = await db.batch([
+    db.prepare('DELETE FROM alert_deliveries WHERE alertId = ?').bind(alertId),
+    db.prepare('DELETE FROM price_alerts WHERE id = ?').bind(alertId)
+  ]);
+  return (results[1]?.meta?.changes || 0) > 0;
+}
+
+/**
+ * Get the active alert rules
+ * @param {D1Database} db - D1 database instance
+ * @returns {Promise<Array>} Active alerts
+ */
+export async function getActiveAlerts(db) {
+  const result = await db.prepare('SELECT * FROM price_alerts WHERE active = 1').all();
+  return (result.results || []).map(rowToAlert);
+}
+
+/**
+ * Record a firing: queue its delivery and update the alert
+ * The delivery insert is ignored when the same firing is already queued.
+ * One-shot alerts are deactivated so they are not evaluated again.
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} alert - Alert that fired
+ * @param {Object} payload - Webhook payload
+ * @param {number} now - Current timestamp (milliseconds)
+ * @returns {Promise<boolean>} True if a new delivery was queued
+ */
+export async function recordAlertTrigger(db, alert, payload, now) {
+  const deliveryId = getDeliveryId(alert);
+  const results = await db.batch([
+    db.prepare(`
+      INSERT OR IGNORE INTO alert_deliveries (
+        id, alertId, payload, status, attempts, lastError, nextAttemptAt, deliveredAt, createdAt, updatedAt
+      ) VALUES (?, ?, ?, 'pending', 0, NULL, ?, NULL, ?, ?)
+    `).bind(deliveryId, alert.id, JSON.stringify({ ...payload, deliveryId }), now, now, now),
+    db.prepare(`
+      UPDATE price_alerts SET lastTriggeredAt = ?, active = ?, updatedAt = ? WHERE id = ?
+    `).bind(now, alert.mode === 'once' ? 0 : 1, now, alert.id)
+  ]);
+  return (results[0]?.meta?.changes || 0) > 0;
+}
+
+/**
+ * Get pending deliveries whose next attempt is due (oldest first)
+ * @param {D1Database} db - D1 database instance
+ * @param {number} now - Current timestamp (milliseconds)
+ * @param {number} limit - Maximum deliveries to return
+ * @returns {Promise<Array>} Deliveries with the alert's webhook URL
+ */
+export async function getDueDeliveries(db, now, limit) {
+  const result = await db.prepare(`
+    SELECT d.id, d.alertId, d.payload, d.attempts, a.webhookUrl
+    FROM alert_deliveries d
+    JOIN price_alerts a ON a.id = d.alertId
+    WHERE d.status = 'pending' AND d.nextAttemptAt <= ?
+    ORDER BY d.nextAttemptAt ASC
+    LIMIT ?
+  `).bind(now, limit).all();
+  return result.results || [];
+}
+
+/**
+ * Update a delivery after an attempt
+ * @param {D1Database} db - D1 database instance
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} update - {status, attempts, lastError, nextAttemptAt, deliveredAt}
+ * @returns {Promise<void>}
+ */
+export async function updateDelivery(db, deliveryId, update) {
+  await db.prepare(`
+    UPDATE alert_deliveries
+    SET status = ?, attempts = ?, lastError = ?, nextAttemptAt = ?, deliveredAt = ?, updatedAt = ?
+    WHERE id = ?
+  `).bind(
+    update.status,
+    update.attempts,
+    update.lastError || null,
+    update.nextAttemptAt || null,
+    update.deliveredAt || null,
+    Date.now(),
+    deliveryId
+  ).run();
+}
+
+/**
+ * Delete finished deliveries older than the retention window
+ * Pending deliveries are kept regardless of age.
+ * @param {D1Database} db - D1 database instance
+ * @param {number} olderThan - Cutoff timestamp (milliseconds)
+ * @returns {Promise<number>} Number of deleted deliveries
+ */
+export async function pruneDeliveries(db, olderThan) {
+  const result = await db.prepare(`
+    DELETE FROM alert_deliveries WHERE status != 'pending' AND updatedAt < ?
+  `).bind(olderThan).run();
+  return result.meta?.changes || 0;
+}
@@ -0,0 +1,115 @@
+/**
+ * Tests for Price Alert Utilities
+ * Validates alert registration rules, trigger conditions, delivery dedup keys and backoff
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateAlertRule,
+  isAlertTriggered,
+  getDeliveryId,
+  getRetryDelay,
+  rowToAlert
+} from './price-alerts.js';
+
+const config = { ALERT_DEFAULT_COOLDOWN: 3600, ALERT_MIN_COOLDOWN: 300 };
+const supportedCurrencies = ['usd', 'eur'];
+
+const validInput = {
+  currency: 'USD',
+  condition: 'above',
+  threshold: 70000,
+  webhookUrl: 'https://example.com/hooks/btc'
+};
+
+describe('validateAlertRule', () => {
+  it('should normalize a valid rule and apply defaults', () => {
+    const { alert, error } = validateAlertRule(validInput, supportedCurrencies, config);
+
+    expect(error).toBeNull();
+    expect(alert).toEqual({
+      coin: 'bitcoin',
+      currency: 'usd',
+      condition: 'above',
+      threshold: 70000,
+      webhookUrl: 'https://example.com/hooks/btc',
+      mode: 'once',
+      cooldownSeconds: 3600
+    });
+  });
+
+  it('should reject unsupported currencies, conditions and thresholds', () => {
+    expect(validateAlertRule({ ...validInput, currency: 'xyz' }, supportedCurrencies, config).error).toMatch(/not supported/);
+    expect(validateAlertRule({ ...validInput, condition: 'beyond' }, supportedCurrencies, config).error).toMatch(/condition/);
+    expect(validateAlertRule({ ...validInput, threshold: -5 }, supportedCurrencies, config).error).toMatch(/threshold/);
+    expect(validateAlertRule({ ...validInput, threshold: 'abc' }, supportedCurrencies, config).error).toMatch(/threshold/);
+    expect(validateAlertRule(null, supportedCurrencies, config).error).toMatch(/JSON object/);
+  });
+
+  it('should accept any supported coin', () => {
+    const { alert, error } = validateAlertRule({ ...validInput, coin: 'Ethereum' }, supportedCurrencies, config);
+
+    expect(error).toBeNull();
+    expect(alert.coin).toBe('ethereum');
+    expect(validateAlertRule({ ...validInput, coin: 'notacoin' }, supportedCurrencies, config).error).toMatch(/Coin 'notacoin' is not supported/);
+    expect(validateAlertRule({ ...validInput, coin: 42 }, supportedCurrencies, config).error).toMatch(/not supported/);
+  });
+
+  it('should only allow plain http webhooks on localhost', () => {
+    expect(validateAlertRule({ ...validInput, webhookUrl: 'http://example.com/hook' }, supportedCurrencies, config).error).toMatch(/https/);
+    expect(validateAlertRule({ ...validInput, webhookUrl: 'ftp://example.com/hook' }, supportedCurrencies, config).error).toMatch(/https/);
+    expect(validateAlertRule({ ...validInput, webhookUrl: 'not a url' }, supportedCurrencies, config).error).toMatch(/valid URL/);
+    expect(validateAlertRule({ ...validInput, webhookUrl: 'http://127.0.0.1:9000/hook' }, supportedCurrencies, config).error).toBeNull();
+    expect(validateAlertRule({ ...validInput, webhookUrl: 'http://localhost/hook' }, supportedCurrencies, config).error).toBeNull();
+  });
+
+  it('should enforce the mode and minimum cooldown', () => {
+    expect(validateAlertRule({ ...validInput, mode: 'always' }, supportedCurrencies, config).error).toMatch(/mode/);
+    expect(validateAlertRule({ ...validInput, cooldownSeconds: 60 }, supportedCurrencies, config).error).toMatch(/at least 300/);
+    expect(validateAlertRule({ ...validInput, cooldownSeconds: 300.5 }, supportedCurrencies, config).error).toMatch(/integer/);
+
+    const { alert } = validateAlertRule({ ...validInput, mode: 'repeat', cooldownSeconds: 900 }, supportedCurrencies, config);
+    expect(alert.mode).toBe('repeat');
+    expect(alert.cooldownSeconds).toBe(900);
+  });
+});
+
+describe('isAlertTriggered', () => {
+  it('should include the threshold itself', () => {
+    expect(isAlertTriggered({ condition: 'above', threshold: 100 }, 100)).toBe(true);
+    expect(isAlertTriggered({ condition: 'above', threshold: 100 }, 99.99)).toBe(false);
+    expect(isAlertTriggered({ condition: 'below', threshold: 100 }, 100)).toBe(true);
+    expect(isAlertTriggered({ condition: 'below', threshold: 100 }, 100.01)).toBe(false);
+    expect(isAlertTriggered({ condition: 'unknown', threshold: 100 }, 100)).toBe(false);
+  });
+});
+
+describe('getDeliveryId', () => {
+  it('should be keyed on the previous firing', () => {
+    expect(getDeliveryId({ id: 'abc', lastTriggeredAt: null })).toBe('abc:0');
+    expect(getDeliveryId({ id: 'abc', lastTriggeredAt: 1700000000000 })).toBe('abc:1700000000000');
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('should double the delay per failed attempt', () => {
+    expect(getRetryDelay(1, 60)).toBe(60000);
+    expect(getRetryDelay(2, 60)).toBe(120000);
+    expect(getRetryDelay(4, 60)).toBe(480000);
+  });
+});
+
+describe('rowToAlert', () => {
+  it('should convert D1 flags and nulls', () => {
+    const alert = rowToAlert({
+      id: 'abc', currency: 'usd', condition: 'below', threshold: 50000, webhookUrl: 'https://example.com',
+      mode: 'repeat', cooldownSeconds: 600, active: 0, lastTriggeredAt: null, createdAt: 1, updatedAt: 2
+    });
+
+    expect(alert.active).toBe(false);
+    expect(alert.lastTriggeredAt).toBeNull();
+    // Rows without a coin predate multi-coin alerts
+    expect(alert.coin).toBe('bitcoin');
+    expect(alert).not.toHaveProperty('updatedAt');
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Price Source Interface for Multi-Source Price Aggregation
+ *
+ * Current prices are read from several exchanges and aggregators with a unified interface
+ * and combined into one median price, so one rate-limited or broken source does not take
+ * prices down:
+ * - CoinGecko (aggregator, every CoinGecko vs_currency)
+ * - Coinbase (exchange spot price)
+ * - Kraken (exchange ticker, last trade)
+ * - Bitstamp (exchange ticker, last trade)
+ *
+ * Every source exposes:
+ * - id / name: key used in PRICE_SOURCES and headers, display name
+ * - supports(coinId, currency): whether the source quotes that pair
+ * - fetchPrice(coinId, currency): {price, timestamp} (timestamp in ms)
+ *
+ * Source selection is controlled via the PRICE_SOURCES variable (comma-separated ids, all by default).
+ * PriceSourceHealth tracks each source's successes and failures and skips a source for a
+ * cooldown after repeated failures.
+ */
+
+import { SUPPORTED_COINS } from './constants.js';
+import { fetchCoinPriceSnapshot } from './coingecko.js';
+
+/**
+ * Fetch JSON from a source with a timeout
+ * @param {string} url - Request URL
+ * @param {string} sourceName - Source name for error messages
+ * @param {number} timeout - Milliseconds to wait for a response
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+async function fetchSourceJSON(url, sourceName, timeout) {
+  const response = await fetch(url, {
+    headers: { 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${sourceName} API request failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Parse a price returned as a string or number
+ * @param {*} value - Raw price
+ * @param {string} sourceName - Source name for error messages
+ * @returns {number} Positive price
+ * @throws {Error} If the value is not a positive number
+ */
+function parsePrice(value, sourceName) {
+  const price = Number(value);
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error(`${sourceName} returned an invalid price: ${value}`);
+  }
+  return price;
+}
+
+/**
+ * CoinGecko Source
+ * Reads the shared edge-cached /simple/price snapshot (the same one the price stream and alerts use)
+ */
+class CoinGeckoSource {
+  constructor(env, ctx, config, supportedCurrencies) {
+    this.id = 'coingecko';
+    this.name = 'CoinGecko';
+    this.env = env;
+    this.ctx = ctx;
+    this.cacheTTL = config.PRICE_STREAM_SNAPSHOT_TTL;
+    this.currencies = supportedCurrencies;
+  }
+
+  supports(coinId, currency) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_COINS, coinId) && this.currencies.includes(currency);
+  }
+
+  async fetchPrice(coinId, currency) {
+    return fetchCoinPriceSnapshot(this.env, this.ctx, coinId, currency, this.cacheTTL);
+  }
+}
+
+/**
+ * Coinbase Source
+ * Spot price from the public Coinbase API: GET /v2/prices/{BASE}-{QUOTE}/spot
+ * Response: { data: { amount: "64000.12", base: "BTC", currency: "USD" } }
+ */
+class CoinbaseSource {
+  constructor(config) {
+    this.id = 'coinbase';
+    this.name = 'Coinbase';
+    this.timeout = config.PRICE_SOURCE_TIMEOUT;
+    this.currencies = ['usd', 'eur', 'gbp', 'cad', 'aud', 'chf', 'jpy', 'sgd'];
+  }
+
+  supports(coinId, currency) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_COINS, coinId) && this.currencies.includes(currency);
+  }
+
+  async fetchPrice(coinId, currency) {
+    const pair = `${SUPPORTED_COINS[coinId].symbol}-${currency.toUpperCase()}`;
+    const data = await fetchSourceJSON(`https://api.coinbase.com/v2/prices/${pair}/spot`, this.name, this.timeout);
+    return {
+      price: parsePrice(data.data?.amount, this.name),
+      timestamp: Date.now()
+    };
+  }
+}
+
+/**
+ * Kraken Source
+ * Last trade from the public Kraken ticker: GET /0/public/Ticker?pair={BASE}{QUOTE}
+ * Response: { error: [], result: { XXBTZUSD: { c: ["64000.1", "0.01"], ... } } }
+ * Kraken names Bitcoin XBT and Dogecoin XDG, and answers with its own pair key.
+ */
+class KrakenSource {
+  constructor(config) {
+    this.id = 'kraken';
+    this.name = 'Kraken';
+    this.timeout = config.PRICE_SOURCE_TIMEOUT;
+    this.currencies = ['usd', 'eur', 'gbp', 'cad', 'aud', 'chf', 'jpy'];
+    this.symbols = { BTC: 'XBT', DOGE: 'XDG' };
+  }
+
+  supports(coinId, currency) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_COINS, coinId) && this.currencies.includes(currency);
+  }
+
+  async fetchPrice(coinId, currency) {
+    const symbol = SUPPORTED_COINS[coinId].symbol;
+    const pair = `${this.symbols[symbol] || symbol}${currency.toUpperCase()}`;
+    const data = await fetchSourceJSON(`https://api.kraken.com/0/public/Ticker?pair=${pair}`, this.name, this.timeout);
+
+    if (data.error && data.error.length > 0) {
+      throw new Error(`Kraken API error: ${data.error.join(', ')}`);
+    }
+    const ticker = Object.values(data.result || {})[0];
+    return {
+      price: parsePrice(ticker?.c?.[0], this.name),
+      timestamp: Date.now()
+    };
+  }
+}
+
+/**
+ * Bitstamp Source
+ * Last trade from the public Bitstamp ticker: GET /api/v2/ticker/{base}{quote}/
+ * Response: { last: "64000", timestamp: "1700000000", ... }
+ */
+class BitstampSource {
+  constructor(config) {
+    this.id = 'bitstamp';
+    this.name = 'Bitstamp';
+    this.timeout = config.PRICE_SOURCE_TIMEOUT;
+    this.currencies = ['usd', 'eur', 'gbp'];
+  }
+
+  supports(coinId, currency) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_COINS, coinId) && this.currencies.includes(currency);
+  }
+
+  async fetchPrice(coinId, currency) {
+    const pair = `${SUPPORTED_COINS[coinId].symbol}${currency}`.toLowerCase();
+    const data = await fetchSourceJSON(`https://www.bitstamp.net/api/v2/ticker/${pair}/`, this.name, this.timeout);
+    const timestamp = Number(data.timestamp);
+    return {
+      price: parsePrice(data.last, this.name),
+      timestamp: Number.isFinite(timestamp) && timestamp > 0 ? timestamp * 1000 : Date.now()
+    };
+  }
+}
+
+// Source ids accepted in PRICE_SOURCES, in default order
+const PRICE_SOURCE_IDS = ['coingecko', 'coinbase', 'kraken', 'bitstamp'];
+
+/**
+ * Factory function to create the enabled price sources
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object (PRICE_SOURCES, timeouts)
+ * @param {Array<string>} supportedCurrencies - Currencies supported by CoinGecko
+ * @returns {Array<Object>} Source instances
+ * @throws {Error} If PRICE_SOURCES names an unknown source
+ */
+function createPriceSources(env, ctx, config, supportedCurrencies) {
+  const ids = String(config.PRICE_SOURCES).split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+
+  return ids.map(id => {
+    switch (id) {
+      case 'coingecko':
+        return new CoinGeckoSource(env, ctx, config, supportedCurrencies);
+      case 'coinbase':
+        return new CoinbaseSource(config);
+      case 'kraken':
+        return new KrakenSource(config);
+      case 'bitstamp':
+        return new BitstampSource(config);
+      default:
+        throw new Error(`Unknown price source: ${id}. Valid options: ${PRICE_SOURCE_IDS.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Per-source health tracking
+ * Counts successes and failures and skips a source for a cooldown once it has failed
+ * maxFailures times in a row. State lives in the worker isolate, so each isolate learns on its own.
+ */
+class PriceSourceHealth {
+  constructor() {
+    this.sources = new Map();
+  }
+
+  get(sourceId) {
+    if (!this.sources.has(sourceId)) {
+      this.sources.set(sourceId, {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        lastLatency: null,
+        skipUntil: 0
+      });
+    }
+    return this.sources.get(sourceId);
+  }
+
+  /**
+   * Check whether a source is outside its failure cooldown
+   * @param {string} sourceId - Source id
+   * @param {number} now - Current timestamp (milliseconds)
+   * @returns {boolean} True if the source should be queried
+   */
+  isAvailable(sourceId, now) {
+    return this.get(sourceId).skipUntil <= now;
+  }
+
+  recordSuccess(sourceId, latency, now) {
+    const health = this.get(sourceId);
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.lastSuccessAt = now;
+    health.lastLatency = latency;
+    health.skipUntil = 0;
+  }
+
+  recordFailure(sourceId, error, now, config) {
+    const health = this.get(sourceId);
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastFailureAt = now;
+    health.lastError = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+    if (health.consecutiveFailures >= config.PRICE_SOURCE_MAX_FAILURES) {
+      health.skipUntil = now + config.PRICE_SOURCE_COOLDOWN * 1000;
+    }
+  }
+
+  /**
+   * Health of every tracked source
+   * @param {number} now - Current timestamp (milliseconds)
+   * @returns {Object} Source id -> health stats and status (healthy, degraded or cooling-down)
+   */
+  snapshot(now) {
+    const result = {};
+    for (const [sourceId, health] of this.sources) {
+      const { skipUntil, ...stats } = health;
+      result[sourceId] = {
+        ...stats,
+        status: skipUntil > now ? 'cooling-down' : health.consecutiveFailures > 0 ? 'degraded' : 'healthy',
+        skipUntil: skipUntil > now ? skipUntil : null
+      };
+    }
+    return result;
+  }
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (at least one)
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Fetch a price from every available source that quotes the pair and aggregate the answers
+ * Sources in their failure cooldown are skipped unless no other source quotes the pair.
+ * The divergence is the largest distance of a quote from the median, in percent of the median.
+ * @param {Array<Object>} sources - Sources from createPriceSources
+ * @param {PriceSourceHealth} health - Health tracker
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
+ * @param {string} currency - Lowercase currency code
+ * @param {Object} config - Configuration object (PRICE_DIVERGENCE_THRESHOLD, health limits)
+ * @returns {Promise<Object>} {price, timestamp, quotes, failures, divergence, diverged}
+ * @throws {Error} If no source quotes the pair or none answered
+ */
+async function fetchAggregatedPrice(sources, health, coinId, currency, config) {
+  const now = Date.now();
+  const quoting = sources.filter(source => source.supports(coinId, currency));
+  if (quoting.length === 0) {
+    throw new Error(`No price source quotes ${coinId} in ${currency}`);
+  }
+  const available = quoting.filter(source => health.isAvailable(source.id, now));
+  const queried = available.length > 0 ? available : quoting;
+
+  const results = await Promise.allSettled(queried.map(async source => {
+    const started = Date.now();
+    try {
+      const quote = await source.fetchPrice(coinId, currency);
+      health.recordSuccess(source.id, Date.now() - started, Date.now());
+      return quote;
+    } catch (error) {
+      health.recordFailure(source.id, error, Date.now(), config);
+      throw error;
+    }
+  }));
+
+  const quotes = [];
+  const failures = [];
+  results.forEach((result, index) => {
+    const source = queried[index];
+    if (result.status === 'fulfilled') {
+      quotes.push({ source: source.id, name: source.name, price: result.value.price, timestamp: result.value.timestamp });
+    } else {
+      failures.push({ source: source.id, name: source.name, error: result.reason.message });
+    }
+  });
+
+  if (quotes.length === 0) {
+    throw new Error(`No price source answered (${failures.map(failure => `${failure.name}: ${failure.error}`).join('; ')})`);
+  }
+
+  const price = median(quotes.map(quote => quote.price));
+  const divergence = Math.max(...quotes.map(quote => Math.abs(quote.price - price))) / price * 100;
+
+  return {
+    price,
+    timestamp: Math.max(...quotes.map(quote => quote.timestamp)),
+    quotes,
+    failures,
+    divergence,
+    diverged: divergence > config.PRICE_DIVERGENCE_THRESHOLD
+  };
+}
+
+// Export for use in other modules
+export {
+  CoinGeckoSource,
+  CoinbaseSource,
+  KrakenSource,
+  BitstampSource,
+  PRICE_SOURCE_IDS,
+  createPriceSources,
+  PriceSourceHealth,
+  median,
+  fetchAggregatedPrice
+};
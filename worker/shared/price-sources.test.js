@@ -0,0 +1,274 @@
+/**
+ * Tests for Price Source Interface
+ *
+ * Tests the source adapters against mocked exchange responses, the source factory, health
+ * tracking and median aggregation with divergence detection
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  CoinGeckoSource,
+  CoinbaseSource,
+  KrakenSource,
+  BitstampSource,
+  createPriceSources,
+  PriceSourceHealth,
+  median,
+  fetchAggregatedPrice
+} from './price-sources.js';
+
+const config = {
+  PRICE_SOURCES: 'coingecko,coinbase,kraken,bitstamp',
+  PRICE_STREAM_SNAPSHOT_TTL: 10,
+  PRICE_SOURCE_TIMEOUT: 1000,
+  PRICE_DIVERGENCE_THRESHOLD: 1,
+  PRICE_SOURCE_MAX_FAILURES: 3,
+  PRICE_SOURCE_COOLDOWN: 60
+};
+const ctx = { waitUntil: () => {} };
+
+/**
+ * Stub fetch with one handler per source host
+ * A handler returns a JSON body, a Response, or throws
+ */
+function stubSources(handlers) {
+  const requested = [];
+  vi.stubGlobal('fetch', async (url) => {
+    requested.push(String(url));
+    const host = new URL(String(url)).hostname;
+    const handler = Object.entries(handlers).find(([key]) => host.includes(key));
+    if (!handler) {
+      throw new Error(`Unexpected request: ${url}`);
+    }
+    const body = await handler[1](String(url));
+    return body instanceof Response ? body : Response.json(body);
+  });
+  return requested;
+}
+
+const coingecko = (price) => () => ({ bitcoin: { usd: price, eur: price * 0.9, last_updated_at: 1700000000 } });
+const coinbase = (price) => () => ({ data: { amount: String(price), base: 'BTC', currency: 'USD' } });
+const kraken = (price) => () => ({ error: [], result: { XXBTZUSD: { c: [String(price), '0.1'] } } });
+const bitstamp = (price) => () => ({ last: String(price), timestamp: '1700000100' });
+
+beforeEach(() => {
+  vi.stubGlobal('caches', {
+    default: {
+      match: async () => undefined,
+      put: async () => {}
+    }
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Price source adapters', () => {
+  it('should read the CoinGecko snapshot', async () => {
+    stubSources({ coingecko: coingecko(64000) });
+    const source = new CoinGeckoSource({}, ctx, config, ['usd', 'eur']);
+
+    expect(source.supports('bitcoin', 'eur')).toBe(true);
+    expect(source.supports('bitcoin', 'ron')).toBe(false);
+    expect(source.supports('notacoin', 'usd')).toBe(false);
+    expect(await source.fetchPrice('bitcoin', 'usd')).toEqual({ price: 64000, timestamp: 1700000000000 });
+  });
+
+  it('should read the Coinbase spot price', async () => {
+    const requested = stubSources({ coinbase: coinbase(64010.5) });
+    const source = new CoinbaseSource(config);
+
+    const quote = await source.fetchPrice('ethereum', 'eur');
+
+    expect(quote.price).toBe(64010.5);
+    expect(requested).toEqual(['https://api.coinbase.com/v2/prices/ETH-EUR/spot']);
+    expect(source.supports('bitcoin', 'ron')).toBe(false);
+  });
+
+  it('should map Kraken asset names and read the last trade', async () => {
+    const requested = stubSources({ kraken: kraken(63990) });
+    const source = new KrakenSource(config);
+
+    expect((await source.fetchPrice('bitcoin', 'usd')).price).toBe(63990);
+    await source.fetchPrice('dogecoin', 'eur');
+    await source.fetchPrice('solana', 'usd');
+
+    expect(requested).toEqual([
+      'https://api.kraken.com/0/public/Ticker?pair=XBTUSD',
+      'https://api.kraken.com/0/public/Ticker?pair=XDGEUR',
+      'https://api.kraken.com/0/public/Ticker?pair=SOLUSD'
+    ]);
+  });
+
+  it('should report Kraken API errors', async () => {
+    stubSources({ kraken: () => ({ error: ['EQuery:Unknown asset pair'], result: {} }) });
+
+    await expect(new KrakenSource(config).fetchPrice('bitcoin', 'usd')).rejects.toThrow('EQuery:Unknown asset pair');
+  });
+
+  it('should read the Bitstamp ticker with its trade time', async () => {
+    const requested = stubSources({ bitstamp: bitstamp(64005) });
+    const source = new BitstampSource(config);
+
+    expect(await source.fetchPrice('bitcoin', 'gbp')).toEqual({ price: 64005, timestamp: 1700000100000 });
+    expect(requested).toEqual(['https://www.bitstamp.net/api/v2/ticker/btcgbp/']);
+    expect(source.supports('bitcoin', 'jpy')).toBe(false);
+  });
+
+  it('should reject error responses and invalid prices', async () => {
+    stubSources({
+      coinbase: () => new Response('Too Many Requests', { status: 429 }),
+      bitstamp: () => ({ last: 'n/a' })
+    });
+
+    await expect(new CoinbaseSource(config).fetchPrice('bitcoin', 'usd')).rejects.toThrow('Coinbase API request failed: 429');
+    await expect(new BitstampSource(config).fetchPrice('bitcoin', 'usd')).rejects.toThrow('invalid price');
+  });
+});
+
+describe('createPriceSources', () => {
+  it('should create the enabled sources in order', () => {
+    expect(createPriceSources({}, ctx, config, ['usd']).map(source => source.id))
+      .toEqual(['coingecko', 'coinbase', 'kraken', 'bitstamp']);
+    expect(createPriceSources({}, ctx, { ...config, PRICE_SOURCES: ' Kraken, coinbase ' }, ['usd']).map(source => source.id))
+      .toEqual(['kraken', 'coinbase']);
+  });
+
+  it('should throw for unknown sources', () => {
+    expect(() => createPriceSources({}, ctx, { ...config, PRICE_SOURCES: 'coingecko,binance' }, ['usd']))
+      .toThrow('Unknown price source: binance');
+  });
+});
+
+describe('median', () => {
+  it('should take the middle value or the mean of the two middle values', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([7])).toBe(7);
+  });
+});
+
+describe('PriceSourceHealth', () => {
+  it('should skip a source for the cooldown after repeated failures', () => {
+    const health = new PriceSourceHealth();
+    const error = new Error('Kraken API request failed: 503');
+
+    health.recordFailure('kraken', error, 1000, config);
+    health.recordFailure('kraken', error, 2000, config);
+    expect(health.isAvailable('kraken', 2000)).toBe(true);
+    expect(health.snapshot(2000).kraken.status).toBe('degraded');
+
+    health.recordFailure('kraken', error, 3000, config);
+    expect(health.isAvailable('kraken', 3000)).toBe(false);
+    expect(health.snapshot(3000).kraken).toMatchObject({
+      status: 'cooling-down',
+      failures: 3,
+      consecutiveFailures: 3,
+      lastError: 'Kraken API request failed: 503',
+      skipUntil: 63000
+    });
+    expect(health.isAvailable('kraken', 63000)).toBe(true);
+
+    health.recordSuccess('kraken', 120, 64000);
+    expect(health.snapshot(64000).kraken).toMatchObject({ status: 'healthy', successes: 1, consecutiveFailures: 0, lastLatency: 120 });
+  });
+
+  it('should record timeouts by name', () => {
+    const health = new PriceSourceHealth();
+    const timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+
+    health.recordFailure('coinbase', timeout, 1000, config);
+    expect(health.snapshot(1000).coinbase.lastError).toBe('Timed out');
+  });
+});
+
+describe('fetchAggregatedPrice', () => {
+  const sources = () => createPriceSources({}, ctx, config, ['usd', 'eur']);
+
+  it('should return the median of the sources that answered', async () => {
+    stubSources({
+      coingecko: coingecko(64000),
+      coinbase: coinbase(64100),
+      kraken: kraken(63950),
+      bitstamp: () => new Response('Server Error', { status: 500 })
+    });
+    const health = new PriceSourceHealth();
+
+    const result = await fetchAggregatedPrice(sources(), health, 'bitcoin', 'usd', config);
+
+    expect(result.price).toBe(64000);
+    expect(result.quotes.map(quote => quote.source)).toEqual(['coingecko', 'coinbase', 'kraken']);
+    expect(result.failures).toEqual([{ source: 'bitstamp', name: 'Bitstamp', error: 'Bitstamp API request failed: 500' }]);
+    expect(result.divergence).toBeCloseTo(100 / 64000 * 100, 6);
+    expect(result.diverged).toBe(false);
+    expect(result.timestamp).toBeGreaterThan(1700000000000);
+
+    const snapshot = health.snapshot(Date.now());
+    expect(snapshot.coinbase.successes).toBe(1);
+    expect(snapshot.bitstamp.failures).toBe(1);
+  });
+
+  it('should flag sources that disagree beyond the threshold', async () => {
+    stubSources({
+      coingecko: coingecko(64000),
+      coinbase: coinbase(64050),
+      kraken: kraken(66000),
+      bitstamp: bitstamp(64020)
+    });
+
+    const result = await fetchAggregatedPrice(sources(), new PriceSourceHealth(), 'bitcoin', 'usd', config);
+
+    expect(result.price).toBe(64035);
+    expect(result.divergence).toBeCloseTo((66000 - 64035) / 64035 * 100, 6);
+    expect(result.diverged).toBe(true);
+  });
+
+  it('should only ask the sources that quote the currency', async () => {
+    // CoinGecko is set up for usd/eur only here and Bitstamp has no JPY books
+    const requested = stubSources({ coinbase: coinbase(9600000), kraken: kraken(9610000) });
+
+    const result = await fetchAggregatedPrice(sources(), new PriceSourceHealth(), 'bitcoin', 'jpy', config);
+
+    expect(result.price).toBe(9605000);
+    expect(result.quotes.map(quote => quote.source)).toEqual(['coinbase', 'kraken']);
+    expect(requested).toHaveLength(2);
+    await expect(fetchAggregatedPrice(sources(), new PriceSourceHealth(), 'bitcoin', 'ron', config))
+      .rejects.toThrow('No price source quotes bitcoin in ron');
+  });
+
+  it('should skip sources in their cooldown unless none is left', async () => {
+    const requested = stubSources({
+      coingecko: coingecko(64000),
+      coinbase: coinbase(64100),
+      kraken: kraken(63950),
+      bitstamp: bitstamp(64020)
+    });
+    const health = new PriceSourceHealth();
+    for (let i = 0; i < config.PRICE_SOURCE_MAX_FAILURES; i++) {
+      health.recordFailure('kraken', new Error('down'), Date.now(), config);
+    }
+
+    await fetchAggregatedPrice(sources(), health, 'bitcoin', 'usd', config);
+    expect(requested.some(url => url.includes('kraken'))).toBe(false);
+
+    // Kraken alone: queried despite the cooldown
+    const krakenOnly = createPriceSources({}, ctx, { ...config, PRICE_SOURCES: 'kraken' }, ['usd']);
+    const result = await fetchAggregatedPrice(krakenOnly, health, 'bitcoin', 'usd', config);
+    expect(result.price).toBe(63950);
+    expect(health.isAvailable('kraken', Date.now())).toBe(true);
+  });
+
+  it('should throw when no source answers', async () => {
+    stubSources({
+      coingecko: () => new Response('Too Many Requests', { status: 429 }),
+      coinbase: () => { throw new Error('network down'); },
+      kraken: () => ({ error: ['EService:Unavailable'] }),
+      bitstamp: () => new Response('Server Error', { status: 500 })
+    });
+
+    await expect(fetchAggregatedPrice(sources(), new PriceSourceHealth(), 'bitcoin', 'usd', config))
+      .rejects.toThrow(/No price source answered \(CoinGecko: CoinGecko API request failed: 429; Coinbase: network down/);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Per-Client Rate Limiting for the API Worker
+ *
+ * Every client IP gets one token bucket per route group, held in a RateLimiter Durable Object
+ * (one object per IP and group, so buckets never contend with each other):
+ * - ai-summary: /ai/summary (Workers AI budget)
+ * - coingecko: CoinGecko proxy routes and /api/historical-price (CoinGecko quota)
+ * - price-stream: new /api/price-stream connections
+ * - admin: /api/alerts and /api/price-sources (credential checks, so credentials cannot be guessed at full speed)
+ * - default: every other route
+ *
+ * A bucket holds up to `limit` tokens and refills at `limit` per RATE_LIMIT_WINDOW seconds, so
+ * clients can burst up to the limit and then sustain the average rate. A limit of 0 disables
+ * limiting for that group.
+ */
+
+/**
+ * Take one token from a bucket
+ * @param {{tokens: number, updatedAt: number}|null} bucket - Stored bucket (null for a new client)
+ * @param {number} limit - Bucket size (requests per window)
+ * @param {number} windowSeconds - Seconds to refill an empty bucket
+ * @param {number} now - Current timestamp (milliseconds)
+ * @returns {Object} {bucket, allowed, limit, remaining, retryAfter, reset} - retryAfter and reset in seconds
+ */
+export function consumeToken(bucket, limit, windowSeconds, now) {
+  const refillPerSecond = limit / windowSeconds;
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+  const available = bucket ? Math.min(limit, bucket.tokens + elapsed * refillPerSecond) : limit;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    limit,
+    remaining: Math.floor(tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond),
+    reset: Math.ceil((limit - tokens) / refillPerSecond)
+  };
+}
+
+/**
+ * Get the rate limit group and limit of a request path
+ * @param {string} pathname - Request path
+ * @param {Object} config - Configuration object (RATE_LIMIT_* values)
+ * @returns {{route: string, limit: number}} Route group and requests per window
+ */
+export function getRateLimitRule(pathname, config) {
+  if (pathname === '/api/alerts' || pathname.startsWith('/api/alerts/') || pathname === '/api/price-sources') {
+    return { route: 'admin', limit: config.RATE_LIMIT_ADMIN };
+  }
+  if (pathname === '/ai/summary') {
+    return { route: 'ai-summary', limit: config.RATE_LIMIT_AI_SUMMARY };
+  }
+  if (pathname === '/api/price-stream') {
+    return { route: 'price-stream', limit: config.RATE_LIMIT_PRICE_STREAM };
+  }
+  if (pathname.startsWith('/api/v3/') || pathname === '/api/historical-price') {
+    return { route: 'coingecko', limit: config.RATE_LIMIT_COINGECKO };
+  }
+  return { route: 'default', limit: config.RATE_LIMIT_DEFAULT };
+}
+
+/**
+ * Take a token for a client from its RateLimiter Durable Object
+ * @param {DurableObjectNamespace} namespace - RATE_LIMITER binding
+ * @param {string} clientIp - Client IP (CF-Connecting-IP)
+ * @param {{route: string, limit: number}} rule - Rule from getRateLimitRule
+ * @param {number} windowSeconds - RATE_LIMIT_WINDOW
+ * @returns {Promise<Object>} {allowed, limit, remaining, retryAfter, reset}
+ */
+export async function checkRateLimit(namespace, clientIp, rule, windowSeconds) {
+  const stub = namespace.get(namespace.idFromName(`${clientIp}:${rule.route}`));
+  const response = await stub.fetch('https://rate-limiter/consume', {
+    method: 'POST',
+    body: JSON.stringify({ limit: rule.limit, window: windowSeconds })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Rate limiter responded with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Per-client response headers (not to be stored in shared caches)
+export const RATE_LIMIT_HEADERS = ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'];
+
+/**
+ * Build the X-RateLimit-* response headers
+ * X-RateLimit-Reset is the number of seconds until the bucket is full again.
+ * @param {Object} result - Result of checkRateLimit
+ * @returns {Object} Headers
+ */
+export function getRateLimitHeaders(result) {
+  return {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.reset)
+  };
+}
+
+/**
+ * Durable Object holding the token bucket of one client IP and route group
+ * The bucket is persisted, so it survives the object being evicted between requests, and is
+ * deleted by an alarm once the client has been idle long enough for it to be full again.
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.bucket = null;
+  }
+
+  async fetch(request) {
+    const { limit, window } = await request.json();
+    const now = Date.now();
+
+    if (!this.bucket) {
+      this.bucket = (await this.state.storage.get('bucket')) || null;
+    }
+
+    const { bucket, ...result } = consumeToken(this.bucket, limit, window, now);
+    this.bucket = bucket;
+    await this.state.storage.put('bucket', bucket);
+    await this.state.storage.setAlarm(now + window * 1000);
+
+    return Response.json(result);
+  }
+
+  async alarm() {
+    this.bucket = null;
+    await this.state.storage.deleteAll();
+  }
+}
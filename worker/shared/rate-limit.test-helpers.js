@@ -0,0 +1,48 @@
+/**
+ * Test Helpers for Per-Client Rate Limiting
+ * In-memory Durable Object storage and namespace running real RateLimiter objects, shared by
+ * the rate limiter tests and the API worker tests
+ */
+
+import { RateLimiter } from './rate-limit.js';
+
+/**
+ * In-memory Durable Object storage
+ * @returns {Object} Storage with the stored values in `_data` and the last alarm time in `alarm`
+ */
+export function createMockStorage() {
+  const data = new Map();
+  return {
+    _data: data,
+    alarm: null,
+    get: async (key) => data.get(key),
+    put: async (key, value) => {
+      data.set(key, structuredClone(value));
+    },
+    setAlarm: async function (time) {
+      this.alarm = time;
+    },
+    deleteAll: async () => {
+      data.clear();
+    }
+  };
+}
+
+/**
+ * Durable Object namespace creating one RateLimiter per name
+ * @returns {Object} RATE_LIMITER binding with the created objects in `_objects`
+ */
+export function createMockNamespace() {
+  const objects = new Map();
+  return {
+    _objects: objects,
+    idFromName: (name) => name,
+    get: (id) => {
+      if (!objects.has(id)) {
+        objects.set(id, new RateLimiter({ storage: createMockStorage() }));
+      }
+      const object = objects.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    }
+  };
+}
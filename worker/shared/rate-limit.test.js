@@ -0,0 +1,127 @@
+/**
+ * Tests for Per-Client Rate Limiting
+ * Validates the token bucket arithmetic, route groups and the RateLimiter Durable Object
+ * against in-memory storage and namespace mocks
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  consumeToken,
+  getRateLimitRule,
+  checkRateLimit,
+  getRateLimitHeaders,
+  RateLimiter
+} from './rate-limit.js';
+import { createMockStorage, createMockNamespace } from './rate-limit.test-helpers.js';
+
+const config = {
+  RATE_LIMIT_DEFAULT: 120,
+  RATE_LIMIT_AI_SUMMARY: 10,
+  RATE_LIMIT_COINGECKO: 60,
+  RATE_LIMIT_PRICE_STREAM: 5,
+  RATE_LIMIT_ADMIN: 20
+};
+
+describe('consumeToken', () => {
+  const now = 1700000000000;
+
+  it('should let a new client burst up to the limit', () => {
+    let bucket = null;
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      const result = consumeToken(bucket, 3, 60, now);
+      bucket = result.bucket;
+      results.push(result);
+    }
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(results.map(result => result.remaining)).toEqual([2, 1, 0, 0]);
+    // 3 tokens per 60 seconds: one token every 20 seconds
+    expect(results[3].retryAfter).toBe(20);
+    expect(results[3].reset).toBe(60);
+  });
+
+  it('should refill over time up to the limit', () => {
+    const empty = { tokens: 0, updatedAt: now };
+
+    expect(consumeToken(empty, 3, 60, now + 10000)).toMatchObject({ allowed: false, retryAfter: 10 });
+    expect(consumeToken(empty, 3, 60, now + 20000)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(consumeToken(empty, 3, 60, now + 600000)).toMatchObject({ allowed: true, remaining: 2, reset: 20 });
+  });
+
+  it('should clamp buckets saved under a higher limit', () => {
+    expect(consumeToken({ tokens: 100, updatedAt: now }, 3, 60, now).remaining).toBe(2);
+  });
+});
+
+describe('getRateLimitRule', () => {
+  it('should group routes by the budget they spend', () => {
+    expect(getRateLimitRule('/ai/summary', config)).toEqual({ route: 'ai-summary', limit: 10 });
+    expect(getRateLimitRule('/api/price-stream', config)).toEqual({ route: 'price-stream', limit: 5 });
+    expect(getRateLimitRule('/api/v3/coins/bitcoin/market_chart', config)).toEqual({ route: 'coingecko', limit: 60 });
+    expect(getRateLimitRule('/api/historical-price', config)).toEqual({ route: 'coingecko', limit: 60 });
+    expect(getRateLimitRule('/api/alerts', config)).toEqual({ route: 'admin', limit: 20 });
+    expect(getRateLimitRule('/api/alerts/alert-1', config)).toEqual({ route: 'admin', limit: 20 });
+    expect(getRateLimitRule('/api/price-sources', config)).toEqual({ route: 'admin', limit: 20 });
+    expect(getRateLimitRule('/api/bitcoin-news', config)).toEqual({ route: 'default', limit: 120 });
+  });
+});
+
+describe('getRateLimitHeaders', () => {
+  it('should format the result as headers', () => {
+    expect(getRateLimitHeaders({ limit: 10, remaining: 4, reset: 36 })).toEqual({
+      'X-RateLimit-Limit': '10',
+      'X-RateLimit-Remaining': '4',
+      'X-RateLimit-Reset': '36'
+    });
+  });
+});
+
+describe('RateLimiter Durable Object', () => {
+  it('should keep one bucket per client and route group', async () => {
+    const namespace = createMockNamespace();
+    const rule = { route: 'ai-summary', limit: 2 };
+
+    const first = await checkRateLimit(namespace, '203.0.113.7', rule, 60);
+    const second = await checkRateLimit(namespace, '203.0.113.7', rule, 60);
+    const third = await checkRateLimit(namespace, '203.0.113.7', rule, 60);
+    const otherClient = await checkRateLimit(namespace, '198.51.100.2', rule, 60);
+    const otherRoute = await checkRateLimit(namespace, '203.0.113.7', { route: 'default', limit: 2 }, 60);
+
+    expect([first.allowed, second.allowed, third.allowed]).toEqual([true, true, false]);
+    expect(third.retryAfter).toBe(30);
+    expect(third).not.toHaveProperty('bucket');
+    expect(otherClient.allowed).toBe(true);
+    expect(otherRoute.allowed).toBe(true);
+    expect([...namespace._objects.keys()]).toEqual(['203.0.113.7:ai-summary', '198.51.100.2:ai-summary', '203.0.113.7:default']);
+  });
+
+  it('should restore the bucket from storage and clear it when idle', async () => {
+    const storage = createMockStorage();
+    const consume = (limiter) => limiter.fetch(new Request('https://rate-limiter/consume', {
+      method: 'POST',
+      body: JSON.stringify({ limit: 1, window: 60 })
+    })).then(response => response.json());
+
+    expect((await consume(new RateLimiter({ storage }))).allowed).toBe(true);
+    expect(storage.alarm).toBeGreaterThan(Date.now());
+
+    // A new instance (after eviction) still sees the empty bucket
+    const restored = new RateLimiter({ storage });
+    expect((await consume(restored)).allowed).toBe(false);
+
+    await restored.alarm();
+    expect(storage._data.size).toBe(0);
+    expect((await consume(restored)).allowed).toBe(true);
+  });
+
+  it('should throw when the limiter fails', async () => {
+    const namespace = {
+      idFromName: (name) => name,
+      get: () => ({ fetch: async () => new Response('Internal Error', { status: 500 }) })
+    };
+
+    await expect(checkRateLimit(namespace, '203.0.113.7', { route: 'default', limit: 1 }, 60))
+      .rejects.toThrow('Rate limiter responded with status 500');
+  });
+});
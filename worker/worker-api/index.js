@@ -6,10 +6,32 @@
  * - Edge caching (1 hour TTL)
  * - CORS support for GitHub Pages
  * - Strict origin validation to prevent unauthorized API key usage
- * - Currency conversion layer for unsupported currencies
+ * - Currency conversion layer for unsupported currencies (historical series use daily rates kept in D1,
+ *   recorded by a cron trigger)
+ * - Server-Sent Events price stream fed from a shared cached snapshot
+ * - Historical price lookup for back-dated transactions (past days cached long-term)
+ * - Current prices aggregated from several sources (median, divergence warning, source health)
+ * - Authenticated registration of server-side price alerts (evaluated by the price alerts worker)
+ * - Per-client token bucket rate limiting by IP and route group (RateLimiter Durable Object)
  */
 
-import { getAPIWorkerConfig } from '../shared/constants.js';
+import { getAPIWorkerConfig, SUPPORTED_COINS } from '../shared/constants.js';
+import { fetchFromCoinGecko, fetchCoinPriceSnapshot } from '../shared/coingecko.js';
+import { validateAlertRule, insertAlert, countAlerts, listAlerts, deleteAlert } from '../shared/price-alerts.js';
+import {
+  CONVERSION_MODES,
+  getRateDate,
+  recordExchangeRates,
+  getExchangeRateHistory,
+  createRateLookup,
+  getConversionMode
+} from '../shared/exchange-rates.js';
+import { createPriceSources, PriceSourceHealth, fetchAggregatedPrice } from '../shared/price-sources.js';
+import { ADMIN_SCOPES, getAdminCredentials, handleAdminRequest } from '../shared/admin-auth.js';
+import { RATE_LIMIT_HEADERS, getRateLimitRule, checkRateLimit, getRateLimitHeaders } from '../shared/rate-limit.js';
+
+// Durable Object class behind the RATE_LIMITER binding
+export { RateLimiter } from '../shared/rate-limit.js';
 
 // Allowed origins for accessing this worker
 // For localhost/127.0.0.1: protocol and hostname must match (any port allowed)
@@ -24,6 +46,9 @@ const ALLOWED_ORIGINS = [
   'http://127.0.0.1:5500'
 ];
 
+// Health of the price sources behind /api/price (kept for the lifetime of the isolate)
+const priceSourceHealth = new PriceSourceHealth();
+
 /**
  * Fetch Bitcoin news from KV cache
  * 
@@ -97,58 +122,6 @@ async function fetchBitcoinNews(env, config) {
   }
 }
 
-/**
- * Generic function to fetch data from CoinGecko API with caching
- * @param {string} endpoint - CoinGecko API endpoint (e.g., '/api/v3/simple/supported_vs_currencies')
- * @param {string} cacheKey - Cache key for storing the response
- * @param {number} cacheTTL - Cache time-to-live in seconds
- * @param {Object} env - Environment variables
- * @param {Object} ctx - Execution context
- * @returns {Promise<{data: Object, cacheStatus: string}>} API response data with cache status
- */
-async function fetchFromCoinGecko(endpoint, cacheKey, cacheTTL, env, ctx) {
-  const cache = caches.default;
-  
-  // Try to get from cache first
-  const cacheUrl = new URL(`https://cache-internal/${cacheKey}`);
-  const cachedResponse = await cache.match(cacheUrl);
-  
-  if (cachedResponse) {
-    const data = await cachedResponse.json();
-    return { data, cacheStatus: 'HIT' };
-  }
-  
-  // Fetch from CoinGecko API
-  const apiKey = env.COINGECKO_KEY;
-  const headers = new Headers();
-  if (apiKey) {
-    headers.set('x-cg-demo-api-key', apiKey);
-  }
-  
-  const url = `https://api.coingecko.com${endpoint}`;
-  const response = await fetch(url, { headers });
-  
-  if (!response.ok) {
-    throw new Error(`CoinGecko API request failed: ${response.status}`);
-  }
-  
-  const data = await response.json();
-  
-  // Cache the result
-  const cacheResponse = new Response(JSON.stringify(data), {
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': `public, max-age=${cacheTTL}`
-    }
-  });
-  
-  // Cache asynchronously using waitUntil - allows response to be sent while cache operation completes
-  // This is the recommended pattern for Cloudflare Workers to avoid blocking the response
-  ctx.waitUntil(cache.put(cacheUrl, cacheResponse));
-  
-  return { data, cacheStatus: 'MISS' };
-}
-
 /**
  * Fetch supported vs_currencies from CoinGecko API
  * @param {Object} env - Environment variables
@@ -172,13 +145,29 @@ async function fetchSupportedCurrencies(env, ctx, config) {
   }
 }
 
+/**
+ * Fetch the latest USD rates from ExchangeRate-API (uncached)
+ * Free tier API - no API key required for basic usage
+ * @returns {Promise<Object>} ExchangeRate-API /latest/USD response
+ */
+async function fetchLatestExchangeRates() {
+  const response = await fetch('https://open.er-api.com/v6/latest/USD');
+  if (!response.ok) {
+    throw new Error(`Exchange rate API responded with status ${response.status}`);
+  }
+  return response.json();
+}
+
 /**
  * Fetch all supported currencies from ExchangeRate-API
+ * Fresh responses are also recorded in the daily rate history (D1) used for historical conversions,
+ * backfilling the day if the scheduled recording (handleScheduled) has not stored it yet.
+ * @param {Object} env - Environment variables
  * @param {Object} ctx - Execution context
  * @param {Object} config - Configuration object
  * @returns {Promise<Object>} Object with currency codes and their exchange rates
  */
-async function fetchAllExchangeRates(ctx, config) {
+async function fetchAllExchangeRates(env, ctx, config) {
   const cacheKey = 'exchange-rate-all-usd';
   const cache = caches.default;
   
@@ -191,16 +180,8 @@ async function fetchAllExchangeRates(ctx, config) {
     return data;
   }
   
-  // Free tier API - no API key required for basic usage
-  const exchangeUrl = `https://open.er-api.com/v6/latest/USD`;
-  
   try {
-    const response = await fetch(exchangeUrl);
-    if (!response.ok) {
-      throw new Error(`Exchange rate API responded with status ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await fetchLatestExchangeRates();
     
     // Cache the result for 1 hour
     const cacheResponse = new Response(JSON.stringify(data), {
@@ -213,6 +194,13 @@ async function fetchAllExchangeRates(ctx, config) {
     // Cache asynchronously using waitUntil
     ctx.waitUntil(cache.put(cacheUrl, cacheResponse));
     
+    // Backfill today's rates for converting historical series (normally recorded by the cron trigger)
+    if (env.DB) {
+      ctx.waitUntil(recordExchangeRates(env.DB, data).catch(error => {
+        console.error('Failed to record exchange rate history:', error);
+      }));
+    }
+    
     return data;
   } catch (error) {
     console.error('Failed to fetch exchange rates:', error);
@@ -224,16 +212,17 @@ async function fetchAllExchangeRates(ctx, config) {
  * Fetch exchange rate from USD to target currency using ExchangeRate-API
  * Uses the consolidated fetchAllExchangeRates to avoid duplicate API calls
  * @param {string} targetCurrency - Target currency code (e.g., 'ron')
+ * @param {Object} env - Environment variables
  * @param {Object} ctx - Execution context
  * @param {Object} config - Configuration object
  * @returns {Promise<number>} Exchange rate from USD to target currency
  */
-async function fetchExchangeRate(targetCurrency, ctx, config) {
+async function fetchExchangeRate(targetCurrency, env, ctx, config) {
   const upperCurrency = targetCurrency.toUpperCase();
   
   try {
     // Fetch all rates (will use cache if available)
-    const data = await fetchAllExchangeRates(ctx, config);
+    const data = await fetchAllExchangeRates(env, ctx, config);
     const rate = data.rates[upperCurrency];
     
     if (!rate) {
@@ -247,20 +236,64 @@ async function fetchExchangeRate(targetCurrency, ctx, config) {
   }
 }
 
+/**
+ * Get the exchange rates for converting a USD series covering a time span
+ * Points use the daily rate history in D1 (see shared/exchange-rates.js); without a DB binding,
+ * or when the history cannot be read, every point uses the current rate.
+ * @param {Object} env - Environment variables
+ * @param {string} targetCurrency - Target currency code
+ * @param {number} currentRate - Current exchange rate from USD to target currency
+ * @param {number} firstTimestamp - Oldest point of the series (milliseconds)
+ * @param {number} lastTimestamp - Newest point of the series (milliseconds)
+ * @returns {Promise<{rateAt: function(number): number, mode: string, historyStart: string|null}>} Rate lookup, conversion mode and first stored date
+ */
+async function getSeriesExchangeRates(env, targetCurrency, currentRate, firstTimestamp, lastTimestamp) {
+  let history = [];
+  if (env.DB) {
+    try {
+      history = await getExchangeRateHistory(env.DB, targetCurrency, getRateDate(firstTimestamp), getRateDate(lastTimestamp));
+    } catch (error) {
+      console.error('Failed to read exchange rate history, converting at the current rate:', error);
+    }
+  }
+
+  return {
+    rateAt: createRateLookup(history, currentRate),
+    mode: getConversionMode(history, firstTimestamp),
+    historyStart: history.length > 0 ? history[0].date : null
+  };
+}
+
+/**
+ * Describe a conversion mode for the X-Conversion-Warning header
+ * @param {string} mode - One of CONVERSION_MODES
+ * @param {string|null} historyStart - First date of the stored rate history
+ * @returns {string} Warning text
+ */
+function getConversionWarning(mode, historyStart) {
+  if (mode === CONVERSION_MODES.HISTORICAL) {
+    return 'Each price is converted at the exchange rate of its day; daily rates are approximate';
+  }
+  if (mode === CONVERSION_MODES.PARTIAL) {
+    return `Prices before ${historyStart} are converted at the current exchange rate, later prices at the rate of their day`;
+  }
+  return 'Exchange rates are approximate and may vary from actual values';
+}
+
 /**
  * Convert market_chart data from USD to target currency
  * @param {Object} data - CoinGecko market_chart response data
- * @param {number} exchangeRate - Exchange rate from USD to target currency
+ * @param {function(number): number} rateAt - Exchange rate from USD to target currency at a timestamp
  * @returns {Object} Converted data
  */
-function convertMarketChartData(data, exchangeRate) {
+function convertMarketChartData(data, rateAt) {
   const converted = {};
   
   // Convert prices array [[timestamp, price], ...]
   if (data.prices) {
     converted.prices = data.prices.map(([timestamp, price]) => [
       timestamp,
-      price * exchangeRate
+      price * rateAt(timestamp)
     ]);
   }
   
@@ -268,7 +301,7 @@ function convertMarketChartData(data, exchangeRate) {
   if (data.market_caps) {
     converted.market_caps = data.market_caps.map(([timestamp, marketCap]) => [
       timestamp,
-      marketCap * exchangeRate
+      marketCap * rateAt(timestamp)
     ]);
   }
   
@@ -276,7 +309,7 @@ function convertMarketChartData(data, exchangeRate) {
   if (data.total_volumes) {
     converted.total_volumes = data.total_volumes.map(([timestamp, volume]) => [
       timestamp,
-      volume * exchangeRate
+      volume * rateAt(timestamp)
     ]);
   }
   
@@ -311,19 +344,240 @@ function convertSimplePriceData(data, exchangeRate, targetCurrency) {
 }
 
 /**
- * Fetch Bitcoin price history from CoinGecko API in USD
+ * Convert OHLC data from USD to target currency
+ * @param {Array<Array<number>>} data - CoinGecko /ohlc response data [[timestamp, open, high, low, close], ...]
+ * @param {function(number): number} rateAt - Exchange rate from USD to target currency at a timestamp
+ * @returns {Array<Array<number>>} Converted candles
+ */
+function convertOHLCData(data, rateAt) {
+  return data.map(([timestamp, open, high, low, close]) => {
+    const rate = rateAt(timestamp);
+    return [
+      timestamp,
+      open * rate,
+      high * rate,
+      low * rate,
+      close * rate
+    ];
+  });
+}
+
+/**
+ * Fetch the current price snapshot of a coin shared by all price streams
+ * Cached for PRICE_STREAM_SNAPSHOT_TTL, so any number of open streams costs one CoinGecko call per TTL.
+ * Currencies CoinGecko does not support are converted from the USD snapshot.
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
+ * @param {string} currency - Lowercase target currency code
+ * @param {Array<string>} supportedCurrencies - Currencies supported by CoinGecko
+ * @returns {Promise<{price: number, currency: string, timestamp: number}>} Price tick (timestamp in ms)
+ */
+async function fetchPriceSnapshot(env, ctx, config, coinId, currency, supportedCurrencies) {
+  const upstreamCurrency = supportedCurrencies.includes(currency) ? currency : 'usd';
+  const snapshot = await fetchCoinPriceSnapshot(env, ctx, coinId, upstreamCurrency, config.PRICE_STREAM_SNAPSHOT_TTL);
+
+  let price = snapshot.price;
+  if (upstreamCurrency !== currency) {
+    price *= await fetchExchangeRate(currency, env, ctx, config);
+  }
+
+  return {
+    price,
+    currency,
+    timestamp: snapshot.timestamp
+  };
+}
+
+/**
+ * Fetch the aggregated current price of a coin from the enabled price sources
+ * One aggregation per coin and currency is cached for AGGREGATED_PRICE_CACHE_TTL, so sources
+ * (and their health counters) are only hit once per TTL however many clients ask.
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @param {Array<Object>} sources - Sources from createPriceSources
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
+ * @param {string} currency - Lowercase currency code quoted by at least one source
+ * @returns {Promise<{data: Object, cacheStatus: string}>} Aggregated price (see fetchAggregatedPrice) with cache status
+ */
+async function fetchCachedAggregatedPrice(ctx, config, sources, coinId, currency) {
+  const cache = caches.default;
+  const cacheUrl = new URL(`https://cache-internal/aggregated-price-${coinId}-${currency}`);
+  const cachedResponse = await cache.match(cacheUrl);
+
+  if (cachedResponse) {
+    return { data: await cachedResponse.json(), cacheStatus: 'HIT' };
+  }
+
+  const data = await fetchAggregatedPrice(sources, priceSourceHealth, coinId, currency, config);
+
+  ctx.waitUntil(cache.put(cacheUrl, new Response(JSON.stringify(data), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `public, max-age=${config.AGGREGATED_PRICE_CACHE_TTL}`
+    }
+  })));
+
+  return { data, cacheStatus: 'MISS' };
+}
+
+/**
+ * Format a Server-Sent Events message
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @param {string|number} id - Optional event id
+ * @returns {string} SSE message
+ */
+function formatSSEMessage(event, data, id) {
+  const idLine = id !== undefined ? `id: ${id}\n` : '';
+  return `event: ${event}\n${idLine}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create the Server-Sent Events body for a price stream
+ * Sends the first tick straight away, then re-reads the shared snapshot every PRICE_STREAM_INTERVAL
+ * seconds: a `price` event when the upstream price changed, a comment line as keep-alive otherwise.
+ * The stream ends after PRICE_STREAM_DURATION seconds and the client's EventSource reconnects
+ * (after the `retry` delay), which keeps each worker invocation short.
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
+ * @param {string} currency - Lowercase target currency code
+ * @param {Array<string>} supportedCurrencies - Currencies supported by CoinGecko
+ * @param {Object} firstTick - Tick already fetched while validating the request
+ * @returns {ReadableStream} Event stream body
+ */
+function createPriceStream(env, ctx, config, coinId, currency, supportedCurrencies, firstTick) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = (text) => writer.write(encoder.encode(text));
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  const pump = async () => {
+    const endTime = Date.now() + config.PRICE_STREAM_DURATION * 1000;
+    let lastTimestamp = firstTick.timestamp;
+
+    try {
+      await send(`retry: ${config.PRICE_STREAM_RETRY}\n\n`);
+      await send(formatSSEMessage('price', firstTick, firstTick.timestamp));
+
+      while (Date.now() + config.PRICE_STREAM_INTERVAL * 1000 < endTime) {
+        await sleep(config.PRICE_STREAM_INTERVAL * 1000);
+
+        let message;
+        try {
+          const tick = await fetchPriceSnapshot(env, ctx, config, coinId, currency, supportedCurrencies);
+          message = tick.timestamp !== lastTimestamp
+            ? formatSSEMessage('price', tick, tick.timestamp)
+            : ': keep-alive\n\n';
+          lastTimestamp = tick.timestamp;
+        } catch (error) {
+          // Keep the stream open - the next snapshot may succeed
+          console.error('Price stream snapshot failed:', error);
+          message = formatSSEMessage('unavailable', { message: error.message });
+        }
+
+        // Rejects once the client has disconnected, which ends the loop
+        await send(message);
+      }
+    } catch (error) {
+      console.log('Price stream closed by client:', error.message);
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  };
+
+  ctx.waitUntil(pump());
+  return readable;
+}
+
+// One UTC day in milliseconds (historical prices are fetched and cached per day)
+const DAY_MS = 86400000;
+
+/**
+ * Format a timestamp as the UTC date parameter of CoinGecko's /coins/{id}/history (dd-mm-yyyy)
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} Date string
+ */
+function formatHistoryDate(timestamp) {
+  const date = new Date(timestamp);
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `${day}-${month}-${date.getUTCFullYear()}`;
+}
+
+/**
+ * Fetch the price of a coin at a past moment
+ * Reads market_chart/range for the UTC day containing the timestamp and picks the point closest
+ * to it. When the range has no points (or fails) the daily /coins/{id}/history snapshot (00:00 UTC)
+ * is used instead. Closed days never change, so they are cached for HISTORICAL_PRICE_CACHE_TTL;
+ * the current day only for MARKET_CHART_CACHE_TTL.
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
+ * @param {string} currency - Lowercase currency code supported by CoinGecko
+ * @param {number} timestamp - Moment to price (milliseconds)
+ * @returns {Promise<{price: number, priceTimestamp: number, source: string, ttl: number}|null>} Price, time of the data point, endpoint used and cache TTL; null if CoinGecko has no price for that day
+ */
+async function fetchHistoricalPrice(env, ctx, config, coinId, currency, timestamp) {
+  const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS;
+  const dayEnd = dayStart + DAY_MS;
+  const ttl = dayEnd <= Date.now() ? config.HISTORICAL_PRICE_CACHE_TTL : config.MARKET_CHART_CACHE_TTL;
+
+  try {
+    const range = await fetchFromCoinGecko(
+      `/api/v3/coins/${coinId}/market_chart/range?vs_currency=${currency}&from=${dayStart / 1000}&to=${dayEnd / 1000}`,
+      `historical-range-${coinId}-${currency}-${dayStart}`,
+      ttl,
+      env,
+      ctx
+    );
+    const prices = range.data.prices || [];
+    if (prices.length > 0) {
+      const [priceTimestamp, price] = prices.reduce((closest, point) =>
+        Math.abs(point[0] - timestamp) < Math.abs(closest[0] - timestamp) ? point : closest
+      );
+      return { price, priceTimestamp, source: 'market_chart/range', ttl };
+    }
+  } catch (error) {
+    console.warn('Historical price range failed, falling back to the daily snapshot:', error);
+  }
+
+  // The daily snapshot lists every currency, so one cache entry per coin and day serves them all
+  const date = formatHistoryDate(dayStart);
+  const snapshot = await fetchFromCoinGecko(
+    `/api/v3/coins/${coinId}/history?date=${date}&localization=false`,
+    `historical-snapshot-${coinId}-${date}`,
+    ttl,
+    env,
+    ctx
+  );
+  const currentPrice = snapshot.data.market_data?.current_price;
+  if (!currentPrice || typeof currentPrice[currency] !== 'number') {
+    return null;
+  }
+  return { price: currentPrice[currency], priceTimestamp: dayStart, source: 'history', ttl };
+}
+
+/**
+ * Fetch coin price history from CoinGecko API in USD
  * Uses cache to avoid repeated API calls
  * @param {Object} env - Environment variables
  * @param {Object} ctx - Execution context
  * @param {Object} config - Configuration object
  * @param {number} days - Number of days of history (1, 7, 30, or 90)
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
  * @returns {Promise<{data: Object, cacheStatus: string}>} Price history data with cache status
  */
-async function fetchPriceHistory(env, ctx, config, days = 1) {
+async function fetchPriceHistory(env, ctx, config, days = 1, coinId = 'bitcoin') {
   try {
     return await fetchFromCoinGecko(
-      `/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=${days}`,
-      `price-history-usd-${days}d`,
+      `/api/v3/coins/${coinId}/market_chart?vs_currency=usd&days=${days}`,
+      `price-history-${coinId}-usd-${days}d`,
       config.PRICE_HISTORY_CACHE_TTL,
       env,
       ctx
@@ -339,9 +593,10 @@ async function fetchPriceHistory(env, ctx, config, days = 1) {
  * @param {Object} priceData - Price history data from CoinGecko
  * @param {string} periodLabel - Period label (e.g., "Last 24 Hours", "Last 7 Days")
  * @param {Object} config - Configuration object
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
  * @returns {string} Human-readable text description
  */
-function convertPriceHistoryToText(priceData, periodLabel = "Last 24 Hours", config) {
+function convertPriceHistoryToText(priceData, periodLabel = "Last 24 Hours", config, coinId = 'bitcoin') {
   if (!priceData || !priceData.prices || priceData.prices.length === 0) {
     return "No price data available.";
   }
@@ -386,7 +641,8 @@ function convertPriceHistoryToText(priceData, periodLabel = "Last 24 Hours", con
     hourlySummary += `- ${time}: $${price.toFixed(2)}\n`;
   }
   
-  const text = `Bitcoin (BTC) Price Analysis for the ${periodLabel} (in USD):
+  const coin = SUPPORTED_COINS[coinId];
+  const text = `${coin.name} (${coin.symbol}) Price Analysis for the ${periodLabel} (in USD):
 
 Period: ${startTime} to ${endTime}
 
@@ -406,14 +662,15 @@ Total data points: ${prices.length}`;
 }
 
 /**
- * Generate LLM summary of Bitcoin price trends
+ * Generate LLM summary of a coin's price trends
  * @param {Object} env - Environment variables (includes AI binding)
  * @param {Object} ctx - Execution context
  * @param {Object} workerConfig - Worker configuration object
  * @param {string} period - Time period ('24h', '7d', '30d', '90d')
+ * @param {string} coinId - CoinGecko coin id (see SUPPORTED_COINS)
  * @returns {Promise<{summary: Object, cacheStatus: string}>} Summary response with cache status
  */
-async function generatePriceSummary(env, ctx, workerConfig, period = '24h') {
+async function generatePriceSummary(env, ctx, workerConfig, period = '24h', coinId = 'bitcoin') {
   // Map period to days and labels
   const periodConfig = {
     '24h': { days: 1, label: 'Last 24 Hours' },
@@ -423,7 +680,7 @@ async function generatePriceSummary(env, ctx, workerConfig, period = '24h') {
   };
   
   const config = periodConfig[period] || periodConfig['24h'];
-  const cacheKey = `btc-price-summary-${period}`;
+  const cacheKey = `${coinId}-price-summary-${period}`;
   const cache = caches.default;
   
   // Try to get from cache first
@@ -436,11 +693,11 @@ async function generatePriceSummary(env, ctx, workerConfig, period = '24h') {
   }
   
   // Fetch price history (will use cache if available)
-  const priceResult = await fetchPriceHistory(env, ctx, workerConfig, config.days);
+  const priceResult = await fetchPriceHistory(env, ctx, workerConfig, config.days, coinId);
   const priceData = priceResult.data;
   
   // Convert to human-readable text
-  const priceText = convertPriceHistoryToText(priceData, config.label, workerConfig);
+  const priceText = convertPriceHistoryToText(priceData, config.label, workerConfig, coinId);
   
   // Generate summary using Cloudflare Workers AI
   try {
@@ -448,7 +705,7 @@ async function generatePriceSummary(env, ctx, workerConfig, period = '24h') {
       messages: [
         {
           role: 'system',
-          content: `You are a cryptocurrency market analyst. You write on a website with bullet points instead of emoji. Analyze the provided Bitcoin price data and provide a concise summary of the trends, including key movements, overall direction, and any notable patterns. Keep your response under ${workerConfig.LLM_MAX_WORDS} words.`
+          content: `You are a cryptocurrency market analyst. You write on a website with bullet points instead of emoji. Analyze the provided ${SUPPORTED_COINS[coinId].name} price data and provide a concise summary of the trends, including key movements, overall direction, and any notable patterns. Keep your response under ${workerConfig.LLM_MAX_WORDS} words.`
         },
         {
           role: 'user',
@@ -462,6 +719,7 @@ async function generatePriceSummary(env, ctx, workerConfig, period = '24h') {
       summary: response.response || response,
       timestamp: Date.now(),
       period: period,
+      coin: coinId,
       priceData: {
         startPrice: priceData.prices[0][1],
         endPrice: priceData.prices[priceData.prices.length - 1][1],
@@ -486,12 +744,276 @@ async function generatePriceSummary(env, ctx, workerConfig, period = '24h') {
   }
 }
 
+/**
+ * Check whether a CoinGecko coin id is served by this worker
+ * @param {string} coinId - CoinGecko coin id
+ * @returns {boolean} True if the coin is in SUPPORTED_COINS
+ */
+function isSupportedCoin(coinId) {
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_COINS, coinId);
+}
+
+// /api/v3/coins/* routes that list coins rather than naming one
+const COIN_COLLECTION_ROUTES = ['list', 'markets', 'categories'];
+
+/**
+ * Get the coin ids a proxied CoinGecko request refers to
+ * Covers `/api/v3/coins/{id}/...` paths and the comma-separated `ids` parameter (simple/price).
+ * @param {string} pathname - Request path
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Array<string>} Requested coin ids
+ */
+function getRequestedCoinIds(pathname, searchParams) {
+  const coinIds = [];
+  const match = pathname.match(/^\/api\/v3\/coins\/([^/]+)/);
+  if (match && !COIN_COLLECTION_ROUTES.includes(match[1])) {
+    coinIds.push(decodeURIComponent(match[1]));
+  }
+  if (searchParams.has('ids')) {
+    coinIds.push(...searchParams.get('ids').split(',').map(id => id.trim()).filter(Boolean));
+  }
+  return coinIds;
+}
+
+/**
+ * Build the 400 response for a coin id this worker does not serve
+ * @param {string} coinId - Rejected coin id
+ * @param {Object} corsHeaders - CORS headers
+ * @returns {Response} JSON error response
+ */
+function invalidCoinResponse(coinId, corsHeaders) {
+  return new Response(JSON.stringify({
+    error: 'invalid coin id',
+    message: `Coin '${coinId}' is not supported. Supported coins: ${Object.keys(SUPPORTED_COINS).join(', ')}`
+  }), {
+    status: 400,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+/**
+ * Build a JSON response for the alert registration routes
+ * @param {Object|null} body - Response body (null for no content)
+ * @param {number} status - HTTP status
+ * @returns {Response} JSON response
+ */
+function alertsResponse(body, status) {
+  return new Response(body === null ? null : JSON.stringify(body), {
+    status,
+    headers: body === null ? {} : { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle the authenticated alert registration routes
+ * These are server-to-server calls (no browser origin), authenticated through the shared
+ * admin auth layer instead of the origin allow-list. Listing needs the read scope, changes
+ * the operator scope; ALERTS_API_TOKEN is still accepted as an operator token.
+ * - POST   /api/alerts      register an alert rule
+ * - GET    /api/alerts      list alert rules
+ * - DELETE /api/alerts/:id  delete an alert rule and its delivery history
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Response>} JSON response
+ */
+async function handleAlertsRequest(request, env, ctx, config) {
+  const credentials = getAdminCredentials(env);
+  if (env.ALERTS_API_TOKEN) {
+    credentials.push({ scope: ADMIN_SCOPES.OPERATOR, secret: env.ALERTS_API_TOKEN });
+  }
+  if (credentials.length === 0 || !env.DB) {
+    return alertsResponse({ error: 'Alerts not configured', message: 'Alert registration is not enabled on this worker' }, 503);
+  }
+
+  const url = new URL(request.url);
+  const alertId = url.pathname.startsWith('/api/alerts/') ? decodeURIComponent(url.pathname.slice('/api/alerts/'.length)) : null;
+  const isListing = alertId === null && request.method === 'GET';
+  const action = isListing ? 'alerts.list' : request.method === 'DELETE' ? 'alerts.delete' : 'alerts.create';
+
+  return handleAdminRequest(request, env, ctx, {
+    worker: 'api',
+    action,
+    scope: isListing ? ADMIN_SCOPES.READ : ADMIN_SCOPES.OPERATOR,
+    credentials
+  }, () => handleAlertsRoute(request, env, ctx, config, alertId));
+}
+
+/**
+ * Run an authorized alert registration call
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @param {string|null} alertId - Alert id from the path (null for the collection)
+ * @returns {Promise<Response>} JSON response
+ */
+async function handleAlertsRoute(request, env, ctx, config, alertId) {
+  try {
+    if (alertId === null && request.method === 'GET') {
+      return alertsResponse({ alerts: await listAlerts(env.DB) }, 200);
+    }
+
+    if (alertId === null && request.method === 'POST') {
+      let body;
+      try {
+        body = await request.json();
+      } catch (e) {
+        return alertsResponse({ error: 'Invalid alert', message: 'Request body must be valid JSON' }, 400);
+      }
+
+      const supportedCurrencies = await fetchSupportedCurrencies(env, ctx, config);
+      const { alert, error } = validateAlertRule(body, supportedCurrencies, config);
+      if (error) {
+        return alertsResponse({ error: 'Invalid alert', message: error }, 400);
+      }
+
+      if (await countAlerts(env.DB) >= config.MAX_PRICE_ALERTS) {
+        return alertsResponse({ error: 'Alert limit reached', message: `At most ${config.MAX_PRICE_ALERTS} alerts can be registered` }, 409);
+      }
+
+      return alertsResponse(await insertAlert(env.DB, alert), 201);
+    }
+
+    if (alertId && request.method === 'DELETE') {
+      const deleted = await deleteAlert(env.DB, alertId);
+      return deleted ? alertsResponse(null, 204) : alertsResponse({ error: 'Not found', message: `Alert '${alertId}' does not exist` }, 404);
+    }
+
+    return new Response('Method Not Allowed', { status: 405 });
+  } catch (error) {
+    console.error('Alert registration request failed:', error);
+    return alertsResponse({ error: 'Alert request failed', message: error.message }, 500);
+  }
+}
+
+/**
+ * Handle the price source health diagnostic route
+ * Reports which sources are enabled, the divergence threshold and the failure state of each
+ * source as seen by this isolate. Requires the read admin scope; every call is audited.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Response>} JSON response
+ */
+async function handlePriceSourcesRequest(request, env, ctx, config) {
+  return handleAdminRequest(request, env, ctx, {
+    worker: 'api',
+    action: 'price-sources.read',
+    scope: ADMIN_SCOPES.READ
+  }, async () => {
+    if (request.method !== 'GET') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+
+    const supportedCurrencies = await fetchSupportedCurrencies(env, ctx, config);
+    return new Response(JSON.stringify({
+      enabled: createPriceSources(env, ctx, config, supportedCurrencies).map(source => source.id),
+      divergenceThreshold: config.PRICE_DIVERGENCE_THRESHOLD,
+      health: priceSourceHealth.snapshot(Date.now())
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  });
+}
+
+/**
+ * Scheduled handler: record the day's exchange rates in the history
+ * Runs on a cron trigger so every day gets a row, including days without traffic or whose
+ * rates were only served from the edge cache. A day already recorded costs one D1 read.
+ * @param {Event} event - Scheduled event
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<{recorded: number}>} Number of rates stored (0 if the day was already recorded)
+ */
+async function handleScheduled(event, env, ctx) {
+  if (!env.DB) {
+    console.warn('No D1 binding, exchange rate history not recorded');
+    return { recorded: 0 };
+  }
+
+  try {
+    const data = await fetchLatestExchangeRates();
+    const recorded = await recordExchangeRates(env.DB, data);
+    if (recorded > 0) {
+      console.log(`Recorded ${recorded} exchange rates from ${data.time_last_update_utc || 'ExchangeRate-API'}`);
+    }
+    return { recorded };
+  } catch (error) {
+    console.error('Failed to record exchange rate history:', error);
+    throw error;
+  }
+}
+
+// Export for testing
+export { handleScheduled };
+
 export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(handleScheduled(event, env, ctx));
+  },
+
   async fetch(request, env, ctx) {
     return handleRequest(request, env, ctx);
   }
 };
 
+/**
+ * Take a rate limit token for the client of a request
+ * Fails open: without the RATE_LIMITER binding (e.g. in local dev), for a group whose limit is 0
+ * or when the limiter errors, the request is not limited.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {Object} config - Configuration object
+ * @param {string} pathname - Request path
+ * @returns {Promise<Object|null>} Result of checkRateLimit, or null if the request is not limited
+ */
+async function takeRateLimitToken(request, env, config, pathname) {
+  const rule = getRateLimitRule(pathname, config);
+  if (!env.RATE_LIMITER || !(rule.limit > 0)) {
+    return null;
+  }
+
+  try {
+    const clientIp = request.headers.get('CF-Connecting-IP') || 'unknown';
+    return await checkRateLimit(env.RATE_LIMITER, clientIp, rule, config.RATE_LIMIT_WINDOW);
+  } catch (error) {
+    // Fail open: a limiter outage must not take the API down
+    console.error('Rate limit check failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the 429 response for a client over its rate limit
+ * @param {Object} rateLimit - Result of checkRateLimit
+ * @param {Object} config - Configuration object
+ * @param {Object} headers - Response headers (CORS and rate limit headers)
+ * @returns {Response} 429 JSON response with Retry-After
+ */
+function rateLimitExceededResponse(rateLimit, config, headers) {
+  return new Response(JSON.stringify({
+    error: 'Too Many Requests',
+    message: `Rate limit of ${rateLimit.limit} requests per ${config.RATE_LIMIT_WINDOW} seconds exceeded. Retry in ${rateLimit.retryAfter} seconds.`
+  }), {
+    status: 429,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Retry-After': String(rateLimit.retryAfter)
+    }
+  });
+}
+
 /**
  * Main request handler
  * @param {Request} request - Incoming request
@@ -503,6 +1025,27 @@ async function handleRequest(request, env, ctx) {
   // Load configuration with environment variable overrides
   const config = getAPIWorkerConfig(env);
   
+  // Admin and diagnostic routes are authenticated by the admin auth layer, not by origin, but
+  // are still rate limited (admin group) so credentials cannot be guessed at full speed
+  const requestPath = new URL(request.url).pathname;
+  const isAlertsRoute = requestPath === '/api/alerts' || requestPath.startsWith('/api/alerts/');
+  if (isAlertsRoute || requestPath === '/api/price-sources') {
+    const rateLimit = await takeRateLimitToken(request, env, config, requestPath);
+    if (rateLimit && !rateLimit.allowed) {
+      return rateLimitExceededResponse(rateLimit, config, getRateLimitHeaders(rateLimit));
+    }
+
+    const response = isAlertsRoute
+      ? await handleAlertsRequest(request, env, ctx, config)
+      : await handlePriceSourcesRequest(request, env, ctx, config);
+    if (!rateLimit) {
+      return response;
+    }
+    const limited = new Response(response.body, response);
+    Object.entries(getRateLimitHeaders(rateLimit)).forEach(([name, value]) => limited.headers.set(name, value));
+    return limited;
+  }
+  
   // Get the origin from the request
   const origin = request.headers.get('Origin');
   const url = new URL(request.url);
@@ -542,7 +1085,7 @@ async function handleRequest(request, env, ctx) {
     'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type',
     'Access-Control-Max-Age': String(config.CORS_MAX_AGE), // 24 hours
-    'Access-Control-Expose-Headers': 'X-Cache-Status, X-Currency-Converted, X-Conversion-Warning, X-Exchange-Rate, X-Data-Source-Price, X-Data-Source-Exchange, X-Data-Source, X-Last-Updated, X-Cache-TTL, Cache-Control',
+    'Access-Control-Expose-Headers': 'X-Cache-Status, X-Currency-Converted, X-Conversion-Warning, X-Conversion-Mode, X-Exchange-Rate, X-Price-Sources, X-Price-Divergence, X-Price-Divergence-Warning, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After, X-Data-Source-Price, X-Data-Source-Exchange, X-Data-Source, X-Last-Updated, X-Cache-TTL, Cache-Control',
   };
 
   // Handle CORS preflight requests
@@ -575,6 +1118,17 @@ async function handleRequest(request, env, ctx) {
     });
   }
 
+  // Per-client rate limit (also applies to ?origin requests)
+  const rateLimit = await takeRateLimitToken(request, env, config, url.pathname);
+  if (rateLimit) {
+    // Every response below spreads corsHeaders, so they all carry the rate limit headers
+    Object.assign(corsHeaders, getRateLimitHeaders(rateLimit));
+
+    if (!rateLimit.allowed) {
+      return rateLimitExceededResponse(rateLimit, config, corsHeaders);
+    }
+  }
+
   try {
     // Parse the request URL to get the query parameters
     const url = new URL(request.url);
@@ -597,11 +1151,12 @@ async function handleRequest(request, env, ctx) {
     // Parse the URL search (a string of parameters, starts with the question mark) to get the parameters
     const searchParams = new URLSearchParams(url.search);
     
-    // Special endpoint for LLM-powered Bitcoin price trend summary
+    // Special endpoint for LLM-powered price trend summary
     if (url.pathname === '/ai/summary') {
       try {
-        // Get period parameter (default to 24h)
+        // Get period and coin parameters (default to 24h of Bitcoin)
         const period = searchParams.get('period') || '24h';
+        const coinId = searchParams.get('coin') || 'bitcoin';
         
         // Validate period
         const validPeriods = ['24h', '7d', '30d', '90d'];
@@ -618,7 +1173,11 @@ async function handleRequest(request, env, ctx) {
           });
         }
         
-        const result = await generatePriceSummary(env, ctx, config, period);
+        if (!isSupportedCoin(coinId)) {
+          return invalidCoinResponse(coinId, corsHeaders);
+        }
+        
+        const result = await generatePriceSummary(env, ctx, config, period, coinId);
         
         return new Response(JSON.stringify(result.summary), {
           status: 200,
@@ -629,7 +1188,8 @@ async function handleRequest(request, env, ctx) {
             'X-Cache-Status': result.cacheStatus,
             'X-Data-Source': 'CoinGecko API + Cloudflare Workers AI',
             'X-Summary-Currency': 'USD',
-            'X-Summary-Period': period
+            'X-Summary-Period': period,
+            'X-Summary-Coin': coinId
           }
         });
       } catch (error) {
@@ -679,9 +1239,261 @@ async function handleRequest(request, env, ctx) {
       }
     }
     
+    // Only proxy coins this worker serves
+    const unsupportedCoin = getRequestedCoinIds(url.pathname, searchParams).find(coinId => !isSupportedCoin(coinId));
+    if (unsupportedCoin) {
+      return invalidCoinResponse(unsupportedCoin, corsHeaders);
+    }
+    
     // Fetch supported currencies list for validation
     const supportedCurrencies = await fetchSupportedCurrencies(env, ctx, config);
     
+    // Server-Sent Events price stream (one shared upstream snapshot per PRICE_STREAM_SNAPSHOT_TTL)
+    if (url.pathname === '/api/price-stream') {
+      const coinId = searchParams.get('coin') || 'bitcoin';
+      if (!isSupportedCoin(coinId)) {
+        return invalidCoinResponse(coinId, corsHeaders);
+      }
+      const currency = (searchParams.get('vs_currency') || 'usd').toLowerCase();
+      if (!supportedCurrencies.includes(currency)) {
+        try {
+          await fetchExchangeRate(currency, env, ctx, config);
+        } catch (exchangeError) {
+          return new Response(JSON.stringify({
+            error: 'invalid vs_currency',
+            message: `Currency '${currency}' is not supported by CoinGecko and exchange rate could not be fetched: ${exchangeError.message}`
+          }), {
+            status: 400,
+            headers: {
+              ...corsHeaders,
+              'Content-Type': 'application/json'
+            }
+          });
+        }
+      }
+
+      let firstTick;
+      try {
+        firstTick = await fetchPriceSnapshot(env, ctx, config, coinId, currency, supportedCurrencies);
+      } catch (error) {
+        console.error('Failed to start price stream:', error);
+        return new Response(JSON.stringify({
+          error: 'Price stream temporarily unavailable',
+          message: error.message
+        }), {
+          status: 503,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json'
+          }
+        });
+      }
+
+      return new Response(createPriceStream(env, ctx, config, coinId, currency, supportedCurrencies, firstTick), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'X-Data-Source': 'CoinGecko API',
+          'X-Stream-Interval': config.PRICE_STREAM_INTERVAL.toString()
+        }
+      });
+    }
+    
+    // Current price aggregated from several sources (median of the sources that answered)
+    if (url.pathname === '/api/price') {
+      const coinId = searchParams.get('coin') || 'bitcoin';
+      if (!isSupportedCoin(coinId)) {
+        return invalidCoinResponse(coinId, corsHeaders);
+      }
+      const currency = (searchParams.get('vs_currency') || 'usd').toLowerCase();
+      const sources = createPriceSources(env, ctx, config, supportedCurrencies);
+
+      // Currencies no source quotes are aggregated in USD and converted at the current rate
+      const upstreamCurrency = sources.some(source => source.supports(coinId, currency)) ? currency : 'usd';
+      let exchangeRate = null;
+      if (upstreamCurrency !== currency) {
+        try {
+          exchangeRate = await fetchExchangeRate(currency, env, ctx, config);
+        } catch (exchangeError) {
+          return new Response(JSON.stringify({
+            error: 'invalid vs_currency',
+            message: `Currency '${currency}' is not quoted by any price source and exchange rate could not be fetched: ${exchangeError.message}`
+          }), {
+            status: 400,
+            headers: {
+              ...corsHeaders,
+              'Content-Type': 'application/json'
+            }
+          });
+        }
+      }
+
+      let result;
+      try {
+        result = await fetchCachedAggregatedPrice(ctx, config, sources, coinId, upstreamCurrency);
+      } catch (error) {
+        console.error('Failed to aggregate price:', error);
+        return new Response(JSON.stringify({
+          error: 'Price temporarily unavailable',
+          message: error.message
+        }), {
+          status: 503,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json'
+          }
+        });
+      }
+
+      const aggregated = result.data;
+      const rate = exchangeRate || 1;
+      const headers = {
+        ...corsHeaders,
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${config.AGGREGATED_PRICE_CACHE_TTL}`,
+        'X-Cache-Status': result.cacheStatus,
+        'X-Cache-TTL': config.AGGREGATED_PRICE_CACHE_TTL.toString(),
+        'X-Price-Sources': aggregated.quotes.map(quote => quote.source).join(','),
+        'X-Price-Divergence': aggregated.divergence.toFixed(2)
+      };
+      if (aggregated.diverged) {
+        headers['X-Price-Divergence-Warning'] = `Price sources disagree by up to ${aggregated.divergence.toFixed(2)}% from the median (threshold ${config.PRICE_DIVERGENCE_THRESHOLD}%)`;
+      }
+      if (exchangeRate) {
+        headers['X-Currency-Converted'] = `USD -> ${currency.toUpperCase()}`;
+        headers['X-Exchange-Rate'] = exchangeRate.toString();
+        headers['X-Data-Source-Exchange'] = 'ExchangeRate-API';
+        headers['X-Conversion-Mode'] = CONVERSION_MODES.CURRENT;
+        headers['X-Conversion-Warning'] = getConversionWarning(CONVERSION_MODES.CURRENT, null);
+      }
+
+      return new Response(JSON.stringify({
+        coin: coinId,
+        currency,
+        price: aggregated.price * rate,
+        timestamp: aggregated.timestamp,
+        divergence: aggregated.divergence,
+        sources: aggregated.quotes.map(quote => ({ id: quote.source, name: quote.name, price: quote.price * rate })),
+        failedSources: aggregated.failures.map(failure => ({ id: failure.source, name: failure.name, error: failure.error }))
+      }), {
+        status: 200,
+        headers
+      });
+    }
+
+    // Price of a coin at a past moment, used to fill the buy price of back-dated transactions
+    if (url.pathname === '/api/historical-price') {
+      const coinId = searchParams.get('coin') || 'bitcoin';
+      if (!isSupportedCoin(coinId)) {
+        return invalidCoinResponse(coinId, corsHeaders);
+      }
+      const timestamp = Number(searchParams.get('timestamp'));
+      if (!searchParams.get('timestamp') || !Number.isFinite(timestamp) || timestamp <= 0 || timestamp > Date.now()) {
+        return new Response(JSON.stringify({
+          error: 'invalid timestamp',
+          message: 'timestamp must be a past time in milliseconds since the epoch'
+        }), {
+          status: 400,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json'
+          }
+        });
+      }
+
+      // Unsupported currencies are priced in USD and converted at the exchange rate of that day
+      const currency = (searchParams.get('vs_currency') || 'usd').toLowerCase();
+      const upstreamCurrency = supportedCurrencies.includes(currency) ? currency : 'usd';
+      let currentExchangeRate = null;
+      if (upstreamCurrency !== currency) {
+        try {
+          currentExchangeRate = await fetchExchangeRate(currency, env, ctx, config);
+        } catch (exchangeError) {
+          return new Response(JSON.stringify({
+            error: 'invalid vs_currency',
+            message: `Currency '${currency}' is not supported by CoinGecko and exchange rate could not be fetched: ${exchangeError.message}`
+          }), {
+            status: 400,
+            headers: {
+              ...corsHeaders,
+              'Content-Type': 'application/json'
+            }
+          });
+        }
+      }
+
+      let historical;
+      try {
+        historical = await fetchHistoricalPrice(env, ctx, config, coinId, upstreamCurrency, timestamp);
+      } catch (error) {
+        console.error('Failed to fetch historical price:', error);
+        return new Response(JSON.stringify({
+          error: 'Historical price temporarily unavailable',
+          message: error.message
+        }), {
+          status: 503,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json'
+          }
+        });
+      }
+
+      if (!historical) {
+        return new Response(JSON.stringify({
+          error: 'No price data',
+          message: `CoinGecko has no ${coinId} price for ${new Date(timestamp).toISOString().slice(0, 10)}`
+        }), {
+          status: 404,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json'
+          }
+        });
+      }
+
+      let price = historical.price;
+      let ttl = historical.ttl;
+      let conversion = null;
+      if (currentExchangeRate) {
+        conversion = await getSeriesExchangeRates(env, currency, currentExchangeRate, historical.priceTimestamp, historical.priceTimestamp);
+        price *= conversion.rateAt(historical.priceTimestamp);
+        // Prices converted at the current rate follow that rate, so they are not kept longer than it
+        if (conversion.mode === CONVERSION_MODES.CURRENT) {
+          ttl = Math.min(ttl, config.EXCHANGE_RATE_CACHE_TTL);
+        }
+      }
+
+      const headers = {
+        ...corsHeaders,
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${ttl}`,
+        'X-Cache-TTL': ttl.toString(),
+        'X-Data-Source-Price': 'CoinGecko API'
+      };
+      if (conversion) {
+        headers['X-Currency-Converted'] = `USD -> ${currency.toUpperCase()}`;
+        headers['X-Exchange-Rate'] = conversion.rateAt(historical.priceTimestamp).toString();
+        headers['X-Data-Source-Exchange'] = 'ExchangeRate-API';
+        headers['X-Conversion-Mode'] = conversion.mode;
+        headers['X-Conversion-Warning'] = getConversionWarning(conversion.mode, conversion.historyStart);
+      }
+
+      return new Response(JSON.stringify({
+        coin: coinId,
+        currency,
+        timestamp,
+        price,
+        priceTimestamp: historical.priceTimestamp,
+        source: historical.source
+      }), {
+        status: 200,
+        headers
+      });
+    }
+    
     // Check if this is a request that uses vs_currency parameter
     const vsCurrency = searchParams.get('vs_currency') || searchParams.get('vs_currencies');
     const isUnsupportedCurrency = vsCurrency && !supportedCurrencies.includes(vsCurrency.toLowerCase());
@@ -695,7 +1507,7 @@ async function handleRequest(request, env, ctx) {
       
       // Fetch exchange rate from USD to target currency
       try {
-        exchangeRate = await fetchExchangeRate(originalCurrency, ctx, config);
+        exchangeRate = await fetchExchangeRate(originalCurrency, env, ctx, config);
       } catch (exchangeError) {
         return new Response(JSON.stringify({
           error: 'invalid vs_currency',
@@ -775,6 +1587,12 @@ async function handleRequest(request, env, ctx) {
     // Get the response body
     let responseData;
     let responseBody;
+    // Current prices and empty series are converted at the current rate
+    let conversion = {
+      rateAt: () => exchangeRate,
+      mode: CONVERSION_MODES.CURRENT,
+      historyStart: null
+    };
     const contentType = upstreamResponse.headers.get('content-type');
     
     if (upstreamResponse.ok && contentType && contentType.includes('application/json')) {
@@ -783,8 +1601,18 @@ async function handleRequest(request, env, ctx) {
       // If we need to convert currency, do it now
       if (isUnsupportedCurrency && exchangeRate) {
         if (url.pathname.includes('/market_chart')) {
-          // Convert market_chart data
-          responseData = convertMarketChartData(responseData, exchangeRate);
+          // Convert market_chart data, each point at the rate of its day
+          const prices = responseData.prices || [];
+          if (prices.length > 0) {
+            conversion = await getSeriesExchangeRates(env, originalCurrency, exchangeRate, prices[0][0], prices[prices.length - 1][0]);
+          }
+          responseData = convertMarketChartData(responseData, conversion.rateAt);
+        } else if (url.pathname.endsWith('/ohlc')) {
+          // Convert OHLC candles, each candle at the rate of its day
+          if (responseData.length > 0) {
+            conversion = await getSeriesExchangeRates(env, originalCurrency, exchangeRate, responseData[0][0], responseData[responseData.length - 1][0]);
+          }
+          responseData = convertOHLCData(responseData, conversion.rateAt);
         } else if (url.pathname.includes('/simple/price')) {
           // Convert simple price data
           responseData = convertSimplePriceData(responseData, exchangeRate, originalCurrency);
@@ -792,7 +1620,7 @@ async function handleRequest(request, env, ctx) {
           // For other endpoints, return an error for unsupported currency
           return new Response(JSON.stringify({
             error: "Currency conversion is not supported for this endpoint.",
-            message: `Currency conversion for '${originalCurrency}' is only supported for /market_chart and /simple/price endpoints.`
+            message: `Currency conversion for '${originalCurrency}' is only supported for /market_chart, /ohlc and /simple/price endpoints.`
           }), {
             status: 400,
             headers: {
@@ -847,13 +1675,17 @@ async function handleRequest(request, env, ctx) {
         response.headers.set('X-Currency-Converted', `USD -> ${originalCurrency.toUpperCase()}`);
         response.headers.set('X-Exchange-Rate', exchangeRate.toString());
         response.headers.set('X-Data-Source-Exchange', 'ExchangeRate-API');
-        response.headers.set('X-Conversion-Warning', 'Exchange rates are approximate and may vary from actual values');
+        response.headers.set('X-Conversion-Mode', conversion.mode);
+        response.headers.set('X-Conversion-Warning', getConversionWarning(conversion.mode, conversion.historyStart));
       }
     }
 
     // Cache the response (clone it first as the body can only be read once)
+    // without this client's rate limit headers
     if (upstreamResponse.ok) {
-      ctx.waitUntil(cache.put(cacheRequest, response.clone()));
+      const cachedCopy = response.clone();
+      RATE_LIMIT_HEADERS.forEach(header => cachedCopy.headers.delete(header));
+      ctx.waitUntil(cache.put(cacheRequest, cachedCopy));
     }
 
     return response;
@@ -3,8 +3,9 @@
  * Tests for AI summary generation and price data conversion
  */
 
-import { describe, it, expect, beforeAll } from 'vitest';
-import worker from './index.js';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import worker, { handleScheduled } from './index.js';
+import { createMockNamespace } from '../shared/rate-limit.test-helpers.js';
 
 // Mock price data for testing
 const createMockPriceData = (numPoints) => {
@@ -302,6 +303,1064 @@ describe('Integration Tests', () => {
   });
 });
 
+/**
+ * Minimal D1 mock for the daily exchange rate history (see shared/exchange-rates.js)
+ */
+const createMockRatesDB = (rows) => {
+  const execute = (sql, params) => {
+    if (sql.includes('SELECT 1 FROM exchange_rates')) {
+      const [currency, date] = params;
+      return rows.find(row => row.currency === currency && row.date === date) ? { 1: 1 } : null;
+    }
+    if (sql.includes('INSERT OR IGNORE INTO exchange_rates')) {
+      const [date, currency, rate] = params;
+      rows.push({ date, currency, rate });
+      return { meta: { changes: 1 } };
+    }
+    const [currency, fromDate, toDate] = params;
+    const matches = rows
+      .filter(row => row.currency === currency && (sql.includes('date < ?') ? row.date < fromDate : row.date >= fromDate && row.date <= toDate))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    return { results: sql.includes('date < ?') ? matches.slice(-1) : matches };
+  };
+  return {
+    prepare: (sql) => {
+      const statement = {
+        _params: [],
+        bind: (...params) => {
+          statement._params = params;
+          return statement;
+        },
+        run: async () => execute(sql, statement._params),
+        first: async () => execute(sql, statement._params)
+      };
+      return statement;
+    },
+    batch: async (statements) => Promise.all(statements.map(statement => statement.run()))
+  };
+};
+
+describe('OHLC Proxy', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  beforeEach(() => {
+    // Empty edge cache so every request goes upstream
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async () => {}
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should convert OHLC candles for currencies CoinGecko does not support', async () => {
+    const upstreamUrls = [];
+    vi.stubGlobal('fetch', async (url) => {
+      upstreamUrls.push(String(url));
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      if (String(url).includes('open.er-api.com')) {
+        return Response.json({ rates: { RON: 4.5 } });
+      }
+      return Response.json([[1700000000000, 100, 110, 90, 105]]);
+    });
+
+    const request = new Request('http://localhost/api/v3/coins/bitcoin/ohlc?vs_currency=ron&days=30', {
+      headers: { 'Origin': 'https://tbog.github.io' }
+    });
+    const response = await worker.fetch(request, {}, ctx);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual([[1700000000000, 450, 495, 405, 472.5]]);
+    expect(response.headers.get('X-Currency-Converted')).toBe('USD -> RON');
+    expect(response.headers.get('X-Conversion-Mode')).toBe('current');
+    expect(upstreamUrls).toContain('https://api.coingecko.com/api/v3/coins/bitcoin/ohlc?vs_currency=usd&days=30');
+  });
+
+  it('should convert each candle at the stored rate of its day', async () => {
+    const rows = [
+      { date: '2024-03-10', currency: 'RON', rate: 4 },
+      { date: '2024-03-14', currency: 'RON', rate: 5 }
+    ];
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      if (String(url).includes('open.er-api.com')) {
+        return Response.json({ time_last_update_unix: Date.UTC(2024, 2, 15) / 1000, rates: { USD: 1, RON: 4.5 } });
+      }
+      return Response.json([
+        [Date.UTC(2024, 2, 8), 100, 110, 90, 105],
+        [Date.UTC(2024, 2, 12), 100, 110, 90, 105],
+        [Date.UTC(2024, 2, 14, 20), 100, 110, 90, 105]
+      ]);
+    });
+
+    const request = new Request('http://localhost/api/v3/coins/bitcoin/ohlc?vs_currency=ron&days=7', {
+      headers: { 'Origin': 'https://tbog.github.io' }
+    });
+    const response = await worker.fetch(request, { DB: createMockRatesDB(rows) }, ctx);
+
+    // The first candle predates the history and uses the current rate
+    expect(await response.json()).toEqual([
+      [Date.UTC(2024, 2, 8), 450, 495, 405, 472.5],
+      [Date.UTC(2024, 2, 12), 400, 440, 360, 420],
+      [Date.UTC(2024, 2, 14, 20), 500, 550, 450, 525]
+    ]);
+    expect(response.headers.get('X-Conversion-Mode')).toBe('partial');
+    expect(response.headers.get('X-Conversion-Warning')).toContain('2024-03-10');
+    expect(response.headers.get('Access-Control-Expose-Headers')).toContain('X-Conversion-Mode');
+    // The fresh rates were recorded for their publication day
+    expect(rows).toContainEqual({ date: '2024-03-15', currency: 'RON', rate: 4.5 });
+  });
+
+  it('should pass OHLC candles through for supported currencies', async () => {
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      return Response.json([[1700000000000, 100, 110, 90, 105]]);
+    });
+
+    const request = new Request('http://localhost/api/v3/coins/bitcoin/ohlc?vs_currency=eur&days=7', {
+      headers: { 'Origin': 'https://tbog.github.io' }
+    });
+    const response = await worker.fetch(request, {}, ctx);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual([[1700000000000, 100, 110, 90, 105]]);
+    expect(response.headers.get('X-Currency-Converted')).toBeNull();
+  });
+});
+
+describe('Price Stream (Server-Sent Events)', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  // Short stream: first tick, then snapshot checks every 10ms for 100ms
+  const env = { PRICE_STREAM_INTERVAL: '0.01', PRICE_STREAM_DURATION: '0.1' };
+
+  const streamRequest = (currency) => new Request(`http://localhost/api/price-stream?vs_currency=${currency}`, {
+    headers: { 'Origin': 'https://tbog.github.io' }
+  });
+
+  const parseEvents = (text) => text.split('\n\n').filter(Boolean);
+
+  beforeEach(() => {
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async () => {}
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should stream price events and keep-alives from the snapshot', async () => {
+    const snapshots = [
+      { usd: 50000, last_updated_at: 1700000000 },
+      { usd: 50100, last_updated_at: 1700000010 }
+    ];
+    const upstreamUrls = [];
+    vi.stubGlobal('fetch', async (url) => {
+      upstreamUrls.push(String(url));
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      // The last snapshot stays current for the rest of the stream
+      return Response.json({ bitcoin: snapshots.length > 1 ? snapshots.shift() : snapshots[0] });
+    });
+
+    const response = await worker.fetch(streamRequest('usd'), env, ctx);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+    expect(response.headers.get('Cache-Control')).toBe('no-cache');
+
+    const events = parseEvents(await response.text());
+    expect(events[0]).toBe('retry: 5000');
+    expect(events[1]).toBe('event: price\nid: 1700000000000\ndata: {"price":50000,"currency":"usd","timestamp":1700000000000}');
+    expect(events[2]).toBe('event: price\nid: 1700000010000\ndata: {"price":50100,"currency":"usd","timestamp":1700000010000}');
+    expect(events.slice(3).every(event => event === ': keep-alive')).toBe(true);
+    expect(events.length).toBeGreaterThan(3);
+    expect(upstreamUrls).toContain('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_last_updated_at=true');
+  });
+
+  it('should convert ticks for currencies CoinGecko does not support', async () => {
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      if (String(url).includes('open.er-api.com')) {
+        return Response.json({ rates: { RON: 4.5 } });
+      }
+      return Response.json({ bitcoin: { usd: 100, last_updated_at: 1700000000 } });
+    });
+
+    const response = await worker.fetch(streamRequest('RON'), { ...env, PRICE_STREAM_DURATION: '0' }, ctx);
+    const events = parseEvents(await response.text());
+
+    expect(events).toHaveLength(2);
+    expect(JSON.parse(events[1].split('data: ')[1])).toEqual({ price: 450, currency: 'ron', timestamp: 1700000000000 });
+  });
+
+  it('should send an unavailable event and keep streaming when a snapshot fails', async () => {
+    let calls = 0;
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd']);
+      }
+      calls++;
+      if (calls === 2) {
+        return new Response('Too Many Requests', { status: 429 });
+      }
+      return Response.json({ bitcoin: { usd: 50000 + calls, last_updated_at: 1700000000 + calls } });
+    });
+
+    const response = await worker.fetch(streamRequest('usd'), env, ctx);
+    const events = parseEvents(await response.text());
+
+    expect(events[2]).toBe('event: unavailable\ndata: {"message":"CoinGecko API request failed: 429"}');
+    expect(events[3]).toContain('"price":50003');
+  });
+
+  it('should reject currencies without an exchange rate', async () => {
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd']);
+      }
+      if (String(url).includes('open.er-api.com')) {
+        return Response.json({ rates: {} });
+      }
+      throw new Error('Unexpected upstream request');
+    });
+
+    const response = await worker.fetch(streamRequest('xyz'), env, ctx);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('invalid vs_currency');
+  });
+
+  it('should return 503 when the first snapshot cannot be fetched', async () => {
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd']);
+      }
+      return new Response('Server Error', { status: 500 });
+    });
+
+    const response = await worker.fetch(streamRequest('usd'), env, ctx);
+
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://tbog.github.io');
+  });
+});
+
+describe('Historical Price Lookup', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  // 2021-03-14 15:30 UTC and the hourly points CoinGecko returns for that day
+  const timestamp = Date.UTC(2021, 2, 14, 15, 30);
+  const dayStart = Date.UTC(2021, 2, 14);
+  const rangePrices = [
+    [Date.UTC(2021, 2, 14, 15, 0), 60000],
+    [Date.UTC(2021, 2, 14, 16, 0), 61000],
+    [Date.UTC(2021, 2, 14, 15, 20), 60500]
+  ];
+
+  const historyRequest = (query) => new Request(`http://localhost/api/historical-price?${query}`, {
+    headers: { 'Origin': 'https://tbog.github.io' }
+  });
+
+  let upstreamUrls;
+
+  // CoinGecko supports usd and eur; range and history answer with the given bodies
+  const stubUpstream = ({ range = { prices: rangePrices }, history = null, rates = { RON: 4.5 } } = {}) => {
+    vi.stubGlobal('fetch', async (url) => {
+      upstreamUrls.push(String(url));
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      if (String(url).includes('open.er-api.com')) {
+        return Response.json({ rates });
+      }
+      if (String(url).includes('/market_chart/range')) {
+        return range ? Response.json(range) : new Response('Unauthorized', { status: 401 });
+      }
+      if (String(url).includes('/history')) {
+        return history ? Response.json(history) : new Response('Server Error', { status: 500 });
+      }
+      throw new Error(`Unexpected upstream request: ${url}`);
+    });
+  };
+
+  beforeEach(() => {
+    upstreamUrls = [];
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async () => {}
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should return the range point closest to the timestamp and cache past days long-term', async () => {
+    stubUpstream();
+
+    const response = await worker.fetch(historyRequest(`coin=bitcoin&vs_currency=EUR&timestamp=${timestamp}`), {}, ctx);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      coin: 'bitcoin',
+      currency: 'eur',
+      timestamp,
+      price: 60500,
+      priceTimestamp: Date.UTC(2021, 2, 14, 15, 20),
+      source: 'market_chart/range'
+    });
+    expect(response.headers.get('Cache-Control')).toBe('public, max-age=2592000');
+    expect(upstreamUrls).toContain(`https://api.coingecko.com/api/v3/coins/bitcoin/market_chart/range?vs_currency=eur&from=${dayStart / 1000}&to=${dayStart / 1000 + 86400}`);
+  });
+
+  it('should fall back to the daily history snapshot', async () => {
+    stubUpstream({ range: null, history: { market_data: { current_price: { usd: 59000, eur: 49500 } } } });
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await worker.fetch(historyRequest(`vs_currency=eur&timestamp=${timestamp}`), {}, ctx);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ price: 49500, priceTimestamp: dayStart, source: 'history' });
+    expect(upstreamUrls).toContain('https://api.coingecko.com/api/v3/coins/bitcoin/history?date=14-03-2021&localization=false');
+    consoleWarn.mockRestore();
+  });
+
+  it('should convert prices for currencies CoinGecko does not support', async () => {
+    stubUpstream();
+
+    const response = await worker.fetch(historyRequest(`vs_currency=ron&timestamp=${timestamp}`), {}, ctx);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).price).toBe(60500 * 4.5);
+    expect(response.headers.get('X-Currency-Converted')).toBe('USD -> RON');
+    expect(response.headers.get('Cache-Control')).toBe('public, max-age=3600');
+    expect(upstreamUrls.some(url => url.includes('/market_chart/range?vs_currency=usd'))).toBe(true);
+  });
+
+  it('should convert at the stored rate of that day when the history covers it', async () => {
+    stubUpstream();
+    const db = createMockRatesDB([
+      { date: '2021-03-13', currency: 'RON', rate: 4 },
+      { date: '2021-03-14', currency: 'RON', rate: 4.1 }
+    ]);
+
+    const response = await worker.fetch(historyRequest(`vs_currency=ron&timestamp=${timestamp}`), { DB: db }, ctx);
+
+    expect((await response.json()).price).toBeCloseTo(60500 * 4.1, 6);
+    expect(response.headers.get('X-Conversion-Mode')).toBe('historical');
+    expect(response.headers.get('X-Exchange-Rate')).toBe('4.1');
+    expect(response.headers.get('Cache-Control')).toBe('public, max-age=2592000');
+  });
+
+  it('should return 404 when CoinGecko has no price for the day', async () => {
+    stubUpstream({ range: { prices: [] }, history: { id: 'bitcoin' } });
+
+    const response = await worker.fetch(historyRequest('timestamp=1230768000000'), {}, ctx);
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error).toBe('No price data');
+  });
+
+  it('should return 503 when neither endpoint answers', async () => {
+    stubUpstream({ range: null, history: null });
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await worker.fetch(historyRequest(`timestamp=${timestamp}`), {}, ctx);
+
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://tbog.github.io');
+    consoleWarn.mockRestore();
+    consoleError.mockRestore();
+  });
+
+  it('should reject missing, invalid and future timestamps and unsupported coins', async () => {
+    stubUpstream();
+
+    for (const query of ['', 'timestamp=abc', `timestamp=${Date.now() + 86400000}`]) {
+      const response = await worker.fetch(historyRequest(query), {}, ctx);
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe('invalid timestamp');
+    }
+
+    const response = await worker.fetch(historyRequest(`coin=notacoin&timestamp=${timestamp}`), {}, ctx);
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('invalid coin id');
+    expect(upstreamUrls.some(url => url.includes('/market_chart/range'))).toBe(false);
+  });
+});
+
+describe('Scheduled Exchange Rate Recording', () => {
+  const ctx = { waitUntil: (promise) => promise };
+  const published = Date.UTC(2026, 9, 19, 0, 2) / 1000;
+  let rateRequests;
+
+  beforeEach(() => {
+    rateRequests = 0;
+    // The edge cache holds the rates, as on a day whose requests were all cache hits
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => Response.json({ rates: { USD: 1, RON: 4.5 } }),
+        put: async () => {}
+      }
+    });
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('open.er-api.com')) {
+        rateRequests++;
+        return Response.json({ result: 'success', time_last_update_unix: published, rates: { USD: 1, RON: 4.6, EUR: 0.92 } });
+      }
+      throw new Error(`Unexpected request: ${url}`);
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should record the day of the published rates even when the cache would serve them', async () => {
+    const rows = [];
+
+    expect(await handleScheduled({}, { DB: createMockRatesDB(rows) }, ctx)).toEqual({ recorded: 3 });
+    expect(rateRequests).toBe(1);
+    expect(rows).toEqual([
+      { date: '2026-10-19', currency: 'USD', rate: 1 },
+      { date: '2026-10-19', currency: 'RON', rate: 4.6 },
+      { date: '2026-10-19', currency: 'EUR', rate: 0.92 }
+    ]);
+
+    // Later runs on the same day find the day recorded
+    expect(await handleScheduled({}, { DB: createMockRatesDB(rows) }, ctx)).toEqual({ recorded: 0 });
+    expect(rows).toHaveLength(3);
+  });
+
+  it('should run from the cron trigger', async () => {
+    const rows = [];
+    const pending = [];
+
+    await worker.scheduled({ cron: '0 */6 * * *' }, { DB: createMockRatesDB(rows) }, { waitUntil: (promise) => pending.push(promise) });
+    await Promise.all(pending);
+
+    expect(rows).toHaveLength(3);
+  });
+
+  it('should skip without a D1 binding and throw when the rates cannot be fetched', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await handleScheduled({}, {}, ctx)).toEqual({ recorded: 0 });
+    expect(rateRequests).toBe(0);
+
+    vi.stubGlobal('fetch', async () => new Response('Too Many Requests', { status: 429 }));
+    await expect(handleScheduled({}, { DB: createMockRatesDB([]) }, ctx)).rejects.toThrow('Exchange rate API responded with status 429');
+
+    consoleWarn.mockRestore();
+    consoleError.mockRestore();
+  });
+});
+
+describe('Aggregated Price', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  const priceRequest = (path) => new Request(`http://localhost${path}`, {
+    headers: { 'Origin': 'https://tbog.github.io' }
+  });
+
+  const adminRequest = (path, token) => new Request(`http://localhost${path}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+
+  let upstreamUrls;
+
+  // CoinGecko supports usd and eur; each source answers with the given price or fails when null
+  const stubSources = ({ coingecko = 64000, coinbase = 64100, kraken = 63950, bitstamp = 64020, rates = { RON: 4.5 } } = {}) => {
+    const fail = (name) => new Response(`${name} unavailable`, { status: 503 });
+    vi.stubGlobal('fetch', async (url) => {
+      upstreamUrls.push(String(url));
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      if (String(url).includes('open.er-api.com')) {
+        return Response.json({ rates });
+      }
+      if (String(url).includes('api.coingecko.com/api/v3/simple/price')) {
+        const coinId = new URL(String(url)).searchParams.get('ids');
+        const currency = new URL(String(url)).searchParams.get('vs_currencies');
+        return coingecko === null ? fail('CoinGecko') : Response.json({ [coinId]: { [currency]: coingecko, last_updated_at: 1700000000 } });
+      }
+      if (String(url).includes('api.coinbase.com')) {
+        return coinbase === null ? fail('Coinbase') : Response.json({ data: { amount: String(coinbase) } });
+      }
+      if (String(url).includes('api.kraken.com')) {
+        return kraken === null ? fail('Kraken') : Response.json({ error: [], result: { PAIR: { c: [String(kraken), '1'] } } });
+      }
+      if (String(url).includes('bitstamp.net')) {
+        return bitstamp === null ? fail('Bitstamp') : Response.json({ last: String(bitstamp), timestamp: '1700000100' });
+      }
+      throw new Error(`Unexpected upstream request: ${url}`);
+    });
+  };
+
+  beforeEach(() => {
+    upstreamUrls = [];
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async () => {}
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should return the median of the sources with their quotes', async () => {
+    stubSources();
+
+    const response = await worker.fetch(priceRequest('/api/price?coin=bitcoin&vs_currency=USD'), {}, ctx);
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body).toMatchObject({ coin: 'bitcoin', currency: 'usd', price: 64010, failedSources: [] });
+    expect(body.sources.map(source => source.id)).toEqual(['coingecko', 'coinbase', 'kraken', 'bitstamp']);
+    expect(response.headers.get('X-Price-Sources')).toBe('coingecko,coinbase,kraken,bitstamp');
+    expect(response.headers.get('X-Price-Divergence')).toBe('0.14');
+    expect(response.headers.get('X-Price-Divergence-Warning')).toBeNull();
+    expect(response.headers.get('Cache-Control')).toBe('public, max-age=30');
+    expect(response.headers.get('Access-Control-Expose-Headers')).toContain('X-Price-Divergence-Warning');
+    expect(upstreamUrls).toContain('https://api.kraken.com/0/public/Ticker?pair=XBTUSD');
+  });
+
+  it('should warn when the sources disagree beyond the threshold', async () => {
+    stubSources({ kraken: 66000 });
+
+    const response = await worker.fetch(priceRequest('/api/price?coin=ethereum'), {}, ctx);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).price).toBe(64060);
+    expect(response.headers.get('X-Price-Divergence')).toBe('3.03');
+    expect(response.headers.get('X-Price-Divergence-Warning')).toContain('disagree by up to 3.03%');
+  });
+
+  it('should leave out failing sources and only ask the sources that quote the currency', async () => {
+    stubSources({ coinbase: null });
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await worker.fetch(priceRequest('/api/price?coin=solana&vs_currency=eur'), {}, ctx);
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.price).toBe(64000);
+    expect(body.failedSources).toEqual([{ id: 'coinbase', name: 'Coinbase', error: 'Coinbase API request failed: 503' }]);
+    expect(response.headers.get('X-Price-Sources')).toBe('coingecko,kraken,bitstamp');
+    consoleError.mockRestore();
+  });
+
+  it('should convert from USD for currencies no source quotes', async () => {
+    stubSources();
+
+    const response = await worker.fetch(priceRequest('/api/price?coin=litecoin&vs_currency=ron'), {}, ctx);
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.price).toBeCloseTo(64010 * 4.5, 6);
+    expect(body.sources[0].price).toBeCloseTo(64000 * 4.5, 6);
+    expect(response.headers.get('X-Currency-Converted')).toBe('USD -> RON');
+    expect(response.headers.get('X-Conversion-Mode')).toBe('current');
+    expect(upstreamUrls.some(url => url.includes('vs_currencies=usd'))).toBe(true);
+  });
+
+  it('should return 503 when no source answers', async () => {
+    stubSources({ coingecko: null, coinbase: null, kraken: null, bitstamp: null });
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await worker.fetch(priceRequest('/api/price?coin=cardano'), {}, ctx);
+
+    expect(response.status).toBe(503);
+    expect((await response.json()).error).toBe('Price temporarily unavailable');
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://tbog.github.io');
+    consoleError.mockRestore();
+  });
+
+  it('should reject unsupported coins', async () => {
+    stubSources();
+
+    const response = await worker.fetch(priceRequest('/api/price?coin=notacoin'), {}, ctx);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('invalid coin id');
+    expect(upstreamUrls.some(url => url.includes('simple/price') || !url.includes('coingecko'))).toBe(false);
+  });
+
+  it('should report the enabled sources and their health', async () => {
+    stubSources({ bitstamp: null });
+    await worker.fetch(priceRequest('/api/price?coin=ripple'), {}, ctx);
+
+    const response = await worker.fetch(adminRequest('/api/price-sources', 'read-token'), { PRICE_SOURCES: 'coingecko,bitstamp', ADMIN_READ_TOKEN: 'read-token' }, ctx);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Cache-Control')).toBe('no-store');
+    const body = await response.json();
+    expect(body.enabled).toEqual(['coingecko', 'bitstamp']);
+    expect(body.divergenceThreshold).toBe(1);
+    expect(body.health.bitstamp).toMatchObject({ status: 'degraded', lastError: 'Bitstamp API request failed: 503' });
+    expect(body.health.coinbase.status).toBe('healthy');
+  });
+
+  it('should refuse the source health to callers without admin credentials', async () => {
+    stubSources();
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const env = { ADMIN_READ_TOKEN: 'read-token' };
+
+    const fromPage = await worker.fetch(priceRequest('/api/price-sources'), env, ctx);
+    const wrongToken = await worker.fetch(adminRequest('/api/price-sources', 'read-tokem'), env, ctx);
+    const unconfigured = await worker.fetch(adminRequest('/api/price-sources', 'read-token'), {}, ctx);
+
+    expect(fromPage.status).toBe(401);
+    expect(fromPage.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(await fromPage.json()).not.toHaveProperty('health');
+    expect(wrongToken.status).toBe(401);
+    expect(unconfigured.status).toBe(503);
+    consoleWarn.mockRestore();
+  });
+});
+
+describe('Rate Limiting', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  const clientRequest = (path, ip = '203.0.113.7') => new Request(`http://localhost${path}`, {
+    headers: { 'Origin': 'https://tbog.github.io', 'CF-Connecting-IP': ip }
+  });
+
+  let aiCalls;
+  let cachedResponses;
+  let env;
+
+  beforeEach(() => {
+    aiCalls = 0;
+    cachedResponses = [];
+    env = {
+      RATE_LIMITER: createMockNamespace(),
+      RATE_LIMIT_AI_SUMMARY: '2',
+      AI: {
+        run: async () => {
+          aiCalls++;
+          return { response: 'Bitcoin rose.' };
+        }
+      }
+    };
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async (key, response) => {
+          cachedResponses.push(response);
+        }
+      }
+    });
+    vi.stubGlobal('fetch', async (url) => {
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      return Response.json({ prices: [[1700000000000, 64000], [1700003600000, 65000]] });
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should answer 429 with Retry-After once a client has used its bucket', async () => {
+    const first = await worker.fetch(clientRequest('/ai/summary'), env, ctx);
+    const second = await worker.fetch(clientRequest('/ai/summary'), env, ctx);
+    const limited = await worker.fetch(clientRequest('/ai/summary'), env, ctx);
+
+    expect(first.status).toBe(200);
+    expect(first.headers.get('X-RateLimit-Limit')).toBe('2');
+    expect(first.headers.get('X-RateLimit-Remaining')).toBe('1');
+    expect(second.headers.get('X-RateLimit-Remaining')).toBe('0');
+
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBe('30');
+    expect(limited.headers.get('X-RateLimit-Reset')).toBe('60');
+    expect(limited.headers.get('Access-Control-Allow-Origin')).toBe('https://tbog.github.io');
+    expect(limited.headers.get('Access-Control-Expose-Headers')).toContain('X-RateLimit-Remaining');
+    expect(limited.headers.get('Access-Control-Expose-Headers')).toContain('Retry-After');
+    expect((await limited.json()).error).toBe('Too Many Requests');
+    expect(aiCalls).toBe(2);
+  });
+
+  it('should keep separate buckets per client and route group', async () => {
+    await worker.fetch(clientRequest('/ai/summary'), env, ctx);
+    await worker.fetch(clientRequest('/ai/summary'), env, ctx);
+
+    const otherClient = await worker.fetch(clientRequest('/ai/summary', '198.51.100.2'), env, ctx);
+    const otherRoute = await worker.fetch(clientRequest('/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=1'), env, ctx);
+
+    expect(otherClient.status).toBe(200);
+    expect(otherRoute.status).toBe(200);
+    expect(otherRoute.headers.get('X-RateLimit-Limit')).toBe('60');
+    expect(otherRoute.headers.get('X-RateLimit-Remaining')).toBe('59');
+    // The edge-cached copy is shared by all clients, so it carries no rate limit headers
+    expect(cachedResponses.at(-1).headers.get('X-RateLimit-Limit')).toBeNull();
+  });
+
+  it('should apply to requests that skip the origin check', async () => {
+    env.RATE_LIMIT_AI_SUMMARY = '1';
+    const bypass = () => new Request('http://localhost/ai/summary?origin', { headers: { 'CF-Connecting-IP': '203.0.113.7' } });
+
+    expect((await worker.fetch(bypass(), env, ctx)).status).toBe(200);
+    expect((await worker.fetch(bypass(), env, ctx)).status).toBe(429);
+  });
+
+  it('should serve requests when the limiter fails or the limit is 0', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = {
+      ...env,
+      RATE_LIMITER: {
+        idFromName: (name) => name,
+        get: () => ({ fetch: async () => { throw new Error('Durable Object unavailable'); } })
+      }
+    };
+
+    const failedOpen = await worker.fetch(clientRequest('/ai/summary'), failing, ctx);
+    expect(failedOpen.status).toBe(200);
+    expect(failedOpen.headers.get('X-RateLimit-Limit')).toBeNull();
+    expect(consoleError).toHaveBeenCalledWith('Rate limit check failed:', expect.any(Error));
+    consoleError.mockRestore();
+
+    env.RATE_LIMIT_AI_SUMMARY = '0';
+    for (let i = 0; i < 3; i++) {
+      expect((await worker.fetch(clientRequest('/ai/summary'), env, ctx)).status).toBe(200);
+    }
+  });
+});
+
+describe('Coin Validation', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  const originRequest = (path) => new Request(`http://localhost${path}`, {
+    headers: { 'Origin': 'https://tbog.github.io' }
+  });
+
+  let upstreamUrls;
+
+  beforeEach(() => {
+    upstreamUrls = [];
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async () => {}
+      }
+    });
+    vi.stubGlobal('fetch', async (url) => {
+      upstreamUrls.push(String(url));
+      if (String(url).includes('supported_vs_currencies')) {
+        return Response.json(['usd', 'eur']);
+      }
+      if (String(url).includes('/simple/price')) {
+        return Response.json({ ethereum: { usd: 3000, last_updated_at: 1700000000 } });
+      }
+      return Response.json({ prices: [[1700000000000, 2900], [1700003600000, 3000]] });
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should reject unsupported coin ids in proxied paths without calling upstream', async () => {
+    const response = await worker.fetch(originRequest('/api/v3/coins/notacoin/market_chart?vs_currency=usd&days=1'), {}, ctx);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('invalid coin id');
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://tbog.github.io');
+    expect(upstreamUrls).toHaveLength(0);
+  });
+
+  it('should reject unsupported coin ids in the ids parameter', async () => {
+    const response = await worker.fetch(originRequest('/api/v3/simple/price?ids=ethereum,notacoin&vs_currencies=usd'), {}, ctx);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain("'notacoin'");
+  });
+
+  it('should proxy supported coins', async () => {
+    const response = await worker.fetch(originRequest('/api/v3/simple/price?ids=ethereum&vs_currencies=usd'), {}, ctx);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).ethereum.usd).toBe(3000);
+    expect(upstreamUrls).toContain('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd');
+  });
+
+  it('should stream the requested coin', async () => {
+    const response = await worker.fetch(
+      originRequest('/api/price-stream?vs_currency=usd&coin=ethereum'),
+      { PRICE_STREAM_DURATION: '0' },
+      ctx
+    );
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('"price":3000');
+    expect(upstreamUrls).toContain('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd&include_last_updated_at=true');
+
+    const rejected = await worker.fetch(originRequest('/api/price-stream?vs_currency=usd&coin=notacoin'), {}, ctx);
+    expect(rejected.status).toBe(400);
+  });
+
+  it('should summarize the requested coin', async () => {
+    let prompt;
+    const env = {
+      AI: {
+        run: async (model, options) => {
+          prompt = options.messages;
+          return { response: 'Ethereum rose.' };
+        }
+      }
+    };
+
+    const response = await worker.fetch(originRequest('/ai/summary?period=24h&coin=ethereum'), env, ctx);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('X-Summary-Coin')).toBe('ethereum');
+    expect((await response.json()).coin).toBe('ethereum');
+    expect(prompt[0].content).toContain('Ethereum price data');
+    expect(prompt[1].content).toContain('Ethereum (ETH) Price Analysis');
+    expect(upstreamUrls).toContain('https://api.coingecko.com/api/v3/coins/ethereum/market_chart?vs_currency=usd&days=1');
+
+    const rejected = await worker.fetch(originRequest('/ai/summary?coin=notacoin'), env, ctx);
+    expect(rejected.status).toBe(400);
+  });
+});
+
+describe('Price Alert Registration', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  // In-memory D1 covering the registration and audit statements
+  const createMockD1 = () => {
+    const alerts = new Map();
+    const audit = [];
+    const execute = (sql, params) => {
+      if (sql.includes('INSERT INTO admin_audit_log')) {
+        const [createdAt, worker, action, scope, requiredScope, authMethod, method, path, status] = params;
+        audit.push({ createdAt, worker, action, scope, requiredScope, authMethod, method, path, status });
+        return { meta: { changes: 1 } };
+      }
+      if (sql.includes('SELECT COUNT(*)')) {
+        return { total: alerts.size };
+      }
+      if (sql.includes('INSERT INTO price_alerts')) {
+        const [id, coin, currency, condition, threshold, webhookUrl, mode, cooldownSeconds, createdAt] = params;
+        alerts.set(id, { id, coin, currency, condition, threshold, webhookUrl, mode, cooldownSeconds, active: 1, lastTriggeredAt: null, createdAt });
+        return { meta: { changes: 1 } };
+      }
+      if (sql.includes('SELECT * FROM price_alerts')) {
+        return { results: [...alerts.values()] };
+      }
+      if (sql.includes('DELETE FROM price_alerts')) {
+        return { meta: { changes: alerts.delete(params[0]) ? 1 : 0 } };
+      }
+      if (sql.includes('DELETE FROM alert_deliveries')) {
+        return { meta: { changes: 0 } };
+      }
+      throw new Error(`Unexpected SQL in mock: ${sql}`);
+    };
+    return {
+      _alerts: alerts,
+      _audit: audit,
+      prepare: (sql) => {
+        const statement = {
+          _params: [],
+          bind: (...params) => {
+            statement._params = params;
+            return statement;
+          },
+          run: async () => execute(sql, statement._params),
+          all: async () => execute(sql, statement._params),
+          first: async () => execute(sql, statement._params)
+        };
+        return statement;
+      },
+      batch: async (statements) => Promise.all(statements.map(statement => statement.run()))
+    };
+  };
+
+  const alertsRequest = (path, { method = 'GET', token = 'secret-token', body } = {}) => new Request(`http://localhost${path}`, {
+    method,
+    headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const validAlert = {
+    currency: 'usd',
+    condition: 'above',
+    threshold: 70000,
+    webhookUrl: 'https://example.com/hook'
+  };
+
+  let env;
+
+  beforeEach(() => {
+    env = { DB: createMockD1(), ALERTS_API_TOKEN: 'secret-token' };
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async () => {}
+      }
+    });
+    vi.stubGlobal('fetch', async () => Response.json(['usd', 'eur']));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should return 503 when no token is configured', async () => {
+    const response = await worker.fetch(alertsRequest('/api/alerts'), { DB: env.DB }, ctx);
+    expect(response.status).toBe(503);
+  });
+
+  it('should reject missing or wrong bearer tokens', async () => {
+    const missing = await worker.fetch(alertsRequest('/api/alerts', { token: null }), env, ctx);
+    const wrong = await worker.fetch(alertsRequest('/api/alerts', { token: 'secret-tokem' }), env, ctx);
+
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect(wrong.status).toBe(401);
+  });
+
+  it('should register, list and delete alerts without an Origin header', async () => {
+    const created = await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', body: validAlert }), env, ctx);
+    expect(created.status).toBe(201);
+    const alert = await created.json();
+    expect(alert).toMatchObject({ ...validAlert, mode: 'once', cooldownSeconds: 3600, active: true });
+
+    const listed = await worker.fetch(alertsRequest('/api/alerts'), env, ctx);
+    expect((await listed.json()).alerts.map(a => a.id)).toEqual([alert.id]);
+
+    const deleted = await worker.fetch(alertsRequest(`/api/alerts/${alert.id}`, { method: 'DELETE' }), env, ctx);
+    expect(deleted.status).toBe(204);
+    expect(env.DB._alerts.size).toBe(0);
+
+    const missing = await worker.fetch(alertsRequest(`/api/alerts/${alert.id}`, { method: 'DELETE' }), env, ctx);
+    expect(missing.status).toBe(404);
+
+    expect(env.DB._audit.map(row => [row.action, row.scope, row.status])).toEqual([
+      ['alerts.create', 'operator', 201],
+      ['alerts.list', 'operator', 200],
+      ['alerts.delete', 'operator', 204],
+      ['alerts.delete', 'operator', 404]
+    ]);
+  });
+
+  it('should let the read token list alerts but not change them', async () => {
+    env = { DB: env.DB, ADMIN_OPERATOR_TOKEN: 'operator-token', ADMIN_READ_TOKEN: 'read-token' };
+
+    const listed = await worker.fetch(alertsRequest('/api/alerts', { token: 'read-token' }), env, ctx);
+    const refused = await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', token: 'read-token', body: validAlert }), env, ctx);
+    const created = await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', token: 'operator-token', body: validAlert }), env, ctx);
+
+    expect(listed.status).toBe(200);
+    expect(refused.status).toBe(403);
+    expect(created.status).toBe(201);
+    expect(env.DB._alerts.size).toBe(1);
+    expect(env.DB._audit.map(row => [row.action, row.scope, row.requiredScope, row.status])).toEqual([
+      ['alerts.list', 'read', 'read', 200],
+      ['alerts.create', 'read', 'operator', 403],
+      ['alerts.create', 'operator', 'operator', 201]
+    ]);
+  });
+
+  it('should reject invalid alerts with 400', async () => {
+    const response = await worker.fetch(alertsRequest('/api/alerts', {
+      method: 'POST',
+      body: { ...validAlert, webhookUrl: 'http://example.com/hook' }
+    }), env, ctx);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toMatch(/https/);
+  });
+
+  it('should store the coin of an alert and reject unsupported coins', async () => {
+    const created = await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', body: { ...validAlert, coin: 'ethereum', threshold: 4000 } }), env, ctx);
+    const rejected = await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', body: { ...validAlert, coin: 'notacoin' } }), env, ctx);
+
+    expect(created.status).toBe(201);
+    expect(await created.json()).toMatchObject({ coin: 'ethereum', threshold: 4000 });
+    expect([...env.DB._alerts.values()].map(alert => alert.coin)).toEqual(['ethereum']);
+    expect(rejected.status).toBe(400);
+    expect((await rejected.json()).message).toMatch(/Coin 'notacoin' is not supported/);
+  });
+
+  it('should enforce the alert limit', async () => {
+    env.MAX_PRICE_ALERTS = '1';
+    await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', body: validAlert }), env, ctx);
+
+    const response = await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', body: validAlert }), env, ctx);
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should rate limit credential checks in their own group', async () => {
+    env = { ...env, RATE_LIMITER: createMockNamespace(), RATE_LIMIT_ADMIN: '2' };
+    const guess = (token) => alertsRequest('/api/alerts', { token });
+
+    const first = await worker.fetch(guess('guess-1'), env, ctx);
+    const second = await worker.fetch(guess('guess-2'), env, ctx);
+    // Even the right token is refused once the bucket is empty
+    const limited = await worker.fetch(alertsRequest('/api/alerts', { method: 'POST', body: validAlert }), env, ctx);
+
+    expect([first.status, second.status]).toEqual([401, 401]);
+    expect(second.headers.get('X-RateLimit-Remaining')).toBe('0');
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBe('30');
+    expect(limited.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(env.DB._alerts.size).toBe(0);
+    expect(env.DB._audit).toHaveLength(0);
+    expect([...env.RATE_LIMITER._objects.keys()]).toEqual(['unknown:admin']);
+  });
+});
+
 describe('Bitcoin News Feed Feature - Scheduled Worker Architecture', () => {
   describe('Cache Configuration', () => {
     it('should use 1-minute cache for Bitcoin news', () => {
@@ -52,6 +52,7 @@ import {
   rowToArticle,
   getAllArticles
 } from '../shared/d1-utils.js';
+import { ADMIN_SCOPES, handleAdminRequest } from '../shared/admin-auth.js';
 
 
 
@@ -959,12 +960,31 @@ async function handleScheduled(event, env) {
 /**
  * Handle HTTP GET requests to process a specific article on demand
  * URL: /process?articleId=<id>
+ * Processing spends AI neurons, so the route requires the operator admin scope
+ * (see shared/admin-auth.js) and every call is audited.
  * 
  * @param {Request} request - HTTP request
  * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
  * @returns {Promise<Response>} JSON response with processing result
  */
-async function handleFetch(request, env) {
+async function handleFetch(request, env, ctx) {
+  return handleAdminRequest(request, env, ctx, {
+    worker: 'news-processor',
+    action: 'articles.process',
+    scope: ADMIN_SCOPES.OPERATOR
+  }, () => processArticleOnDemand(request, env));
+}
+
+/**
+ * Process or inspect one article for an authorized on-demand request
+ * Query parameters: articleId (required), force (reprocess), text (return the extracted text, "debug" for tags)
+ * 
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response>} JSON response with processing result
+ */
+async function processArticleOnDemand(request, env) {
   const config = getNewsProcessorConfig(env);
   
   try {
@@ -976,8 +996,7 @@ async function handleFetch(request, env) {
       }), {
         status: 405,
         headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          'Content-Type': 'application/json'
         }
       });
     }
@@ -995,8 +1014,7 @@ async function handleFetch(request, env) {
       }), {
         status: 400,
         headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          'Content-Type': 'application/json'
         }
       });
     }
@@ -1013,8 +1031,7 @@ async function handleFetch(request, env) {
       }), {
         status: 404,
         headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          'Content-Type': 'application/json'
         }
       });
     }
@@ -1034,8 +1051,7 @@ async function handleFetch(request, env) {
       }), {
         status: 200,
         headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          'Content-Type': 'application/json'
         }
       });
     }
@@ -1051,8 +1067,7 @@ async function handleFetch(request, env) {
       }), {
         status: 200,
         headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          'Content-Type': 'application/json'
         }
       });
     }
@@ -1087,8 +1102,7 @@ async function handleFetch(request, env) {
     }), {
       status: 200,
       headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Content-Type': 'application/json'
       }
     });
     
@@ -1100,8 +1114,7 @@ async function handleFetch(request, env) {
     }), {
       status: 500,
       headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Content-Type': 'application/json'
       }
     });
   }
@@ -1125,6 +1138,6 @@ export default {
   },
   
   async fetch(request, env, ctx) {
-    return handleFetch(request, env);
+    return handleFetch(request, env, ctx);
   }
 };
@@ -3,8 +3,8 @@
  * Tests for TextExtractor debug functionality
  */
 
-import { describe, it, expect } from 'vitest';
-import { TextExtractor, fetchArticleContent } from './index.js';
+import { describe, it, expect, vi } from 'vitest';
+import worker, { TextExtractor, fetchArticleContent } from './index.js';
 import { decodeHTMLEntities } from '../shared/constants.js';
 
 describe('TextExtractor - Debug Mode Functionality', () => {
@@ -801,3 +801,53 @@ describe('Circuit Breaker - Critical Section Isolation', () => {
   });
 });
 
+
+describe('On-demand Processing - Admin Auth', () => {
+  const ctx = { waitUntil: (promise) => promise };
+
+  // D1 that only accepts audit rows: any article query means the route ran
+  const createAuditOnlyD1 = () => {
+    const audit = [];
+    return {
+      _audit: audit,
+      prepare: (sql) => ({
+        bind: (...params) => ({
+          run: async () => {
+            if (!sql.includes('INSERT INTO admin_audit_log')) {
+              throw new Error(`Unexpected SQL: ${sql}`);
+            }
+            audit.push(params);
+            return { meta: { changes: 1 } };
+          },
+          first: async () => {
+            throw new Error(`Unexpected SQL: ${sql}`);
+          }
+        })
+      })
+    };
+  };
+
+  const processRequest = (token) => new Request('https://processor.example/process?articleId=a1&force', {
+    headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+  });
+
+  it('should require the operator scope before touching any article', async () => {
+    const env = { DB: createAuditOnlyD1(), ADMIN_OPERATOR_TOKEN: 'operator-token', ADMIN_READ_TOKEN: 'read-token' };
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const anonymous = await worker.fetch(processRequest(null), env, ctx);
+    const readOnly = await worker.fetch(processRequest('read-token'), env, ctx);
+
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(readOnly.status).toBe(403);
+    expect(env.DB._audit).toHaveLength(1);
+    expect(env.DB._audit[0].slice(1, 5)).toEqual(['news-processor', 'articles.process', 'read', 'operator']);
+    consoleWarn.mockRestore();
+  });
+
+  it('should be disabled until an admin token is set', async () => {
+    const response = await worker.fetch(processRequest('anything'), { DB: createAuditOnlyD1() }, ctx);
+    expect(response.status).toBe(503);
+  });
+});
@@ -23,6 +23,7 @@ import {
   getArticleIds, 
   rowsToArticles 
 } from '../shared/d1-utils.js';
+import { ADMIN_SCOPES, handleAdminRequest } from '../shared/admin-auth.js';
 
 /**
  * Fetch and aggregate articles with early-exit optimization
@@ -385,13 +386,26 @@ async function handleScheduled(event, env, ctx) {
  * - Number of articles stored
  * - Number of articles needing processing
  * - Latest 10 articles
+ * Requires the read admin scope (see shared/admin-auth.js); every call is audited.
  * @param {Request} request - HTTP request
  * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
  * @returns {Promise<Response>} JSON response with database statistics
  */
-async function handleFetch(request, env) {
-  const config = getNewsUpdaterConfig(env);
-  
+async function handleFetch(request, env, ctx) {
+  return handleAdminRequest(request, env, ctx, {
+    worker: 'news-updater',
+    action: 'stats.read',
+    scope: ADMIN_SCOPES.READ
+  }, () => getDatabaseStats(env));
+}
+
+/**
+ * Read the article statistics for an authorized request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response>} JSON response with database statistics
+ */
+async function getDatabaseStats(env) {
   try {
     // Get article counts from D1
     const countsResult = await env.DB.prepare(`
@@ -422,8 +436,7 @@ async function handleFetch(request, env) {
     return new Response(JSON.stringify(response), {
       status: 200,
       headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Content-Type': 'application/json'
       }
     });
   } catch (error) {
@@ -438,8 +451,7 @@ async function handleFetch(request, env) {
     }), {
       status: 500,
       headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Content-Type': 'application/json'
       }
     });
   }
@@ -453,6 +465,6 @@ export default {
   
   async fetch(request, env, ctx) {
     // Handle HTTP requests to provide database statistics
-    return handleFetch(request, env);
+    return handleFetch(request, env, ctx);
   }
 };
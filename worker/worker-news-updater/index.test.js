@@ -0,0 +1,74 @@
+/**
+ * Tests for the News Updater Statistics Route
+ * Checks that the database statistics are only served to admin credentials
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import worker from './index.js';
+
+/**
+ * D1 mock answering the statistics queries and recording the audit rows
+ */
+function createMockD1() {
+  const queries = [];
+  const audit = [];
+  return {
+    _queries: queries,
+    _audit: audit,
+    prepare: (sql) => {
+      const statement = {
+        _params: [],
+        bind: (...params) => {
+          statement._params = params;
+          return statement;
+        },
+        first: async () => {
+          queries.push(sql);
+          return { total: 3, needsProcessing: 1, processed: 2 };
+        },
+        all: async () => {
+          queries.push(sql);
+          return { results: [] };
+        },
+        run: async () => {
+          audit.push(statement._params);
+          return { meta: { changes: 1 } };
+        }
+      };
+      return statement;
+    }
+  };
+}
+
+describe('News Updater Statistics Route', () => {
+  const ctx = {
+    waitUntil: (promise) => promise,
+    passThroughOnException: () => {}
+  };
+
+  const statsRequest = (token) => new Request('http://localhost/', {
+    headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+  });
+
+  it('should refuse a call without credentials before reading the database', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const env = { DB: createMockD1(), ADMIN_READ_TOKEN: 'read-token' };
+
+    const response = await worker.fetch(statsRequest(null), env, ctx);
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect(env.DB._queries).toHaveLength(0);
+    consoleWarn.mockRestore();
+  });
+
+  it('should serve the statistics to the read scope and audit the call', async () => {
+    const env = { DB: createMockD1(), ADMIN_READ_TOKEN: 'read-token' };
+
+    const response = await worker.fetch(statsRequest('read-token'), env, ctx);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ success: true, totalArticles: 3, needsProcessing: 1, processed: 2 });
+    expect(env.DB._audit).toHaveLength(1);
+  });
+});
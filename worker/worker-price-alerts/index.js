@@ -0,0 +1,267 @@
+/**
+ * Scheduled Cloudflare Worker for Server-Side Price Alerts
+ *
+ * This worker runs on a cron schedule (every minute) to:
+ * 1. Evaluate the active alert rules stored in D1 against the cached CoinGecko price of their coin
+ * 2. Queue a delivery for every alert that fired (deduplicated across overlapping runs)
+ * 3. POST queued deliveries to each alert's webhook, retrying failures with exponential backoff
+ *
+ * Alerts are registered through the authenticated /api/alerts route on the API worker.
+ * Prices come from the same edge-cached snapshot as the API worker's price stream, so
+ * evaluation adds at most one CoinGecko call per coin and currency per cache TTL.
+ */
+
+import { getPriceAlertsConfig } from '../shared/constants.js';
+import { fetchCoinPriceSnapshot } from '../shared/coingecko.js';
+import { ADMIN_SCOPES, handleAdminRequest } from '../shared/admin-auth.js';
+import {
+  isAlertTriggered,
+  getActiveAlerts,
+  recordAlertTrigger,
+  getDueDeliveries,
+  updateDelivery,
+  pruneDeliveries,
+  getRetryDelay
+} from '../shared/price-alerts.js';
+
+/**
+ * Evaluate active alerts against the current price
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {Object} config - Configuration object
+ * @param {number} now - Current timestamp (milliseconds)
+ * @returns {Promise<{evaluated: number, triggered: number}>} Evaluation stats
+ */
+async function evaluateAlerts(env, ctx, config, now) {
+  const alerts = await getActiveAlerts(env.DB);
+  let triggered = 0;
+
+  // One price lookup per coin and currency, shared by every alert on that pair
+  const pairKey = alert => `${alert.coin}:${alert.currency}`;
+  const pairs = new Map(alerts.map(alert => [pairKey(alert), alert]));
+  const prices = new Map();
+  for (const [key, { coin, currency }] of pairs) {
+    try {
+      prices.set(key, await fetchCoinPriceSnapshot(env, ctx, coin, currency, config.PRICE_STREAM_SNAPSHOT_TTL));
+    } catch (error) {
+      console.error(`Failed to fetch the ${coin} ${currency} price, skipping its alerts:`, error);
+    }
+  }
+
+  for (const alert of alerts) {
+    const snapshot = prices.get(pairKey(alert));
+    if (!snapshot || !isAlertTriggered(alert, snapshot.price)) {
+      continue;
+    }
+    if (alert.lastTriggeredAt && now - alert.lastTriggeredAt < alert.cooldownSeconds * 1000) {
+      continue;
+    }
+
+    const payload = {
+      alertId: alert.id,
+      coin: alert.coin,
+      currency: alert.currency,
+      condition: alert.condition,
+      threshold: alert.threshold,
+      price: snapshot.price,
+      priceTimestamp: snapshot.timestamp,
+      triggeredAt: now
+    };
+
+    if (await recordAlertTrigger(env.DB, alert, payload, now)) {
+      triggered++;
+      console.log(`Alert ${alert.id} fired: ${alert.coin} ${alert.currency} ${snapshot.price} ${alert.condition} ${alert.threshold}`);
+    }
+  }
+
+  return { evaluated: alerts.length, triggered };
+}
+
+/**
+ * Send one delivery to its webhook and record the outcome
+ * 2xx marks the delivery delivered. Client errors other than 408/429 fail it permanently,
+ * everything else (network errors, timeouts, 5xx) is retried until the attempt limit.
+ * @param {Object} env - Environment variables
+ * @param {Object} config - Configuration object
+ * @param {Object} delivery - Due delivery (see getDueDeliveries)
+ * @returns {Promise<string>} Resulting status: delivered, pending or failed
+ */
+async function deliverWebhook(env, config, delivery) {
+  const attempts = delivery.attempts + 1;
+  let error;
+  let retryable = true;
+
+  try {
+    const response = await fetch(delivery.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'crypto-price-alerts',
+        'X-Alert-Delivery-Id': delivery.id,
+        'X-Alert-Attempt': String(attempts)
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(config.ALERT_WEBHOOK_TIMEOUT)
+    });
+
+    if (response.ok) {
+      await updateDelivery(env.DB, delivery.id, { status: 'delivered', attempts, deliveredAt: Date.now() });
+      return 'delivered';
+    }
+
+    error = `Webhook responded with ${response.status}`;
+    retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+  } catch (fetchError) {
+    error = fetchError.name === 'TimeoutError' ? 'Webhook timed out' : fetchError.message;
+  }
+
+  if (!retryable || attempts >= config.ALERT_MAX_DELIVERY_ATTEMPTS) {
+    console.error(`Delivery ${delivery.id} failed after ${attempts} attempt(s): ${error}`);
+    await updateDelivery(env.DB, delivery.id, { status: 'failed', attempts, lastError: error });
+    return 'failed';
+  }
+
+  console.warn(`Delivery ${delivery.id} attempt ${attempts} failed, retrying: ${error}`);
+  await updateDelivery(env.DB, delivery.id, {
+    status: 'pending',
+    attempts,
+    lastError: error,
+    nextAttemptAt: Date.now() + getRetryDelay(attempts, config.ALERT_RETRY_BASE_DELAY)
+  });
+  return 'pending';
+}
+
+/**
+ * Send the deliveries that are due
+ * @param {Object} env - Environment variables
+ * @param {Object} config - Configuration object
+ * @param {number} now - Current timestamp (milliseconds)
+ * @returns {Promise<{delivered: number, retrying: number, failed: number}>} Delivery stats
+ */
+async function deliverPending(env, config, now) {
+  const deliveries = await getDueDeliveries(env.DB, now, config.ALERT_DELIVERIES_PER_RUN);
+  const stats = { delivered: 0, retrying: 0, failed: 0 };
+
+  for (const delivery of deliveries) {
+    const status = await deliverWebhook(env, config, delivery);
+    if (status === 'delivered') {
+      stats.delivered++;
+    } else if (status === 'pending') {
+      stats.retrying++;
+    } else {
+      stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Main scheduled event handler
+ * Phase 1: Evaluate - Queue deliveries for alerts whose condition is met
+ * Phase 2: Deliver - POST due deliveries (new and retries) to their webhooks
+ * Phase 3: Prune - Drop finished deliveries past the retention window
+ * @param {Event} event - Scheduled event
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} Run stats
+ */
+async function handleScheduled(event, env, ctx) {
+  const config = getPriceAlertsConfig(env);
+  const now = Date.now();
+
+  try {
+    const evaluation = await evaluateAlerts(env, ctx, config, now);
+    const delivery = await deliverPending(env, config, now);
+    const pruned = await pruneDeliveries(env.DB, now - config.ALERT_DELIVERY_RETENTION * 1000);
+
+    const stats = { ...evaluation, ...delivery, pruned };
+    if (evaluation.triggered > 0 || delivery.delivered + delivery.retrying + delivery.failed > 0) {
+      console.log('Price alerts run:', JSON.stringify(stats));
+    }
+    return stats;
+  } catch (error) {
+    console.error('Price alerts run failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * HTTP handler for alert and delivery statistics
+ * Requires the read admin scope (see shared/admin-auth.js); every call is audited.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Response>} JSON statistics
+ */
+async function handleFetch(request, env, ctx) {
+  return handleAdminRequest(request, env, ctx, {
+    worker: 'price-alerts',
+    action: 'stats.read',
+    scope: ADMIN_SCOPES.READ
+  }, () => getAlertStats(env));
+}
+
+/**
+ * Read the alert and delivery statistics for an authorized request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response>} JSON statistics
+ */
+async function getAlertStats(env) {
+  try {
+    const alertCounts = await env.DB.prepare(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN active = 1 THEN 1 ELSE 0 END) as active
+      FROM price_alerts
+    `).first();
+
+    const deliveryCounts = await env.DB.prepare(`
+      SELECT
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+      FROM alert_deliveries
+    `).first();
+
+    const response = {
+      success: true,
+      totalAlerts: alertCounts?.total || 0,
+      activeAlerts: alertCounts?.active || 0,
+      pendingDeliveries: deliveryCounts?.pending || 0,
+      deliveredDeliveries: deliveryCounts?.delivered || 0,
+      failedDeliveries: deliveryCounts?.failed || 0
+    };
+
+    return new Response(JSON.stringify(response), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching alert statistics:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+// Export for testing
+export { evaluateAlerts, deliverWebhook, deliverPending, handleScheduled };
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(handleScheduled(event, env, ctx));
+  },
+
+  async fetch(request, env, ctx) {
+    return handleFetch(request, env, ctx);
+  }
+};
@@ -0,0 +1,320 @@
+/**
+ * Tests for the Price Alerts Worker
+ * Runs the scheduled handler against an in-memory D1 mock, a stubbed CoinGecko price and a
+ * local mock webhook receiver (real HTTP on 127.0.0.1) to check evaluation, dedup, retries
+ * and permanent failures end to end.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { handleScheduled } from './index.js';
+import { recordAlertTrigger } from '../shared/price-alerts.js';
+
+/**
+ * Minimal D1 mock covering the statements issued by shared/price-alerts.js
+ */
+function createMockD1() {
+  const alerts = new Map();
+  const deliveries = new Map();
+
+  const execute = (sql, params) => {
+    if (sql.includes('SELECT * FROM price_alerts WHERE active = 1')) {
+      return { results: [...alerts.values()].filter(alert => alert.active === 1) };
+    }
+    if (sql.includes('INSERT OR IGNORE INTO alert_deliveries')) {
+      const [id, alertId, payload, nextAttemptAt, createdAt, updatedAt] = params;
+      if (deliveries.has(id)) {
+        return { meta: { changes: 0 } };
+      }
+      deliveries.set(id, {
+        id, alertId, payload, status: 'pending', attempts: 0, lastError: null,
+        nextAttemptAt, deliveredAt: null, createdAt, updatedAt
+      });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes('UPDATE price_alerts SET lastTriggeredAt')) {
+      const [lastTriggeredAt, active, updatedAt, id] = params;
+      Object.assign(alerts.get(id), { lastTriggeredAt, active, updatedAt });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes('FROM alert_deliveries d')) {
+      const [now, limit] = params;
+      const due = [...deliveries.values()]
+        .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit)
+        .map(delivery => ({ ...delivery, webhookUrl: alerts.get(delivery.alertId).webhookUrl }));
+      return { results: due };
+    }
+    if (sql.includes('UPDATE alert_deliveries')) {
+      const [status, attempts, lastError, nextAttemptAt, deliveredAt, updatedAt, id] = params;
+      Object.assign(deliveries.get(id), { status, attempts, lastError, nextAttemptAt, deliveredAt, updatedAt });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes('DELETE FROM alert_deliveries WHERE status')) {
+      const [olderThan] = params;
+      let changes = 0;
+      for (const [id, delivery] of deliveries) {
+        if (delivery.status !== 'pending' && delivery.updatedAt < olderThan) {
+          deliveries.delete(id);
+          changes++;
+        }
+      }
+      return { meta: { changes } };
+    }
+    throw new Error(`Unexpected SQL in mock: ${sql}`);
+  };
+
+  const db = {
+    _alerts: alerts,
+    _deliveries: deliveries,
+    prepare: (sql) => {
+      const statement = {
+        _params: [],
+        bind: (...params) => {
+          statement._params = params;
+          return statement;
+        },
+        run: async () => execute(sql, statement._params),
+        all: async () => execute(sql, statement._params),
+        first: async () => execute(sql, statement._params)
+      };
+      return statement;
+    },
+    batch: async (statements) => Promise.all(statements.map(statement => statement.run()))
+  };
+  return db;
+}
+
+describe('Price Alerts Worker', () => {
+  const realFetch = globalThis.fetch;
+  const ctx = { waitUntil: () => {} };
+
+  let server;
+  let webhookUrl;
+  let received;
+  let responseStatuses;
+  let price;
+  let coinPrices;
+  let priceRequests;
+  let db;
+
+  const addAlert = (overrides = {}) => {
+    const alert = {
+      id: `alert-${db._alerts.size + 1}`,
+      coin: 'bitcoin',
+      currency: 'usd',
+      condition: 'above',
+      threshold: 60000,
+      webhookUrl,
+      mode: 'once',
+      cooldownSeconds: 3600,
+      active: 1,
+      lastTriggeredAt: null,
+      createdAt: 1,
+      updatedAt: 1,
+      ...overrides
+    };
+    db._alerts.set(alert.id, alert);
+    return alert;
+  };
+
+  // Make every pending delivery due now (instead of waiting out the backoff)
+  const expireBackoff = () => {
+    for (const delivery of db._deliveries.values()) {
+      delivery.nextAttemptAt = 0;
+    }
+  };
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(responseStatuses.length > 0 ? responseStatuses.shift() : 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatuses = [];
+    price = 65000;
+    coinPrices = {};
+    priceRequests = [];
+    db = createMockD1();
+
+    vi.stubGlobal('caches', {
+      default: {
+        match: async () => undefined,
+        put: async () => {}
+      }
+    });
+    // CoinGecko is stubbed; the local webhook receiver gets real requests
+    vi.stubGlobal('fetch', async (url, init) => {
+      if (String(url).startsWith('https://api.coingecko.com')) {
+        if (price === null) {
+          return new Response('unavailable', { status: 503 });
+        }
+        const params = new URL(url).searchParams;
+        const coin = params.get('ids');
+        const currency = params.get('vs_currencies');
+        priceRequests.push(`${coin}:${currency}`);
+        return Response.json({ [coin]: { [currency]: coinPrices[coin] ?? price, last_updated_at: 1700000000 } });
+      }
+      return realFetch(url, init);
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should deliver a webhook when an alert fires and deactivate one-shot alerts', async () => {
+    const alert = addAlert();
+
+    const stats = await handleScheduled({}, { DB: db }, ctx);
+
+    expect(stats).toMatchObject({ evaluated: 1, triggered: 1, delivered: 1, retrying: 0, failed: 0 });
+    expect(received).toHaveLength(1);
+    expect(received[0].body).toMatchObject({
+      alertId: alert.id,
+      coin: 'bitcoin',
+      currency: 'usd',
+      condition: 'above',
+      threshold: 60000,
+      price: 65000,
+      priceTimestamp: 1700000000000
+    });
+    expect(received[0].headers['x-alert-delivery-id']).toBe(received[0].body.deliveryId);
+    expect(received[0].headers['x-alert-attempt']).toBe('1');
+
+    expect(db._alerts.get(alert.id).active).toBe(0);
+    expect([...db._deliveries.values()][0].status).toBe('delivered');
+
+    // Deactivated, so the next run sends nothing
+    await handleScheduled({}, { DB: db }, ctx);
+    expect(received).toHaveLength(1);
+  });
+
+  it('should evaluate alerts on other coins against the price of their own coin', async () => {
+    coinPrices = { ethereum: 3500, solana: 140 };
+    const ethereum = addAlert({ coin: 'ethereum', threshold: 3000 });
+    addAlert({ coin: 'solana', condition: 'above', threshold: 150 });
+    addAlert({ coin: 'ethereum', currency: 'eur', condition: 'below', threshold: 4000 });
+    addAlert({ coin: 'ethereum', threshold: 3400, mode: 'repeat' });
+
+    const stats = await handleScheduled({}, { DB: db }, ctx);
+
+    // Bitcoin at 65000 would have fired the solana alert; ethereum alerts share one lookup per currency
+    expect(stats).toMatchObject({ evaluated: 4, triggered: 3 });
+    expect(priceRequests.sort()).toEqual(['ethereum:eur', 'ethereum:usd', 'solana:usd']);
+    const payload = received.find(delivery => delivery.body.alertId === ethereum.id).body;
+    expect(payload).toMatchObject({ coin: 'ethereum', currency: 'usd', price: 3500, threshold: 3000 });
+    expect(received.map(delivery => delivery.body.coin)).not.toContain('solana');
+  });
+
+  it('should not fire when the condition is not met', async () => {
+    addAlert({ condition: 'below', threshold: 60000 });
+
+    const stats = await handleScheduled({}, { DB: db }, ctx);
+
+    expect(stats.triggered).toBe(0);
+    expect(received).toHaveLength(0);
+  });
+
+  it('should respect the cooldown of repeating alerts', async () => {
+    const alert = addAlert({ mode: 'repeat', cooldownSeconds: 600 });
+
+    await handleScheduled({}, { DB: db }, ctx);
+    await handleScheduled({}, { DB: db }, ctx);
+    expect(received).toHaveLength(1);
+    expect(db._alerts.get(alert.id).active).toBe(1);
+
+    // Once the cooldown has passed the alert fires again
+    db._alerts.get(alert.id).lastTriggeredAt -= 600 * 1000;
+    await handleScheduled({}, { DB: db }, ctx);
+    expect(received).toHaveLength(2);
+  });
+
+  it('should queue a firing only once when overlapping runs see the same alert state', async () => {
+    // Both runs read the alert before either recorded the firing
+    const seenByBothRuns = { ...addAlert() };
+    const now = Date.now();
+
+    expect(await recordAlertTrigger(db, seenByBothRuns, { price: 65000 }, now)).toBe(true);
+    expect(await recordAlertTrigger(db, seenByBothRuns, { price: 65100 }, now + 1000)).toBe(false);
+    expect(db._deliveries.size).toBe(1);
+  });
+
+  it('should retry failed deliveries with backoff until they succeed', async () => {
+    addAlert();
+    responseStatuses = [500];
+
+    const first = await handleScheduled({}, { DB: db }, ctx);
+    expect(first).toMatchObject({ triggered: 1, delivered: 0, retrying: 1 });
+
+    const delivery = [...db._deliveries.values()][0];
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.lastError).toBe('Webhook responded with 500');
+    expect(delivery.nextAttemptAt).toBeGreaterThan(Date.now() + 50 * 1000);
+
+    // Not due yet: nothing is sent
+    await handleScheduled({}, { DB: db }, ctx);
+    expect(received).toHaveLength(1);
+
+    expireBackoff();
+    const retry = await handleScheduled({}, { DB: db }, ctx);
+    expect(retry).toMatchObject({ triggered: 0, delivered: 1 });
+    expect(received).toHaveLength(2);
+    expect(received[1].headers['x-alert-attempt']).toBe('2');
+    expect(received[1].body.deliveryId).toBe(received[0].body.deliveryId);
+    expect(delivery.status).toBe('delivered');
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    addAlert();
+    responseStatuses = [503, 503];
+    const env = { DB: db, ALERT_MAX_DELIVERY_ATTEMPTS: '2' };
+
+    await handleScheduled({}, env, ctx);
+    expireBackoff();
+    const stats = await handleScheduled({}, env, ctx);
+
+    expect(stats.failed).toBe(1);
+    const delivery = [...db._deliveries.values()][0];
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toBe(2);
+  });
+
+  it('should fail permanently on client errors', async () => {
+    addAlert();
+    responseStatuses = [404];
+
+    const stats = await handleScheduled({}, { DB: db }, ctx);
+
+    expect(stats.failed).toBe(1);
+    expect([...db._deliveries.values()][0].status).toBe('failed');
+  });
+
+  it('should skip evaluation when the price is unavailable', async () => {
+    addAlert();
+    price = null;
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const stats = await handleScheduled({}, { DB: db }, ctx);
+
+    expect(stats.triggered).toBe(0);
+    expect(received).toHaveLength(0);
+    consoleError.mockRestore();
+  });
+});